@@ -45,7 +45,7 @@ class AccessibilityCompliance {
             this.checkFocusAccessibility(event);
         });
         
-        // Listen for screen reader events
+        // Listen for screen reader events (sent by the shared announcer's live regions)
         document.addEventListener('screenReaderAnnounce', (event) => {
             this.recordScreenReaderUsage(event);
         });
@@ -701,6 +701,8 @@ class AccessibilityCompliance {
     recordScreenReaderUsage(event) {
         this.recordAccessibilityEvent('screen_reader', {
             announcement: event.detail.text,
+            politeness: event.detail.politeness,
+            source: event.detail.source,
             timestamp: Date.now()
         });
     }
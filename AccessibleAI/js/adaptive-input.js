@@ -9,12 +9,16 @@ class AdaptiveInputHandler {
         this.currentInputMode = 'standard';
         this.inputBuffer = [];
         this.scanningMode = false;
-        this.scanningIndex = 0;
-        this.scanningInterval = null;
         this.dwellTime = 1000;
         this.holdThreshold = 500;
         this.holdTimers = new Map();
         
+        // Automatic, step and inverse scanning over page controls and scene objects
+        this.scanner = window.SwitchScanner ? new SwitchScanner() : null;
+        
+        // Records sessions to a file and replays them, reporting divergences
+        this.recorder = window.InputRecorder ? new InputRecorder(this) : null;
+        
         this.setupInputHandlers();
         this.loadSettings();
     }
@@ -25,6 +29,11 @@ class AdaptiveInputHandler {
             this.handleAssistiveInput(event.detail);
         });
         
+        // Scanning also ends by itself after its configured number of passes
+        document.addEventListener('switchScanStopped', () => {
+            this.scanningMode = false;
+        });
+        
         // Listen for standard input events
         document.addEventListener('keydown', (event) => {
             this.handleStandardInput(event);
@@ -47,8 +56,8 @@ class AdaptiveInputHandler {
         const profileInfo = this.deviceManager.getProfileInfo(profile);
         const settings = profileInfo.settings || {};
         
-        // Apply profile-specific processing
-        switch (profile) {
+        // Apply profile-specific processing; custom profiles follow the profile they were based on
+        switch (profileInfo.basedOn || profile) {
             case 'limitedArmMobility':
                 this.handleLimitedArmMobilityInput(type, value, settings);
                 break;
@@ -151,15 +160,20 @@ class AdaptiveInputHandler {
     }
     
     handleScanningMode(type, value, settings) {
-        if (type === 'switch1') {
-            // Start/stop scanning
-            this.toggleScanningMode(settings);
-        } else if (type === 'switch2') {
-            // Select current item
-            this.selectCurrentItem();
+        if (type.startsWith('switch')) {
+            this.handleSwitchInput(type, value, settings);
+        } else {
+            this.processInput(type, value);
         }
     }
     
+    handleSwitchInput(switchName, value, settings) {
+        if (!this.scanner) return;
+        
+        this.scanner.handleSwitch(switchName, value, settings);
+        this.scanningMode = this.scanner.isScanning();
+    }
+    
     toggleScanningMode(settings) {
         if (this.scanningMode) {
             this.stopScanning();
@@ -169,92 +183,37 @@ class AdaptiveInputHandler {
     }
     
     startScanning(settings) {
-        this.scanningMode = true;
-        this.scanningIndex = 0;
-        this.scanningInterval = setInterval(() => {
-            this.highlightNextItem();
-        }, settings.scanSpeed || 2000);
-        
-        // Scanning mode started
+        this.scanningMode = this.scanner ? this.scanner.start(settings) : false;
     }
     
     stopScanning() {
         this.scanningMode = false;
-        if (this.scanningInterval) {
-            clearInterval(this.scanningInterval);
-            this.scanningInterval = null;
+        if (this.scanner) {
+            this.scanner.stop();
         }
-        
-        // Clear all highlights
-        this.clearHighlights();
-        // Scanning mode stopped
-    }
-    
-    highlightNextItem() {
-        // Clear previous highlight
-        this.clearHighlights();
-        
-        // Get all interactive elements
-        const interactiveElements = this.getInteractiveElements();
-        
-        if (interactiveElements.length === 0) return;
-        
-        // Highlight current element
-        const currentElement = interactiveElements[this.scanningIndex];
-        this.highlightElement(currentElement);
-        
-        // Move to next element
-        this.scanningIndex = (this.scanningIndex + 1) % interactiveElements.length;
-    }
-    
-    getInteractiveElements() {
-        // Get all clickable/interactive elements
-        const selectors = [
-            '.clickable-object',
-            'button',
-            'a',
-            '[role="button"]',
-            '[tabindex]'
-        ];
-        
-        const elements = [];
-        selectors.forEach(selector => {
-            elements.push(...document.querySelectorAll(selector));
-        });
-        
-        return elements.filter(el => el.offsetParent !== null); // Only visible elements
-    }
-    
-    highlightElement(element) {
-        element.style.outline = '3px solid #3498db';
-        element.style.outlineOffset = '2px';
-        element.style.backgroundColor = 'rgba(52, 152, 219, 0.1)';
-        
-        // Add highlight class for styling
-        element.classList.add('scanning-highlight');
-    }
-    
-    clearHighlights() {
-        const highlightedElements = document.querySelectorAll('.scanning-highlight');
-        highlightedElements.forEach(el => {
-            el.style.outline = '';
-            el.style.outlineOffset = '';
-            el.style.backgroundColor = '';
-            el.classList.remove('scanning-highlight');
-        });
     }
     
     selectCurrentItem() {
-        const highlightedElement = document.querySelector('.scanning-highlight');
-        if (highlightedElement) {
-            highlightedElement.click();
+        if (this.scanner && this.scanner.isScanning()) {
+            this.scanner.select();
         }
     }
     
     handleJoystickInput(value) {
         // Handle joystick input for wheelchair users
-        // This would typically come from a connected joystick device
-        this.processInput('move', value);
+        // The gamepad input reports a push past the dead zone; turn the calibrated
+        // stick position into the direction it points
+        const gamepadInput = this.deviceManager && this.deviceManager.gamepadInput;
+        const stick = gamepadInput ? gamepadInput.getStick() : null;
+        
+        this.processInput('move', stick ? this.getStickDirection(stick) : value);
+    }
+    
+    getStickDirection(stick) {
+        if (Math.abs(stick.y) >= Math.abs(stick.x)) {
+            return stick.y < 0 ? 'forward' : 'backward';
+        }
+        return stick.x < 0 ? 'left' : 'right';
     }
     
     handleGestureInput(value) {
@@ -275,9 +234,10 @@ class AdaptiveInputHandler {
     }
     
     applyAdaptiveSensitivity(type, value) {
-        // Adjust sensitivity based on user's input patterns
-        // This would analyze input patterns and adjust thresholds
-        // Adaptive sensitivity applied without logging
+        // Filter harder while presses keep bouncing, ease off once they settle
+        if (this.deviceManager.tremorFilter) {
+            this.deviceManager.tremorFilter.adapt();
+        }
     }
     
     highlightAccessiblePaths() {
@@ -293,6 +253,9 @@ class AdaptiveInputHandler {
         let type, value;
         
         if (event.type === 'keydown') {
+            // Keys in custom profiles are mapped by the device manager alone
+            if (this.deviceManager.isCustomProfile(this.deviceManager.currentProfile)) return;
+            
             type = this.mapKeyToAction(event.key);
             value = event.key;
         } else if (event.type === 'click') {
@@ -328,8 +291,16 @@ class AdaptiveInputHandler {
     }
     
     processInput(type, value) {
-        // Process the input and trigger appropriate actions
-        
+        // A recording marks the inputs this one triggers as its consequences
+        if (this.recorder) {
+            this.recorder.handle({ kind: 'input', type, value }, () => this.applyInput(type, value));
+        } else {
+            this.applyInput(type, value);
+        }
+    }
+    
+    // Process the input and trigger appropriate actions
+    applyInput(type, value) {
         // Add to input buffer for analysis
         this.inputBuffer.push({
             type,
@@ -475,6 +446,10 @@ class AdaptiveInputHandler {
             this.scanningMode = true;
         }
         
+        if (settings.scanning && this.scanner) {
+            this.scanner.configure(settings.scanning);
+        }
+        
         if (settings.dwellTime) {
             this.dwellTime = settings.dwellTime;
         }
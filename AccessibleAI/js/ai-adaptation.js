@@ -83,6 +83,15 @@ class AIAdaptationEngine {
                 priority: 'medium'
             },
             
+            // Low Vision Adaptations
+            {
+                condition: (profile) => profile.interactionAbilities.visual <= 3,
+                adaptations: {
+                    audioBeacon: true
+                },
+                priority: 'high'
+            },
+            
             // Auditory Adaptations
             {
                 condition: (profile) => profile.interactionAbilities.auditory <= 5,
@@ -104,7 +113,8 @@ class AIAdaptationEngine {
                     stepByStepGuidance: true,
                     visualInstructions: true,
                     repetition: true,
-                    simplifiedInterface: true
+                    simplifiedInterface: true,
+                    easyRead: true
                 },
                 priority: 'high'
             },
@@ -143,7 +153,8 @@ class AIAdaptationEngine {
                     slowPace: true,
                     simplifiedChoices: true,
                     clearInstructions: true,
-                    patienceMode: true
+                    patienceMode: true,
+                    easyRead: true
                 },
                 priority: 'medium'
             }
@@ -156,9 +167,10 @@ class AIAdaptationEngine {
         
         // Determine if adaptation is needed
         const needsAdaptation = this.shouldAdapt(performance, profile);
+        let adaptations = [];
         
         if (needsAdaptation) {
-            const adaptations = this.generateAdaptations(profile, performance);
+            adaptations = this.generateAdaptations(profile, performance);
             this.applyAdaptations(adaptations);
         }
         
@@ -166,14 +178,14 @@ class AIAdaptationEngine {
         this.recordAdaptation({
             task: taskData.task,
             performance: performance,
-            adaptations: needsAdaptation ? adaptations : [],
+            adaptations: adaptations,
             timestamp: Date.now()
         });
     }
     
     calculatePerformance(taskData) {
-        const task = taskData.task;
-        const metrics = taskData.metrics;
+        const task = taskData.task || {};
+        const metrics = taskData.metrics || {};
         
         return {
             successRate: metrics.successRate || 0,
@@ -296,6 +308,9 @@ class AIAdaptationEngine {
                 case 'soundCues':
                     adaptations.assistance.soundCues = value;
                     break;
+                case 'audioBeacon':
+                    adaptations.assistance.audioBeacon = value;
+                    break;
                 case 'voiceGuidance':
                     adaptations.assistance.voiceGuidance = value;
                     break;
@@ -344,6 +359,9 @@ class AIAdaptationEngine {
                 case 'simplifiedInstructions':
                     adaptations.assistance.simplifiedInstructions = value;
                     break;
+                case 'easyRead':
+                    adaptations.assistance.easyRead = value;
+                    break;
                 case 'contextualHelp':
                     adaptations.assistance.contextualHelp = value;
                     break;
@@ -573,6 +591,9 @@ class AIAdaptationEngine {
                 case 'soundCues':
                     this.setSoundCues(value);
                     break;
+                case 'audioBeacon':
+                    this.setAudioBeacon(value);
+                    break;
                 case 'voiceGuidance':
                     this.setVoiceGuidance(value);
                     break;
@@ -597,6 +618,9 @@ class AIAdaptationEngine {
                 case 'simplifiedInstructions':
                     this.setSimplifiedInstructions(value);
                     break;
+                case 'easyRead':
+                    this.setEasyRead(value);
+                    break;
                 case 'contextualHelp':
                     this.setContextualHelp(value);
                     break;
@@ -648,6 +672,176 @@ class AIAdaptationEngine {
         document.dispatchEvent(new CustomEvent('audioNarrationChanged', { detail: { narration } }));
     }
     
+    setAssistanceLevel(assistanceLevel) {
+        // Apply assistance level changes
+        document.dispatchEvent(new CustomEvent('assistanceLevelChanged', { detail: { assistanceLevel } }));
+    }
+    
+    setAudioFeedback(audioFeedback) {
+        // Apply audio feedback changes
+        document.dispatchEvent(new CustomEvent('audioFeedbackChanged', { detail: { audioFeedback } }));
+    }
+    
+    setAudioBeacon(audioBeacon) {
+        // Apply audio beacon changes
+        document.dispatchEvent(new CustomEvent('audioBeaconChanged', { detail: { audioBeacon } }));
+    }
+    
+    setClearInstructions(clearInstructions) {
+        // Apply clear instructions changes
+        document.dispatchEvent(new CustomEvent('clearInstructionsChanged', { detail: { clearInstructions } }));
+    }
+    
+    setColorCoding(colorCoding) {
+        // Apply color coding changes
+        document.dispatchEvent(new CustomEvent('colorCodingChanged', { detail: { colorCoding } }));
+    }
+    
+    setContextualHelp(contextualHelp) {
+        // Apply contextual help changes
+        document.dispatchEvent(new CustomEvent('contextualHelpChanged', { detail: { contextualHelp } }));
+    }
+    
+    setContrast(contrast) {
+        // Apply contrast changes
+        document.dispatchEvent(new CustomEvent('contrastChanged', { detail: { contrast } }));
+    }
+    
+    setDistractionReduction(distractionReduction) {
+        // Apply distraction reduction changes
+        document.dispatchEvent(new CustomEvent('distractionReductionChanged', { detail: { distractionReduction } }));
+    }
+    
+    setDragSensitivity(dragSensitivity) {
+        // Apply drag sensitivity changes
+        document.dispatchEvent(new CustomEvent('dragSensitivityChanged', { detail: { dragSensitivity } }));
+    }
+    
+    setEasyRead(easyRead) {
+        // Apply easy-read instruction changes
+        document.dispatchEvent(new CustomEvent('easyReadChanged', { detail: { easyRead } }));
+    }
+    
+    setFrequentBreaks(frequentBreaks) {
+        // Apply frequent breaks changes
+        document.dispatchEvent(new CustomEvent('frequentBreaksChanged', { detail: { frequentBreaks } }));
+    }
+    
+    setLargeMovements(largeMovements) {
+        // Apply large movements changes
+        document.dispatchEvent(new CustomEvent('largeMovementsChanged', { detail: { largeMovements } }));
+    }
+    
+    setMemoryAids(memoryAids) {
+        // Apply memory aids changes
+        document.dispatchEvent(new CustomEvent('memoryAidsChanged', { detail: { memoryAids } }));
+    }
+    
+    setMotivationRewards(motivationRewards) {
+        // Apply motivation rewards changes
+        document.dispatchEvent(new CustomEvent('motivationRewardsChanged', { detail: { motivationRewards } }));
+    }
+    
+    setPatienceMode(patienceMode) {
+        // Apply patience mode changes
+        document.dispatchEvent(new CustomEvent('patienceModeChanged', { detail: { patienceMode } }));
+    }
+    
+    setPrecisionRequired(precisionRequired) {
+        // Apply precision required changes
+        document.dispatchEvent(new CustomEvent('precisionRequiredChanged', { detail: { precisionRequired } }));
+    }
+    
+    setProgressIndicators(progressIndicators) {
+        // Apply progress indicators changes
+        document.dispatchEvent(new CustomEvent('progressIndicatorsChanged', { detail: { progressIndicators } }));
+    }
+    
+    setRepetition(repetition) {
+        // Apply repetition changes
+        document.dispatchEvent(new CustomEvent('repetitionChanged', { detail: { repetition } }));
+    }
+    
+    setSessionLength(sessionLength) {
+        // Apply session length changes
+        document.dispatchEvent(new CustomEvent('sessionLengthChanged', { detail: { sessionLength } }));
+    }
+    
+    setSimplifiedChoices(simplifiedChoices) {
+        // Apply simplified choices changes
+        document.dispatchEvent(new CustomEvent('simplifiedChoicesChanged', { detail: { simplifiedChoices } }));
+    }
+    
+    setSimplifiedInstructions(simplifiedInstructions) {
+        // Apply simplified instructions changes
+        document.dispatchEvent(new CustomEvent('simplifiedInstructionsChanged', { detail: { simplifiedInstructions } }));
+    }
+    
+    setSimplifiedInterface(simplifiedInterface) {
+        // Apply simplified interface changes
+        document.dispatchEvent(new CustomEvent('simplifiedInterfaceChanged', { detail: { simplifiedInterface } }));
+    }
+    
+    setSimplifiedNavigation(simplifiedNavigation) {
+        // Apply simplified navigation changes
+        document.dispatchEvent(new CustomEvent('simplifiedNavigationChanged', { detail: { simplifiedNavigation } }));
+    }
+    
+    setSlowPace(slowPace) {
+        // Apply slow pace changes
+        document.dispatchEvent(new CustomEvent('slowPaceChanged', { detail: { slowPace } }));
+    }
+    
+    setSoundCues(soundCues) {
+        // Apply sound cues changes
+        document.dispatchEvent(new CustomEvent('soundCuesChanged', { detail: { soundCues } }));
+    }
+    
+    setSpeechRate(speechRate) {
+        // Apply speech rate changes
+        document.dispatchEvent(new CustomEvent('speechRateChanged', { detail: { speechRate } }));
+    }
+    
+    setStepByStepGuidance(stepByStepGuidance) {
+        // Apply step by step guidance changes
+        document.dispatchEvent(new CustomEvent('stepByStepGuidanceChanged', { detail: { stepByStepGuidance } }));
+    }
+    
+    setTaskComplexity(taskComplexity) {
+        // Apply task complexity changes
+        document.dispatchEvent(new CustomEvent('taskComplexityChanged', { detail: { taskComplexity } }));
+    }
+    
+    setTextSize(textSize) {
+        // Apply text size changes
+        document.dispatchEvent(new CustomEvent('textSizeChanged', { detail: { textSize } }));
+    }
+    
+    setTimeLimitExtension(timeLimitExtension) {
+        // Apply time limit extension changes
+        document.dispatchEvent(new CustomEvent('timeLimitExtensionChanged', { detail: { timeLimitExtension } }));
+    }
+    
+    setVisualCues(visualCues) {
+        // Apply visual cues changes
+        document.dispatchEvent(new CustomEvent('visualCuesChanged', { detail: { visualCues } }));
+    }
+    
+    setVisualInstructions(visualInstructions) {
+        // Apply visual instructions changes
+        document.dispatchEvent(new CustomEvent('visualInstructionsChanged', { detail: { visualInstructions } }));
+    }
+    
+    setVisualReminders(visualReminders) {
+        // Apply visual reminders changes
+        document.dispatchEvent(new CustomEvent('visualRemindersChanged', { detail: { visualReminders } }));
+    }
+    
+    setVoiceGuidance(voiceGuidance) {
+        // Apply voice guidance changes
+        document.dispatchEvent(new CustomEvent('voiceGuidanceChanged', { detail: { voiceGuidance } }));
+    }
+    
     // Recommendation system
     recommendScenarios(weakSkills) {
         const recommendations = [];
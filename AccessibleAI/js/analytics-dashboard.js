@@ -26,7 +26,7 @@ class AnalyticsDashboard {
     createDashboardButton() {
         const button = document.createElement('button');
         button.id = 'analytics-dashboard-button';
-        button.innerHTML = '📊 Analytics Dashboard';
+        button.innerHTML = `📊 ${this.t('analyticsDashboard.button')}`;
         button.style.cssText = `
             position: fixed;
             top: 20px;
@@ -71,6 +71,14 @@ class AnalyticsDashboard {
         document.addEventListener('taskFeedbackCollected', () => {
             this.updateDashboard();
         });
+        
+        document.addEventListener('localeChanged', () => {
+            const button = document.getElementById('analytics-dashboard-button');
+            if (button) {
+                button.innerHTML = `📊 ${this.t('analyticsDashboard.button')}`;
+            }
+            this.updateDashboard();
+        });
     }
     
     toggleDashboard() {
@@ -146,13 +154,12 @@ class AnalyticsDashboard {
         return `
             <div style="padding: 30px;">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px;">
-                    <h2 style="margin: 0; color: #2c3e50; font-size: 28px;">📊 Analytics Dashboard</h2>
+                    <h2 style="margin: 0; color: #2c3e50; font-size: 28px;">📊 ${this.t('analyticsDashboard.title')}</h2>
                     <div style="display: flex; gap: 15px; align-items: center;">
                         <select id="date-range-select" style="padding: 8px 12px; border: 1px solid #ddd; border-radius: 6px;">
-                            <option value="day">Last 24 Hours</option>
-                            <option value="week" selected>Last 7 Days</option>
-                            <option value="month">Last 30 Days</option>
-                            <option value="all">All Time</option>
+                            ${['day', 'week', 'month', 'all'].map(range => `
+                                <option value="${range}" ${this.dateRange === range ? 'selected' : ''}>${this.t(`analyticsDashboard.ranges.${range}`)}</option>
+                            `).join('')}
                         </select>
                         <button id="close-analytics-dashboard" style="
                             background: #e74c3c;
@@ -181,7 +188,7 @@ class AnalyticsDashboard {
                         font-weight: 600;
                         color: #e74c3c;
                         border-bottom: 3px solid #e74c3c;
-                    ">Overview</button>
+                    ">${this.t('analyticsDashboard.tabs.overview')}</button>
                     <button class="analytics-tab" data-view="performance" style="
                         background: none;
                         border: none;
@@ -191,7 +198,7 @@ class AnalyticsDashboard {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Performance</button>
+                    ">${this.t('analyticsDashboard.tabs.performance')}</button>
                     <button class="analytics-tab" data-view="accessibility" style="
                         background: none;
                         border: none;
@@ -201,7 +208,7 @@ class AnalyticsDashboard {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Accessibility</button>
+                    ">${this.t('analyticsDashboard.tabs.accessibility')}</button>
                     <button class="analytics-tab" data-view="feedback" style="
                         background: none;
                         border: none;
@@ -211,7 +218,7 @@ class AnalyticsDashboard {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">User Feedback</button>
+                    ">${this.t('analyticsDashboard.tabs.feedback')}</button>
                     <button class="analytics-tab" data-view="trends" style="
                         background: none;
                         border: none;
@@ -221,7 +228,7 @@ class AnalyticsDashboard {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Trends</button>
+                    ">${this.t('analyticsDashboard.tabs.trends')}</button>
                 </div>
                 
                 <!-- Overview Tab -->
@@ -262,47 +269,47 @@ class AnalyticsDashboard {
                 <!-- Performance Metrics -->
                 <div style="background: linear-gradient(135deg, #3498db, #2980b9); color: white; padding: 25px; border-radius: 15px;">
                     <div style="font-size: 36px; margin-bottom: 10px;">📈</div>
-                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">Performance</div>
+                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">${this.t('analyticsDashboard.performance')}</div>
                     <div style="font-size: 16px; opacity: 0.9;">
-                        Completion: ${performanceSummary?.performance?.completionRate?.toFixed(1) || 0}%<br>
-                        Efficiency: ${performanceSummary?.performance?.efficiency?.toFixed(1) || 0} tasks/min
+                        ${this.t('analyticsDashboard.completion', { value: this.formatPercent(performanceSummary?.performance?.completionRate || 0) })}<br>
+                        ${this.t('analyticsDashboard.efficiency', { value: this.formatDecimal(performanceSummary?.performance?.efficiency || 0) })}
                     </div>
                 </div>
                 
                 <!-- Accessibility Score -->
                 <div style="background: linear-gradient(135deg, #27ae60, #2ecc71); color: white; padding: 25px; border-radius: 15px;">
                     <div style="font-size: 36px; margin-bottom: 10px;">♿</div>
-                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">Accessibility</div>
+                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">${this.t('analyticsDashboard.accessibility')}</div>
                     <div style="font-size: 16px; opacity: 0.9;">
-                        Score: ${complianceSummary?.score?.toFixed(1) || 0}%<br>
-                        Level: ${complianceSummary?.level || 'AA'}
+                        ${this.t('analyticsDashboard.score', { value: this.formatPercent(complianceSummary?.score || 0) })}<br>
+                        ${this.t('analyticsDashboard.level', { level: complianceSummary?.level || 'AA' })}
                     </div>
                 </div>
                 
                 <!-- User Feedback -->
                 <div style="background: linear-gradient(135deg, #f39c12, #e67e22); color: white; padding: 25px; border-radius: 15px;">
                     <div style="font-size: 36px; margin-bottom: 10px;">💬</div>
-                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">Feedback</div>
+                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">${this.t('analyticsDashboard.feedback')}</div>
                     <div style="font-size: 16px; opacity: 0.9;">
-                        Total: ${feedbackSummary?.totalFeedback || 0}<br>
-                        Avg Difficulty: ${feedbackSummary?.averageDifficulty?.toFixed(1) || 0}/5
+                        ${this.t('analyticsDashboard.total', { count: feedbackSummary?.totalFeedback || 0 })}<br>
+                        ${this.t('analyticsDashboard.averageDifficulty', { value: this.formatDecimal(feedbackSummary?.averageDifficulty || 0) })}
                     </div>
                 </div>
                 
                 <!-- Session Stats -->
                 <div style="background: linear-gradient(135deg, #9b59b6, #8e44ad); color: white; padding: 25px; border-radius: 15px;">
                     <div style="font-size: 36px; margin-bottom: 10px;">⏱️</div>
-                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">Sessions</div>
+                    <div style="font-size: 24px; font-weight: 700; margin-bottom: 5px;">${this.t('analyticsDashboard.sessions')}</div>
                     <div style="font-size: 16px; opacity: 0.9;">
-                        Duration: ${this.formatDuration(performanceSummary?.session?.duration || 0)}<br>
-                        Tasks: ${performanceSummary?.performance?.taskCount || 0}
+                        ${this.t('analyticsDashboard.duration', { duration: this.formatDuration(performanceSummary?.session?.duration || 0) })}<br>
+                        ${this.t('analyticsDashboard.tasks', { count: performanceSummary?.performance?.taskCount || 0 })}
                     </div>
                 </div>
             </div>
             
             <!-- Recent Activity -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Recent Activity</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.recentActivity')}</h3>
                 <div id="recent-activity-chart" style="height: 300px; background: white; border-radius: 10px; padding: 20px;">
                     <canvas id="recent-activity-canvas" width="800" height="300"></canvas>
                 </div>
@@ -315,7 +322,7 @@ class AnalyticsDashboard {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Performance Trends -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Performance Trends</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.performanceTrends')}</h3>
                     <div id="performance-trends-chart" style="height: 250px;">
                         <canvas id="performance-trends-canvas" width="400" height="250"></canvas>
                     </div>
@@ -323,7 +330,7 @@ class AnalyticsDashboard {
                 
                 <!-- Task Completion -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Task Completion</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.taskCompletion')}</h3>
                     <div id="task-completion-chart" style="height: 250px;">
                         <canvas id="task-completion-canvas" width="400" height="250"></canvas>
                     </div>
@@ -332,15 +339,15 @@ class AnalyticsDashboard {
             
             <!-- Performance Metrics Table -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Detailed Performance Metrics</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.detailedMetrics')}</h3>
                 <div style="overflow-x: auto;">
                     <table style="width: 100%; border-collapse: collapse;">
                         <thead>
                             <tr style="background: #e9ecef;">
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Metric</th>
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Current</th>
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Average</th>
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Trend</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('analyticsDashboard.columns.metric')}</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('analyticsDashboard.columns.current')}</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('analyticsDashboard.columns.average')}</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('analyticsDashboard.columns.trend')}</th>
                             </tr>
                         </thead>
                         <tbody id="performance-metrics-table">
@@ -359,13 +366,13 @@ class AnalyticsDashboard {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Compliance Score -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Compliance Score</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.complianceScore')}</h3>
                     <div style="text-align: center;">
                         <div style="font-size: 48px; font-weight: 700; color: #27ae60; margin-bottom: 10px;">
-                            ${complianceSummary?.score?.toFixed(1) || 0}%
+                            ${this.formatPercent(complianceSummary?.score || 0)}
                         </div>
                         <div style="font-size: 18px; color: #6c757d; margin-bottom: 20px;">
-                            WCAG ${complianceSummary?.level || 'AA'} Level
+                            ${this.t('analyticsDashboard.wcagLevel', { level: complianceSummary?.level || 'AA' })}
                         </div>
                         <div style="background: #e9ecef; height: 10px; border-radius: 5px; overflow: hidden;">
                             <div style="
@@ -380,7 +387,7 @@ class AnalyticsDashboard {
                 
                 <!-- Violations -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Recent Violations</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.recentViolations')}</h3>
                     <div id="violations-list" style="max-height: 200px; overflow-y: auto;">
                         ${this.generateViolationsList()}
                     </div>
@@ -389,7 +396,7 @@ class AnalyticsDashboard {
             
             <!-- Accessibility Metrics -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Accessibility Metrics</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.accessibilityMetrics')}</h3>
                 <div id="accessibility-metrics-chart" style="height: 300px; background: white; border-radius: 10px; padding: 20px;">
                     <canvas id="accessibility-metrics-canvas" width="800" height="300"></canvas>
                 </div>
@@ -404,7 +411,7 @@ class AnalyticsDashboard {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Feedback Distribution -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Feedback Distribution</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.feedbackDistribution')}</h3>
                     <div id="feedback-distribution-chart" style="height: 250px;">
                         <canvas id="feedback-distribution-canvas" width="400" height="250"></canvas>
                     </div>
@@ -412,7 +419,7 @@ class AnalyticsDashboard {
                 
                 <!-- Difficulty Ratings -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Difficulty Ratings</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.difficultyRatings')}</h3>
                     <div id="difficulty-ratings-chart" style="height: 250px;">
                         <canvas id="difficulty-ratings-canvas" width="400" height="250"></canvas>
                     </div>
@@ -421,31 +428,31 @@ class AnalyticsDashboard {
             
             <!-- Feedback Summary -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Feedback Summary</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.feedbackSummary')}</h3>
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px;">
                     <div style="background: white; padding: 20px; border-radius: 10px; text-align: center;">
                         <div style="font-size: 24px; font-weight: 700; color: #3498db; margin-bottom: 5px;">
-                            ${feedbackSummary?.totalFeedback || 0}
+                            ${this.formatNumber(feedbackSummary?.totalFeedback || 0)}
                         </div>
-                        <div style="color: #6c757d;">Total Feedback</div>
+                        <div style="color: #6c757d;">${this.t('analyticsDashboard.totalFeedback')}</div>
                     </div>
                     <div style="background: white; padding: 20px; border-radius: 10px; text-align: center;">
                         <div style="font-size: 24px; font-weight: 700; color: #f39c12; margin-bottom: 5px;">
-                            ${feedbackSummary?.averageDifficulty?.toFixed(1) || 0}
+                            ${this.formatDecimal(feedbackSummary?.averageDifficulty || 0)}
                         </div>
-                        <div style="color: #6c757d;">Avg Difficulty</div>
+                        <div style="color: #6c757d;">${this.t('analyticsDashboard.averageDifficultyLabel')}</div>
                     </div>
                     <div style="background: white; padding: 20px; border-radius: 10px; text-align: center;">
                         <div style="font-size: 24px; font-weight: 700; color: #27ae60; margin-bottom: 5px;">
-                            ${feedbackSummary?.recentFeedback || 0}
+                            ${this.formatNumber(feedbackSummary?.recentFeedback || 0)}
                         </div>
-                        <div style="color: #6c757d;">Recent Feedback</div>
+                        <div style="color: #6c757d;">${this.t('analyticsDashboard.recentFeedback')}</div>
                     </div>
                     <div style="background: white; padding: 20px; border-radius: 10px; text-align: center;">
                         <div style="font-size: 24px; font-weight: 700; color: #9b59b6; margin-bottom: 5px;">
-                            ${Object.keys(feedbackSummary?.feedbackTypes || {}).length}
+                            ${this.formatNumber(Object.keys(feedbackSummary?.feedbackTypes || {}).length)}
                         </div>
-                        <div style="color: #6c757d;">Feedback Types</div>
+                        <div style="color: #6c757d;">${this.t('analyticsDashboard.feedbackTypes')}</div>
                     </div>
                 </div>
             </div>
@@ -455,7 +462,7 @@ class AnalyticsDashboard {
     generateTrendsContent() {
         return `
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px; margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Performance Trends Over Time</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.trendsOverTime')}</h3>
                 <div id="trends-chart" style="height: 400px; background: white; border-radius: 10px; padding: 20px;">
                     <canvas id="trends-canvas" width="800" height="400"></canvas>
                 </div>
@@ -464,7 +471,7 @@ class AnalyticsDashboard {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px;">
                 <!-- Behavioral Patterns -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Behavioral Patterns</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.behavioralPatterns')}</h3>
                     <div id="behavioral-patterns-chart" style="height: 250px;">
                         <canvas id="behavioral-patterns-canvas" width="400" height="250"></canvas>
                     </div>
@@ -472,7 +479,7 @@ class AnalyticsDashboard {
                 
                 <!-- Learning Progress -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Learning Progress</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('analyticsDashboard.learningProgress')}</h3>
                     <div id="learning-progress-chart" style="height: 250px;">
                         <canvas id="learning-progress-canvas" width="400" height="250"></canvas>
                     </div>
@@ -485,7 +492,7 @@ class AnalyticsDashboard {
         const violations = this.accessibilityCompliance?.violations || [];
         
         if (violations.length === 0) {
-            return '<div style="text-align: center; color: #6c757d; font-style: italic;">No recent violations</div>';
+            return `<div style="text-align: center; color: #6c757d; font-style: italic;">${this.t('analyticsDashboard.noViolations')}</div>`;
         }
         
         return violations.slice(-5).map(violation => `
@@ -497,13 +504,13 @@ class AnalyticsDashboard {
                 border-left: 4px solid #e74c3c;
             ">
                 <div style="font-weight: 600; color: #2c3e50; margin-bottom: 5px;">
-                    ${violation.rule?.name || 'Unknown Rule'}
+                    ${violation.rule?.name || this.t('analyticsDashboard.unknownRule')}
                 </div>
                 <div style="font-size: 14px; color: #6c757d;">
-                    ${violation.violations?.join(', ') || 'No details available'}
+                    ${violation.violations?.join(', ') || this.t('analyticsDashboard.noDetails')}
                 </div>
                 <div style="font-size: 12px; color: #95a5a6; margin-top: 5px;">
-                    ${new Date(violation.timestamp).toLocaleString()}
+                    ${this.formatDateTime(violation.timestamp)}
                 </div>
             </div>
         `).join('');
@@ -613,7 +620,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getRecentActivityData();
         
-        this.drawLineChart(ctx, data, 'Recent Activity', 'Time', 'Activity');
+        this.drawLineChart(ctx, data, this.t('analyticsDashboard.recentActivity'), this.t('analyticsDashboard.charts.time'), this.t('analyticsDashboard.charts.activity'));
     }
     
     drawPerformanceTrendsChart() {
@@ -623,7 +630,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getPerformanceTrendsData();
         
-        this.drawLineChart(ctx, data, 'Performance Trends', 'Sessions', 'Score');
+        this.drawLineChart(ctx, data, this.t('analyticsDashboard.performanceTrends'), this.t('analyticsDashboard.charts.sessions'), this.t('analyticsDashboard.charts.score'));
     }
     
     drawTaskCompletionChart() {
@@ -633,7 +640,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getTaskCompletionData();
         
-        this.drawBarChart(ctx, data, 'Task Completion');
+        this.drawBarChart(ctx, data, this.t('analyticsDashboard.taskCompletion'));
     }
     
     drawAccessibilityMetricsChart() {
@@ -643,7 +650,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getAccessibilityMetricsData();
         
-        this.drawBarChart(ctx, data, 'Accessibility Metrics');
+        this.drawBarChart(ctx, data, this.t('analyticsDashboard.accessibilityMetrics'));
     }
     
     drawFeedbackDistributionChart() {
@@ -653,7 +660,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getFeedbackDistributionData();
         
-        this.drawPieChart(ctx, data, 'Feedback Distribution');
+        this.drawPieChart(ctx, data, this.t('analyticsDashboard.feedbackDistribution'));
     }
     
     drawDifficultyRatingsChart() {
@@ -663,7 +670,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getDifficultyRatingsData();
         
-        this.drawBarChart(ctx, data, 'Difficulty Ratings');
+        this.drawBarChart(ctx, data, this.t('analyticsDashboard.difficultyRatings'));
     }
     
     drawTrendsChart() {
@@ -683,7 +690,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getBehavioralPatternsData();
         
-        this.drawBarChart(ctx, data, 'Behavioral Patterns');
+        this.drawBarChart(ctx, data, this.t('analyticsDashboard.behavioralPatterns'));
     }
     
     drawLearningProgressChart() {
@@ -693,7 +700,7 @@ class AnalyticsDashboard {
         const ctx = canvas.getContext('2d');
         const data = this.getLearningProgressData();
         
-        this.drawLineChart(ctx, data, 'Learning Progress', 'Sessions', 'Progress');
+        this.drawLineChart(ctx, data, this.t('analyticsDashboard.learningProgress'), this.t('analyticsDashboard.charts.sessions'), this.t('analyticsDashboard.charts.progress'));
     }
     
     // Data Generation Methods
@@ -1005,7 +1012,7 @@ class AnalyticsDashboard {
             // Refresh the dashboard content
             this.dashboard.innerHTML = this.generateDashboardHTML();
             this.setupDashboardEventListeners();
-            this.initializeCharts();
+            this.switchView(this.currentView);
         }
     }
     
@@ -1015,12 +1022,41 @@ class AnalyticsDashboard {
         const hours = Math.floor(minutes / 60);
         
         if (hours > 0) {
-            return `${hours}h ${minutes % 60}m`;
+            return this.t('common.duration.hours', { hours: hours, minutes: minutes % 60 });
         } else if (minutes > 0) {
-            return `${minutes}m ${seconds % 60}s`;
+            return this.t('common.duration.minutes', { minutes: minutes, seconds: seconds % 60 });
         } else {
-            return `${seconds}s`;
+            return this.t('common.duration.seconds', { seconds: seconds });
+        }
+    }
+    
+    // Localization
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+    
+    formatNumber(value) {
+        return window.localization ? window.localization.formatNumber(value) : String(value);
+    }
+    
+    formatDecimal(value) {
+        return window.localization
+            ? window.localization.formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+            : value.toFixed(1);
+    }
+    
+    formatPercent(value) {
+        return window.localization ? window.localization.formatPercent(value) : `${value.toFixed(1)}%`;
+    }
+    
+    formatDateTime(value) {
+        if (!window.localization) {
+            return new Date(value).toLocaleString();
         }
+        return `${window.localization.formatDate(value)} ${window.localization.formatTime(value)}`;
     }
 }
 
@@ -96,6 +96,47 @@ class AssistiveDeviceManager {
             }
         };
         
+        // Actions a custom profile can bind keys, switches, gamepad buttons and voice phrases to.
+        // The ids double as voice command ids, so custom phrases extend those commands
+        this.actions = {
+            moveForward: { type: 'move', value: 'forward' },
+            moveBack: { type: 'move', value: 'backward' },
+            moveLeft: { type: 'move', value: 'left' },
+            moveRight: { type: 'move', value: 'right' },
+            interact: { type: 'interact', value: 'primary' },
+            select: { type: 'interact', value: 'select' },
+            cancel: { type: 'interact', value: 'cancel' },
+            menu: { type: 'menu', value: 'open' },
+            help: { type: 'help', value: 'show' }
+        };
+        this.bindingDevices = ['keyboard', 'switch', 'gamepad', 'voice'];
+        
+        // Keys other parts of the app already answer to
+        this.reservedKeys = ['r', 't', 'tab'];
+        
+        // While set, the next input of the given device is handed over instead of acted on
+        this.inputCapture = null;
+        
+        // Continuous polling, calibration and smooth locomotion for gamepads and joysticks
+        this.gamepadInput = window.GamepadInput ? new GamepadInput(this) : null;
+        
+        // Tremor smoothing for pointer, gaze and motion, click stabilization and bounce keys
+        this.tremorFilter = window.TremorFilter ? new TremorFilter() : null;
+        
+        // Trainable pointer and motion gestures bound to actions, stored per profile
+        this.gestureRecognizer = window.GestureRecognizer ? new GestureRecognizer(this) : null;
+        
+        // Voice commands with synonyms, fuzzy matching and spoken numbers and object names
+        this.voiceGrammar = window.VoiceGrammar ? new VoiceGrammar() : null;
+        this.pendingVoiceCommand = null;
+        this.voiceConfirmTimeout = 10000;   // ms a yes or no is awaited
+        this.voiceStepInterval = 300;       // ms between repeated steps
+        this.repeatTimer = null;
+        
+        // Devices beyond the built-in ones plug in through adapters (see DeviceAdapter)
+        this.adapters = new Map();
+        this.adaptersDetected = false;
+        
         this.init();
     }
     
@@ -146,6 +187,10 @@ class AssistiveDeviceManager {
         
         // Detect voice control
         this.detectVoiceControl();
+        
+        // Detect devices registered through adapters
+        this.adaptersDetected = true;
+        await Promise.all(Array.from(this.adapters.keys()).map(adapterId => this.connectAdapter(adapterId)));
     }
     
     registerVRController(gamepad, index) {
@@ -166,6 +211,10 @@ class AssistiveDeviceManager {
         this.devices.set(controller.id, controller);
         this.capabilities.vrControllers = true;
         
+        if (this.gamepadInput) {
+            this.gamepadInput.connect(gamepad);
+        }
+        
         console.log(`VR Controller ${index} detected:`, gamepad.id);
     }
     
@@ -255,33 +304,48 @@ class AssistiveDeviceManager {
     }
     
     handleMotionData(event) {
+        const { x, y, z } = event.acceleration;
+        const [accelerationX, accelerationY, accelerationZ] = this.tremorFilter
+            ? this.tremorFilter.filter('motion', [x, y, z], event.timeStamp)
+            : [x, y, z];
+        
         const motionData = {
             acceleration: {
-                x: event.acceleration.x,
-                y: event.acceleration.y,
-                z: event.acceleration.z
+                x: accelerationX,
+                y: accelerationY,
+                z: accelerationZ
             },
             rotationRate: {
                 alpha: event.rotationRate.alpha,
                 beta: event.rotationRate.beta,
                 gamma: event.rotationRate.gamma
-            }
+            },
+            timestamp: event.timeStamp
         };
         
         this.processMotionInput(motionData);
     }
     
     handleOrientationData(event) {
-        const orientationData = {
-            alpha: event.alpha,
-            beta: event.beta,
-            gamma: event.gamma
-        };
+        // Head orientation is the gaze stream
+        const angles = [event.alpha, event.beta, event.gamma];
+        const [alpha, beta, gamma] = this.tremorFilter
+            ? this.tremorFilter.filter('gaze', angles, event.timeStamp)
+            : angles;
+        
+        const orientationData = { alpha, beta, gamma };
         
         this.processOrientationInput(orientationData);
     }
     
     processMotionInput(motionData) {
+        // Trained motion gestures take over from the threshold guesses below
+        if (this.gestureRecognizer && this.gestureRecognizer.isListening('motion')) {
+            const { x, y, z } = motionData.acceleration;
+            this.gestureRecognizer.addMotionSample([x, y, z], motionData.timestamp);
+            return;
+        }
+        
         // Process motion data for gesture recognition
         const gesture = this.recognizeGesture(motionData);
         if (gesture) {
@@ -361,7 +425,13 @@ class AssistiveDeviceManager {
         console.log(`Smart mobility device detected: ${type}`);
     }
     
+    // What a connected mobility adapter declares, or what a device of the type usually offers
     getMobilityCapabilities(type) {
+        const adapter = this.getMobilityAdapter(type);
+        if (adapter) {
+            return { ...adapter.features };
+        }
+        
         const capabilities = {
             wheelchair: {
                 joystick: true,
@@ -384,6 +454,12 @@ class AssistiveDeviceManager {
         return capabilities[type] || {};
     }
     
+    getMobilityAdapter(type) {
+        return Array.from(this.adapters.values()).find(adapter =>
+            adapter.isConnected() && adapter.type === 'smart-mobility' && adapter.features.mobilityType === type
+        ) || null;
+    }
+    
     detectSwitchDevices() {
         // Check for switch device support
         // This would typically involve checking for specific switch device drivers
@@ -411,8 +487,8 @@ class AssistiveDeviceManager {
     }
     
     detectVoiceControl() {
-        // Check for Web Speech API support
-        if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
+        // Check for Web Speech API support and the grammar commands are matched with
+        if (this.voiceGrammar && ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window)) {
             this.capabilities.voiceControl = true;
             this.setupVoiceControl();
         }
@@ -424,43 +500,257 @@ class AssistiveDeviceManager {
         
         this.voiceRecognition.continuous = true;
         this.voiceRecognition.interimResults = false;
-        this.voiceRecognition.lang = 'en-US';
+        this.voiceRecognition.maxAlternatives = 3;
+        this.voiceRecognition.lang = this.getSpeechLocale();
+        this.voiceRecognitionActive = false;
         
+        // Every alternative is tried, so a misheard first guess can still match
         this.voiceRecognition.onresult = (event) => {
-            const command = event.results[event.results.length - 1][0].transcript.toLowerCase().trim();
-            this.processVoiceCommand(command);
+            const result = event.results[event.results.length - 1];
+            this.processVoiceCommand(Array.from(result, alternative => alternative.transcript));
         };
         
         this.voiceRecognition.onerror = (event) => {
             console.error('Voice recognition error:', event.error);
         };
         
+        // Recognition follows the selected language
+        document.addEventListener('localeChanged', () => {
+            this.updateVoiceLanguage();
+        });
+        
         console.log('Voice control enabled');
     }
     
-    processVoiceCommand(command) {
-        const voiceCommands = {
-            'move forward': () => this.triggerInput('move', 'forward'),
-            'move back': () => this.triggerInput('move', 'backward'),
-            'move left': () => this.triggerInput('move', 'left'),
-            'move right': () => this.triggerInput('move', 'right'),
-            'interact': () => this.triggerInput('interact', 'primary'),
-            'menu': () => this.triggerInput('menu', 'open'),
-            'select': () => this.triggerInput('interact', 'select'),
-            'cancel': () => this.triggerInput('interact', 'cancel'),
-            'help': () => this.triggerInput('help', 'show')
+    getSpeechLocale() {
+        return window.localization ? window.localization.getSpeechLocale() : 'en-US';
+    }
+    
+    // The recognizer only picks up a new language when it (re)starts
+    updateVoiceLanguage() {
+        if (!this.voiceRecognition) return;
+        
+        this.voiceRecognition.lang = this.getSpeechLocale();
+        if (this.voiceRecognitionActive) {
+            this.voiceRecognition.addEventListener('end', () => {
+                this.voiceRecognition.start();
+            }, { once: true });
+            this.voiceRecognition.stop();
+        }
+    }
+    
+    // Takes a transcript or the recognizer's alternatives, so commands can be fed without
+    // a microphone. Returns { status: 'executed' | 'confirm' | 'cancelled' | 'unrecognized', ... }
+    processVoiceCommand(transcripts) {
+        const alternatives = [].concat(transcripts)
+            .map(transcript => String(transcript || '').toLowerCase().trim())
+            .filter(Boolean);
+        if (alternatives.length === 0) {
+            return { status: 'unrecognized', transcript: '' };
+        }
+        
+        if (this.inputCapture && this.inputCapture.device === 'voice') {
+            this.finishInputCapture(alternatives[0]);
+            return { status: 'captured', transcript: alternatives[0] };
+        }
+        
+        // A pending confirmation takes a yes or no; anything else is heard as a new command
+        const pending = this.pendingVoiceCommand;
+        if (pending) {
+            this.clearPendingVoiceCommand();
+            
+            const answer = this.matchVoiceCommand(alternatives, ['yes', 'no'], 'voice.confirm');
+            if (answer && answer.command === 'yes') {
+                return this.executeVoiceCommand(pending);
+            }
+            if (answer && answer.command === 'no') {
+                this.provideVoiceFeedback(this.t('voice.cancelled', {}, 'Cancelled'));
+                return { status: 'cancelled', command: pending.command, transcript: alternatives[0] };
+            }
+        }
+        
+        const voiceCommands = this.getVoiceCommands();
+        const match = this.matchVoiceCommand(alternatives, Object.keys(voiceCommands));
+        if (!match) {
+            this.provideVoiceFeedback(this.t('voice.notUnderstood', { transcript: alternatives[0] },
+                `Sorry, I did not understand "${alternatives[0]}"`));
+            return { status: 'unrecognized', transcript: alternatives[0] };
+        }
+        
+        if (voiceCommands[match.command].confirm) {
+            this.pendingVoiceCommand = match;
+            this.pendingVoiceTimer = setTimeout(() => this.clearPendingVoiceCommand(), this.voiceConfirmTimeout);
+            this.provideVoiceFeedback(this.t(`voice.confirmPrompts.${match.command}`, {}, 'Are you sure? Say yes or no.'));
+            return { status: 'confirm', ...this.describeVoiceMatch(match) };
+        }
+        
+        return this.executeVoiceCommand(match);
+    }
+    
+    // Voice commands by phrase key (voice.commands.<id>). Commands that throw away
+    // progress ask for a yes or no first
+    getVoiceCommands() {
+        return {
+            moveForward: { run: ({ count }) => this.repeatInput('move', 'forward', count) },
+            moveBack: { run: ({ count }) => this.repeatInput('move', 'backward', count) },
+            moveLeft: { run: ({ count }) => this.repeatInput('move', 'left', count) },
+            moveRight: { run: ({ count }) => this.repeatInput('move', 'right', count) },
+            goTo: { run: ({ target }) => this.triggerInput('navigate', target.id) },
+            interact: { run: ({ target }) => this.triggerInput('interact', target ? target.id : 'primary') },
+            menu: { run: () => this.triggerInput('menu', 'open') },
+            select: { run: ({ target }) => this.triggerInput('interact', target ? target.id : 'select') },
+            cancel: { run: () => this.triggerInput('interact', 'cancel') },
+            help: { run: () => this.triggerInput('help', 'show') },
+            whatCanISay: { run: () => this.listVoiceCommands() },
+            restart: { run: () => this.triggerInput('scenario', 'restart'), confirm: true },
+            exit: { run: () => this.triggerInput('scenario', 'exit'), confirm: true }
         };
+    }
+    
+    // Phrases are grammar patterns, so nothing is understood without voice-grammar.js.
+    // Voice phrases bound in a custom profile add to the commands of the same name
+    matchVoiceCommand(alternatives, commandIds, keyPrefix = 'voice.commands') {
+        if (!this.voiceGrammar) return null;
         
-        const action = voiceCommands[command];
-        if (action) {
-            action();
-            this.provideVoiceFeedback(`Command recognized: ${command}`);
+        const customPhrases = keyPrefix === 'voice.commands' ? this.getCustomPhrases() : {};
+        return this.voiceGrammar.parse(alternatives, commandIds, null, keyPrefix, customPhrases);
+    }
+    
+    getCustomPhrases() {
+        const phrases = {};
+        (this.profiles[this.currentProfile].bindings || [])
+            .filter(binding => binding.device === 'voice')
+            .forEach(binding => {
+                phrases[binding.action] = (phrases[binding.action] || []).concat(binding.input);
+            });
+        return phrases;
+    }
+    
+    executeVoiceCommand(match) {
+        const command = this.getVoiceCommands()[match.command];
+        
+        this.stopRepeatInput();
+        this.provideVoiceFeedback(this.t('voice.commandRecognized', { command: match.transcript },
+            `Command recognized: ${match.transcript}`));
+        command.run(match.params);
+        
+        return { status: 'executed', ...this.describeVoiceMatch(match) };
+    }
+    
+    describeVoiceMatch(match) {
+        const params = { ...match.params };
+        if (params.target) {
+            params.target = params.target.id;
         }
+        return { command: match.command, params, transcript: match.transcript };
+    }
+    
+    clearPendingVoiceCommand() {
+        clearTimeout(this.pendingVoiceTimer);
+        this.pendingVoiceCommand = null;
+    }
+    
+    // "Move forward three steps" moves one step at a time so each step is seen and heard
+    repeatInput(type, value, count = 1) {
+        this.triggerInput(type, value);
+        
+        let remaining = count - 1;
+        if (remaining <= 0) return;
+        
+        this.repeatTimer = setInterval(() => {
+            this.triggerInput(type, value);
+            remaining -= 1;
+            if (remaining <= 0) {
+                this.stopRepeatInput();
+            }
+        }, this.voiceStepInterval);
+    }
+    
+    stopRepeatInput() {
+        clearInterval(this.repeatTimer);
+        this.repeatTimer = null;
+    }
+    
+    // "What can I say": one example per command, spoken and shown, plus the objects
+    // that can be named in the current scene
+    listVoiceCommands() {
+        const examples = Object.keys(this.getVoiceCommands())
+            .map(id => this.t(`voice.examples.${id}`, {}, ''))
+            .filter(Boolean);
+        const targets = this.voiceGrammar ? this.voiceGrammar.getTargets().map(target => target.names[0]) : [];
+        
+        let message = this.t('voice.list.spoken', { commands: examples.join(', ') }, `You can say: ${examples.join(', ')}`);
+        if (targets.length > 0) {
+            message += ' ' + this.t('voice.list.targets', { targets: targets.join(', ') }, `Places you can name: ${targets.join(', ')}`);
+        }
+        this.provideVoiceFeedback(message);
+        this.showVoiceCommandList(examples, targets);
+    }
+    
+    showVoiceCommandList(examples, targets) {
+        let panel = document.getElementById('voice-command-list');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'voice-command-list';
+            panel.setAttribute('role', 'region');
+            panel.style.cssText = `
+                position: fixed;
+                top: 80px;
+                right: 20px;
+                width: 320px;
+                max-height: 60vh;
+                overflow-y: auto;
+                background: white;
+                color: #2c3e50;
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+                padding: 12px 15px;
+                z-index: 1002;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            `;
+            document.body.appendChild(panel);
+        }
+        
+        const title = this.t('voice.list.title', {}, 'What you can say');
+        panel.setAttribute('aria-label', title);
+        panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                <h3 style="margin: 0; font-size: 16px;"></h3>
+                <button style="background: none; border: none; font-size: 18px; cursor: pointer; color: #6c757d;">✕</button>
+            </div>
+            <ul style="margin: 0; padding-left: 20px;"></ul>
+            <p style="margin: 10px 0 0; font-size: 14px; color: #6c757d;"></p>
+        `;
+        
+        panel.querySelector('h3').textContent = `🎤 ${title}`;
+        const closeButton = panel.querySelector('button');
+        closeButton.setAttribute('aria-label', this.t('voice.list.close', {}, 'Close'));
+        closeButton.addEventListener('click', () => panel.remove());
+        
+        const list = panel.querySelector('ul');
+        examples.forEach(example => {
+            const item = document.createElement('li');
+            item.textContent = `"${example}"`;
+            list.appendChild(item);
+        });
+        
+        panel.querySelector('p').textContent = targets.length > 0 ?
+            this.t('voice.list.targets', { targets: targets.join(', ') }, targets.join(', ')) : '';
+    }
+    
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
     }
     
     provideVoiceFeedback(message) {
         if ('speechSynthesis' in window) {
             const utterance = new SpeechSynthesisUtterance(message);
+            if (window.localization) {
+                window.localization.prepareUtterance(utterance);
+            }
             utterance.rate = 0.8;
             utterance.pitch = 1.0;
             speechSynthesis.speak(utterance);
@@ -473,6 +763,10 @@ class AssistiveDeviceManager {
             this.handleKeyboardInput(event);
         });
         
+        document.addEventListener('keyup', (event) => {
+            this.handleKeyboardRelease(event);
+        });
+        
         // Gamepad event listeners
         window.addEventListener('gamepadconnected', (event) => {
             this.registerVRController(event.gamepad, event.gamepad.index);
@@ -494,14 +788,74 @@ class AssistiveDeviceManager {
     }
     
     handleKeyboardInput(event) {
-        const key = event.key.toLowerCase();
-        const action = this.mapKeyToAction(key);
+        if (this.inputCapture && ['keyboard', 'switch'].includes(this.inputCapture.device)) {
+            this.captureKey(event);
+            return;
+        }
+        
+        // Switch interfaces usually present themselves as a keyboard; scanning needs
+        // both the press and the release
+        const switchName = this.getSwitchForKey(event);
+        if (switchName) {
+            event.preventDefault();
+            if (!event.repeat) {
+                this.triggerInput(switchName, 'press');
+            }
+            return;
+        }
+        
+        if (this.isEditable(event.target)) return;
+        
+        const key = this.getKeyName(event);
+        const action = this.mapKeyToAction(key, event);
         
         if (action) {
             this.triggerInput(action.type, action.value);
         }
     }
     
+    handleKeyboardRelease(event) {
+        // The release of a captured Space would otherwise click the capture button again
+        if (this.capturedKeyCode && event.code === this.capturedKeyCode) {
+            event.preventDefault();
+            this.capturedKeyCode = null;
+            return;
+        }
+        
+        const switchName = this.getSwitchForKey(event);
+        if (switchName) {
+            // Space would otherwise click the focused button on release
+            event.preventDefault();
+            this.triggerInput(switchName, 'release');
+        }
+    }
+    
+    // Only for profiles that scan, and never while typing in a form field
+    getSwitchForKey(event) {
+        const profile = this.profiles[this.currentProfile];
+        if (!profile.settings || !profile.settings.scanningMode) return null;
+        
+        return this.isEditable(event.target) ? null : this.getSwitchName(event);
+    }
+    
+    getSwitchName(event) {
+        for (const [switchName, key] of this.inputMappings) {
+            if (switchName.startsWith('switch') && (event.code === key || event.key === key)) {
+                return switchName;
+            }
+        }
+        return null;
+    }
+    
+    isEditable(target) {
+        return Boolean(target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable));
+    }
+    
+    // Key names as profiles list them: 'w', 'space', 'enter', 'arrowup'
+    getKeyName(event) {
+        return event.key === ' ' ? 'space' : event.key.toLowerCase();
+    }
+    
     handleMouseInput(event) {
         this.triggerInput('interact', 'click');
     }
@@ -511,8 +865,14 @@ class AssistiveDeviceManager {
         this.triggerInput('interact', 'touch');
     }
     
-    mapKeyToAction(key) {
+    mapKeyToAction(key, event = null) {
         const profile = this.profiles[this.currentProfile];
+        if (profile.bindings) {
+            const switchName = event && this.getSwitchName(event);
+            const binding = this.findBinding('keyboard', key) || (switchName && this.findBinding('switch', switchName));
+            return binding ? { ...this.actions[binding.action] } : null;
+        }
+        
         const inputs = profile.inputs;
         
         for (const [actionType, keys] of Object.entries(inputs)) {
@@ -524,24 +884,32 @@ class AssistiveDeviceManager {
         return null;
     }
     
-    triggerInput(type, value) {
+    // device names the adapter an input came from, when it came through one
+    triggerInput(type, value, device = null) {
         // Emit custom event for input
         const event = new CustomEvent('assistiveInput', {
             detail: {
                 type: type,
                 value: value,
                 profile: this.currentProfile,
+                device: device,
                 timestamp: Date.now()
             }
         });
         
-        document.dispatchEvent(event);
+        // A recording marks the inputs this one triggers as its consequences
+        const recorder = window.adaptiveInputHandler ? window.adaptiveInputHandler.recorder : null;
+        if (recorder) {
+            recorder.handle({ kind: 'assistive', type, value, device }, () => document.dispatchEvent(event));
+        } else {
+            document.dispatchEvent(event);
+        }
         
         // Store in event listeners map
         if (!this.eventListeners.has(type)) {
             this.eventListeners.set(type, []);
         }
-        this.eventListeners.get(type).push({ value, timestamp: Date.now() });
+        this.eventListeners.get(type).push({ value, device, timestamp: Date.now() });
     }
     
     setProfile(profileName) {
@@ -566,6 +934,8 @@ class AssistiveDeviceManager {
     }
     
     loadUserPreferences() {
+        this.loadCustomProfiles();
+        
         const savedProfile = localStorage.getItem('assistiveProfile');
         if (savedProfile && this.profiles[savedProfile]) {
             this.setProfile(savedProfile);
@@ -580,8 +950,340 @@ class AssistiveDeviceManager {
         return this.profiles[profileName];
     }
     
+    // Custom profiles
+    // Saved under customInputProfiles next to assistiveProfile. A custom profile keeps the
+    // settings of the profile it was based on; its bindings replace that profile's inputs
+    loadCustomProfiles() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem('customInputProfiles')) || {};
+        } catch (error) {
+            console.error('Failed to load custom input profiles:', error);
+        }
+        
+        Object.entries(stored).forEach(([profileName, data]) => {
+            const profile = this.sanitizeProfile(data);
+            if (profile && profileName.startsWith('custom-')) {
+                this.profiles[profileName] = profile;
+            }
+        });
+    }
+    
+    saveCustomProfiles() {
+        const customProfiles = {};
+        Object.keys(this.profiles).filter(profileName => this.isCustomProfile(profileName)).forEach(profileName => {
+            customProfiles[profileName] = this.profiles[profileName];
+        });
+        localStorage.setItem('customInputProfiles', JSON.stringify(customProfiles));
+        
+        document.dispatchEvent(new CustomEvent('inputProfilesChanged', {
+            detail: { profiles: Object.keys(customProfiles) }
+        }));
+    }
+    
+    isCustomProfile(profileName) {
+        return Boolean(this.profiles[profileName] && this.profiles[profileName].custom);
+    }
+    
+    createCustomProfile(name, baseProfile = this.currentProfile) {
+        const baseName = this.profiles[baseProfile] ? baseProfile : 'default';
+        const base = this.profiles[baseName];
+        const profileName = this.newProfileName();
+        
+        this.profiles[profileName] = {
+            name,
+            description: '',
+            custom: true,
+            basedOn: base.custom ? base.basedOn : baseName,
+            bindings: base.bindings ? base.bindings.map(binding => ({ ...binding })) : this.bindingsFromInputs(base),
+            settings: { ...(base.settings || {}) }
+        };
+        this.saveCustomProfiles();
+        
+        return profileName;
+    }
+    
+    updateCustomProfile(profileName, changes) {
+        if (!this.isCustomProfile(profileName)) return false;
+        
+        const profile = this.sanitizeProfile({ ...this.profiles[profileName], ...changes });
+        if (!profile) return false;
+        
+        this.profiles[profileName] = profile;
+        this.saveCustomProfiles();
+        return true;
+    }
+    
+    deleteCustomProfile(profileName) {
+        if (!this.isCustomProfile(profileName)) return;
+        
+        delete this.profiles[profileName];
+        if (this.currentProfile === profileName) {
+            this.setProfile('default');
+        }
+        this.saveCustomProfiles();
+    }
+    
+    newProfileName() {
+        const stamp = Date.now().toString(36);
+        let profileName = `custom-${stamp}`;
+        for (let n = 2; this.profiles[profileName]; n++) {
+            profileName = `custom-${stamp}-${n}`;
+        }
+        return profileName;
+    }
+    
+    // Built-in profiles list input names per action type ('w', 'arrow', 'switch1');
+    // keys, switches and the joystick button carry over as bindings
+    bindingsFromInputs(profile) {
+        const moveKeys = {
+            w: 'moveForward', s: 'moveBack', a: 'moveLeft', d: 'moveRight',
+            arrowup: 'moveForward', arrowdown: 'moveBack', arrowleft: 'moveLeft', arrowright: 'moveRight'
+        };
+        const scanning = profile.settings && profile.settings.scanningMode;
+        const bindings = [];
+        
+        Object.entries(profile.inputs || {}).forEach(([type, inputs]) => {
+            inputs.forEach(input => {
+                if (type === 'move') {
+                    const keys = input === 'arrow' ? ['arrowup', 'arrowdown', 'arrowleft', 'arrowright'] : [input];
+                    keys.filter(key => moveKeys[key]).forEach(key => {
+                        bindings.push({ action: moveKeys[key], device: 'keyboard', input: key });
+                    });
+                } else if (!this.actions[type]) {
+                    return;
+                } else if (/^switch\d$/.test(input)) {
+                    // Scanning already owns the switches
+                    if (!scanning) {
+                        bindings.push({ action: type, device: 'switch', input });
+                    }
+                } else if (input === 'joystick_button') {
+                    bindings.push({ action: type, device: 'gamepad', input: '0' });
+                } else if (['space', 'enter', 'escape'].includes(input) || /^[a-z0-9]$/.test(input)) {
+                    bindings.push({ action: type, device: 'keyboard', input });
+                }
+            });
+        });
+        
+        return bindings;
+    }
+    
+    // Profiles arrive from storage and imported files, so only known actions and devices
+    // and plain setting values are kept
+    sanitizeProfile(data) {
+        if (!data || typeof data !== 'object' || typeof data.name !== 'string' || !data.name.trim() ||
+            !Array.isArray(data.bindings)) {
+            return null;
+        }
+        
+        const bindings = [];
+        data.bindings.forEach(binding => {
+            if (!binding || !this.actions[binding.action] || !this.bindingDevices.includes(binding.device) ||
+                typeof binding.input !== 'string' || !binding.input.trim()) {
+                return;
+            }
+            
+            const clean = { action: binding.action, device: binding.device, input: binding.input.trim().toLowerCase() };
+            if (!bindings.some(other => other.action === clean.action && other.device === clean.device && other.input === clean.input)) {
+                bindings.push(clean);
+            }
+        });
+        
+        const settings = {};
+        Object.entries(data.settings || {}).forEach(([key, value]) => {
+            if (['boolean', 'number', 'string'].includes(typeof value)) {
+                settings[key] = value;
+            }
+        });
+        
+        const basedOn = this.profiles[data.basedOn] && !this.profiles[data.basedOn].custom ? data.basedOn : 'default';
+        return {
+            name: data.name.trim().slice(0, 60),
+            description: typeof data.description === 'string' ? data.description : '',
+            custom: true,
+            basedOn,
+            bindings,
+            settings
+        };
+    }
+    
+    findBinding(device, input) {
+        const bindings = this.profiles[this.currentProfile].bindings || [];
+        return bindings.find(binding => binding.device === device && binding.input === input) || null;
+    }
+    
+    triggerAction(actionId) {
+        const action = this.actions[actionId];
+        if (action) {
+            this.triggerInput(action.type, action.value);
+        }
+    }
+    
+    // Switches arrive as keys, so a switch and its key are one physical input
+    getBindingSignal(binding) {
+        if (binding.device === 'switch' && this.inputMappings.has(binding.input)) {
+            return `keyboard:${this.inputMappings.get(binding.input).toLowerCase()}`;
+        }
+        if (binding.device === 'voice' && this.voiceGrammar) {
+            return `voice:${this.voiceGrammar.tokenize(binding.input).join(' ')}`;
+        }
+        return `${binding.device}:${binding.input}`;
+    }
+    
+    // Warnings for a custom profile: one input bound to several actions, keys the app or
+    // scanning already answers to, phrases heard as another voice command, and actions
+    // nothing triggers
+    analyzeProfile(profile) {
+        const issues = [];
+        const bySignal = new Map();
+        const switchKeys = Array.from(this.inputMappings.values()).map(key => key.toLowerCase());
+        const scanning = profile.settings && profile.settings.scanningMode;
+        
+        profile.bindings.forEach(binding => {
+            const signal = this.getBindingSignal(binding);
+            if (!bySignal.has(signal)) {
+                bySignal.set(signal, []);
+            }
+            bySignal.get(signal).push(binding);
+            
+            const key = signal.startsWith('keyboard:') ? signal.slice('keyboard:'.length) : null;
+            if (key && this.reservedKeys.includes(key)) {
+                issues.push({ type: 'reserved', binding, key });
+            }
+            if (key && scanning && switchKeys.includes(key)) {
+                issues.push({ type: 'scanning', binding });
+            }
+            
+            if (binding.device === 'voice' && this.voiceGrammar) {
+                const otherCommands = Object.keys(this.getVoiceCommands()).filter(id => id !== binding.action);
+                const match = this.voiceGrammar.parse(binding.input, otherCommands, []);
+                if (match) {
+                    issues.push({ type: 'phraseOverlap', binding, actions: [match.command] });
+                }
+            }
+        });
+        
+        bySignal.forEach(bindings => {
+            const actions = Array.from(new Set(bindings.map(binding => binding.action)));
+            if (actions.length > 1) {
+                issues.unshift({ type: 'conflict', binding: bindings[0], actions });
+            }
+        });
+        
+        Object.keys(this.actions).forEach(action => {
+            if (!profile.bindings.some(binding => binding.action === action)) {
+                issues.push({ type: 'unreachable', action });
+            }
+        });
+        
+        return issues;
+    }
+    
+    exportCustomProfiles(profileNames = Object.keys(this.profiles).filter(profileName => this.isCustomProfile(profileName))) {
+        const profiles = {};
+        profileNames.filter(profileName => this.isCustomProfile(profileName)).forEach(profileName => {
+            profiles[profileName] = this.profiles[profileName];
+        });
+        
+        return JSON.stringify({ format: 'accessibleai-input-profiles', version: 1, profiles }, null, 2);
+    }
+    
+    // Imported profiles get new ids, so an import never overwrites an existing profile.
+    // Returns the new ids
+    importCustomProfiles(json) {
+        const data = JSON.parse(json);
+        if (!data || data.format !== 'accessibleai-input-profiles' || !data.profiles || typeof data.profiles !== 'object') {
+            throw new Error('Not an input profile file');
+        }
+        
+        const imported = [];
+        Object.values(data.profiles).forEach(entry => {
+            const profile = this.sanitizeProfile(entry);
+            if (profile) {
+                const profileName = this.newProfileName();
+                this.profiles[profileName] = profile;
+                imported.push(profileName);
+            }
+        });
+        
+        if (imported.length === 0) {
+            throw new Error('No valid input profiles');
+        }
+        
+        this.saveCustomProfiles();
+        return imported;
+    }
+    
+    // Input capture
+    // Hands the next key, switch, gamepad button or spoken phrase to the callback instead of
+    // acting on it. The callback gets null when nothing arrives in time
+    captureInput(device, callback, timeout = 10000) {
+        this.cancelInputCapture();
+        
+        this.inputCapture = {
+            device,
+            callback,
+            timer: setTimeout(() => this.finishInputCapture(null), timeout),
+            stopVoice: device === 'voice' && !this.voiceRecognitionActive
+        };
+        
+        if (this.inputCapture.stopVoice) {
+            this.startVoiceRecognition();
+        }
+    }
+    
+    cancelInputCapture() {
+        if (!this.inputCapture) return;
+        
+        clearTimeout(this.inputCapture.timer);
+        if (this.inputCapture.stopVoice) {
+            this.stopVoiceRecognition();
+        }
+        this.inputCapture = null;
+    }
+    
+    finishInputCapture(input) {
+        const capture = this.inputCapture;
+        this.cancelInputCapture();
+        capture.callback(input);
+        return true;
+    }
+    
+    captureKey(event) {
+        const input = this.inputCapture.device === 'switch' ? this.getSwitchName(event) : this.getKeyName(event);
+        if (!input || event.repeat) return;
+        
+        event.preventDefault();
+        this.capturedKeyCode = event.code;
+        this.finishInputCapture(input);
+    }
+    
+    // True when the press was captured or the current profile maps gamepad buttons itself
+    handleGamepadButton(index) {
+        if (this.inputCapture && this.inputCapture.device === 'gamepad') {
+            return this.finishInputCapture(String(index));
+        }
+        if (!this.profiles[this.currentProfile].bindings) return false;
+        
+        const binding = this.findBinding('gamepad', String(index));
+        if (binding) {
+            this.triggerAction(binding.action);
+        }
+        return true;
+    }
+    
     getDeviceCapabilities() {
-        return { ...this.capabilities };
+        const capabilities = { ...this.capabilities };
+        
+        // Connected adapters add the capabilities they declare
+        this.adapters.forEach(adapter => {
+            if (adapter.isConnected()) {
+                adapter.capabilities.forEach(capability => {
+                    capabilities[capability] = true;
+                });
+            }
+        });
+        return capabilities;
     }
     
     getActiveDevices() {
@@ -589,14 +1291,130 @@ class AssistiveDeviceManager {
     }
     
     unregisterDevice(deviceId) {
+        if (this.adapters.has(deviceId)) {
+            this.disconnectAdapter(deviceId);
+            return;
+        }
+        
+        const device = this.devices.get(deviceId);
+        if (device && device.type === 'vr-controller' && this.gamepadInput) {
+            this.gamepadInput.disconnect(device.index);
+        }
+        
         this.devices.delete(deviceId);
         console.log(`Device unregistered: ${deviceId}`);
     }
     
+    // Device adapters
+    // Adapters registered before detection runs connect along with the built-in devices,
+    // later ones straight away. Resolves to whether the device connected
+    registerAdapter(adapter) {
+        if (!adapter || !adapter.id || typeof adapter.detect !== 'function' || typeof adapter.connect !== 'function') {
+            throw new Error('A device adapter needs an id, detect() and connect()');
+        }
+        if (this.adapters.has(adapter.id) || this.devices.has(adapter.id)) {
+            throw new Error(`A device with id "${adapter.id}" is already registered`);
+        }
+        
+        adapter.manager = this;
+        adapter.status = 'registered';
+        this.adapters.set(adapter.id, adapter);
+        
+        return this.adaptersDetected ? this.connectAdapter(adapter.id) : Promise.resolve(false);
+    }
+    
+    unregisterAdapter(adapterId) {
+        const adapter = this.adapters.get(adapterId);
+        if (!adapter) return;
+        
+        this.disconnectAdapter(adapterId);
+        this.adapters.delete(adapterId);
+        adapter.manager = null;
+        adapter.status = 'new';
+    }
+    
+    async connectAdapter(adapterId) {
+        const adapter = this.adapters.get(adapterId);
+        if (!adapter) return false;
+        if (adapter.status === 'connected' || adapter.status === 'connecting') {
+            return adapter.isConnected();
+        }
+        
+        adapter.status = 'connecting';
+        try {
+            if (!await adapter.detect()) {
+                adapter.status = 'unavailable';
+                return false;
+            }
+            await adapter.connect();
+        } catch (error) {
+            adapter.status = 'error';
+            console.error(`Failed to connect device ${adapterId}:`, error);
+            return false;
+        }
+        
+        // Unregistered or unplugged while connecting
+        if (this.adapters.get(adapterId) !== adapter || adapter.status !== 'connecting') {
+            adapter.disconnect();
+            return false;
+        }
+        
+        adapter.status = 'connected';
+        const device = adapter.describe();
+        this.devices.set(adapterId, device);
+        
+        // The real device replaces the one assumed from the mobility preference
+        if (adapter.type === 'smart-mobility') {
+            this.devices.delete(`smart-mobility-${adapter.features.mobilityType}`);
+        }
+        document.dispatchEvent(new CustomEvent('assistiveDeviceConnected', { detail: { device } }));
+        console.log(`Device connected: ${adapter.name}`);
+        return true;
+    }
+    
+    disconnectAdapter(adapterId) {
+        const adapter = this.adapters.get(adapterId);
+        if (!adapter) return;
+        
+        const wasConnected = adapter.isConnected();
+        adapter.status = 'disconnected';
+        if (!wasConnected) return;
+        
+        try {
+            adapter.disconnect();
+        } catch (error) {
+            console.error(`Failed to disconnect device ${adapterId}:`, error);
+        }
+        
+        const device = this.devices.get(adapterId);
+        this.devices.delete(adapterId);
+        document.dispatchEvent(new CustomEvent('assistiveDeviceDisconnected', { detail: { device } }));
+        console.log(`Device disconnected: ${adapter.name}`);
+    }
+    
+    getAdapters() {
+        return Array.from(this.adapters.values());
+    }
+    
+    // Inputs must be of a type the adapter declared, when it declared any
+    handleAdapterInput(adapter, type, value) {
+        if (this.adapters.get(adapter.id) !== adapter || !adapter.isConnected()) return false;
+        
+        if (adapter.inputs.length > 0 && !adapter.inputs.includes(type)) {
+            console.warn(`Device ${adapter.id} sent an undeclared input type: ${type}`);
+            return false;
+        }
+        
+        this.triggerInput(type, value, adapter.id);
+        return true;
+    }
+    
     // Method to start voice recognition
     startVoiceRecognition() {
         if (this.voiceRecognition && this.capabilities.voiceControl) {
+            this.voiceRecognition.lang = this.getSpeechLocale();
             this.voiceRecognition.start();
+            this.voiceRecognitionActive = true;
             console.log('Voice recognition started');
         }
     }
@@ -605,6 +1423,7 @@ class AssistiveDeviceManager {
     stopVoiceRecognition() {
         if (this.voiceRecognition) {
             this.voiceRecognition.stop();
+            this.voiceRecognitionActive = false;
             console.log('Voice recognition stopped');
         }
     }
@@ -633,6 +1452,12 @@ class AssistiveDeviceManager {
             stats.inputsByType[type] = inputs.length;
             stats.totalInputs += inputs.length;
             
+            inputs.forEach(input => {
+                if (input.device) {
+                    stats.inputsByDevice[input.device] = (stats.inputsByDevice[input.device] || 0) + 1;
+                }
+            });
+            
             // Get recent inputs (last 10)
             const recent = inputs.slice(-10);
             stats.recentInputs.push(...recent.map(input => ({ type, ...input })));
@@ -0,0 +1,234 @@
+/**
+ * Audio Beacon
+ * Positional sound on the current step target, HRTF-panned relative to the camera,
+ * that pulses faster and higher as the user gets closer
+ */
+
+class AudioBeacon {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.options = {
+            nearDistance: 1,        // At or inside this distance (m) the beacon pulses fastest
+            farDistance: 20,        // At or beyond this distance (m) it pulses slowest
+            minInterval: 150,       // ms between pulses when near
+            maxInterval: 1200,      // ms between pulses when far
+            minFrequency: 440,      // Hz when far
+            maxFrequency: 880,      // Hz when near
+            pulseLength: 0.12,      // s
+            volumes: {
+                low: 0.25,
+                normal: 0.5,
+                high: 0.9
+            },
+            ...options
+        };
+        
+        this.target = null;
+        this.panner = null;
+        this.output = null;
+        this.volume = this.options.volumes.normal;
+        this.nextPulseAt = 0;
+        this.lastDistance = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.registerTickComponent();
+        console.log('Audio Beacon initialized');
+    }
+    
+    // Scene component that moves the listener and the source every frame,
+    // so the beacon keeps sounding inside immersive VR sessions
+    registerTickComponent() {
+        if (typeof AFRAME === 'undefined' || AFRAME.components['guidance-audio-beacon']) return;
+        
+        AFRAME.registerComponent('guidance-audio-beacon', {
+            init: function () {
+                this.beacon = null;
+            },
+            
+            tick: function () {
+                if (this.beacon) {
+                    this.beacon.update();
+                }
+            }
+        });
+    }
+    
+    // Beacon lifecycle
+    start(element) {
+        this.stop();
+        if (!this.audioContext || !element || !element.object3D) return false;
+        
+        // Autoplay policy may have left the context suspended until a user gesture
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        
+        this.target = element;
+        this.output = this.audioContext.createGain();
+        this.output.gain.value = this.volume;
+        this.output.connect(this.audioContext.destination);
+        
+        this.panner = this.audioContext.createPanner();
+        this.panner.panningModel = 'HRTF';
+        this.panner.distanceModel = 'inverse';
+        this.panner.refDistance = this.options.nearDistance;
+        this.panner.maxDistance = 10000;
+        this.panner.rolloffFactor = 1;
+        this.panner.connect(this.output);
+        
+        this.nextPulseAt = this.audioContext.currentTime;
+        this.lastDistance = null;
+        this.attach(element.sceneEl || document.querySelector('a-scene'));
+        
+        return true;
+    }
+    
+    stop() {
+        if (!this.target) return;
+        
+        this.target = null;
+        this.lastDistance = null;
+        if (this.panner) {
+            this.panner.disconnect();
+            this.panner = null;
+        }
+        if (this.output) {
+            this.output.disconnect();
+            this.output = null;
+        }
+    }
+    
+    isPlaying() {
+        return this.target !== null;
+    }
+    
+    attach(scene) {
+        if (!scene || typeof AFRAME === 'undefined') return;
+        
+        if (!scene.hasLoaded) {
+            scene.addEventListener('loaded', () => this.attach(scene), { once: true });
+            return;
+        }
+        
+        if (!scene.hasAttribute('guidance-audio-beacon')) {
+            scene.setAttribute('guidance-audio-beacon', '');
+        }
+        const component = scene.components && scene.components['guidance-audio-beacon'];
+        if (component) {
+            component.beacon = this;
+        }
+    }
+    
+    // level: 'low', 'normal' or 'high' (sensoryPreferences.auditory.volume), or 0-1
+    setVolume(level) {
+        if (typeof level === 'number') {
+            this.volume = Math.min(1, Math.max(0, level));
+        } else if (this.options.volumes[level] !== undefined) {
+            this.volume = this.options.volumes[level];
+        } else {
+            return;
+        }
+        
+        if (this.output) {
+            this.output.gain.setTargetAtTime(this.volume, this.audioContext.currentTime, 0.05);
+        }
+    }
+    
+    // Per-frame update
+    update() {
+        if (!this.target || !this.target.object3D) return;
+        
+        const scene = this.target.sceneEl || document.querySelector('a-scene');
+        const camera = scene && scene.camera;
+        if (!camera) return;
+        
+        const listenerPosition = camera.getWorldPosition(new THREE.Vector3());
+        const targetPosition = this.target.object3D.getWorldPosition(new THREE.Vector3());
+        
+        this.updateListener(camera, listenerPosition);
+        this.setPosition(this.panner, targetPosition);
+        
+        this.lastDistance = listenerPosition.distanceTo(targetPosition);
+        const now = this.audioContext.currentTime;
+        if (now >= this.nextPulseAt) {
+            const pulse = this.getPulse(this.lastDistance);
+            this.playPulse(pulse.frequency, now);
+            this.nextPulseAt = now + pulse.interval / 1000;
+        }
+    }
+    
+    updateListener(camera, position) {
+        const listener = this.audioContext.listener;
+        const forward = new THREE.Vector3(0, 0, -1).transformDirection(camera.matrixWorld);
+        const up = new THREE.Vector3(0, 1, 0).transformDirection(camera.matrixWorld);
+        
+        if (listener.positionX) {
+            listener.positionX.value = position.x;
+            listener.positionY.value = position.y;
+            listener.positionZ.value = position.z;
+            listener.forwardX.value = forward.x;
+            listener.forwardY.value = forward.y;
+            listener.forwardZ.value = forward.z;
+            listener.upX.value = up.x;
+            listener.upY.value = up.y;
+            listener.upZ.value = up.z;
+        } else {
+            listener.setPosition(position.x, position.y, position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+    
+    setPosition(panner, position) {
+        if (panner.positionX) {
+            panner.positionX.value = position.x;
+            panner.positionY.value = position.y;
+            panner.positionZ.value = position.z;
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
+        }
+    }
+    
+    // Pulse interval (ms) and pitch (Hz) for a distance, interpolated between far and near
+    getPulse(distance) {
+        const { nearDistance, farDistance, minInterval, maxInterval, minFrequency, maxFrequency } = this.options;
+        const closeness = 1 - Math.min(1, Math.max(0, (distance - nearDistance) / (farDistance - nearDistance)));
+        
+        return {
+            interval: Math.round(maxInterval - closeness * (maxInterval - minInterval)),
+            frequency: Math.round(minFrequency + closeness * (maxFrequency - minFrequency))
+        };
+    }
+    
+    // Short sine blip with a quick attack and decay, so it is easy to localize
+    playPulse(frequency, time) {
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+        const length = this.options.pulseLength;
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(1, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + length);
+        
+        oscillator.connect(envelope);
+        envelope.connect(this.panner);
+        oscillator.start(time);
+        oscillator.stop(time + length);
+    }
+    
+    getDistance() {
+        return this.lastDistance;
+    }
+}
+
+// Make available globally
+window.AudioBeacon = AudioBeacon;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioBeacon;
+}
@@ -0,0 +1,63 @@
+/**
+ * Device Adapter
+ * Base class for input devices that plug into the assistive device manager: declares
+ * what the device can do and carries it through detect, connect, input and disconnect
+ */
+
+class DeviceAdapter {
+    constructor(options = {}) {
+        this.id = options.id;                       // Unique, also the device id in the manager
+        this.type = options.type || 'custom';       // Device kind, e.g. 'eye-tracker' or 'smart-mobility'
+        this.name = options.name || this.id;
+        this.capabilities = options.capabilities || []; // Manager capabilities it provides, e.g. ['eyeTracking']
+        this.inputs = options.inputs || [];         // Input types it sends; empty accepts any
+        this.features = options.features || {};     // Device-specific abilities, e.g. { rampDetection: true }
+        
+        // Set by the manager: registered, unavailable, connecting, connected, disconnected or error
+        this.manager = null;
+        this.status = 'new';
+    }
+    
+    // Lifecycle
+    // Subclasses override these. detect() resolves to whether the device is present,
+    // connect() opens it (throw to fail) and disconnect() releases it
+    async detect() {
+        return false;
+    }
+    
+    async connect() {}
+    
+    disconnect() {}
+    
+    isConnected() {
+        return this.status === 'connected';
+    }
+    
+    // Hands an input to the manager; returns whether it was accepted
+    emit(type, value) {
+        if (!this.manager || !this.isConnected()) return false;
+        
+        return this.manager.handleAdapterInput(this, type, value);
+    }
+    
+    // The entry listed among the manager's active devices
+    describe() {
+        return {
+            id: this.id,
+            type: this.type,
+            name: this.name,
+            adapter: this,
+            capabilities: [...this.capabilities],
+            inputs: [...this.inputs],
+            features: { ...this.features }
+        };
+    }
+}
+
+// Make available globally
+window.DeviceAdapter = DeviceAdapter;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceAdapter;
+}
@@ -9,6 +9,12 @@ class DeviceConfigInterface {
         this.isOpen = false;
         this.configPanel = null;
         this.currentSettings = {};
+        this.calibration = null;        // Joystick calibration wizard state
+        this.calibrationTimer = null;
+        this.mappingDraft = null;       // Unsaved edits to the current custom profile
+        this.mappingDevice = 'keyboard';
+        this.replayOptions = { speed: 1, restorePose: true };
+        this.gestureStatus = '';        // Last training or recognition message
         
         this.init();
     }
@@ -21,7 +27,7 @@ class DeviceConfigInterface {
     createConfigButton() {
         const button = document.createElement('button');
         button.id = 'device-config-button';
-        button.innerHTML = '⚙️ Device Settings';
+        button.innerHTML = `⚙️ ${this.t('deviceConfig.button')}`;
         button.style.cssText = `
             position: fixed;
             top: 20px;
@@ -83,6 +89,13 @@ class DeviceConfigInterface {
     }
     
     closeConfigPanel() {
+        this.stopCalibration();
+        this.deviceManager.cancelInputCapture();
+        if (this.deviceManager.gestureRecognizer) {
+            this.deviceManager.gestureRecognizer.cancelTraining();
+        }
+        this.mappingDraft = null;
+        
         if (this.configPanel) {
             this.configPanel.remove();
             this.configPanel = null;
@@ -121,16 +134,22 @@ class DeviceConfigInterface {
         this.setupConfigEventListeners();
     }
     
+    refreshConfigPanel() {
+        if (!this.isOpen || !this.configPanel) return;
+        
+        this.configPanel.innerHTML = this.generateConfigHTML();
+        this.setupConfigEventListeners();
+    }
+    
     generateConfigHTML() {
         const capabilities = this.deviceManager.getDeviceCapabilities();
-        const activeDevices = this.deviceManager.getActiveDevices();
         const profiles = this.deviceManager.getAvailableProfiles();
         const currentProfile = this.deviceManager.currentProfile;
         
         return `
             <div style="padding: 30px;">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px;">
-                    <h2 style="margin: 0; color: #2c3e50; font-size: 24px;">🎮 Device Configuration</h2>
+                    <h2 style="margin: 0; color: #2c3e50; font-size: 24px;">🎮 ${this.t('deviceConfig.title')}</h2>
                     <button id="close-config" style="
                         background: #e74c3c;
                         color: white;
@@ -148,7 +167,7 @@ class DeviceConfigInterface {
                 
                 <!-- Profile Selection -->
                 <div class="config-section">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">👤 Input Profile</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">👤 ${this.t('deviceConfig.inputProfile')}</h3>
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
                         ${profiles.map(profileName => {
                             const profile = this.deviceManager.getProfileInfo(profileName);
@@ -162,66 +181,33 @@ class DeviceConfigInterface {
                                     transition: all 0.3s ease;
                                     background: ${isActive ? '#f8f9fa' : 'white'};
                                 ">
-                                    <h4 style="margin: 0 0 8px 0; color: #2c3e50;">${profile.name}</h4>
-                                    <p style="margin: 0; color: #7f8c8d; font-size: 14px;">${profile.description}</p>
-                                    ${isActive ? '<div style="color: #27ae60; font-weight: 600; margin-top: 8px;">✓ Active</div>' : ''}
+                                    <h4 style="margin: 0 0 8px 0; color: #2c3e50;">${this.getProfileDisplayName(profileName)}</h4>
+                                    <p style="margin: 0; color: #7f8c8d; font-size: 14px;">${this.getProfileDescription(profileName)}</p>
+                                    ${isActive ? `<div style="color: #27ae60; font-weight: 600; margin-top: 8px;">${this.t('common.active')}</div>` : ''}
                                 </div>
                             `;
                         }).join('')}
                     </div>
                 </div>
                 
-                <!-- Device Status -->
-                <div class="config-section" style="margin-top: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">🔌 Connected Devices</h3>
-                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 15px;">
-                        ${Object.entries(capabilities).map(([capability, enabled]) => `
-                            <div style="
-                                padding: 15px;
-                                border: 1px solid ${enabled ? '#27ae60' : '#e74c3c'};
-                                border-radius: 8px;
-                                background: ${enabled ? '#d5f4e6' : '#fadbd8'};
-                            ">
-                                <div style="display: flex; align-items: center; gap: 10px;">
-                                    <span style="font-size: 20px;">${this.getCapabilityIcon(capability)}</span>
-                                    <div>
-                                        <div style="font-weight: 600; color: #2c3e50;">${this.getCapabilityName(capability)}</div>
-                                        <div style="font-size: 12px; color: #7f8c8d;">${enabled ? 'Connected' : 'Not Available'}</div>
-                                    </div>
-                                </div>
-                            </div>
-                        `).join('')}
-                    </div>
+                <div id="device-status">
+                    ${this.generateDeviceStatusHTML()}
                 </div>
                 
-                <!-- Active Devices -->
-                ${activeDevices.length > 0 ? `
+                <!-- Joystick Calibration -->
+                ${this.deviceManager.gamepadInput ? `
                     <div class="config-section" style="margin-top: 30px;">
-                        <h3 style="color: #34495e; margin-bottom: 15px;">📱 Active Devices</h3>
-                        <div style="display: grid; gap: 10px;">
-                            ${activeDevices.map(device => `
-                                <div style="
-                                    padding: 15px;
-                                    border: 1px solid #bdc3c7;
-                                    border-radius: 8px;
-                                    background: #f8f9fa;
-                                ">
-                                    <div style="display: flex; justify-content: space-between; align-items: center;">
-                                        <div>
-                                            <div style="font-weight: 600; color: #2c3e50;">${this.getDeviceDisplayName(device)}</div>
-                                            <div style="font-size: 12px; color: #7f8c8d;">${device.id}</div>
-                                        </div>
-                                        <div style="color: #27ae60; font-size: 12px;">● Connected</div>
-                                    </div>
-                                </div>
-                            `).join('')}
+                        <h3 style="color: #34495e; margin-bottom: 15px;">🕹️ ${this.t('deviceConfig.gamepad.title')}</h3>
+                        <p style="margin: 0 0 15px 0; color: #6c757d;">${this.t('deviceConfig.gamepad.description')}</p>
+                        <div id="gamepad-calibration">
+                            ${this.generateCalibrationHTML()}
                         </div>
                     </div>
                 ` : ''}
                 
                 <!-- Input Mapping -->
                 <div class="config-section" style="margin-top: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">⌨️ Input Mapping</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">⌨️ ${this.t('deviceConfig.inputMapping')}</h3>
                     <div id="input-mapping-container">
                         ${this.generateInputMappingHTML()}
                     </div>
@@ -230,7 +216,7 @@ class DeviceConfigInterface {
                 <!-- Voice Control Settings -->
                 ${capabilities.voiceControl ? `
                     <div class="config-section" style="margin-top: 30px;">
-                        <h3 style="color: #34495e; margin-bottom: 15px;">🎤 Voice Control</h3>
+                        <h3 style="color: #34495e; margin-bottom: 15px;">🎤 ${this.t('deviceConfig.voiceControl')}</h3>
                         <div style="display: flex; gap: 15px; align-items: center;">
                             <button id="start-voice" style="
                                 background: #3498db;
@@ -240,7 +226,7 @@ class DeviceConfigInterface {
                                 border-radius: 8px;
                                 cursor: pointer;
                                 font-weight: 600;
-                            ">Start Voice Recognition</button>
+                            ">${this.t('deviceConfig.startVoice')}</button>
                             <button id="stop-voice" style="
                                 background: #e74c3c;
                                 color: white;
@@ -249,51 +235,63 @@ class DeviceConfigInterface {
                                 border-radius: 8px;
                                 cursor: pointer;
                                 font-weight: 600;
-                            ">Stop Voice Recognition</button>
+                            ">${this.t('deviceConfig.stopVoice')}</button>
                             <div id="voice-status" style="
                                 padding: 8px 15px;
                                 background: #ecf0f1;
                                 border-radius: 8px;
                                 font-size: 14px;
                                 color: #7f8c8d;
-                            ">Voice recognition stopped</div>
+                            ">${this.t('deviceConfig.voiceStopped')}</div>
                         </div>
                     </div>
                 ` : ''}
                 
                 <!-- Accessibility Settings -->
                 <div class="config-section" style="margin-top: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">♿ Accessibility Settings</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">♿ ${this.t('deviceConfig.accessibilitySettings')}</h3>
                     <div style="display: grid; gap: 15px;">
                         <label style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
                             <input type="checkbox" id="hold-to-activate" style="transform: scale(1.2);">
-                            <span>Hold to activate (for limited mobility)</span>
+                            <span>${this.t('deviceConfig.holdToActivate')}</span>
                         </label>
                         <label style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
                             <input type="checkbox" id="scanning-mode" style="transform: scale(1.2);">
-                            <span>Scanning mode (for switch devices)</span>
+                            <span>${this.t('deviceConfig.scanningMode')}</span>
                         </label>
                         <label style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
                             <input type="checkbox" id="voice-feedback" style="transform: scale(1.2);">
-                            <span>Voice feedback for interactions</span>
+                            <span>${this.t('deviceConfig.voiceFeedback')}</span>
                         </label>
                         <label style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
                             <input type="checkbox" id="haptic-feedback" style="transform: scale(1.2);">
-                            <span>Haptic feedback (VR controllers)</span>
+                            <span>${this.t('deviceConfig.hapticFeedback')}</span>
                         </label>
                     </div>
                 </div>
                 
+                <!-- Gestures -->
+                ${this.deviceManager.gestureRecognizer ? this.generateGesturesHTML() : ''}
+                
+                <!-- Tremor Filtering -->
+                ${this.deviceManager.tremorFilter ? this.generateTremorHTML() : ''}
+                
+                <!-- Switch Scanning -->
+                ${this.getScanningSettings() ? this.generateScanningHTML(this.getScanningSettings()) : ''}
+                
+                <!-- Session Recording -->
+                ${this.getRecorder() ? this.generateRecordingHTML() : ''}
+                
                 <!-- Test Input -->
                 <div class="config-section" style="margin-top: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">🧪 Test Input</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">🧪 ${this.t('deviceConfig.testInput')}</h3>
                     <div style="
                         padding: 20px;
                         background: #f8f9fa;
                         border-radius: 8px;
                         border: 1px solid #dee2e6;
                     ">
-                        <p style="margin: 0 0 15px 0; color: #6c757d;">Try different input methods to test your configuration:</p>
+                        <p style="margin: 0 0 15px 0; color: #6c757d;">${this.t('deviceConfig.testDescription')}</p>
                         <div id="input-test-area" style="
                             min-height: 100px;
                             border: 2px dashed #dee2e6;
@@ -301,7 +299,24 @@ class DeviceConfigInterface {
                             padding: 20px;
                             text-align: center;
                             color: #6c757d;
-                        ">Click here or use your configured inputs to test...</div>
+                        ">${this.t('deviceConfig.testPlaceholder')}</div>
+                        <form id="voice-test-form" style="display: flex; gap: 10px; align-items: center; margin-top: 15px;">
+                            <label for="voice-test-input" style="color: #2c3e50; white-space: nowrap;">${this.t('deviceConfig.voiceTest.label')}</label>
+                            <input id="voice-test-input" type="text" placeholder="${this.escapeHTML(this.t('voice.examples.goTo'))}" style="
+                                flex: 1;
+                                padding: 8px;
+                                border: 1px solid #dee2e6;
+                                border-radius: 4px;
+                            ">
+                            <button type="submit" style="
+                                background: #3498db;
+                                color: white;
+                                border: none;
+                                border-radius: 4px;
+                                padding: 8px 16px;
+                                cursor: pointer;
+                            ">${this.t('deviceConfig.voiceTest.try')}</button>
+                        </form>
                     </div>
                 </div>
                 
@@ -315,7 +330,7 @@ class DeviceConfigInterface {
                         border-radius: 8px;
                         cursor: pointer;
                         font-weight: 600;
-                    ">Cancel</button>
+                    ">${this.t('common.cancel')}</button>
                     <button id="save-config" style="
                         background: #27ae60;
                         color: white;
@@ -324,14 +339,78 @@ class DeviceConfigInterface {
                         border-radius: 8px;
                         cursor: pointer;
                         font-weight: 600;
-                    ">Save Settings</button>
+                    ">${this.t('common.saveSettings')}</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Built-in profiles are listed as they are; a custom profile opens in the mapping editor
+    generateDeviceStatusHTML() {
+        const capabilities = this.deviceManager.getDeviceCapabilities();
+        const activeDevices = this.deviceManager.getActiveDevices();
+        
+        return `
+            <!-- Device Status -->
+            <div class="config-section" style="margin-top: 30px;">
+                <h3 style="color: #34495e; margin-bottom: 15px;">🔌 ${this.t('deviceConfig.connectedDevices')}</h3>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 15px;">
+                    ${Object.entries(capabilities).map(([capability, enabled]) => `
+                        <div style="
+                            padding: 15px;
+                            border: 1px solid ${enabled ? '#27ae60' : '#e74c3c'};
+                            border-radius: 8px;
+                            background: ${enabled ? '#d5f4e6' : '#fadbd8'};
+                        ">
+                            <div style="display: flex; align-items: center; gap: 10px;">
+                                <span style="font-size: 20px;">${this.getCapabilityIcon(capability)}</span>
+                                <div>
+                                    <div style="font-weight: 600; color: #2c3e50;">${this.getCapabilityName(capability)}</div>
+                                    <div style="font-size: 12px; color: #7f8c8d;">${enabled ? this.t('deviceConfig.connected') : this.t('deviceConfig.notAvailable')}</div>
+                                </div>
+                            </div>
+                        </div>
+                    `).join('')}
                 </div>
             </div>
+            
+            <!-- Active Devices -->
+            ${activeDevices.length > 0 ? `
+                <div class="config-section" style="margin-top: 30px;">
+                    <h3 style="color: #34495e; margin-bottom: 15px;">📱 ${this.t('deviceConfig.activeDevices')}</h3>
+                    <div style="display: grid; gap: 10px;">
+                        ${activeDevices.map(device => `
+                            <div style="
+                                padding: 15px;
+                                border: 1px solid #bdc3c7;
+                                border-radius: 8px;
+                                background: #f8f9fa;
+                            ">
+                                <div style="display: flex; justify-content: space-between; align-items: center;">
+                                    <div>
+                                        <div style="font-weight: 600; color: #2c3e50;">${this.getDeviceDisplayName(device)}</div>
+                                        <div style="font-size: 12px; color: #7f8c8d;">${this.escapeHTML(device.id)}</div>
+                                        ${device.inputs && device.inputs.length > 0 ? `
+                                            <div style="font-size: 12px; color: #7f8c8d;">${this.t('deviceConfig.deviceInputs', { inputs: device.inputs.map(type => this.escapeHTML(this.getActionDisplayName(type))).join(', ') })}</div>
+                                        ` : ''}
+                                    </div>
+                                    <div style="color: #27ae60; font-size: 12px;">● ${this.t('deviceConfig.connected')}</div>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
         `;
     }
     
     generateInputMappingHTML() {
-        const currentProfile = this.deviceManager.getProfileInfo(this.deviceManager.currentProfile);
+        const profileName = this.deviceManager.currentProfile;
+        if (this.deviceManager.isCustomProfile(profileName)) {
+            return this.generateMappingEditorHTML(profileName) + this.generateMappingToolbarHTML();
+        }
+        
+        const currentProfile = this.deviceManager.getProfileInfo(profileName);
         const inputs = currentProfile.inputs;
         
         return Object.entries(inputs).map(([actionType, keys]) => `
@@ -362,7 +441,1173 @@ class DeviceConfigInterface {
                     `).join('')}
                 </div>
             </div>
+        `).join('') + this.generateMappingToolbarHTML();
+    }
+    
+    generateMappingToolbarHTML() {
+        const hasCustomProfiles = this.deviceManager.getAvailableProfiles()
+            .some(profileName => this.deviceManager.isCustomProfile(profileName));
+        const button = (id, label, disabled = false) => `
+            <button id="${id}" ${disabled ? 'disabled' : ''} style="
+                background: ${disabled ? '#bdc3c7' : '#3498db'};
+                color: white;
+                border: none;
+                padding: 8px 16px;
+                border-radius: 8px;
+                cursor: ${disabled ? 'default' : 'pointer'};
+                font-weight: 600;
+            ">${label}</button>
+        `;
+        
+        return `
+            <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-top: 15px;">
+                ${button('mapping-customize', this.t('deviceConfig.remap.customize'))}
+                ${button('mapping-import', this.t('deviceConfig.remap.import'))}
+                ${button('mapping-export', this.t('deviceConfig.remap.export'), !hasCustomProfiles)}
+            </div>
+        `;
+    }
+    
+    // One row per action with its bindings; new bindings are captured from the chosen device
+    generateMappingEditorHTML(profileName) {
+        if (!this.mappingDraft || this.mappingDraft.profileName !== profileName) {
+            const profile = this.deviceManager.getProfileInfo(profileName);
+            this.mappingDraft = {
+                profileName,
+                name: profile.name,
+                bindings: profile.bindings.map(binding => ({ ...binding })),
+                settings: profile.settings
+            };
+        }
+        
+        const draft = this.mappingDraft;
+        const issues = this.deviceManager.analyzeProfile(draft);
+        const devices = this.deviceManager.bindingDevices;
+        
+        return `
+            <div id="mapping-editor">
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 15px; margin-bottom: 15px;">
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.remap.name')}</span>
+                        <input id="mapping-name" type="text" maxlength="60" value="${this.escapeHTML(draft.name)}" style="padding: 6px; border-radius: 6px; border: 1px solid #bdc3c7;">
+                    </label>
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.remap.captureFrom')}</span>
+                        <select id="mapping-device" style="padding: 6px; border-radius: 6px;">
+                            ${devices.map(device => `
+                                <option value="${device}" ${device === this.mappingDevice ? 'selected' : ''}>${this.t(`deviceConfig.remap.devices.${device}`)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    ${this.mappingDevice === 'voice' ? `
+                        <label style="display: grid; gap: 4px;">
+                            <span>${this.t('deviceConfig.remap.phrase')}</span>
+                            <input id="mapping-phrase" type="text" placeholder="${this.escapeHTML(this.t('deviceConfig.remap.phrasePlaceholder'))}" style="padding: 6px; border-radius: 6px; border: 1px solid #bdc3c7;">
+                        </label>
+                    ` : ''}
+                </div>
+                <p id="mapping-status" style="margin: 0 0 10px 0; min-height: 1.2em; color: #2c3e50;"></p>
+                ${Object.keys(this.deviceManager.actions).map(action => `
+                    <div style="
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        gap: 10px;
+                        padding: 10px;
+                        border: 1px solid #dee2e6;
+                        border-radius: 8px;
+                        margin-bottom: 10px;
+                        background: #f8f9fa;
+                    ">
+                        <div style="font-weight: 600; color: #2c3e50;">${this.getActionDisplayName(action)}</div>
+                        <div style="display: flex; gap: 5px; flex-wrap: wrap; align-items: center; justify-content: flex-end;">
+                            ${draft.bindings.map((binding, index) => binding.action !== action ? '' : `
+                                <span style="
+                                    background: #3498db;
+                                    color: white;
+                                    padding: 4px 4px 4px 8px;
+                                    border-radius: 4px;
+                                    font-size: 12px;
+                                    font-weight: 600;
+                                ">${this.escapeHTML(this.getBindingLabel(binding))}
+                                    <button class="mapping-remove" data-index="${index}" aria-label="${this.escapeHTML(this.t('deviceConfig.remap.remove', { input: this.getBindingLabel(binding), action: this.getActionDisplayName(action) }))}" style="
+                                        background: none;
+                                        border: none;
+                                        color: white;
+                                        cursor: pointer;
+                                    ">✕</button>
+                                </span>
+                            `).join('')}
+                            <button class="mapping-add" data-action="${action}" aria-label="${this.escapeHTML(this.t('deviceConfig.remap.addFor', { action: this.getActionDisplayName(action) }))}" style="
+                                background: white;
+                                color: #3498db;
+                                border: 1px solid #3498db;
+                                padding: 4px 10px;
+                                border-radius: 4px;
+                                cursor: pointer;
+                                font-size: 12px;
+                            ">+ ${this.t('deviceConfig.remap.add')}</button>
+                        </div>
+                    </div>
+                `).join('')}
+                <div style="
+                    margin-top: 15px;
+                    padding: 12px 15px;
+                    border-radius: 8px;
+                    background: ${issues.length > 0 ? '#fef5e7' : '#d5f4e6'};
+                    color: #2c3e50;
+                ">
+                    <strong>${issues.length > 0 ? `⚠️ ${this.t('deviceConfig.remap.issuesTitle')}` : `✓ ${this.t('deviceConfig.remap.noIssues')}`}</strong>
+                    ${issues.length > 0 ? `
+                        <ul style="margin: 8px 0 0 0; padding-left: 20px;">
+                            ${issues.map(issue => `<li>${this.escapeHTML(this.getIssueMessage(issue))}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-top: 15px;">
+                    <button id="mapping-save" style="
+                        background: #27ae60;
+                        color: white;
+                        border: none;
+                        padding: 8px 16px;
+                        border-radius: 8px;
+                        cursor: pointer;
+                        font-weight: 600;
+                    ">${this.t('deviceConfig.remap.saveProfile')}</button>
+                    <button id="mapping-delete" style="
+                        background: #e74c3c;
+                        color: white;
+                        border: none;
+                        padding: 8px 16px;
+                        border-radius: 8px;
+                        cursor: pointer;
+                        font-weight: 600;
+                    ">${this.t('deviceConfig.remap.deleteProfile')}</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Re-render only the mapping section, keeping focus on the action being edited
+    renderInputMapping(focusAction = null) {
+        const mappingContainer = document.getElementById('input-mapping-container');
+        if (!mappingContainer) return;
+        
+        mappingContainer.innerHTML = this.generateInputMappingHTML();
+        this.setupMappingEventListeners();
+        
+        if (focusAction) {
+            const addButton = mappingContainer.querySelector(`.mapping-add[data-action="${focusAction}"]`);
+            if (addButton) {
+                addButton.focus();
+            }
+        }
+    }
+    
+    setupMappingEventListeners() {
+        const on = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(event, handler);
+            }
+        };
+        
+        on('mapping-customize', 'click', () => this.createCustomProfile());
+        on('mapping-import', 'click', () => this.importProfiles());
+        on('mapping-export', 'click', () => this.exportProfiles());
+        on('mapping-save', 'click', () => this.saveCustomProfile());
+        on('mapping-delete', 'click', () => this.deleteCustomProfile());
+        on('mapping-name', 'input', (event) => {
+            this.mappingDraft.name = event.target.value;
+        });
+        on('mapping-device', 'change', (event) => {
+            this.deviceManager.cancelInputCapture();
+            this.mappingDevice = event.target.value;
+            this.renderInputMapping();
+            document.getElementById('mapping-device').focus();
+        });
+        
+        const mappingContainer = document.getElementById('input-mapping-container');
+        if (!mappingContainer) return;
+        
+        mappingContainer.querySelectorAll('.mapping-add').forEach(button => {
+            button.addEventListener('click', () => this.captureBinding(button.dataset.action));
+        });
+        
+        mappingContainer.querySelectorAll('.mapping-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                const binding = this.mappingDraft.bindings[Number(button.dataset.index)];
+                this.mappingDraft.bindings.splice(Number(button.dataset.index), 1);
+                this.renderInputMapping(binding.action);
+                this.setMappingStatus(this.t('deviceConfig.remap.removed', {
+                    input: this.getBindingLabel(binding),
+                    action: this.getActionDisplayName(binding.action)
+                }));
+            });
+        });
+    }
+    
+    // Typed voice phrases are added straight away; everything else is captured from the
+    // device itself
+    captureBinding(action) {
+        const device = this.mappingDevice;
+        const actionName = this.getActionDisplayName(action);
+        
+        if (device === 'voice') {
+            const phrase = document.getElementById('mapping-phrase').value.trim();
+            if (phrase) {
+                this.addBinding({ action, device, input: phrase });
+                return;
+            }
+            if (!this.deviceManager.getDeviceCapabilities().voiceControl) {
+                this.setMappingStatus(this.t('deviceConfig.remap.typePhrase'));
+                return;
+            }
+        }
+        
+        this.setMappingStatus(this.t(`deviceConfig.remap.capturePrompts.${device}`, { action: actionName }));
+        this.deviceManager.captureInput(device, (input) => {
+            if (!this.mappingDraft) return;
+            
+            if (input === null) {
+                this.setMappingStatus(this.t('deviceConfig.remap.captureTimedOut'));
+            } else {
+                this.addBinding({ action, device, input });
+            }
+        });
+    }
+    
+    addBinding(binding) {
+        const clean = { ...binding, input: binding.input.trim().toLowerCase() };
+        const exists = this.mappingDraft.bindings.some(other =>
+            other.action === clean.action && other.device === clean.device && other.input === clean.input);
+        if (!exists) {
+            this.mappingDraft.bindings.push(clean);
+        }
+        
+        this.renderInputMapping(clean.action);
+        this.setMappingStatus(this.t('deviceConfig.remap.added', {
+            input: this.getBindingLabel(clean),
+            action: this.getActionDisplayName(clean.action)
+        }));
+    }
+    
+    setMappingStatus(message) {
+        const status = document.getElementById('mapping-status');
+        if (status) {
+            status.textContent = message;
+        }
+        this.announce(message);
+    }
+    
+    // A copy of the current profile, selected straight away so it can be edited
+    createCustomProfile() {
+        const baseProfile = this.deviceManager.currentProfile;
+        const name = this.t('deviceConfig.remap.newProfileName', { name: this.getProfileDisplayName(baseProfile, false) });
+        const profileName = this.deviceManager.createCustomProfile(name, baseProfile);
+        
+        this.deviceManager.setProfile(profileName);
+        this.refreshConfigPanel();
+        
+        const nameInput = document.getElementById('mapping-name');
+        if (nameInput) {
+            nameInput.focus();
+            nameInput.select();
+        }
+        this.showNotification(this.t('deviceConfig.remap.notifications.created'), 'success');
+    }
+    
+    saveCustomProfile() {
+        const draft = this.mappingDraft;
+        if (!draft.name.trim()) {
+            this.showNotification(this.t('deviceConfig.remap.notifications.nameRequired'), 'error');
+            return;
+        }
+        
+        this.deviceManager.updateCustomProfile(draft.profileName, { name: draft.name, bindings: draft.bindings });
+        this.mappingDraft = null;
+        this.refreshConfigPanel();
+        this.showNotification(this.t('deviceConfig.remap.notifications.saved'), 'success');
+    }
+    
+    deleteCustomProfile() {
+        const draft = this.mappingDraft;
+        if (!confirm(this.t('deviceConfig.remap.confirmDelete', { name: draft.name }))) return;
+        
+        this.deviceManager.deleteCustomProfile(draft.profileName);
+        this.mappingDraft = null;
+        this.refreshConfigPanel();
+        this.showNotification(this.t('deviceConfig.remap.notifications.deleted'), 'success');
+    }
+    
+    exportProfiles() {
+        const dataBlob = new Blob([this.deviceManager.exportCustomProfiles()], { type: 'application/json' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = 'input-profiles.json';
+        link.click();
+        
+        this.showNotification(this.t('deviceConfig.remap.notifications.exported'), 'success');
+    }
+    
+    importProfiles() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        
+        input.onchange = (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        const imported = this.deviceManager.importCustomProfiles(e.target.result);
+                        this.refreshConfigPanel();
+                        this.showNotification(this.t('deviceConfig.remap.notifications.imported', { count: imported.length }), 'success');
+                    } catch (error) {
+                        this.showNotification(this.t('deviceConfig.remap.notifications.importFailed'), 'error');
+                    }
+                };
+                reader.readAsText(file);
+            }
+        };
+        
+        input.click();
+    }
+    
+    // Trained pointer and motion gestures of the current profile
+    generateGesturesHTML() {
+        return `
+            <div class="config-section" style="margin-top: 30px;">
+                <h3 style="color: #34495e; margin-bottom: 15px;">✋ ${this.t('deviceConfig.gestures.title')}</h3>
+                <p style="margin: 0 0 15px 0; color: #6c757d;">${this.t('deviceConfig.gestures.description', { profile: this.getProfileDisplayName(this.deviceManager.currentProfile) })}</p>
+                <div id="gesture-editor">${this.generateGestureEditorHTML()}</div>
+            </div>
+        `;
+    }
+    
+    generateGestureEditorHTML() {
+        const recognizer = this.deviceManager.gestureRecognizer;
+        const gestures = recognizer.getGestures();
+        const confidence = Math.round(recognizer.getConfidence() * 100);
+        const actionOptions = (selected) => Object.keys(this.deviceManager.actions).map(action => `
+            <option value="${action}" ${action === selected ? 'selected' : ''}>${this.getActionDisplayName(action)}</option>
         `).join('');
+        const button = (attributes, label, color = '#3498db') => `
+            <button ${attributes} style="
+                background: ${color};
+                color: white;
+                border: none;
+                padding: 8px 16px;
+                border-radius: 8px;
+                cursor: pointer;
+                font-weight: 600;
+            ">${label}</button>
+        `;
+        
+        return `
+            ${gestures.length === 0 ? `<p style="margin: 0 0 10px 0; color: #7f8c8d;">${this.t('deviceConfig.gestures.none')}</p>` : gestures.map(gesture => `
+                <div style="
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 10px;
+                    padding: 10px;
+                    border: 1px solid #dee2e6;
+                    border-radius: 8px;
+                    margin-bottom: 10px;
+                    background: #f8f9fa;
+                ">
+                    <div>
+                        <div style="font-weight: 600; color: #2c3e50;">${this.escapeHTML(gesture.name)}</div>
+                        <div style="font-size: 12px; color: #7f8c8d;">${this.t(`deviceConfig.gestures.sources.${gesture.source}`)} · ${this.t('deviceConfig.gestures.examples', { count: gesture.examples.length })}</div>
+                    </div>
+                    <div style="display: flex; gap: 8px; flex-wrap: wrap; align-items: center;">
+                        <select class="gesture-action" data-gesture-id="${gesture.id}" aria-label="${this.escapeHTML(this.t('deviceConfig.gestures.actionFor', { name: gesture.name })).replace(/"/g, '&quot;')}" style="padding: 6px; border-radius: 6px;">
+                            ${actionOptions(gesture.action)}
+                        </select>
+                        ${button(`class="gesture-train" data-gesture-id="${gesture.id}"`, this.t('deviceConfig.gestures.record'))}
+                        ${button(`class="gesture-delete" data-gesture-id="${gesture.id}"`, this.t('deviceConfig.gestures.delete'), '#e74c3c')}
+                    </div>
+                </div>
+            `).join('')}
+            <div style="display: flex; gap: 10px; flex-wrap: wrap; align-items: flex-end; margin-top: 15px;">
+                <label style="display: grid; gap: 4px;">
+                    <span>${this.t('deviceConfig.gestures.name')}</span>
+                    <input id="gesture-name" type="text" placeholder="${this.escapeHTML(this.t('deviceConfig.gestures.namePlaceholder'))}" style="padding: 6px; border-radius: 6px; border: 1px solid #bdc3c7;">
+                </label>
+                <label style="display: grid; gap: 4px;">
+                    <span>${this.t('deviceConfig.gestures.source')}</span>
+                    <select id="gesture-source" style="padding: 6px; border-radius: 6px;">
+                        ${recognizer.sources.map(source => `
+                            <option value="${source}">${this.t(`deviceConfig.gestures.sources.${source}`)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label style="display: grid; gap: 4px;">
+                    <span>${this.t('deviceConfig.gestures.action')}</span>
+                    <select id="gesture-new-action" style="padding: 6px; border-radius: 6px;">
+                        ${actionOptions('interact')}
+                    </select>
+                </label>
+                ${button('id="gesture-add"', this.t('deviceConfig.gestures.add'))}
+            </div>
+            <label style="display: grid; gap: 4px; margin-top: 15px;">
+                <span>${this.t('deviceConfig.gestures.confidence')}: <strong id="gesture-confidence-value">${confidence}%</strong></span>
+                <input type="range" id="gesture-confidence" min="50" max="95" step="5" value="${confidence}" style="max-width: 320px;">
+            </label>
+            <p id="gesture-status" aria-live="polite" style="margin: 10px 0 0 0; min-height: 1.2em; color: #2c3e50;">${this.escapeHTML(this.gestureStatus)}</p>
+        `;
+    }
+    
+    renderGestures() {
+        const container = document.getElementById('gesture-editor');
+        if (!container) return;
+        
+        container.innerHTML = this.generateGestureEditorHTML();
+        this.setupGestureEventListeners();
+    }
+    
+    setupGestureEventListeners() {
+        const recognizer = this.deviceManager.gestureRecognizer;
+        
+        document.querySelectorAll('.gesture-action').forEach(select => {
+            select.addEventListener('change', () => recognizer.updateGesture(select.dataset.gestureId, { action: select.value }));
+        });
+        document.querySelectorAll('.gesture-train').forEach(button => {
+            button.addEventListener('click', () => this.trainGesture(button.dataset.gestureId));
+        });
+        document.querySelectorAll('.gesture-delete').forEach(button => {
+            button.addEventListener('click', () => {
+                const gesture = recognizer.getGesture(button.dataset.gestureId);
+                if (!gesture || !confirm(this.t('deviceConfig.gestures.confirmDelete', { name: gesture.name }))) return;
+                
+                recognizer.deleteGesture(gesture.id);
+                this.gestureStatus = '';
+                this.renderGestures();
+            });
+        });
+        
+        const addButton = document.getElementById('gesture-add');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                const name = document.getElementById('gesture-name').value;
+                const id = recognizer.addGesture(name, document.getElementById('gesture-source').value, document.getElementById('gesture-new-action').value);
+                if (!id) {
+                    this.showNotification(this.t('deviceConfig.gestures.notifications.nameRequired'), 'error');
+                    return;
+                }
+                
+                this.renderGestures();
+                this.trainGesture(id);
+            });
+        }
+        
+        const confidence = document.getElementById('gesture-confidence');
+        if (confidence) {
+            confidence.addEventListener('input', () => {
+                recognizer.setConfidence(parseInt(confidence.value, 10) / 100);
+                const value = document.getElementById('gesture-confidence-value');
+                if (value) {
+                    value.textContent = `${confidence.value}%`;
+                }
+            });
+        }
+    }
+    
+    // Records one example; the result says how well it fits the gesture's other examples
+    trainGesture(id) {
+        const recognizer = this.deviceManager.gestureRecognizer;
+        const gesture = recognizer.getGesture(id);
+        if (!gesture) return;
+        
+        this.setGestureStatus(this.t(`deviceConfig.gestures.prompts.${gesture.source}`, { name: gesture.name, number: gesture.examples.length + 1 }));
+        recognizer.train(id, (result) => {
+            if (!result) {
+                this.setGestureStatus(this.t('deviceConfig.gestures.trainingTimedOut'));
+                return;
+            }
+            
+            const messages = [this.t('deviceConfig.gestures.exampleRecorded', { name: gesture.name, count: result.examples })];
+            if (result.consistency !== null) {
+                messages.push(this.t('deviceConfig.gestures.consistency', { percent: Math.round(result.consistency * 100) }));
+            }
+            if (result.closest && result.closest.score >= recognizer.getConfidence()) {
+                messages.push(this.t('deviceConfig.gestures.resembles', { name: result.closest.name }));
+            }
+            if (result.examples < 3) {
+                messages.push(this.t('deviceConfig.gestures.recordMore'));
+            }
+            
+            this.gestureStatus = messages.join(' ');
+            this.renderGestures();
+            this.announce(this.gestureStatus);
+        });
+    }
+    
+    setGestureStatus(message) {
+        this.gestureStatus = message;
+        const status = document.getElementById('gesture-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+    
+    // Smoothing, click stabilization and bounce keys for users with tremor
+    generateTremorHTML() {
+        const tremorFilter = this.deviceManager.tremorFilter;
+        const settings = tremorFilter.getSettings();
+        const followProfile = settings.strength === null;
+        const checkbox = (id, checked, label) => `
+            <label style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
+                <input type="checkbox" id="${id}" ${checked ? 'checked' : ''} style="transform: scale(1.2);">
+                <span>${label}</span>
+            </label>
+        `;
+        
+        return `
+            <div class="config-section" style="margin-top: 30px;">
+                <h3 style="color: #34495e; margin-bottom: 15px;">🤚 ${this.t('deviceConfig.tremor.title')}</h3>
+                <p style="margin: 0 0 15px 0; color: #6c757d;">${this.t('deviceConfig.tremor.description')}</p>
+                <div style="display: grid; gap: 15px;">
+                    ${checkbox('tremor-enabled', settings.enabled, this.t('deviceConfig.tremor.enabled'))}
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.tremor.method')}</span>
+                        <select id="tremor-method" style="padding: 6px; border-radius: 6px; max-width: 320px;">
+                            ${tremorFilter.methods.map(method => `
+                                <option value="${method}" ${settings.method === method ? 'selected' : ''}>${this.t(`deviceConfig.tremor.methodOptions.${method}`)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    ${checkbox('tremor-follow-profile', followProfile, tremorFilter.accuracy === null
+                        ? this.t('deviceConfig.tremor.followProfileUnset')
+                        : this.t('deviceConfig.tremor.followProfile', { accuracy: tremorFilter.accuracy }))}
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.tremor.strength')}: <strong id="tremor-strength-value">${Math.round(tremorFilter.getStrength() * 100)}%</strong></span>
+                        <input type="range" id="tremor-strength" min="0" max="100" step="5" value="${Math.round(tremorFilter.getStrength() * 100)}" ${followProfile ? 'disabled' : ''} style="max-width: 320px;">
+                    </label>
+                    ${checkbox('tremor-velocity', settings.velocityThreshold, this.t('deviceConfig.tremor.velocityThreshold'))}
+                    ${checkbox('tremor-click', settings.clickStabilization, this.t('deviceConfig.tremor.clickStabilization'))}
+                    ${checkbox('tremor-bounce', settings.bounceKeys, this.t('deviceConfig.tremor.bounceKeys'))}
+                    <p id="tremor-summary" aria-live="polite" style="margin: 0; color: #2c3e50;">${this.getTremorSummary()}</p>
+                </div>
+            </div>
+        `;
+    }
+    
+    getTremorSummary() {
+        const tremorFilter = this.deviceManager.tremorFilter;
+        if (tremorFilter.getStrength() === 0) {
+            return this.t('deviceConfig.tremor.summaryOff');
+        }
+        return this.t('deviceConfig.tremor.summary', {
+            bounce: tremorFilter.getBounceTime(),
+            radius: Math.round(tremorFilter.getClickRadius())
+        });
+    }
+    
+    setupTremorEventListeners() {
+        const tremorFilter = this.deviceManager.tremorFilter;
+        const strength = document.getElementById('tremor-strength');
+        
+        const update = (changes) => {
+            tremorFilter.updateSettings(changes);
+            
+            const percent = Math.round(tremorFilter.getStrength() * 100);
+            const value = document.getElementById('tremor-strength-value');
+            if (value) {
+                value.textContent = `${percent}%`;
+            }
+            if (strength && tremorFilter.getSettings().strength === null) {
+                strength.value = percent;
+            }
+            const summary = document.getElementById('tremor-summary');
+            if (summary) {
+                summary.textContent = this.getTremorSummary();
+            }
+        };
+        
+        const bind = (id, eventName, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(eventName, (event) => handler(event.target));
+            }
+        };
+        
+        bind('tremor-enabled', 'change', (input) => update({ enabled: input.checked }));
+        bind('tremor-method', 'change', (select) => update({ method: select.value }));
+        bind('tremor-velocity', 'change', (input) => update({ velocityThreshold: input.checked }));
+        bind('tremor-click', 'change', (input) => update({ clickStabilization: input.checked }));
+        bind('tremor-bounce', 'change', (input) => update({ bounceKeys: input.checked }));
+        bind('tremor-strength', 'input', (input) => update({ strength: parseInt(input.value, 10) / 100 }));
+        
+        // Following the profile hands the slider back to the accuracy setting; leaving it
+        // keeps the current strength as the starting point
+        bind('tremor-follow-profile', 'change', (input) => {
+            if (strength) {
+                strength.disabled = input.checked;
+            }
+            update({ strength: input.checked ? null : parseInt(strength ? strength.value : 0, 10) / 100 });
+        });
+    }
+    
+    // Scanning timing, pattern and cues for switch users
+    generateScanningHTML(settings) {
+        const select = (id, key, value, options) => `
+            <select id="${id}" style="padding: 6px; border-radius: 6px;">
+                ${options.map(option => `
+                    <option value="${option}" ${value === option ? 'selected' : ''}>${this.t(`deviceConfig.scanning.${key}Options.${option}`)}</option>
+                `).join('')}
+            </select>
+        `;
+        const number = (id, value, min, max, step) => `
+            <input type="number" id="${id}" value="${value}" min="${min}" max="${max}" step="${step}" style="width: 80px; padding: 6px; border-radius: 6px; border: 1px solid #bdc3c7;">
+        `;
+        
+        return `
+            <div class="config-section" style="margin-top: 30px;">
+                <h3 style="color: #34495e; margin-bottom: 15px;">🔘 ${this.t('deviceConfig.scanning.title')}</h3>
+                <p style="margin: 0 0 15px 0; color: #6c757d;">${this.t('deviceConfig.scanning.description')}</p>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 15px;">
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.scanning.method')}</span>
+                        ${select('scan-method', 'method', settings.scanMethod, ['automatic', 'step', 'inverse'])}
+                    </label>
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.scanning.pattern')}</span>
+                        ${select('scan-pattern', 'pattern', settings.scanPattern, ['linear', 'rowColumn', 'group'])}
+                    </label>
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.scanning.audioCue')}</span>
+                        ${select('scan-audio-cue', 'audioCue', settings.audioCue, ['tone', 'speech', 'both', 'none'])}
+                    </label>
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.scanning.speed')}</span>
+                        ${number('scan-speed', settings.scanSpeed / 1000, 0.5, 10, 0.5)}
+                    </label>
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.scanning.initialPause')}</span>
+                        ${number('scan-initial-pause', settings.initialPause / 1000, 0, 10, 0.5)}
+                    </label>
+                    <label style="display: grid; gap: 4px;">
+                        <span>${this.t('deviceConfig.scanning.loops')}</span>
+                        ${number('scan-loops', settings.scanLoops, 1, 10, 1)}
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+    
+    getScanningSettings() {
+        const scanner = window.adaptiveInputHandler && window.adaptiveInputHandler.scanner;
+        if (!scanner) return null;
+        
+        const profile = this.deviceManager.getProfileInfo(this.deviceManager.currentProfile);
+        return scanner.getSettings(profile.settings);
+    }
+    
+    getRecorder() {
+        return window.adaptiveInputHandler ? window.adaptiveInputHandler.recorder : null;
+    }
+    
+    // Session recording: capture the input stream to a file and replay it in this scenario
+    generateRecordingHTML() {
+        return `
+            <div class="config-section" style="margin-top: 30px;">
+                <h3 style="color: #34495e; margin-bottom: 15px;">⏺️ ${this.t('deviceConfig.recording.title')}</h3>
+                <p style="margin: 0 0 15px 0; color: #6c757d;">${this.t('deviceConfig.recording.description')}</p>
+                <div id="recording-controls">${this.generateRecordingControlsHTML()}</div>
+            </div>
+        `;
+    }
+    
+    generateRecordingControlsHTML() {
+        const recorder = this.getRecorder();
+        const recording = recorder.recording;
+        const idle = !recorder.isRecording() && !recorder.isReplaying();
+        const button = (id, label, disabled = false, color = '#3498db') => `
+            <button id="${id}" ${disabled ? 'disabled' : ''} style="
+                background: ${disabled ? '#bdc3c7' : color};
+                color: white;
+                border: none;
+                padding: 8px 16px;
+                border-radius: 8px;
+                cursor: ${disabled ? 'default' : 'pointer'};
+                font-weight: 600;
+            ">${label}</button>
+        `;
+        
+        let status = this.t('deviceConfig.recording.statusEmpty');
+        if (recorder.isRecording()) {
+            status = this.t('deviceConfig.recording.statusRecording');
+        } else if (recorder.isReplaying()) {
+            status = this.t('deviceConfig.recording.statusReplaying', { speed: this.replayOptions.speed });
+        } else if (recording) {
+            status = this.t('deviceConfig.recording.statusReady', {
+                scenario: this.escapeHTML(recording.scenario),
+                count: recording.events.filter(event => !event.derived).length,
+                seconds: Math.round(recording.duration / 1000)
+            });
+        }
+        
+        return `
+            <div style="display: flex; gap: 10px; flex-wrap: wrap; align-items: center;">
+                ${recorder.isRecording()
+                    ? button('recording-stop', this.t('deviceConfig.recording.stop'), false, '#e74c3c')
+                    : button('recording-start', this.t('deviceConfig.recording.start'), !idle, '#e74c3c')}
+                ${button('recording-save', this.t('deviceConfig.recording.save'), !idle || !recording)}
+                ${button('recording-load', this.t('deviceConfig.recording.load'), !idle)}
+            </div>
+            <div style="display: flex; gap: 15px; flex-wrap: wrap; align-items: center; margin-top: 15px;">
+                <label style="display: flex; align-items: center; gap: 8px;">
+                    <span>${this.t('deviceConfig.recording.speed')}</span>
+                    <select id="replay-speed" style="padding: 6px; border-radius: 6px;">
+                        ${recorder.options.speeds.map(speed => `
+                            <option value="${speed}" ${this.replayOptions.speed === speed ? 'selected' : ''}>${speed}×</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
+                    <input type="checkbox" id="replay-restore-pose" ${this.replayOptions.restorePose ? 'checked' : ''} style="transform: scale(1.2);">
+                    <span>${this.t('deviceConfig.recording.restorePose')}</span>
+                </label>
+                ${recorder.isReplaying()
+                    ? button('replay-stop', this.t('deviceConfig.recording.stopReplay'), false, '#e74c3c')
+                    : button('replay-start', this.t('deviceConfig.recording.replay'), !idle || !recording)}
+            </div>
+            <p id="recording-status" aria-live="polite" style="margin: 15px 0 0 0; color: #2c3e50;">${status}</p>
+            ${recorder.lastReport && idle ? this.generateReplayReportHTML(recorder.lastReport) : ''}
+        `;
+    }
+    
+    generateReplayReportHTML(report) {
+        const shown = 20;
+        const { divergences, replayed, total } = report;
+        const summary = divergences.length === 0
+            ? this.t('deviceConfig.recording.reportClean', { replayed, total })
+            : this.t('deviceConfig.recording.reportDivergences', { replayed, total, count: divergences.length });
+        
+        return `
+            <div style="margin-top: 10px; padding: 15px; background: #f8f9fa; border-radius: 8px; border: 1px solid #dee2e6;">
+                <div style="font-weight: 600; color: ${divergences.length === 0 ? '#27ae60' : '#e67e22'};">${summary}</div>
+                ${divergences.length > 0 ? `
+                    <ul style="margin: 10px 0 0 0; padding-left: 20px; font-size: 13px; color: #2c3e50;">
+                        ${divergences.slice(0, shown).map(divergence => `<li>${this.escapeHTML(this.describeDivergence(divergence))}</li>`).join('')}
+                        ${divergences.length > shown ? `<li>${this.t('deviceConfig.recording.reportMore', { count: divergences.length - shown })}</li>` : ''}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    describeDivergence(divergence) {
+        const time = (divergence.t / 1000).toFixed(1);
+        const key = `deviceConfig.recording.divergence.${divergence.kind}`;
+        
+        switch (divergence.kind) {
+            case 'missing':
+                return this.t(key, { time, input: this.describeRecordedInput(divergence.expected) });
+            case 'unexpected':
+                return this.t(key, { time, input: this.describeRecordedInput(divergence.actual) });
+            case 'pose':
+                return this.t(key, { time, distance: divergence.distance, angle: divergence.angle });
+            case 'missingTarget':
+                return this.t(key, { time, target: divergence.expected.target });
+            case 'profile':
+                return this.t(key, { expected: divergence.expected, actual: divergence.actual });
+            default:
+                return divergence.kind;
+        }
+    }
+    
+    describeRecordedInput(event) {
+        if (event.kind === 'object') {
+            return this.t('deviceConfig.recording.objectInput', { target: event.target });
+        }
+        const value = typeof event.value === 'object' ? JSON.stringify(event.value) : event.value;
+        return `${event.type}: ${value}`;
+    }
+    
+    renderRecording() {
+        const container = document.getElementById('recording-controls');
+        if (!container) return;
+        
+        container.innerHTML = this.generateRecordingControlsHTML();
+        this.setupRecordingEventListeners();
+    }
+    
+    setupRecordingEventListeners() {
+        const recorder = this.getRecorder();
+        const on = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(event, handler);
+            }
+        };
+        
+        // Recording and replay start once this click is over, so the click itself
+        // is neither recorded nor reported as a divergence
+        on('recording-start', 'click', () => setTimeout(() => recorder.start(), 0));
+        on('recording-stop', 'click', () => recorder.stop());
+        on('recording-save', 'click', () => this.saveRecording());
+        on('recording-load', 'click', () => this.loadRecording());
+        on('replay-start', 'click', () => setTimeout(() => this.startReplay(), 0));
+        on('replay-stop', 'click', () => recorder.stopReplay());
+        on('replay-speed', 'change', (event) => {
+            this.replayOptions.speed = Number(event.target.value);
+        });
+        on('replay-restore-pose', 'change', (event) => {
+            this.replayOptions.restorePose = event.target.checked;
+        });
+    }
+    
+    startReplay() {
+        const recorder = this.getRecorder();
+        const { scenario } = recorder.recording;
+        if (scenario !== recorder.getScenario()) {
+            this.showNotification(this.t('deviceConfig.recording.notifications.otherScenario', { scenario }), 'error');
+            return;
+        }
+        
+        recorder.replay(recorder.recording, this.replayOptions);
+    }
+    
+    saveRecording() {
+        const recorder = this.getRecorder();
+        const dataBlob = new Blob([recorder.export()], { type: 'application/json' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `input-recording-${recorder.recording.scenario}.json`;
+        link.click();
+        
+        this.showNotification(this.t('deviceConfig.recording.notifications.saved'), 'success');
+    }
+    
+    loadRecording() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        
+        input.onchange = (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        this.getRecorder().load(e.target.result);
+                        this.renderRecording();
+                        this.showNotification(this.t('deviceConfig.recording.notifications.loaded'), 'success');
+                    } catch (error) {
+                        this.showNotification(this.t('deviceConfig.recording.notifications.loadFailed'), 'error');
+                    }
+                };
+                reader.readAsText(file);
+            }
+        };
+        
+        input.click();
+    }
+    
+    // Joystick calibration wizard: rest position, full range, then response tuning
+    generateCalibrationHTML() {
+        const gamepadInput = this.deviceManager.gamepadInput;
+        
+        if (!this.calibration) {
+            const pads = gamepadInput.getPads();
+            if (pads.length === 0) {
+                return `<div style="padding: 15px; background: #f8f9fa; border-radius: 8px; color: #7f8c8d;">${this.t('deviceConfig.gamepad.noneConnected')}</div>`;
+            }
+            
+            return pads.map(pad => `
+                <div style="
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 15px;
+                    padding: 15px;
+                    border: 1px solid #bdc3c7;
+                    border-radius: 8px;
+                    background: #f8f9fa;
+                    margin-bottom: 10px;
+                ">
+                    <div>
+                        <div style="font-weight: 600; color: #2c3e50;">${this.escapeHTML(pad.id)}</div>
+                        <div style="font-size: 12px; color: #7f8c8d;">${gamepadInput.settings[pad.id] ? this.t('deviceConfig.gamepad.calibrated') : this.t('deviceConfig.gamepad.notCalibrated')}</div>
+                    </div>
+                    <button class="calibrate-gamepad" data-gamepad-index="${pad.index}" style="
+                        background: #3498db;
+                        color: white;
+                        border: none;
+                        padding: 10px 20px;
+                        border-radius: 8px;
+                        cursor: pointer;
+                        font-weight: 600;
+                    ">${this.t('deviceConfig.gamepad.calibrate')}</button>
+                </div>
+            `).join('');
+        }
+        
+        const { step, settings, measuring, error } = this.calibration;
+        const stepNumber = ['center', 'range', 'tune'].indexOf(step) + 1;
+        const buttonStyle = `
+            color: white;
+            border: none;
+            padding: 10px 20px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-weight: 600;
+        `;
+        
+        return `
+            <div style="padding: 20px; border: 2px solid #3498db; border-radius: 12px; background: #f8f9fa;">
+                <div style="font-size: 12px; color: #7f8c8d; margin-bottom: 5px;">${this.t('deviceConfig.gamepad.stepOf', { step: stepNumber, total: 3 })}</div>
+                <p style="margin: 0 0 15px 0; color: #2c3e50; font-weight: 600;">${this.t(`deviceConfig.gamepad.${step}Instructions`)}</p>
+                ${error ? `<p role="alert" style="margin: 0 0 15px 0; color: #e74c3c;">${error}</p>` : ''}
+                <div style="display: flex; gap: 20px; align-items: flex-start; flex-wrap: wrap;">
+                    <div id="gamepad-preview" role="img" aria-label="${this.t('deviceConfig.gamepad.preview')}" style="
+                        position: relative;
+                        width: 120px;
+                        height: 120px;
+                        border: 2px solid #bdc3c7;
+                        border-radius: 50%;
+                        background: white;
+                        flex-shrink: 0;
+                    ">
+                        <div id="gamepad-preview-dead-zone" style="
+                            position: absolute;
+                            top: ${50 - settings.deadZone * 50}%;
+                            left: ${50 - settings.deadZone * 50}%;
+                            width: ${settings.deadZone * 100}%;
+                            height: ${settings.deadZone * 100}%;
+                            border-radius: 50%;
+                            background: #ecf0f1;
+                        "></div>
+                        <div id="gamepad-preview-dot" style="
+                            position: absolute;
+                            top: 50%;
+                            left: 50%;
+                            width: 14px;
+                            height: 14px;
+                            margin: -7px 0 0 -7px;
+                            border-radius: 50%;
+                            background: #3498db;
+                        "></div>
+                    </div>
+                    ${step === 'tune' ? `
+                        <div style="display: grid; gap: 12px; flex: 1; min-width: 220px;">
+                            <label style="display: grid; gap: 4px;">
+                                <span>${this.t('deviceConfig.gamepad.deadZone')}: <strong id="gamepad-dead-zone-value">${Math.round(settings.deadZone * 100)}%</strong></span>
+                                <input type="range" id="gamepad-dead-zone" min="0" max="0.5" step="0.05" value="${settings.deadZone}">
+                            </label>
+                            <label style="display: grid; gap: 4px;">
+                                <span>${this.t('deviceConfig.gamepad.curve')}</span>
+                                <select id="gamepad-curve" style="padding: 6px; border-radius: 6px;">
+                                    ${Object.keys(this.deviceManager.gamepadInput.curves).map(curve => `
+                                        <option value="${curve}" ${settings.curve === curve ? 'selected' : ''}>${this.t(`deviceConfig.gamepad.curves.${curve}`, {}, curve)}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                            <label style="display: grid; gap: 4px;">
+                                <span>${this.t('deviceConfig.gamepad.sensitivity')}: <strong id="gamepad-sensitivity-value">${settings.sensitivity.toFixed(1)}×</strong></span>
+                                <input type="range" id="gamepad-sensitivity" min="0.5" max="2" step="0.1" value="${settings.sensitivity}">
+                            </label>
+                            <label style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
+                                <input type="checkbox" id="gamepad-invert-y" ${settings.invertY ? 'checked' : ''} style="transform: scale(1.2);">
+                                <span>${this.t('deviceConfig.gamepad.invertY')}</span>
+                            </label>
+                        </div>
+                    ` : ''}
+                </div>
+                <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px; flex-wrap: wrap;">
+                    <button id="gamepad-calibration-cancel" style="background: #95a5a6; ${buttonStyle}">${this.t('common.cancel')}</button>
+                    ${step === 'tune' ? `
+                        <button id="gamepad-calibration-reset" style="background: #e67e22; ${buttonStyle}">${this.t('deviceConfig.gamepad.reset')}</button>
+                        <button id="gamepad-calibration-save" style="background: #27ae60; ${buttonStyle}">${this.t('deviceConfig.gamepad.save')}</button>
+                    ` : `
+                        <button id="gamepad-calibration-start" ${measuring ? 'disabled' : ''} style="background: #3498db; ${buttonStyle}">${measuring ? this.t('deviceConfig.gamepad.measuring') : this.t('deviceConfig.gamepad.start')}</button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+    
+    renderCalibration() {
+        const container = document.getElementById('gamepad-calibration');
+        if (!container) return;
+        
+        container.innerHTML = this.generateCalibrationHTML();
+        this.setupCalibrationEventListeners();
+    }
+    
+    setupCalibrationEventListeners() {
+        document.querySelectorAll('.calibrate-gamepad').forEach(button => {
+            button.addEventListener('click', () => this.startCalibration(Number(button.dataset.gamepadIndex)));
+        });
+        
+        const bind = (id, eventName, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(eventName, handler);
+            }
+        };
+        
+        bind('gamepad-calibration-start', 'click', () => this.measureCalibrationStep());
+        bind('gamepad-calibration-cancel', 'click', () => {
+            this.stopCalibration();
+            this.renderCalibration();
+        });
+        bind('gamepad-calibration-save', 'click', () => this.saveCalibration());
+        bind('gamepad-calibration-reset', 'click', () => {
+            const { settings } = this.calibration;
+            const defaults = this.deviceManager.gamepadInput.defaultSettings;
+            Object.assign(settings, {
+                deadZone: defaults.deadZone,
+                curve: defaults.curve,
+                sensitivity: defaults.sensitivity,
+                invertY: defaults.invertY
+            });
+            this.renderCalibration();
+        });
+        
+        bind('gamepad-dead-zone', 'input', (event) => {
+            const deadZone = parseFloat(event.target.value);
+            this.calibration.settings.deadZone = deadZone;
+            
+            const value = document.getElementById('gamepad-dead-zone-value');
+            if (value) {
+                value.textContent = `${Math.round(deadZone * 100)}%`;
+            }
+            const ring = document.getElementById('gamepad-preview-dead-zone');
+            if (ring) {
+                ring.style.top = ring.style.left = `${50 - deadZone * 50}%`;
+                ring.style.width = ring.style.height = `${deadZone * 100}%`;
+            }
+        });
+        bind('gamepad-curve', 'change', (event) => {
+            this.calibration.settings.curve = event.target.value;
+        });
+        bind('gamepad-sensitivity', 'input', (event) => {
+            this.calibration.settings.sensitivity = parseFloat(event.target.value);
+            const value = document.getElementById('gamepad-sensitivity-value');
+            if (value) {
+                value.textContent = `${this.calibration.settings.sensitivity.toFixed(1)}×`;
+            }
+        });
+        bind('gamepad-invert-y', 'change', (event) => {
+            this.calibration.settings.invertY = event.target.checked;
+        });
+    }
+    
+    startCalibration(index) {
+        const gamepadInput = this.deviceManager.gamepadInput;
+        const pad = gamepadInput.getPads().find(candidate => candidate.index === index);
+        if (!pad) return;
+        
+        // Sweeping the stick must not drive the rig around the scene
+        const locomotion = this.calibration ? this.calibration.locomotion : gamepadInput.locomotionEnabled;
+        gamepadInput.setLocomotionEnabled(false);
+        
+        this.calibration = {
+            index,
+            id: pad.id,
+            step: 'center',
+            settings: gamepadInput.getSettings(pad.id),
+            measuring: false,
+            error: null,
+            locomotion
+        };
+        this.renderCalibration();
+        this.announce(this.t('deviceConfig.gamepad.centerInstructions'));
+        
+        // The preview follows the stick for the whole wizard
+        clearInterval(this.calibrationTimer);
+        this.calibrationTimer = setInterval(() => this.updateCalibrationPreview(), 50);
+    }
+    
+    async measureCalibrationStep() {
+        const calibration = this.calibration;
+        if (!calibration || calibration.measuring) return;
+        
+        const gamepadInput = this.deviceManager.gamepadInput;
+        calibration.measuring = true;
+        calibration.error = null;
+        this.renderCalibration();
+        
+        if (calibration.step === 'center') {
+            const center = await gamepadInput.calibrateCenter(calibration.index);
+            if (this.calibration !== calibration) return;
+            
+            calibration.settings.center = center || {};
+            calibration.step = 'range';
+        } else {
+            const range = await gamepadInput.calibrateRange(calibration.index);
+            if (this.calibration !== calibration) return;
+            
+            // A stick that barely moved would stretch its noise to full speed
+            const axes = calibration.settings.axes;
+            const travelled = range && axes.every(axis => range.max[axis] - range.min[axis] >= 0.2);
+            if (travelled) {
+                calibration.settings.min = range.min;
+                calibration.settings.max = range.max;
+                calibration.step = 'tune';
+            } else {
+                calibration.error = this.t('deviceConfig.gamepad.rangeTooSmall');
+            }
+        }
+        
+        calibration.measuring = false;
+        this.renderCalibration();
+        this.announce(calibration.error || this.t(`deviceConfig.gamepad.${calibration.step}Instructions`));
+    }
+    
+    // Raw position while the range is measured, processed output once tuning
+    updateCalibrationPreview() {
+        const dot = document.getElementById('gamepad-preview-dot');
+        const gamepadInput = this.deviceManager.gamepadInput;
+        const pad = this.calibration && gamepadInput.getPads().find(candidate => candidate.index === this.calibration.index);
+        if (!dot || !pad) return;
+        
+        const { settings, step } = this.calibration;
+        const position = step === 'tune'
+            ? gamepadInput.processStick(pad.raw, settings)
+            : { x: pad.raw[settings.axes[0]] || 0, y: pad.raw[settings.axes[1]] || 0 };
+        
+        dot.style.left = `${50 + Math.max(-1, Math.min(1, position.x)) * 50}%`;
+        dot.style.top = `${50 + Math.max(-1, Math.min(1, position.y)) * 50}%`;
+    }
+    
+    saveCalibration() {
+        const { id, settings } = this.calibration;
+        this.deviceManager.gamepadInput.updateSettings(id, settings);
+        
+        this.stopCalibration();
+        this.renderCalibration();
+        this.showNotification(this.t('deviceConfig.gamepad.saved'), 'success');
+    }
+    
+    stopCalibration() {
+        clearInterval(this.calibrationTimer);
+        this.calibrationTimer = null;
+        
+        if (this.calibration) {
+            this.deviceManager.gamepadInput.setLocomotionEnabled(this.calibration.locomotion);
+        }
+        this.calibration = null;
+    }
+    
+    announce(message) {
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(message, { source: 'deviceConfig' });
+        }
+    }
+    
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
     
     getCapabilityIcon(capability) {
@@ -378,44 +1623,64 @@ class DeviceConfigInterface {
     }
     
     getCapabilityName(capability) {
-        const names = {
-            vrControllers: 'VR Controllers',
-            motionCapture: 'Motion Capture',
-            smartMobility: 'Smart Mobility',
-            switchDevices: 'Switch Devices',
-            eyeTracking: 'Eye Tracking',
-            voiceControl: 'Voice Control'
-        };
-        return names[capability] || capability;
+        return this.t(`deviceConfig.capabilities.${capability}`, {}, capability);
     }
     
     getDeviceDisplayName(device) {
-        const names = {
-            'vr-controller': 'VR Controller',
-            'smart-mobility': 'Smart Mobility Device',
-            'switch-device': 'Switch Device'
-        };
-        return names[device.type] || device.type;
+        // Adapters name their own devices
+        if (device.adapter) {
+            return this.escapeHTML(device.name);
+        }
+        return this.t(`deviceConfig.devices.${device.type}`, {}, device.type);
     }
     
     getActionDisplayName(actionType) {
-        const names = {
-            move: 'Movement',
-            interact: 'Interaction',
-            menu: 'Menu',
-            voice: 'Voice Control'
-        };
-        return names[actionType] || actionType;
+        return this.t(`deviceConfig.actions.${actionType}.name`, {}, actionType);
     }
     
     getActionDescription(actionType) {
-        const descriptions = {
-            move: 'Navigate through the environment',
-            interact: 'Interact with objects and elements',
-            menu: 'Open menus and settings',
-            voice: 'Voice command activation'
-        };
-        return descriptions[actionType] || '';
+        return this.t(`deviceConfig.actions.${actionType}.description`, {}, '');
+    }
+    
+    // Custom profile names are typed by users, so they are escaped unless asked otherwise
+    getProfileDisplayName(profileName, escape = true) {
+        const profile = this.deviceManager.getProfileInfo(profileName);
+        if (profile.custom) {
+            return escape ? this.escapeHTML(profile.name) : profile.name;
+        }
+        return this.t(`deviceConfig.profiles.${profileName}.name`, {}, profile.name);
+    }
+    
+    getProfileDescription(profileName) {
+        const profile = this.deviceManager.getProfileInfo(profileName);
+        if (profile.custom) {
+            return this.t('deviceConfig.remap.basedOn', { name: this.getProfileDisplayName(profile.basedOn) });
+        }
+        return this.t(`deviceConfig.profiles.${profileName}.description`, {}, profile.description);
+    }
+    
+    getBindingLabel(binding) {
+        const keyLabels = { space: 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→' };
+        
+        switch (binding.device) {
+            case 'switch':
+                return this.t('deviceConfig.remap.inputLabels.switch', { number: binding.input.replace('switch', '') });
+            case 'gamepad':
+                return this.t('deviceConfig.remap.inputLabels.gamepad', { number: binding.input });
+            case 'voice':
+                return `"${binding.input}"`;
+            default:
+                return keyLabels[binding.input] || binding.input.charAt(0).toUpperCase() + binding.input.slice(1);
+        }
+    }
+    
+    getIssueMessage(issue) {
+        const actions = (issue.actions || [issue.action]).map(action => this.getActionDisplayName(action)).join(', ');
+        return this.t(`deviceConfig.remap.issues.${issue.type}`, {
+            input: issue.binding ? this.getBindingLabel(issue.binding) : '',
+            actions,
+            purpose: issue.key ? this.t(`deviceConfig.remap.reservedKeys.${issue.key}`) : ''
+        });
     }
     
     setupConfigEventListeners() {
@@ -456,7 +1721,7 @@ class DeviceConfigInterface {
             startVoiceBtn.addEventListener('click', () => {
                 this.deviceManager.startVoiceRecognition();
                 if (voiceStatus) {
-                    voiceStatus.textContent = 'Voice recognition started';
+                    voiceStatus.textContent = this.t('deviceConfig.voiceStarted');
                     voiceStatus.style.background = '#d5f4e6';
                     voiceStatus.style.color = '#27ae60';
                 }
@@ -467,13 +1732,18 @@ class DeviceConfigInterface {
             stopVoiceBtn.addEventListener('click', () => {
                 this.deviceManager.stopVoiceRecognition();
                 if (voiceStatus) {
-                    voiceStatus.textContent = 'Voice recognition stopped';
+                    voiceStatus.textContent = this.t('deviceConfig.voiceStopped');
                     voiceStatus.style.background = '#fadbd8';
                     voiceStatus.style.color = '#e74c3c';
                 }
             });
         }
         
+        // Joystick calibration
+        if (this.deviceManager.gamepadInput) {
+            this.setupCalibrationEventListeners();
+        }
+        
         // Input test area
         const testArea = document.getElementById('input-test-area');
         if (testArea) {
@@ -482,10 +1752,32 @@ class DeviceConfigInterface {
             });
         }
         
-        // Listen for assistive input events
-        document.addEventListener('assistiveInput', (event) => {
-            this.handleTestInput(event.detail);
-        });
+        // Typed transcripts go through the same grammar as speech
+        const voiceTestForm = document.getElementById('voice-test-form');
+        if (voiceTestForm) {
+            voiceTestForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.testVoiceCommand(document.getElementById('voice-test-input').value);
+            });
+        }
+        
+        // Custom profile editor
+        this.setupMappingEventListeners();
+        
+        // Tremor filtering applies as it is changed
+        if (this.deviceManager.tremorFilter) {
+            this.setupTremorEventListeners();
+        }
+        
+        // Session recording and replay
+        if (this.getRecorder()) {
+            this.setupRecordingEventListeners();
+        }
+        
+        // Gesture training
+        if (this.deviceManager.gestureRecognizer) {
+            this.setupGestureEventListeners();
+        }
     }
     
     updateProfileSelection() {
@@ -499,23 +1791,41 @@ class DeviceConfigInterface {
             
             const activeIndicator = card.querySelector('div:last-child');
             if (activeIndicator) {
-                activeIndicator.textContent = isActive ? '✓ Active' : '';
+                activeIndicator.textContent = isActive ? this.t('common.active') : '';
                 activeIndicator.style.color = isActive ? '#27ae60' : '';
             }
         });
         
         // Update input mapping
-        const mappingContainer = document.getElementById('input-mapping-container');
-        if (mappingContainer) {
-            mappingContainer.innerHTML = this.generateInputMappingHTML();
+        this.deviceManager.cancelInputCapture();
+        this.renderInputMapping();
+        
+        // Gestures belong to the profile
+        if (this.deviceManager.gestureRecognizer) {
+            this.deviceManager.gestureRecognizer.cancelTraining();
+            this.gestureStatus = '';
+            this.renderGestures();
         }
     }
     
     testInput(inputType) {
         const testArea = document.getElementById('input-test-area');
         if (testArea) {
-            const timestamp = new Date().toLocaleTimeString();
-            testArea.innerHTML += `<div style="margin: 5px 0; padding: 5px; background: #e8f5e8; border-radius: 4px; font-size: 12px;">${timestamp}: ${inputType} input detected</div>`;
+            const timestamp = this.formatTime(new Date());
+            testArea.innerHTML += `<div style="margin: 5px 0; padding: 5px; background: #e8f5e8; border-radius: 4px; font-size: 12px;">${this.t('deviceConfig.inputDetected', { time: timestamp, type: inputType })}</div>`;
+            testArea.scrollTop = testArea.scrollHeight;
+        }
+    }
+    
+    testVoiceCommand(transcript) {
+        if (!transcript.trim()) return;
+        
+        const result = this.deviceManager.processVoiceCommand(transcript);
+        const testArea = document.getElementById('input-test-area');
+        if (testArea) {
+            const timestamp = this.formatTime(new Date());
+            const outcome = this.t(`deviceConfig.voiceTest.statuses.${result.status}`, { command: result.command });
+            testArea.innerHTML += `<div style="margin: 5px 0; padding: 5px; background: ${result.status === 'unrecognized' ? '#fdecea' : '#e8f5e8'}; border-radius: 4px; font-size: 12px;">${this.escapeHTML(this.t('deviceConfig.voiceTest.result', { time: timestamp, transcript: transcript.trim(), result: outcome }))}</div>`;
             testArea.scrollTop = testArea.scrollHeight;
         }
     }
@@ -523,7 +1833,7 @@ class DeviceConfigInterface {
     handleTestInput(inputDetail) {
         const testArea = document.getElementById('input-test-area');
         if (testArea) {
-            const timestamp = new Date().toLocaleTimeString();
+            const timestamp = this.formatTime(new Date());
             testArea.innerHTML += `<div style="margin: 5px 0; padding: 5px; background: #e8f5e8; border-radius: 4px; font-size: 12px;">${timestamp}: ${inputDetail.type} - ${inputDetail.value} (${inputDetail.profile})</div>`;
             testArea.scrollTop = testArea.scrollHeight;
         }
@@ -539,6 +1849,21 @@ class DeviceConfigInterface {
             hapticFeedback: document.getElementById('haptic-feedback')?.checked || false
         };
         
+        if (document.getElementById('scan-method')) {
+            const seconds = (id, fallback) => {
+                const value = parseFloat(document.getElementById(id).value);
+                return Math.round((isNaN(value) ? fallback : value) * 1000);
+            };
+            settings.scanning = {
+                scanMethod: document.getElementById('scan-method').value,
+                scanPattern: document.getElementById('scan-pattern').value,
+                audioCue: document.getElementById('scan-audio-cue').value,
+                scanSpeed: Math.max(500, seconds('scan-speed', 2)),
+                initialPause: Math.max(0, seconds('scan-initial-pause', 3)),
+                scanLoops: Math.max(1, parseInt(document.getElementById('scan-loops').value, 10) || 1)
+            };
+        }
+        
         // Save to localStorage
         localStorage.setItem('assistiveDeviceSettings', JSON.stringify(settings));
         
@@ -546,7 +1871,7 @@ class DeviceConfigInterface {
         this.applySettings(settings);
         
         // Show confirmation
-        this.showNotification('Settings saved successfully!', 'success');
+        this.showNotification(this.t('common.settingsSaved'), 'success');
         
         // Close panel
         this.closeConfigPanel();
@@ -573,6 +1898,11 @@ class DeviceConfigInterface {
             // Enable haptic feedback
             console.log('Haptic feedback enabled');
         }
+        
+        // The adaptive input handler only reads saved settings when the page loads
+        if (window.adaptiveInputHandler) {
+            window.adaptiveInputHandler.applySettings(settings);
+        }
     }
     
     showNotification(message, type = 'info') {
@@ -594,6 +1924,13 @@ class DeviceConfigInterface {
         
         document.body.appendChild(notification);
         
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(message, {
+                politeness: type === 'error' ? 'assertive' : 'polite',
+                source: 'deviceConfig'
+            });
+        }
+        
         setTimeout(() => {
             notification.remove();
         }, 3000);
@@ -602,18 +1939,104 @@ class DeviceConfigInterface {
     setupEventListeners() {
         // Listen for device changes
         document.addEventListener('assistiveInput', (event) => {
-            // Update UI based on input events
+            // Log inputs in the test area while the panel is open
+            this.handleTestInput(event.detail);
+        });
+        
+        document.addEventListener('assistiveDeviceConnected', (event) => {
             this.updateDeviceStatus();
+            this.announce(this.t('deviceConfig.deviceConnected', { device: event.detail.device.name }));
+        });
+        
+        document.addEventListener('assistiveDeviceDisconnected', (event) => {
+            this.updateDeviceStatus();
+            this.announce(this.t('deviceConfig.deviceDisconnected', { device: event.detail.device.name }));
+        });
+        
+        // Keep the joystick list in step with hot-plugging
+        document.addEventListener('gamepadInputConnected', () => {
+            if (this.isOpen && !this.calibration) {
+                this.renderCalibration();
+            }
+        });
+        
+        document.addEventListener('gamepadInputDisconnected', (event) => {
+            if (!this.isOpen) return;
+            
+            if (this.calibration && this.calibration.index === event.detail.index) {
+                this.stopCalibration();
+                this.showNotification(this.t('deviceConfig.gamepad.disconnected'), 'error');
+            }
+            if (!this.calibration) {
+                this.renderCalibration();
+            }
+        });
+        
+        // Recognition results show under the gestures while the panel is open
+        document.addEventListener('gestureRecognized', (event) => {
+            const { name, confidence } = event.detail;
+            this.setGestureStatus(this.t('deviceConfig.gestures.recognized', { name, percent: Math.round(confidence * 100) }));
+        });
+        
+        document.addEventListener('gestureRejected', (event) => {
+            const { name, confidence } = event.detail;
+            this.setGestureStatus(this.t('deviceConfig.gestures.rejected', { name, percent: Math.round(confidence * 100) }));
+        });
+        
+        // Recording and replay state shows in the panel; both run with it closed
+        document.addEventListener('inputRecordingStarted', () => {
+            this.renderRecording();
+            this.announce(this.t('deviceConfig.recording.recordingStarted'));
+        });
+        
+        document.addEventListener('inputRecordingStopped', (event) => {
+            this.renderRecording();
+            const count = event.detail.recording.events.filter(entry => !entry.derived).length;
+            this.announce(this.t('deviceConfig.recording.recordingStopped', { count }));
+        });
+        
+        document.addEventListener('inputReplayStarted', () => {
+            this.renderRecording();
+        });
+        
+        document.addEventListener('inputReplayFinished', (event) => {
+            const { divergences, replayed, total } = event.detail.report;
+            const clean = divergences.length === 0;
+            this.renderRecording();
+            this.showNotification(clean
+                ? this.t('deviceConfig.recording.reportClean', { replayed, total })
+                : this.t('deviceConfig.recording.reportDivergences', { replayed, total, count: divergences.length }),
+            clean ? 'success' : 'info');
+        });
+        
+        // Re-render in the newly selected language
+        document.addEventListener('localeChanged', () => {
+            const button = document.getElementById('device-config-button');
+            if (button) {
+                button.innerHTML = `⚙️ ${this.t('deviceConfig.button')}`;
+            }
+            
+            this.refreshConfigPanel();
         });
     }
     
     updateDeviceStatus() {
-        // Update device status indicators
-        const capabilities = this.deviceManager.getDeviceCapabilities();
-        const activeDevices = this.deviceManager.getActiveDevices();
+        const container = document.getElementById('device-status');
+        if (!container) return;
         
-        // This would update the device status display in real-time
-        console.log('Device status updated:', { capabilities, activeDevices });
+        container.innerHTML = this.generateDeviceStatusHTML();
+    }
+    
+    // Localization
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+    
+    formatTime(date) {
+        return window.localization ? window.localization.formatTime(date) : date.toLocaleTimeString();
     }
 }
 
@@ -0,0 +1,434 @@
+/**
+ * Gamepad Input
+ * Polls connected gamepads and wheelchair joysticks every frame, applies per-device
+ * calibration, dead zone and sensitivity curve, and drives the camera rig smoothly
+ */
+
+class GamepadInput {
+    constructor(deviceManager, options = {}) {
+        this.deviceManager = deviceManager;
+        this.options = {
+            maxSpeed: 1.5,          // m/s at full deflection
+            turnSpeed: 90,          // degrees/s at full deflection
+            smoothing: 0.2,         // s the rig takes to catch up with the stick
+            moveThreshold: 0.5,     // Stick output at which a move input is reported
+            pressThreshold: 0.5,    // Analog button value that counts as pressed
+            buttons: {              // Standard mapping button index -> input type
+                0: 'interact',
+                9: 'menu'
+            },
+            ...options
+        };
+        
+        // Per-device settings, keyed by gamepad id so they survive reconnecting
+        this.defaultSettings = {
+            axes: [0, 1],           // Axis indices read as the stick's x and y
+            deadZone: 0.15,
+            curve: 'linear',
+            sensitivity: 1,
+            invertY: false,
+            center: {},             // Axis index -> resting reading
+            min: {},                // Axis index -> lowest reading at full deflection
+            max: {}                 // Axis index -> highest reading at full deflection
+        };
+        
+        // Exponent applied to the stick output; higher keeps more of the travel for slow speeds
+        this.curves = {
+            linear: 1,
+            gentle: 2,
+            precise: 3
+        };
+        
+        this.pads = new Map();      // gamepad index -> polled state
+        this.settings = {};
+        this.frame = null;
+        this.scene = null;
+        this.locomotionEnabled = true;
+        this.velocity = { drive: 0, turn: 0 };
+        
+        this.init();
+    }
+    
+    init() {
+        this.loadSettings();
+        this.registerLocomotionComponent();
+        console.log('Gamepad Input initialized');
+    }
+    
+    // Scene component that polls and moves the rig every frame, so the stick keeps
+    // working inside immersive VR sessions where window animation frames stop
+    registerLocomotionComponent() {
+        if (typeof AFRAME === 'undefined' || AFRAME.components['gamepad-locomotion']) return;
+        
+        AFRAME.registerComponent('gamepad-locomotion', {
+            init: function () {
+                this.input = null;
+            },
+            
+            tick: function (time, delta) {
+                if (this.input) {
+                    this.input.tick(delta);
+                }
+            }
+        });
+    }
+    
+    // Hot-plugging
+    connect(gamepad) {
+        if (!gamepad) return;
+        
+        this.pads.set(gamepad.index, {
+            index: gamepad.index,
+            id: gamepad.id,
+            raw: Array.from(gamepad.axes),
+            stick: { x: 0, y: 0, magnitude: 0 },
+            buttons: gamepad.buttons.map(button => button.pressed),
+            moving: false
+        });
+        this.start();
+        
+        this.emitEvent('gamepadInputConnected', { index: gamepad.index, id: gamepad.id });
+    }
+    
+    disconnect(index) {
+        const pad = this.pads.get(index);
+        if (!pad) return;
+        
+        this.pads.delete(index);
+        if (this.pads.size === 0) {
+            this.stop();
+        }
+        
+        this.emitEvent('gamepadInputDisconnected', { index, id: pad.id });
+    }
+    
+    // Polling loop
+    start() {
+        const scene = document.querySelector('a-scene');
+        if (scene && typeof AFRAME !== 'undefined') {
+            this.attach(scene);
+        }
+        
+        if (this.frame !== null || this.scene) return;
+        
+        const loop = () => {
+            this.frame = requestAnimationFrame(loop);
+            this.poll();
+        };
+        this.frame = requestAnimationFrame(loop);
+    }
+    
+    stop() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.velocity = { drive: 0, turn: 0 };
+    }
+    
+    attach(scene) {
+        if (!scene.hasLoaded) {
+            scene.addEventListener('loaded', () => this.attach(scene), { once: true });
+            return;
+        }
+        
+        if (!scene.hasAttribute('gamepad-locomotion')) {
+            scene.setAttribute('gamepad-locomotion', '');
+        }
+        const component = scene.components && scene.components['gamepad-locomotion'];
+        if (component) {
+            component.input = this;
+            this.scene = scene;
+            
+            // The scene's tick takes over from the window loop
+            if (this.frame !== null) {
+                cancelAnimationFrame(this.frame);
+                this.frame = null;
+            }
+        }
+    }
+    
+    tick(delta) {
+        if (this.pads.size === 0) return;
+        
+        this.poll();
+        if (this.locomotionEnabled) {
+            this.updateLocomotion(delta);
+        }
+    }
+    
+    // Chrome only hands out fresh gamepad objects from getGamepads(), and a second
+    // pad may be reported there before its own gamepadconnected arrives
+    poll() {
+        const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        
+        gamepads.forEach((gamepad, index) => {
+            if (gamepad && gamepad.connected !== false && !this.pads.has(index)) {
+                this.deviceManager.registerVRController(gamepad, index);
+            }
+        });
+        
+        this.pads.forEach((pad, index) => {
+            const gamepad = gamepads[index];
+            if (!gamepad || gamepad.connected === false || gamepad.id !== pad.id) {
+                this.deviceManager.unregisterDevice(`vr-controller-${index}`);
+                return;
+            }
+            this.update(pad, gamepad);
+        });
+    }
+    
+    update(pad, gamepad) {
+        const settings = this.getSettings(pad.id);
+        
+        pad.raw = Array.from(gamepad.axes);
+        pad.stick = this.processStick(pad.raw, settings);
+        
+        const device = this.deviceManager.devices.get(`vr-controller-${pad.index}`);
+        if (device) {
+            device.gamepad = gamepad;
+            device.axes = pad.raw;
+        }
+        
+        const tremorFilter = this.deviceManager.tremorFilter;
+        gamepad.buttons.forEach((button, index) => {
+            const pressed = button.pressed || button.value >= this.options.pressThreshold;
+            const changed = pressed !== Boolean(pad.buttons[index]);
+            pad.buttons[index] = pressed;
+            if (!changed) return;
+            
+            // Presses that follow a release too closely are tremor or switch bounce
+            const source = `gamepad:${pad.index}:${index}`;
+            if (!pressed) {
+                if (tremorFilter) {
+                    tremorFilter.recordRelease(source);
+                }
+                return;
+            }
+            if (tremorFilter && !tremorFilter.acceptPress(source)) return;
+            
+            const type = this.options.buttons[index];
+            // Custom profiles map buttons themselves, and capture takes the next press
+            if (!this.deviceManager.handleGamepadButton(index) && type) {
+                this.deviceManager.triggerInput(type, 'joystick_button');
+            }
+        });
+        
+        // In a scene the stick drives the rig directly; elsewhere a push is reported
+        // once as a move input, so menus and pages without a scene can follow it
+        const moving = pad.stick.magnitude >= this.options.moveThreshold;
+        if (moving && !pad.moving && !this.isDriving()) {
+            this.deviceManager.triggerInput('move', 'joystick');
+        }
+        pad.moving = moving;
+    }
+    
+    // Stick processing
+    // Calibrate each axis, cut the radial dead zone and rescale what is left to 0-1,
+    // then apply the curve and sensitivity
+    processStick(raw, settings) {
+        const x = this.calibrateAxis(raw, settings.axes[0], settings);
+        const y = this.calibrateAxis(raw, settings.axes[1], settings) * (settings.invertY ? -1 : 1);
+        const length = Math.hypot(x, y);
+        const magnitude = Math.min(1, length);
+        
+        if (magnitude <= settings.deadZone) {
+            return { x: 0, y: 0, magnitude: 0 };
+        }
+        
+        const scaled = (magnitude - settings.deadZone) / (1 - settings.deadZone);
+        const exponent = this.curves[settings.curve] || 1;
+        const output = Math.min(1, Math.pow(scaled, exponent) * settings.sensitivity);
+        
+        return {
+            x: x / length * output,
+            y: y / length * output,
+            magnitude: output
+        };
+    }
+    
+    // Maps a raw reading to -1..1 around the calibrated center, so a stick that rests
+    // off-center or never reaches the ends still covers the full range
+    calibrateAxis(raw, axis, settings) {
+        const value = raw[axis] || 0;
+        const center = settings.center[axis] !== undefined ? settings.center[axis] : 0;
+        const min = settings.min[axis] !== undefined ? settings.min[axis] : -1;
+        const max = settings.max[axis] !== undefined ? settings.max[axis] : 1;
+        const offset = value - center;
+        const range = offset >= 0 ? max - center : center - min;
+        
+        return range > 0 ? Math.max(-1, Math.min(1, offset / range)) : 0;
+    }
+    
+    // First connected pad with the stick pushed, or the given pad
+    getStick(index) {
+        if (index !== undefined) {
+            const pad = this.pads.get(index);
+            return pad ? pad.stick : null;
+        }
+        
+        const pad = Array.from(this.pads.values()).find(candidate => candidate.stick.magnitude > 0);
+        return pad ? pad.stick : null;
+    }
+    
+    getPads() {
+        return Array.from(this.pads.values()).map(pad => ({
+            index: pad.index,
+            id: pad.id,
+            raw: pad.raw.slice(),
+            stick: { ...pad.stick }
+        }));
+    }
+    
+    // Locomotion
+    isDriving() {
+        return this.locomotionEnabled && this.scene !== null;
+    }
+    
+    setLocomotionEnabled(enabled) {
+        this.locomotionEnabled = enabled;
+        this.velocity = { drive: 0, turn: 0 };
+    }
+    
+    // Pushing the stick forward drives along the view direction and sideways turns
+    // the rig. A camera without a rig of its own strafes instead, since look-controls
+    // owns its rotation
+    updateLocomotion(delta) {
+        const camera = this.scene && this.scene.camera;
+        if (!camera || !camera.el) return;
+        
+        const stick = this.getStick();
+        const seconds = Math.min(delta / 1000, 0.1);
+        const blend = 1 - Math.exp(-seconds / this.options.smoothing);
+        this.velocity.drive += ((stick ? -stick.y : 0) - this.velocity.drive) * blend;
+        this.velocity.turn += ((stick ? stick.x : 0) - this.velocity.turn) * blend;
+        
+        if (!stick && Math.abs(this.velocity.drive) < 0.001 && Math.abs(this.velocity.turn) < 0.001) {
+            this.velocity = { drive: 0, turn: 0 };
+            return;
+        }
+        
+        const rig = this.getRig(camera.el);
+        const forward = camera.getWorldDirection(new THREE.Vector3());
+        forward.y = 0;
+        if (forward.lengthSq() === 0) return;
+        forward.normalize();
+        
+        const distance = this.velocity.drive * this.options.maxSpeed * seconds;
+        rig.object3D.position.x += forward.x * distance;
+        rig.object3D.position.z += forward.z * distance;
+        
+        if (rig !== camera.el) {
+            rig.object3D.rotation.y -= this.velocity.turn * THREE.MathUtils.degToRad(this.options.turnSpeed) * seconds;
+        } else {
+            const strafe = this.velocity.turn * this.options.maxSpeed * seconds;
+            rig.object3D.position.x -= forward.z * strafe;
+            rig.object3D.position.z += forward.x * strafe;
+        }
+    }
+    
+    getRig(cameraEl) {
+        const parent = cameraEl.parentEl;
+        return parent && parent !== this.scene && parent.object3D ? parent : cameraEl;
+    }
+    
+    // Calibration
+    // Averages the readings while the stick is left alone
+    async calibrateCenter(index, duration = 1000) {
+        const samples = await this.sampleAxes(index, duration);
+        if (samples.length === 0) return null;
+        
+        const center = {};
+        samples[0].forEach((value, axis) => {
+            center[axis] = samples.reduce((sum, sample) => sum + sample[axis], 0) / samples.length;
+        });
+        return center;
+    }
+    
+    // Records the furthest readings while the user moves the stick around its full
+    // travel; onSample receives the raw axes for a live preview
+    async calibrateRange(index, duration = 5000, onSample) {
+        const samples = await this.sampleAxes(index, duration, onSample);
+        if (samples.length === 0) return null;
+        
+        const min = {};
+        const max = {};
+        samples[0].forEach((value, axis) => {
+            min[axis] = Math.min(...samples.map(sample => sample[axis]));
+            max[axis] = Math.max(...samples.map(sample => sample[axis]));
+        });
+        return { min, max };
+    }
+    
+    sampleAxes(index, duration, onSample) {
+        return new Promise(resolve => {
+            const samples = [];
+            const startedAt = Date.now();
+            const timer = setInterval(() => {
+                const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+                const gamepad = gamepads[index];
+                if (gamepad) {
+                    const axes = Array.from(gamepad.axes);
+                    samples.push(axes);
+                    if (onSample) onSample(axes);
+                }
+                
+                if (Date.now() - startedAt >= duration) {
+                    clearInterval(timer);
+                    resolve(samples);
+                }
+            }, 20);
+        });
+    }
+    
+    // Settings
+    getSettings(gamepadId) {
+        const saved = this.settings[gamepadId] || {};
+        return {
+            ...this.defaultSettings,
+            ...saved,
+            center: { ...(saved.center || {}) },
+            min: { ...(saved.min || {}) },
+            max: { ...(saved.max || {}) }
+        };
+    }
+    
+    updateSettings(gamepadId, changes) {
+        this.settings[gamepadId] = { ...this.getSettings(gamepadId), ...changes };
+        this.saveSettings();
+        
+        this.emitEvent('gamepadSettingsChanged', { id: gamepadId, settings: this.getSettings(gamepadId) });
+    }
+    
+    resetSettings(gamepadId) {
+        delete this.settings[gamepadId];
+        this.saveSettings();
+        
+        this.emitEvent('gamepadSettingsChanged', { id: gamepadId, settings: this.getSettings(gamepadId) });
+    }
+    
+    loadSettings() {
+        try {
+            this.settings = JSON.parse(localStorage.getItem('gamepadSettings')) || {};
+        } catch (error) {
+            this.settings = {};
+        }
+    }
+    
+    saveSettings() {
+        localStorage.setItem('gamepadSettings', JSON.stringify(this.settings));
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Make available globally
+window.GamepadInput = GamepadInput;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GamepadInput;
+}
@@ -291,6 +291,10 @@ class GamificationSystem {
         
         // Show badge notification
         this.showBadgeNotification(badge);
+        this.announce(this.t('announcer.badgeEarned', {
+            name: this.t(`gamification.badges.${badgeId}.name`, {}, badge.name),
+            points: badge.points
+        }));
         
         console.log('Badge awarded:', badge.name);
     }
@@ -350,6 +354,7 @@ class GamificationSystem {
         
         // Show level up notification
         this.showLevelUpNotification(oldLevel, newLevel, levelBonus);
+        this.announce(this.t('announcer.levelUp', { level: newLevel, bonus: levelBonus }));
         
         console.log(`Level up! ${oldLevel} → ${newLevel}`);
     }
@@ -476,6 +481,10 @@ class GamificationSystem {
         
         // Show achievement notification
         this.showAchievementNotification(achievement);
+        this.announce(this.t('announcer.achievementEarned', {
+            name: this.t(`gamification.achievements.${achievementId}.name`, {}, achievement.name),
+            points: achievement.points
+        }));
         
         console.log('Achievement awarded:', achievement.name);
     }
@@ -678,6 +687,21 @@ class GamificationSystem {
         document.dispatchEvent(event);
     }
     
+    // Notifications are visual only; screen readers get them through the shared live regions
+    announce(text) {
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(text, { source: 'gamification' });
+        }
+    }
+    
+    // Localization
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+    
     // Public API methods
     getStats() {
         return {
@@ -721,8 +745,8 @@ class GamificationSystem {
 }
 
 // Add CSS for animations
-const style = document.createElement('style');
-style.textContent = `
+const gamificationStyle = document.createElement('style');
+gamificationStyle.textContent = `
     @keyframes badgePop {
         0% {
             transform: translate(-50%, -50%) scale(0.5);
@@ -768,7 +792,10 @@ style.textContent = `
         }
     }
 `;
-document.head.appendChild(style);
+document.head.appendChild(gamificationStyle);
+
+// Make available globally
+window.GamificationSystem = GamificationSystem;
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
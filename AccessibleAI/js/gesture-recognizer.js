@@ -0,0 +1,487 @@
+/**
+ * Gesture Recognizer
+ * Trainable recognizer for pointer strokes and device motion: users record a few examples
+ * of each gesture, and new movements are matched against them with a confidence score
+ */
+
+class GestureRecognizer {
+    constructor(deviceManager, options = {}) {
+        this.deviceManager = deviceManager;
+        this.options = {
+            points: 32,                 // Samples a gesture is resampled to before matching
+            confidence: 0.8,            // Default lowest score that counts as a match
+            trainingTimeout: 15000,     // ms an example is waited for
+            minStrokeLength: 40,        // px; shorter strokes are clicks and taps
+            maxStrokeDuration: 3000,    // ms
+            motionStart: 4,             // m/s² of acceleration that starts a motion gesture
+            motionStop: 1.5,            // m/s² below which the device counts as still
+            motionQuietTime: 250,       // ms of stillness that ends a motion gesture
+            maxMotionDuration: 2000,    // ms
+            minMotionSamples: 6,
+            ...options
+        };
+        
+        this.sources = ['pointer', 'motion'];
+        
+        // Largest distance between two normalized gestures that still scores above zero:
+        // half the diagonal of the unit square (strokes) or cube (motion)
+        this.halfDiagonal = {
+            pointer: 0.5 * Math.sqrt(2),
+            motion: 0.5 * Math.sqrt(3)
+        };
+        
+        this.store = {};                // profile name -> { confidence, gestures: { id -> gesture } }
+        this.training = null;           // Gesture the next movement is recorded for
+        this.stroke = null;             // Pointer stroke in progress
+        this.motion = null;             // Motion gesture in progress
+        this.heldCameras = [];          // [element, enabled] of look-controls paused while training strokes
+        this.suppressClicksUntil = 0;   // Event time up to which the release and click of a used stroke are dropped
+        
+        this.init();
+    }
+    
+    init() {
+        this.loadTemplates();
+        
+        window.addEventListener('pointerdown', (event) => this.handlePointerDown(event), true);
+        window.addEventListener('pointermove', (event) => this.handlePointerMove(event), true);
+        window.addEventListener('pointerup', (event) => this.handlePointerUp(event), true);
+        window.addEventListener('pointercancel', () => {
+            this.stroke = null;
+        }, true);
+        
+        // A stroke that was recognized or trained is not also a click on what it started on
+        ['mouseup', 'touchend', 'click'].forEach(type => {
+            window.addEventListener(type, (event) => this.suppressStrokeClick(event), true);
+        });
+        
+        // Gestures of deleted custom profiles go with them
+        document.addEventListener('inputProfilesChanged', () => this.pruneTemplates());
+        
+        console.log('Gesture Recognizer initialized');
+    }
+    
+    // Gestures
+    // Each gesture belongs to one profile, is made with one source and triggers one action
+    getGestures(profileName = this.deviceManager.currentProfile) {
+        const entry = this.store[profileName];
+        if (!entry) return [];
+        
+        return Object.entries(entry.gestures).map(([id, gesture]) => ({ id, ...gesture }));
+    }
+    
+    getGesture(id, profileName = this.deviceManager.currentProfile) {
+        const entry = this.store[profileName];
+        return entry && entry.gestures[id] ? { id, ...entry.gestures[id] } : null;
+    }
+    
+    addGesture(name, source, action, profileName = this.deviceManager.currentProfile) {
+        if (!name || !name.trim() || !this.sources.includes(source) || !this.deviceManager.actions[action]) {
+            return null;
+        }
+        
+        const entry = this.getEntry(profileName);
+        const stamp = Date.now().toString(36);
+        let id = `gesture-${stamp}`;
+        for (let n = 2; entry.gestures[id]; n++) {
+            id = `gesture-${stamp}-${n}`;
+        }
+        
+        entry.gestures[id] = { name: name.trim().slice(0, 60), source, action, examples: [] };
+        this.saveTemplates(profileName);
+        return id;
+    }
+    
+    // Only the name and action change; a different source needs new examples, so a new gesture
+    updateGesture(id, changes, profileName = this.deviceManager.currentProfile) {
+        const gesture = this.store[profileName] && this.store[profileName].gestures[id];
+        if (!gesture) return false;
+        
+        if (typeof changes.name === 'string' && changes.name.trim()) {
+            gesture.name = changes.name.trim().slice(0, 60);
+        }
+        if (changes.action && this.deviceManager.actions[changes.action]) {
+            gesture.action = changes.action;
+        }
+        this.saveTemplates(profileName);
+        return true;
+    }
+    
+    deleteGesture(id, profileName = this.deviceManager.currentProfile) {
+        const entry = this.store[profileName];
+        if (!entry || !entry.gestures[id]) return;
+        
+        if (this.training && this.training.id === id) {
+            this.cancelTraining();
+        }
+        delete entry.gestures[id];
+        this.saveTemplates(profileName);
+    }
+    
+    getConfidence(profileName = this.deviceManager.currentProfile) {
+        const entry = this.store[profileName];
+        return entry ? entry.confidence : this.options.confidence;
+    }
+    
+    setConfidence(confidence, profileName = this.deviceManager.currentProfile) {
+        this.getEntry(profileName).confidence = Math.min(1, Math.max(0, confidence));
+        this.saveTemplates(profileName);
+    }
+    
+    getEntry(profileName) {
+        if (!this.store[profileName]) {
+            this.store[profileName] = { confidence: this.options.confidence, gestures: {} };
+        }
+        return this.store[profileName];
+    }
+    
+    // Training
+    // The next movement made with the gesture's source becomes one of its examples instead
+    // of being recognized. The callback gets { examples, consistency, closest } or null when
+    // nothing arrives in time. consistency is how well the example matches the earlier ones,
+    // and closest names another gesture it matches better, if any
+    train(id, callback, timeout = this.options.trainingTimeout) {
+        this.cancelTraining();
+        
+        const gesture = this.getGesture(id);
+        if (!gesture) return false;
+        
+        this.training = {
+            id,
+            profileName: this.deviceManager.currentProfile,
+            source: gesture.source,
+            callback,
+            timer: setTimeout(() => this.finishTraining(null), timeout)
+        };
+        if (gesture.source === 'pointer') {
+            this.holdCameras();
+        }
+        return true;
+    }
+    
+    cancelTraining() {
+        if (!this.training) return;
+        
+        clearTimeout(this.training.timer);
+        this.training = null;
+        this.releaseCameras();
+    }
+    
+    // Dragging over the scene turns the camera, so look-controls is paused while a
+    // stroke is trained and restored to what it was afterwards
+    holdCameras() {
+        this.releaseCameras();
+        
+        document.querySelectorAll('[look-controls]').forEach(element => {
+            const controls = element.getAttribute('look-controls');
+            this.heldCameras.push([element, !controls || controls.enabled !== false]);
+            element.setAttribute('look-controls', 'enabled', false);
+        });
+    }
+    
+    releaseCameras() {
+        this.heldCameras.forEach(([element, enabled]) => {
+            element.setAttribute('look-controls', 'enabled', enabled);
+        });
+        this.heldCameras = [];
+    }
+    
+    isTraining() {
+        return this.training !== null;
+    }
+    
+    finishTraining(points) {
+        const training = this.training;
+        this.cancelTraining();
+        
+        const gesture = points && this.store[training.profileName] && this.store[training.profileName].gestures[training.id];
+        if (!gesture) {
+            training.callback(null);
+            return;
+        }
+        
+        const example = this.normalize(points, training.source);
+        const consistency = gesture.examples.length > 0
+            ? this.score(example, gesture.examples, training.source)
+            : null;
+        const others = this.getGestures(training.profileName)
+            .filter(other => other.id !== training.id && other.source === training.source && other.examples.length > 0)
+            .map(other => ({ id: other.id, name: other.name, score: this.score(example, other.examples, training.source) }))
+            .sort((a, b) => b.score - a.score);
+        const closest = others.length > 0 && (consistency === null || others[0].score > consistency) ? others[0] : null;
+        
+        gesture.examples.push(example.map(point => point.map(value => Math.round(value * 1000) / 1000)));
+        this.saveTemplates(training.profileName);
+        
+        training.callback({ examples: gesture.examples.length, consistency, closest });
+    }
+    
+    // Recognition
+    // Best-matching gesture of the profile for the movement, with its score from 0 to 1, or
+    // null when the profile has no trained gesture for this source
+    recognize(source, points, profileName = this.deviceManager.currentProfile) {
+        const example = this.normalize(points, source);
+        const scores = this.getGestures(profileName)
+            .filter(gesture => gesture.source === source && gesture.examples.length > 0)
+            .map(gesture => ({ gesture, confidence: this.score(example, gesture.examples, source) }))
+            .sort((a, b) => b.confidence - a.confidence);
+        if (scores.length === 0) return null;
+        
+        const [best, runnerUp] = scores;
+        return {
+            id: best.gesture.id,
+            name: best.gesture.name,
+            action: best.gesture.action,
+            source,
+            confidence: Math.round(best.confidence * 100) / 100,
+            runnerUp: runnerUp ? { id: runnerUp.gesture.id, name: runnerUp.gesture.name, confidence: Math.round(runnerUp.confidence * 100) / 100 } : null
+        };
+    }
+    
+    // Movements end up here once segmented: trained, or recognized and acted on.
+    // Returns whether the movement was used
+    handleMovement(source, points) {
+        if (this.training && this.training.source === source) {
+            this.finishTraining(points);
+            return true;
+        }
+        
+        const match = this.recognize(source, points);
+        if (!match) return false;
+        
+        if (match.confidence >= this.getConfidence()) {
+            this.deviceManager.triggerAction(match.action);
+            this.emitEvent('gestureRecognized', match);
+            return true;
+        }
+        this.emitEvent('gestureRejected', match);
+        return false;
+    }
+    
+    // Whether movements of the source are listened for at all
+    isListening(source) {
+        if (this.training) {
+            return this.training.source === source;
+        }
+        return this.getGestures().some(gesture => gesture.source === source && gesture.examples.length > 0);
+    }
+    
+    // Template matching
+    // Resamples to a fixed number of points (strokes evenly along their path, motion evenly
+    // in time), centers them and scales them to unit size. Direction and orientation are
+    // kept, so a stroke up and a stroke right stay different gestures
+    normalize(points, source) {
+        const resampled = source === 'pointer'
+            ? this.resampleByPath(points, this.options.points)
+            : this.resampleByIndex(points, this.options.points);
+        
+        const dimensions = resampled[0].length;
+        const centroid = Array.from({ length: dimensions }, (_, d) =>
+            resampled.reduce((sum, point) => sum + point[d], 0) / resampled.length
+        );
+        const centered = resampled.map(point => point.map((value, d) => value - centroid[d]));
+        
+        // Strokes keep their aspect ratio, so a straight line does not blow up; motion
+        // is scaled by its strongest sample
+        const size = source === 'pointer'
+            ? Math.max(...Array.from({ length: dimensions }, (_, d) =>
+                Math.max(...centered.map(point => point[d])) - Math.min(...centered.map(point => point[d]))
+            ))
+            : Math.max(...centered.map(point => Math.hypot(...point))) * 2;
+        
+        return size > 0 ? centered.map(point => point.map(value => value / size)) : centered;
+    }
+    
+    resampleByPath(points, count) {
+        const length = points.slice(1).reduce((sum, point, i) => sum + this.distance(points[i], point), 0);
+        if (length === 0) {
+            return Array.from({ length: count }, () => [...points[0]]);
+        }
+        
+        const interval = length / (count - 1);
+        const source = points.map(point => [...point]);
+        const resampled = [[...source[0]]];
+        let travelled = 0;
+        
+        for (let i = 1; i < source.length && resampled.length < count; i++) {
+            const step = this.distance(source[i - 1], source[i]);
+            if (travelled + step >= interval && step > 0) {
+                const ratio = (interval - travelled) / step;
+                const point = source[i - 1].map((value, d) => value + ratio * (source[i][d] - value));
+                resampled.push(point);
+                // The new point starts the next segment
+                source.splice(i, 0, point);
+                travelled = 0;
+            } else {
+                travelled += step;
+            }
+        }
+        
+        while (resampled.length < count) {
+            resampled.push([...points[points.length - 1]]);
+        }
+        return resampled;
+    }
+    
+    resampleByIndex(points, count) {
+        return Array.from({ length: count }, (_, i) => {
+            const position = (i / (count - 1)) * (points.length - 1);
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, points.length - 1);
+            const ratio = position - index;
+            return points[index].map((value, d) => value + ratio * (points[next][d] - value));
+        });
+    }
+    
+    // Score against the closest of a gesture's examples: 1 is identical
+    score(example, examples, source) {
+        const distance = Math.min(...examples.map(template =>
+            example.reduce((sum, point, i) => sum + this.distance(point, template[i]), 0) / example.length
+        ));
+        return Math.max(0, 1 - distance / this.halfDiagonal[source]);
+    }
+    
+    distance(a, b) {
+        return Math.hypot(...a.map((value, d) => value - b[d]));
+    }
+    
+    // Segmentation
+    // A stroke runs from pointer down to pointer up. Strokes on controls, short strokes
+    // and slow ones are left alone
+    handlePointerDown(event) {
+        this.stroke = null;
+        if (!event.isPrimary || !this.isListening('pointer')) return;
+        if (!this.training && event.target && event.target.closest && event.target.closest('button, input, select, textarea, a')) return;
+        
+        this.stroke = { id: event.pointerId, start: event.timeStamp, points: [[event.clientX, event.clientY]] };
+    }
+    
+    handlePointerMove(event) {
+        if (!this.stroke || event.pointerId !== this.stroke.id) return;
+        
+        this.stroke.points.push([event.clientX, event.clientY]);
+    }
+    
+    handlePointerUp(event) {
+        const stroke = this.stroke;
+        this.stroke = null;
+        if (!stroke || event.pointerId !== stroke.id) return;
+        
+        stroke.points.push([event.clientX, event.clientY]);
+        const length = stroke.points.slice(1).reduce((sum, point, i) => sum + this.distance(stroke.points[i], point), 0);
+        if (length < this.options.minStrokeLength || event.timeStamp - stroke.start > this.options.maxStrokeDuration) return;
+        
+        if (this.handleMovement('pointer', stroke.points)) {
+            this.suppressClicksUntil = event.timeStamp + 500;
+        }
+    }
+    
+    // The mouse and touch events that follow pointerup: A-Frame's cursor clicks entities
+    // on mouseup and touchend, the page on click
+    suppressStrokeClick(event) {
+        if (event.timeStamp > this.suppressClicksUntil) return;
+        
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        if (event.type === 'click') {
+            this.suppressClicksUntil = 0;
+        }
+    }
+    
+    // A motion gesture starts with a jolt and ends once the device has been still for a
+    // moment; one that runs too long is dropped
+    addMotionSample(acceleration, timestamp) {
+        const magnitude = Math.hypot(...acceleration);
+        
+        if (!this.motion) {
+            if (magnitude > this.options.motionStart) {
+                this.motion = { start: timestamp, quietSince: null, quietIndex: null, samples: [acceleration] };
+            }
+            return;
+        }
+        
+        const motion = this.motion;
+        motion.samples.push(acceleration);
+        if (timestamp - motion.start > this.options.maxMotionDuration) {
+            this.motion = null;
+            return;
+        }
+        
+        if (magnitude >= this.options.motionStop) {
+            motion.quietSince = null;
+            motion.quietIndex = null;
+            return;
+        }
+        if (motion.quietSince === null) {
+            motion.quietSince = timestamp;
+            motion.quietIndex = motion.samples.length - 1;
+        }
+        if (timestamp - motion.quietSince >= this.options.motionQuietTime) {
+            this.motion = null;
+            const samples = motion.samples.slice(0, motion.quietIndex + 1);
+            if (samples.length >= this.options.minMotionSamples) {
+                this.handleMovement('motion', samples);
+            }
+        }
+    }
+    
+    // Storage
+    // Saved under gestureTemplates, keyed by profile name
+    loadTemplates() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem('gestureTemplates')) || {};
+        } catch (error) {
+            console.error('Failed to load gesture templates:', error);
+        }
+        
+        Object.entries(stored).forEach(([profileName, entry]) => {
+            if (!entry || typeof entry.gestures !== 'object' || !entry.gestures) return;
+            
+            const clean = {
+                confidence: typeof entry.confidence === 'number' ? Math.min(1, Math.max(0, entry.confidence)) : this.options.confidence,
+                gestures: {}
+            };
+            Object.entries(entry.gestures).forEach(([id, gesture]) => {
+                const valid = gesture && typeof gesture.name === 'string' && this.sources.includes(gesture.source) &&
+                    this.deviceManager.actions[gesture.action] && Array.isArray(gesture.examples);
+                if (!valid) return;
+                
+                const dimensions = gesture.source === 'pointer' ? 2 : 3;
+                const examples = gesture.examples.filter(example => Array.isArray(example) &&
+                    example.length === this.options.points &&
+                    example.every(point => Array.isArray(point) && point.length === dimensions && point.every(Number.isFinite)));
+                clean.gestures[id] = { name: gesture.name, source: gesture.source, action: gesture.action, examples };
+            });
+            this.store[profileName] = clean;
+        });
+    }
+    
+    saveTemplates(profileName = null) {
+        localStorage.setItem('gestureTemplates', JSON.stringify(this.store));
+        this.emitEvent('gestureTemplatesChanged', { profile: profileName });
+    }
+    
+    pruneTemplates() {
+        const removed = Object.keys(this.store).filter(profileName => !this.deviceManager.getProfileInfo(profileName));
+        if (removed.length === 0) return;
+        
+        removed.forEach(profileName => {
+            delete this.store[profileName];
+        });
+        this.saveTemplates();
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Make available globally
+window.GestureRecognizer = GestureRecognizer;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GestureRecognizer;
+}
@@ -20,7 +20,7 @@ class GuidanceConfigInterface {
     createConfigButton() {
         const button = document.createElement('button');
         button.id = 'guidance-config-button';
-        button.innerHTML = '🎯 Guidance Settings';
+        button.innerHTML = `🎯 ${this.t('guidanceConfig.button')}`;
         button.style.cssText = `
             position: fixed;
             top: 20px;
@@ -128,7 +128,7 @@ class GuidanceConfigInterface {
         return `
             <div style="padding: 30px;">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px;">
-                    <h2 style="margin: 0; color: #2c3e50; font-size: 24px;">🎯 Guidance Configuration</h2>
+                    <h2 style="margin: 0; color: #2c3e50; font-size: 24px;">🎯 ${this.t('guidanceConfig.title')}</h2>
                     <button id="close-guidance-config" style="
                         background: #e74c3c;
                         color: white;
@@ -146,7 +146,7 @@ class GuidanceConfigInterface {
                 
                 <!-- Current Status -->
                 <div class="config-section" style="margin-bottom: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">📊 Current Status</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">📊 ${this.t('guidanceConfig.currentStatus')}</h3>
                     <div style="
                         background: #f8f9fa;
                         padding: 20px;
@@ -155,21 +155,21 @@ class GuidanceConfigInterface {
                     ">
                         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
                             <div>
-                                <div style="font-weight: 600; color: #2c3e50;">Status</div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.status')}</div>
                                 <div style="color: ${status.isActive ? '#27ae60' : '#e74c3c'};">
-                                    ${status.isActive ? '🟢 Active' : '🔴 Inactive'}
+                                    ${status.isActive ? `🟢 ${this.t('guidanceConfig.active')}` : `🔴 ${this.t('guidanceConfig.inactive')}`}
                                 </div>
                             </div>
                             <div>
-                                <div style="font-weight: 600; color: #2c3e50;">Current Task</div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.currentTask')}</div>
                                 <div style="color: #6c757d;">
-                                    ${status.currentTask ? status.currentTask.name : 'None'}
+                                    ${status.currentTask ? this.guidanceSystem.getTaskText(status.currentTask, 'name') : this.t('common.none')}
                                 </div>
                             </div>
                             <div>
-                                <div style="font-weight: 600; color: #2c3e50;">Progress</div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.progress')}</div>
                                 <div style="color: #6c757d;">
-                                    ${status.taskProgress}/${status.maxTaskProgress}
+                                    ${this.guidanceSystem.formatNumber(status.taskProgress)}/${this.guidanceSystem.formatNumber(status.maxTaskProgress)}
                                 </div>
                             </div>
                         </div>
@@ -178,7 +178,7 @@ class GuidanceConfigInterface {
                 
                 <!-- Difficulty Level -->
                 <div class="config-section" style="margin-bottom: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">⚡ Difficulty Level</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">⚡ ${this.t('guidanceConfig.difficultyLevel')}</h3>
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
                         ${Object.entries(difficultyLevels).map(([key, level]) => `
                             <div class="difficulty-card" data-difficulty="${key}" style="
@@ -189,9 +189,9 @@ class GuidanceConfigInterface {
                                 transition: all 0.3s ease;
                                 background: ${status.difficultyLevel === key ? '#f8f9fa' : 'white'};
                             ">
-                                <h4 style="margin: 0 0 8px 0; color: #2c3e50;">${level.name}</h4>
-                                <p style="margin: 0; color: #7f8c8d; font-size: 14px;">${level.description}</p>
-                                ${status.difficultyLevel === key ? '<div style="color: #27ae60; font-weight: 600; margin-top: 8px;">✓ Active</div>' : ''}
+                                <h4 style="margin: 0 0 8px 0; color: #2c3e50;">${this.guidanceSystem.getDifficultyName(key)}</h4>
+                                <p style="margin: 0; color: #7f8c8d; font-size: 14px;">${this.guidanceSystem.getDifficultyDescription(key)}</p>
+                                ${status.difficultyLevel === key ? `<div style="color: #27ae60; font-weight: 600; margin-top: 8px;">${this.t('common.active')}</div>` : ''}
                             </div>
                         `).join('')}
                     </div>
@@ -199,7 +199,7 @@ class GuidanceConfigInterface {
                 
                 <!-- Assistance Level -->
                 <div class="config-section" style="margin-bottom: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">🆘 Assistance Level</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">🆘 ${this.t('guidanceConfig.assistanceLevel')}</h3>
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
                         ${Object.entries(assistanceLevels).map(([key, level]) => `
                             <div class="assistance-card" data-assistance="${key}" style="
@@ -210,9 +210,9 @@ class GuidanceConfigInterface {
                                 transition: all 0.3s ease;
                                 background: ${status.assistanceLevel === key ? '#f8f9fa' : 'white'};
                             ">
-                                <h4 style="margin: 0 0 8px 0; color: #2c3e50;">${level.name}</h4>
-                                <p style="margin: 0; color: #7f8c8d; font-size: 14px;">${level.description}</p>
-                                ${status.assistanceLevel === key ? '<div style="color: #27ae60; font-weight: 600; margin-top: 8px;">✓ Active</div>' : ''}
+                                <h4 style="margin: 0 0 8px 0; color: #2c3e50;">${this.guidanceSystem.getAssistanceName(key)}</h4>
+                                <p style="margin: 0; color: #7f8c8d; font-size: 14px;">${this.guidanceSystem.getAssistanceDescription(key)}</p>
+                                ${status.assistanceLevel === key ? `<div style="color: #27ae60; font-weight: 600; margin-top: 8px;">${this.t('common.active')}</div>` : ''}
                             </div>
                         `).join('')}
                     </div>
@@ -220,29 +220,53 @@ class GuidanceConfigInterface {
                 
                 <!-- Feature Toggles -->
                 <div class="config-section" style="margin-bottom: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">🎛️ Feature Toggles</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">🎛️ ${this.t('guidanceConfig.featureToggles')}</h3>
                     <div style="display: grid; gap: 15px;">
                         <label style="display: flex; align-items: center; gap: 15px; cursor: pointer; padding: 15px; background: #f8f9fa; border-radius: 10px;">
                             <input type="checkbox" id="highlighting-toggle" ${status.highlightingEnabled ? 'checked' : ''} style="transform: scale(1.2);">
                             <div>
-                                <div style="font-weight: 600; color: #2c3e50;">Object Highlighting</div>
-                                <div style="font-size: 14px; color: #6c757d;">Highlight objects and areas for tasks</div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.highlighting')}</div>
+                                <div style="font-size: 14px; color: #6c757d;">${this.t('guidanceConfig.highlightingDescription')}</div>
                             </div>
                         </label>
                         
                         <label style="display: flex; align-items: center; gap: 15px; cursor: pointer; padding: 15px; background: #f8f9fa; border-radius: 10px;">
                             <input type="checkbox" id="text-instructions-toggle" ${status.textInstructionsEnabled ? 'checked' : ''} style="transform: scale(1.2);">
                             <div>
-                                <div style="font-weight: 600; color: #2c3e50;">Text Instructions</div>
-                                <div style="font-size: 14px; color: #6c757d;">Show text-based instructions for tasks</div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.textInstructions')}</div>
+                                <div style="font-size: 14px; color: #6c757d;">${this.t('guidanceConfig.textInstructionsDescription')}</div>
                             </div>
                         </label>
                         
                         <label style="display: flex; align-items: center; gap: 15px; cursor: pointer; padding: 15px; background: #f8f9fa; border-radius: 10px;">
                             <input type="checkbox" id="narration-toggle" ${status.narrationEnabled ? 'checked' : ''} style="transform: scale(1.2);">
                             <div>
-                                <div style="font-weight: 600; color: #2c3e50;">Voice Narration</div>
-                                <div style="font-size: 14px; color: #6c757d;">Play audio narration for instructions</div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.narration')}</div>
+                                <div style="font-size: 14px; color: #6c757d;">${this.t('guidanceConfig.narrationDescription')}</div>
+                            </div>
+                        </label>
+                        
+                        <label style="display: flex; align-items: center; gap: 15px; cursor: pointer; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                            <input type="checkbox" id="audio-beacon-toggle" ${status.audioBeaconEnabled ? 'checked' : ''} style="transform: scale(1.2);">
+                            <div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.audioBeacon')}</div>
+                                <div style="font-size: 14px; color: #6c757d;">${this.t('guidanceConfig.audioBeaconDescription')}</div>
+                            </div>
+                        </label>
+                        
+                        <label style="display: flex; align-items: center; gap: 15px; cursor: pointer; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                            <input type="checkbox" id="wayfinding-toggle" ${status.wayfindingEnabled ? 'checked' : ''} style="transform: scale(1.2);">
+                            <div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.wayfinding')}</div>
+                                <div style="font-size: 14px; color: #6c757d;">${this.t('guidanceConfig.wayfindingDescription')}</div>
+                            </div>
+                        </label>
+                        
+                        <label style="display: flex; align-items: center; gap: 15px; cursor: pointer; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                            <input type="checkbox" id="easy-read-toggle" ${status.easyReadEnabled ? 'checked' : ''} style="transform: scale(1.2);">
+                            <div>
+                                <div style="font-weight: 600; color: #2c3e50;">${this.t('guidanceConfig.easyRead')}</div>
+                                <div style="font-size: 14px; color: #6c757d;">${this.t('guidanceConfig.easyReadDescription')}</div>
                             </div>
                         </label>
                     </div>
@@ -250,8 +274,8 @@ class GuidanceConfigInterface {
                 
                 <!-- Test Guidance -->
                 <div class="config-section" style="margin-bottom: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">🧪 Test Guidance</h3>
-                    <p style="color: #6c757d; margin-bottom: 20px;">Test the guidance system with a sample task to see how it works.</p>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">🧪 ${this.t('guidanceConfig.testGuidance')}</h3>
+                    <p style="color: #6c757d; margin-bottom: 20px;">${this.t('guidanceConfig.testDescription')}</p>
                     <div style="display: flex; gap: 15px; flex-wrap: wrap;">
                         <button id="test-guidance" style="
                             background: #3498db;
@@ -261,7 +285,7 @@ class GuidanceConfigInterface {
                             border-radius: 8px;
                             cursor: pointer;
                             font-weight: 600;
-                        ">Test Sample Task</button>
+                        ">${this.t('guidanceConfig.testSampleTask')}</button>
                         <button id="stop-guidance" style="
                             background: #e74c3c;
                             color: white;
@@ -270,13 +294,13 @@ class GuidanceConfigInterface {
                             border-radius: 8px;
                             cursor: pointer;
                             font-weight: 600;
-                        ">Stop Guidance</button>
+                        ">${this.t('guidanceConfig.stopGuidance')}</button>
                     </div>
                 </div>
                 
                 <!-- Quick Actions -->
                 <div class="config-section" style="margin-bottom: 30px;">
-                    <h3 style="color: #34495e; margin-bottom: 15px;">⚡ Quick Actions</h3>
+                    <h3 style="color: #34495e; margin-bottom: 15px;">⚡ ${this.t('guidanceConfig.quickActions')}</h3>
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 15px;">
                         <button id="reset-to-defaults" style="
                             background: #95a5a6;
@@ -286,7 +310,7 @@ class GuidanceConfigInterface {
                             border-radius: 8px;
                             cursor: pointer;
                             font-weight: 600;
-                        ">Reset to Defaults</button>
+                        ">${this.t('guidanceConfig.resetToDefaults')}</button>
                         <button id="export-settings" style="
                             background: #9b59b6;
                             color: white;
@@ -295,7 +319,7 @@ class GuidanceConfigInterface {
                             border-radius: 8px;
                             cursor: pointer;
                             font-weight: 600;
-                        ">Export Settings</button>
+                        ">${this.t('guidanceConfig.exportSettings')}</button>
                         <button id="import-settings" style="
                             background: #f39c12;
                             color: white;
@@ -304,7 +328,7 @@ class GuidanceConfigInterface {
                             border-radius: 8px;
                             cursor: pointer;
                             font-weight: 600;
-                        ">Import Settings</button>
+                        ">${this.t('guidanceConfig.importSettings')}</button>
                     </div>
                 </div>
                 
@@ -318,7 +342,7 @@ class GuidanceConfigInterface {
                         border-radius: 8px;
                         cursor: pointer;
                         font-weight: 600;
-                    ">Cancel</button>
+                    ">${this.t('common.cancel')}</button>
                     <button id="save-guidance-config" style="
                         background: #27ae60;
                         color: white;
@@ -327,7 +351,7 @@ class GuidanceConfigInterface {
                         border-radius: 8px;
                         cursor: pointer;
                         font-weight: 600;
-                    ">Save Settings</button>
+                    ">${this.t('common.saveSettings')}</button>
                 </div>
             </div>
         `;
@@ -394,6 +418,27 @@ class GuidanceConfigInterface {
             });
         }
         
+        const audioBeaconToggle = document.getElementById('audio-beacon-toggle');
+        if (audioBeaconToggle) {
+            audioBeaconToggle.addEventListener('change', () => {
+                this.guidanceSystem.toggleAudioBeacon();
+            });
+        }
+        
+        const wayfindingToggle = document.getElementById('wayfinding-toggle');
+        if (wayfindingToggle) {
+            wayfindingToggle.addEventListener('change', () => {
+                this.guidanceSystem.toggleWayfinding();
+            });
+        }
+        
+        const easyReadToggle = document.getElementById('easy-read-toggle');
+        if (easyReadToggle) {
+            easyReadToggle.addEventListener('change', () => {
+                this.guidanceSystem.toggleEasyRead();
+            });
+        }
+        
         // Test guidance
         const testBtn = document.getElementById('test-guidance');
         if (testBtn) {
@@ -435,7 +480,7 @@ class GuidanceConfigInterface {
             
             const activeIndicator = card.querySelector('div:last-child');
             if (activeIndicator) {
-                activeIndicator.textContent = isActive ? '✓ Active' : '';
+                activeIndicator.textContent = isActive ? this.t('common.active') : '';
                 activeIndicator.style.color = isActive ? '#27ae60' : '';
             }
         });
@@ -454,7 +499,7 @@ class GuidanceConfigInterface {
             
             const activeIndicator = card.querySelector('div:last-child');
             if (activeIndicator) {
-                activeIndicator.textContent = isActive ? '✓ Active' : '';
+                activeIndicator.textContent = isActive ? this.t('common.active') : '';
                 activeIndicator.style.color = isActive ? '#27ae60' : '';
             }
         });
@@ -464,6 +509,7 @@ class GuidanceConfigInterface {
         const sampleTask = {
             name: 'Sample Task',
             description: 'This is a test task to demonstrate the guidance system.',
+            scenario: 'sample',
             steps: [
                 {
                     name: 'Step 1',
@@ -490,12 +536,12 @@ class GuidanceConfigInterface {
         };
         
         this.guidanceSystem.startGuidance(sampleTask);
-        this.showNotification('Test task started!', 'info');
+        this.showNotification(this.t('guidanceConfig.notifications.testStarted'), 'info');
     }
     
     stopGuidance() {
         this.guidanceSystem.stopGuidance();
-        this.showNotification('Guidance stopped', 'info');
+        this.showNotification(this.t('guidanceConfig.notifications.stopped'), 'info');
     }
     
     resetToDefaults() {
@@ -504,13 +550,16 @@ class GuidanceConfigInterface {
         this.guidanceSystem.narrationEnabled = true;
         this.guidanceSystem.textInstructionsEnabled = true;
         this.guidanceSystem.highlightingEnabled = true;
+        this.guidanceSystem.setAudioBeaconEnabled(false);
+        this.guidanceSystem.wayfindingEnabled = true;
+        this.guidanceSystem.easyReadEnabled = false;
         this.guidanceSystem.saveUserPreferences();
         
         this.updateDifficultySelection();
         this.updateAssistanceSelection();
         this.updateFeatureToggles();
         
-        this.showNotification('Settings reset to defaults', 'success');
+        this.showNotification(this.t('guidanceConfig.notifications.reset'), 'success');
     }
     
     updateFeatureToggles() {
@@ -530,6 +579,21 @@ class GuidanceConfigInterface {
         if (narrationToggle) {
             narrationToggle.checked = status.narrationEnabled;
         }
+        
+        const audioBeaconToggle = document.getElementById('audio-beacon-toggle');
+        if (audioBeaconToggle) {
+            audioBeaconToggle.checked = status.audioBeaconEnabled;
+        }
+        
+        const wayfindingToggle = document.getElementById('wayfinding-toggle');
+        if (wayfindingToggle) {
+            wayfindingToggle.checked = status.wayfindingEnabled;
+        }
+        
+        const easyReadToggle = document.getElementById('easy-read-toggle');
+        if (easyReadToggle) {
+            easyReadToggle.checked = status.easyReadEnabled;
+        }
     }
     
     exportSettings() {
@@ -538,7 +602,10 @@ class GuidanceConfigInterface {
             assistanceLevel: this.guidanceSystem.assistanceLevel,
             narrationEnabled: this.guidanceSystem.narrationEnabled,
             textInstructionsEnabled: this.guidanceSystem.textInstructionsEnabled,
-            highlightingEnabled: this.guidanceSystem.highlightingEnabled
+            highlightingEnabled: this.guidanceSystem.highlightingEnabled,
+            audioBeaconEnabled: this.guidanceSystem.audioBeaconEnabled,
+            wayfindingEnabled: this.guidanceSystem.wayfindingEnabled,
+            easyReadEnabled: this.guidanceSystem.easyReadEnabled
         };
         
         const dataStr = JSON.stringify(settings, null, 2);
@@ -549,7 +616,7 @@ class GuidanceConfigInterface {
         link.download = 'guidance-settings.json';
         link.click();
         
-        this.showNotification('Settings exported successfully', 'success');
+        this.showNotification(this.t('guidanceConfig.notifications.exported'), 'success');
     }
     
     importSettings() {
@@ -565,9 +632,9 @@ class GuidanceConfigInterface {
                     try {
                         const settings = JSON.parse(e.target.result);
                         this.applyImportedSettings(settings);
-                        this.showNotification('Settings imported successfully', 'success');
+                        this.showNotification(this.t('guidanceConfig.notifications.imported'), 'success');
                     } catch (error) {
-                        this.showNotification('Failed to import settings', 'error');
+                        this.showNotification(this.t('guidanceConfig.notifications.importFailed'), 'error');
                     }
                 };
                 reader.readAsText(file);
@@ -593,6 +660,15 @@ class GuidanceConfigInterface {
         if (typeof settings.highlightingEnabled === 'boolean') {
             this.guidanceSystem.highlightingEnabled = settings.highlightingEnabled;
         }
+        if (typeof settings.audioBeaconEnabled === 'boolean') {
+            this.guidanceSystem.setAudioBeaconEnabled(settings.audioBeaconEnabled);
+        }
+        if (typeof settings.wayfindingEnabled === 'boolean') {
+            this.guidanceSystem.wayfindingEnabled = settings.wayfindingEnabled;
+        }
+        if (typeof settings.easyReadEnabled === 'boolean') {
+            this.guidanceSystem.easyReadEnabled = settings.easyReadEnabled;
+        }
         
         this.guidanceSystem.saveUserPreferences();
         this.updateDifficultySelection();
@@ -602,7 +678,7 @@ class GuidanceConfigInterface {
     
     saveSettings() {
         this.guidanceSystem.saveUserPreferences();
-        this.showNotification('Settings saved successfully!', 'success');
+        this.showNotification(this.t('common.settingsSaved'), 'success');
         this.closeConfigPanel();
     }
     
@@ -625,6 +701,13 @@ class GuidanceConfigInterface {
         
         document.body.appendChild(notification);
         
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(message, {
+                politeness: type === 'error' ? 'assertive' : 'polite',
+                source: 'guidanceConfig'
+            });
+        }
+        
         setTimeout(() => {
             notification.remove();
         }, 3000);
@@ -643,6 +726,14 @@ class GuidanceConfigInterface {
         document.addEventListener('taskStepCompleted', (event) => {
             this.updateStatus();
         });
+        
+        document.addEventListener('localeChanged', () => {
+            const button = document.getElementById('guidance-config-button');
+            if (button) {
+                button.innerHTML = `🎯 ${this.t('guidanceConfig.button')}`;
+            }
+            this.updateStatus();
+        });
     }
     
     updateStatus() {
@@ -653,6 +744,10 @@ class GuidanceConfigInterface {
             this.setupConfigEventListeners();
         }
     }
+    
+    t(key, params) {
+        return this.guidanceSystem.t(key, params);
+    }
 }
 
 // Export for module systems
@@ -0,0 +1,1187 @@
+/**
+ * Localization
+ * Message catalogs with per-locale bundles, locale fallback, pluralization and number formatting
+ */
+
+class Localization {
+    constructor(options = {}) {
+        this.options = {
+            defaultLocale: 'en',
+            ...options
+        };
+        
+        this.bundles = {};
+        this.locale = this.options.defaultLocale;
+        this.pluralRules = {};
+        this.numberFormats = {};
+        
+        this.init();
+    }
+    
+    init() {
+        this.addBundle('en', this.getEnglishMessages());
+        this.loadRegisteredBundles();
+        this.setupEventListeners();
+        this.setLocale(this.loadProfileLanguage(), { silent: true, force: true });
+        console.log('Localization initialized');
+    }
+    
+    setupEventListeners() {
+        // The user's profile is the source of truth for the selected language
+        ['profileCreated', 'profileUpdated', 'profileImported', 'profileReset'].forEach(eventName => {
+            document.addEventListener(eventName, (event) => {
+                const profile = event.detail && event.detail.profile;
+                if (profile && profile.preferences && profile.preferences.language) {
+                    this.setLocale(profile.preferences.language);
+                }
+            });
+        });
+    }
+    
+    // Locale files can load before or after this script
+    loadRegisteredBundles() {
+        const registered = window.localeBundles || {};
+        Object.entries(registered).forEach(([locale, messages]) => {
+            this.addBundle(locale, messages);
+        });
+    }
+    
+    loadProfileLanguage() {
+        try {
+            const saved = localStorage.getItem('userProfile');
+            if (saved) {
+                const profile = JSON.parse(saved);
+                if (profile.preferences && profile.preferences.language) {
+                    return profile.preferences.language;
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load profile language:', error);
+        }
+        return this.options.defaultLocale;
+    }
+    
+    // Bundles
+    addBundle(locale, messages) {
+        this.bundles[locale] = this.mergeMessages(this.bundles[locale] || {}, messages);
+    }
+    
+    mergeMessages(target, source) {
+        const merged = { ...target };
+        Object.entries(source).forEach(([key, value]) => {
+            merged[key] = this.isMessageGroup(value) && this.isMessageGroup(merged[key]) ?
+                this.mergeMessages(merged[key], value) :
+                value;
+        });
+        return merged;
+    }
+    
+    // Nested objects group keys; plural messages are objects with an `other` form
+    isMessageGroup(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && value.other === undefined;
+    }
+    
+    hasBundle(locale) {
+        return this.bundles[locale] !== undefined;
+    }
+    
+    getAvailableLocales() {
+        return Object.keys(this.bundles).map(locale => ({
+            code: locale,
+            name: this.lookup(locale, 'locale.name') || locale
+        }));
+    }
+    
+    // Locale selection
+    setLocale(locale, options = {}) {
+        const next = locale || this.options.defaultLocale;
+        if (next === this.locale && !options.force) return;
+        
+        const previous = this.locale;
+        this.locale = next;
+        
+        if (document.documentElement) {
+            document.documentElement.lang = next;
+        }
+        
+        if (!options.silent) {
+            this.emitEvent('localeChanged', { locale: next, previous: previous });
+        }
+    }
+    
+    getLocale() {
+        return this.locale;
+    }
+    
+    // 'ml-IN' -> ['ml-IN', 'ml', 'en']
+    getLocaleChain(locale = this.locale) {
+        const chain = [];
+        const parts = String(locale).split('-');
+        for (let i = parts.length; i > 0; i--) {
+            chain.push(parts.slice(0, i).join('-'));
+        }
+        chain.push(this.options.defaultLocale);
+        return chain.filter((candidate, index) => chain.indexOf(candidate) === index);
+    }
+    
+    // Lookup and formatting
+    t(key, params = {}, fallback) {
+        const chain = this.getLocaleChain();
+        for (let i = 0; i < chain.length; i++) {
+            const message = this.lookup(chain[i], key);
+            if (message !== undefined) {
+                return this.format(message, params, chain[i]);
+            }
+        }
+        
+        // Content that carries its own English text passes it as the fallback
+        if (fallback !== undefined) {
+            return this.format(fallback, params, this.options.defaultLocale);
+        }
+        
+        console.warn('Missing message:', key);
+        return key;
+    }
+    
+    has(key, locale = this.locale) {
+        return this.getLocaleChain(locale).some(candidate => this.lookup(candidate, key) !== undefined);
+    }
+    
+    lookup(locale, key) {
+        let node = this.bundles[locale];
+        const path = key.split('.');
+        
+        for (let i = 0; i < path.length; i++) {
+            if (node === null || typeof node !== 'object' || Array.isArray(node)) return undefined;
+            node = node[path[i]];
+        }
+        
+        if (node === undefined || this.isMessageGroup(node)) return undefined;
+        return node;
+    }
+    
+    // `locale` is the bundle the message came from and picks its plural forms;
+    // numbers are always formatted for the selected locale
+    format(message, params, locale) {
+        if (Array.isArray(message)) {
+            return message.map(item => this.format(item, params, locale));
+        }
+        
+        if (message !== null && typeof message === 'object') {
+            message = this.selectPluralForm(message, params.count, locale);
+        }
+        
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined || params[name] === null) return match;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+    
+    // Forms are keyed by Intl.PluralRules categories, with exact `=N` overrides
+    selectPluralForm(forms, count, locale) {
+        if (typeof count !== 'number') return forms.other;
+        
+        if (forms['=' + count] !== undefined) {
+            return forms['=' + count];
+        }
+        
+        const category = this.getPluralRules(locale).select(count);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+    
+    getPluralRules(locale) {
+        if (!this.pluralRules[locale]) {
+            try {
+                this.pluralRules[locale] = new Intl.PluralRules(locale);
+            } catch (error) {
+                this.pluralRules[locale] = new Intl.PluralRules(this.options.defaultLocale);
+            }
+        }
+        return this.pluralRules[locale];
+    }
+    
+    formatNumber(value, options = {}, locale = this.locale) {
+        if (typeof value !== 'number' || isNaN(value)) return String(value);
+        
+        const cacheKey = locale + JSON.stringify(options);
+        if (!this.numberFormats[cacheKey]) {
+            try {
+                this.numberFormats[cacheKey] = new Intl.NumberFormat(locale, options);
+            } catch (error) {
+                this.numberFormats[cacheKey] = new Intl.NumberFormat(this.options.defaultLocale, options);
+            }
+        }
+        return this.numberFormats[cacheKey].format(value);
+    }
+    
+    // `value` is already a percentage (e.g. 85.2 for 85.2%)
+    formatPercent(value, fractionDigits = 1) {
+        return this.formatNumber((value || 0) / 100, {
+            style: 'percent',
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        });
+    }
+    
+    formatDate(value, options = {}) {
+        try {
+            return new Date(value).toLocaleDateString(this.locale, options);
+        } catch (error) {
+            return new Date(value).toLocaleDateString();
+        }
+    }
+    
+    formatTime(value, options = {}) {
+        try {
+            return new Date(value).toLocaleTimeString(this.locale, options);
+        } catch (error) {
+            return new Date(value).toLocaleTimeString();
+        }
+    }
+    
+    // Speech
+    getSpeechLocale() {
+        return this.t('locale.speech');
+    }
+    
+    // Pick a synthesis voice for the current language; browsers fall back to
+    // their default voice (usually English) when only `lang` is set
+    prepareUtterance(utterance) {
+        const speechLocale = this.getSpeechLocale();
+        utterance.lang = speechLocale;
+        
+        if (typeof speechSynthesis === 'undefined') return utterance;
+        
+        const language = speechLocale.split('-')[0];
+        const voices = speechSynthesis.getVoices();
+        const voice = voices.find(v => v.lang === speechLocale) ||
+            voices.find(v => v.lang.replace('_', '-').split('-')[0] === language);
+        if (voice) {
+            utterance.voice = voice;
+        }
+        
+        return utterance;
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+    
+    // English source messages; task and device profile text carry their own
+    // English and are looked up with it as the fallback
+    getEnglishMessages() {
+        return {
+            locale: {
+                name: 'English',
+                speech: 'en-US'
+            },
+            common: {
+                active: '✓ Active',
+                cancel: 'Cancel',
+                saveSettings: 'Save Settings',
+                settingsSaved: 'Settings saved successfully!',
+                none: 'None',
+                points: '+{points} pts',
+                duration: {
+                    hours: '{hours}h {minutes}m',
+                    minutes: '{minutes}m {seconds}s',
+                    seconds: '{seconds}s'
+                },
+                options: {
+                    low: 'Low',
+                    medium: 'Medium',
+                    normal: 'Normal',
+                    high: 'High',
+                    small: 'Small',
+                    large: 'Large',
+                    'extra-large': 'Extra Large',
+                    slow: 'Slow',
+                    fast: 'Fast',
+                    visual: 'Visual',
+                    auditory: 'Auditory',
+                    kinesthetic: 'Kinesthetic',
+                    mixed: 'Mixed',
+                    minimal: 'Minimal',
+                    moderate: 'Moderate',
+                    extensive: 'Extensive'
+                }
+            },
+            guidance: {
+                instruction: 'Instruction',
+                hint: 'Hint',
+                progress: 'Task Progress',
+                stepsLeft: {
+                    '=0': 'All steps done',
+                    one: '{count} step left',
+                    other: '{count} steps left'
+                },
+                introDefault: 'Complete the following steps to finish this task.',
+                introLevels: 'Difficulty: {difficulty} | Assistance: {assistance}',
+                taskCompleted: 'Task Completed Successfully!',
+                stepCompleted: '✓ {name} Completed!',
+                deadline: {
+                    label: 'Time left',
+                    timeUp: 'Time is up',
+                    start: 'You have {time}.',
+                    remaining: '{time} left.',
+                    missed: 'Time is up. The deadline for this step has passed.',
+                    minutes: {
+                        one: '{count} minute',
+                        other: '{count} minutes'
+                    },
+                    seconds: {
+                        one: '{count} second',
+                        other: '{count} seconds'
+                    }
+                },
+                hazards: {
+                    closed: 'This way is closed. Find another way.',
+                    closedAlternative: 'This way is closed. Another one is open nearby.'
+                },
+                wayfinding: {
+                    straight: 'Go straight ahead, {distance}.',
+                    slightLeft: 'Bear left, {distance}.',
+                    slightRight: 'Bear right, {distance}.',
+                    left: 'Turn left, {distance}.',
+                    right: 'Turn right, {distance}.',
+                    turnAround: 'Turn around, {distance}.',
+                    arrive: 'You have arrived.',
+                    noRoute: 'No route to this place was found.',
+                    accessible: 'Taking the accessible route.',
+                    metres: {
+                        one: '{count} metre',
+                        other: '{count} metres'
+                    }
+                },
+                hintLevels: {
+                    none: 'No hint',
+                    cue: 'Cue',
+                    text: 'Text hint',
+                    narration: 'Spoken hint',
+                    highlight: 'Highlight and path'
+                },
+                history: {
+                    controls: 'Guidance controls',
+                    repeat: 'Repeat',
+                    repeatShortcut: 'Repeat the last instruction (R)',
+                    transcript: 'Transcript',
+                    transcriptShortcut: 'Show or hide the guidance transcript (T)',
+                    title: 'Guidance Transcript',
+                    close: 'Close transcript',
+                    empty: 'No guidance yet.',
+                    nothingToRepeat: 'There is no instruction to repeat yet.',
+                    types: {
+                        task: 'Task',
+                        instruction: 'Instruction',
+                        hint: 'Hint',
+                        wayfinding: 'Directions',
+                        success: 'Done',
+                        alert: 'Alert'
+                    }
+                },
+                pictograms: {
+                    door: 'Door',
+                    walk: 'Walk',
+                    look: 'Look',
+                    touch: 'Touch',
+                    left: 'Left',
+                    right: 'Right',
+                    wait: 'Wait',
+                    stop: 'Stop',
+                    help: 'Help',
+                    cart: 'Trolley',
+                    fruit: 'Fruit',
+                    vegetables: 'Vegetables',
+                    checkout: 'Checkout',
+                    money: 'Money',
+                    ticket: 'Ticket',
+                    train: 'Train',
+                    platform: 'Platform',
+                    clock: 'Time',
+                    teacher: 'Teacher',
+                    chair: 'Chair',
+                    book: 'Book',
+                    lesson: 'Lesson',
+                    bag: 'Bag',
+                    doctor: 'Doctor',
+                    bed: 'Bed',
+                    plane: 'Plane',
+                    wheelchair: 'Accessible'
+                },
+                difficulty: {
+                    easy: {
+                        name: 'Easy',
+                        description: 'Maximum assistance with clear guidance'
+                    },
+                    medium: {
+                        name: 'Medium',
+                        description: 'Balanced assistance with moderate guidance'
+                    },
+                    hard: {
+                        name: 'Hard',
+                        description: 'Minimal assistance for experienced users'
+                    }
+                },
+                assistance: {
+                    minimal: {
+                        name: 'Minimal',
+                        description: 'Basic highlighting only'
+                    },
+                    moderate: {
+                        name: 'Moderate',
+                        description: 'Highlighting with text instructions'
+                    },
+                    full: {
+                        name: 'Full',
+                        description: 'Complete guidance with narration'
+                    }
+                }
+            },
+            guidanceConfig: {
+                button: 'Guidance Settings',
+                title: 'Guidance Configuration',
+                currentStatus: 'Current Status',
+                status: 'Status',
+                active: 'Active',
+                inactive: 'Inactive',
+                currentTask: 'Current Task',
+                progress: 'Progress',
+                difficultyLevel: 'Difficulty Level',
+                assistanceLevel: 'Assistance Level',
+                featureToggles: 'Feature Toggles',
+                highlighting: 'Object Highlighting',
+                highlightingDescription: 'Highlight objects and areas for tasks',
+                textInstructions: 'Text Instructions',
+                textInstructionsDescription: 'Show text-based instructions for tasks',
+                narration: 'Voice Narration',
+                narrationDescription: 'Play audio narration for instructions',
+                audioBeacon: 'Audio Beacon',
+                audioBeaconDescription: 'Sound a beacon from the target that speeds up as you get closer',
+                wayfinding: 'Wayfinding',
+                wayfindingDescription: 'Show a route on the floor and narrate each turn to the target',
+                easyRead: 'Easy Read',
+                easyReadDescription: 'Short sentences with pictures for each step',
+                testGuidance: 'Test Guidance',
+                testDescription: 'Test the guidance system with a sample task to see how it works.',
+                testSampleTask: 'Test Sample Task',
+                stopGuidance: 'Stop Guidance',
+                quickActions: 'Quick Actions',
+                resetToDefaults: 'Reset to Defaults',
+                exportSettings: 'Export Settings',
+                importSettings: 'Import Settings',
+                notifications: {
+                    testStarted: 'Test task started!',
+                    stopped: 'Guidance stopped',
+                    reset: 'Settings reset to defaults',
+                    exported: 'Settings exported successfully',
+                    imported: 'Settings imported successfully',
+                    importFailed: 'Failed to import settings'
+                }
+            },
+            taskEditor: {
+                scenario: 'Scenario',
+                newTask: 'New Task',
+                loadPack: 'Load Task Pack',
+                savePack: 'Save Task Pack',
+                validate: 'Validate',
+                preview: 'Preview',
+                stopPreview: 'Stop Preview',
+                author: 'Author',
+                taskDetails: 'Task Details',
+                taskName: 'Task name',
+                description: 'Description',
+                difficulty: 'Difficulty',
+                difficulties: {
+                    easy: 'Easy',
+                    medium: 'Medium',
+                    hard: 'Hard'
+                },
+                steps: 'Steps',
+                addStep: 'Add',
+                moveUp: 'Up',
+                moveDown: 'Down',
+                deleteStep: 'Delete',
+                noSteps: 'This task has no steps yet. Add one to begin.',
+                stepDetails: 'Step Details',
+                stepName: 'Step name',
+                target: 'Target',
+                pickTarget: 'Pick in Scene',
+                cancelPick: 'Cancel',
+                pickPrompt: 'Click an object in the scene to make it the target. Press Escape to cancel.',
+                noTarget: 'No target',
+                instructions: 'Instructions',
+                narration: 'Narration',
+                narrationPlaceholder: 'Leave empty to read the instructions aloud',
+                hints: 'Hints (one per line)',
+                successMessage: 'Success message',
+                easyRead: 'Easy Read',
+                easyReadDescription: 'Short sentences shown instead of the text above when easy read is on. Empty fields use the text above.',
+                pictograms: 'Pictograms',
+                keptRules: 'Branches and completion conditions on this step are kept as they are.',
+                newTaskName: 'New Task',
+                newStepName: 'Step {number}',
+                valid: '✓ Task is valid',
+                invalid: '⚠️ {error}',
+                validWithWarnings: {
+                    one: '✓ Task is valid, with {count} easy-read warning',
+                    other: '✓ Task is valid, with {count} easy-read warnings'
+                },
+                easyReadWarnings: {
+                    missing: 'Step {step} has no easy-read instructions; the standard text will be shown',
+                    noPictograms: 'Step {step} easy-read text has no pictograms',
+                    unknownPictogram: 'Step {step} uses the unknown pictogram "{pictogram}"'
+                },
+                confirmDiscard: 'Discard unsaved changes to this task?',
+                notifications: {
+                    targetSet: 'Target set to {target}',
+                    noEntity: 'No object with an id was found there',
+                    sceneLoading: 'The scene is still loading',
+                    previewStarted: 'Preview started',
+                    previewFinished: 'Preview finished',
+                    previewStopped: 'Preview stopped',
+                    previewUnavailable: 'Preview is not available for this scenario',
+                    authorRequired: 'Enter an author before saving',
+                    saveFailed: 'Task pack did not pass validation',
+                    packMigrated: 'Task pack upgraded from version {version} and loaded',
+                    packSaved: 'Task pack saved',
+                    packLoaded: 'Task pack loaded',
+                    loadFailed: 'Failed to load task pack'
+                }
+            },
+            taskGenerator: {
+                variant: '(Variant {seed})',
+                items: {
+                    apples: 'apples',
+                    oranges: 'oranges',
+                    bananas: 'bananas',
+                    grapes: 'grapes',
+                    mangoes: 'mangoes',
+                    pears: 'pears',
+                    carrots: 'carrots',
+                    cucumbers: 'cucumbers',
+                    tomatoes: 'tomatoes',
+                    potatoes: 'potatoes',
+                    onions: 'onions',
+                    spinach: 'spinach'
+                },
+                shelves: {
+                    fruits: {
+                        name: 'fruits shelf',
+                        location: 'on the left side of the store'
+                    },
+                    vegetables: {
+                        name: 'vegetables shelf',
+                        location: 'on the right side of the store'
+                    }
+                },
+                grocery: {
+                    description: 'Your shopping list: {items}.',
+                    item: {
+                        name: 'Pick Up {item}',
+                        instructions: 'Find the {item} on the {shelf} and click the shelf to put them in your basket.',
+                        narration: 'Next on your list: {item}. Head to the {shelf}, {location}.',
+                        hints: ['The {shelf} is {location}', 'Check your list: you need {item}'],
+                        successMessage: 'Got the {item}! Tick them off your list.'
+                    }
+                },
+                railway: {
+                    description: 'Catch the {time} train to {destination}.',
+                    ticket: {
+                        name: 'Buy a Ticket to {destination}',
+                        instructions: 'Go to the ticket counter and buy a ticket to {destination}.',
+                        narration: 'You are travelling to {destination}. First, buy your ticket at the ticket counter.',
+                        hints: ['The yellow ticket counter is on the left, near the station building', 'Ask for a ticket to {destination}'],
+                        successMessage: 'You have a ticket to {destination}.'
+                    },
+                    board: {
+                        name: 'Find Your Train',
+                        instructions: 'Find the {time} train to {destination} on the departure board and read its platform.',
+                        narration: 'Look at the departure board. Find the train to {destination} leaving at {time}, and read its platform number.',
+                        hints: ['The departure board lists every train by time', 'Look for {destination} at {time}'],
+                        successMessage: 'The {time} train to {destination} leaves from platform {platform}.'
+                    },
+                    platform: {
+                        name: 'Go to Platform {platform}',
+                        instructions: 'Your train leaves soon! Go to platform {platform} and click its sign before the {time} train to {destination} departs.',
+                        narration: 'Hurry to platform {platform}, your train leaves soon. The blue platform signs are on the left of each platform.',
+                        hints: ['Platform signs are on the left of each platform', 'Your train leaves from platform {platform}'],
+                        successMessage: 'You are on platform {platform}. Your train to {destination} is on time.'
+                    },
+                    missed: {
+                        name: 'Ask About the Next Train',
+                        instructions: 'The {time} train to {destination} has left. Go back to the ticket counter and ask about the next train.',
+                        narration: 'Your train to {destination} has already left. That happens to everyone. Go back to the ticket counter and ask when the next train leaves.',
+                        hints: ['The ticket counter is near the station building', 'Ask about the next train to {destination}'],
+                        successMessage: 'The staff will help you catch the next train to {destination}.'
+                    }
+                }
+            },
+            deviceConfig: {
+                button: 'Device Settings',
+                title: 'Device Configuration',
+                inputProfile: 'Input Profile',
+                connectedDevices: 'Connected Devices',
+                connected: 'Connected',
+                notAvailable: 'Not Available',
+                activeDevices: 'Active Devices',
+                deviceInputs: 'Sends: {inputs}',
+                deviceConnected: '{device} connected',
+                deviceDisconnected: '{device} disconnected',
+                inputMapping: 'Input Mapping',
+                voiceControl: 'Voice Control',
+                startVoice: 'Start Voice Recognition',
+                stopVoice: 'Stop Voice Recognition',
+                voiceStarted: 'Voice recognition started',
+                voiceStopped: 'Voice recognition stopped',
+                accessibilitySettings: 'Accessibility Settings',
+                holdToActivate: 'Hold to activate (for limited mobility)',
+                scanningMode: 'Scanning mode (for switch devices)',
+                voiceFeedback: 'Voice feedback for interactions',
+                hapticFeedback: 'Haptic feedback (VR controllers)',
+                testInput: 'Test Input',
+                testDescription: 'Try different input methods to test your configuration:',
+                testPlaceholder: 'Click here or use your configured inputs to test...',
+                inputDetected: '{time}: {type} input detected',
+                voiceTest: {
+                    label: 'Type a voice command',
+                    try: 'Try',
+                    result: '{time}: "{transcript}" → {result}',
+                    statuses: {
+                        executed: 'ran {command}',
+                        confirm: '{command} is waiting for yes or no',
+                        cancelled: '{command} cancelled',
+                        unrecognized: 'not understood'
+                    }
+                },
+                remap: {
+                    customize: 'Create custom profile',
+                    import: 'Import profiles',
+                    export: 'Export custom profiles',
+                    newProfileName: 'My {name}',
+                    basedOn: 'Custom profile based on {name}',
+                    name: 'Profile name',
+                    captureFrom: 'Add inputs from',
+                    devices: {
+                        keyboard: 'Keyboard key',
+                        switch: 'Switch',
+                        gamepad: 'Gamepad button',
+                        voice: 'Voice phrase'
+                    },
+                    phrase: 'Phrase (or leave empty and say it)',
+                    phrasePlaceholder: 'e.g. walk on',
+                    add: 'Add',
+                    addFor: 'Add an input for {action}',
+                    remove: 'Remove {input} from {action}',
+                    capturePrompts: {
+                        keyboard: 'Press a key for {action}…',
+                        switch: 'Press a switch for {action}…',
+                        gamepad: 'Press a gamepad button for {action}…',
+                        voice: 'Say a phrase for {action}…'
+                    },
+                    captureTimedOut: 'Nothing was pressed or said. Try again.',
+                    typePhrase: 'Voice recognition is not available. Type the phrase instead.',
+                    added: '{input} now triggers {action}',
+                    removed: '{input} removed from {action}',
+                    inputLabels: {
+                        switch: 'Switch {number}',
+                        gamepad: 'Button {number}'
+                    },
+                    issuesTitle: 'Check these before using the profile',
+                    noIssues: 'Every action has an input and nothing overlaps',
+                    issues: {
+                        conflict: '{input} is assigned to more than one action: {actions}',
+                        reserved: '{input} is also used to {purpose}',
+                        scanning: '{input} is used by switch scanning in this profile, so it will not trigger its action',
+                        phraseOverlap: '{input} sounds like the voice command for {actions}',
+                        unreachable: 'Nothing triggers {actions}'
+                    },
+                    reservedKeys: {
+                        r: 'repeat the last instruction',
+                        t: 'open the guidance transcript',
+                        tab: 'move between controls'
+                    },
+                    saveProfile: 'Save profile',
+                    deleteProfile: 'Delete profile',
+                    confirmDelete: 'Delete the profile "{name}"?',
+                    notifications: {
+                        created: 'Custom profile created',
+                        saved: 'Profile saved',
+                        deleted: 'Profile deleted',
+                        nameRequired: 'Give the profile a name',
+                        exported: 'Custom profiles exported',
+                        imported: '{count} profiles imported',
+                        importFailed: 'This file does not contain input profiles'
+                    }
+                },
+                gamepad: {
+                    title: 'Joystick Calibration',
+                    description: 'Calibrate each joystick or gamepad so a resting stick stays still and small movements still count.',
+                    noneConnected: 'No joystick connected. Connect one and press any of its buttons.',
+                    calibrate: 'Calibrate',
+                    calibrated: 'Calibrated',
+                    notCalibrated: 'Not calibrated',
+                    stepOf: 'Step {step} of {total}',
+                    centerInstructions: 'Let go of the joystick so it rests in the middle, then select Start.',
+                    rangeInstructions: 'Select Start, then move the joystick slowly all the way around its edge for 5 seconds.',
+                    tuneInstructions: 'Adjust how the joystick responds. The dot shows where it points now.',
+                    start: 'Start',
+                    measuring: 'Measuring…',
+                    rangeTooSmall: 'The joystick barely moved. Select Start and push it all the way to the edges.',
+                    preview: 'Joystick position',
+                    deadZone: 'Dead zone',
+                    curve: 'Response curve',
+                    curves: {
+                        linear: 'Linear',
+                        gentle: 'Gentle (more control at low speed)',
+                        precise: 'Precise (most control at low speed)'
+                    },
+                    sensitivity: 'Sensitivity',
+                    invertY: 'Swap forward and backward',
+                    reset: 'Reset to defaults',
+                    save: 'Save calibration',
+                    saved: 'Joystick calibration saved',
+                    disconnected: 'The joystick was disconnected. Calibration stopped.'
+                },
+                gestures: {
+                    title: 'Gestures',
+                    description: 'Teach {profile} your own gestures: draw a stroke with a mouse, finger or pen, or move the device. Record a few examples of each, then choose what it does.',
+                    none: 'No gestures yet.',
+                    sources: {
+                        pointer: 'Drawn stroke',
+                        motion: 'Device movement'
+                    },
+                    examples: '{count} examples',
+                    actionFor: 'Action for {name}',
+                    record: 'Record example',
+                    delete: 'Delete',
+                    confirmDelete: 'Delete the gesture "{name}"?',
+                    name: 'Gesture name',
+                    namePlaceholder: 'e.g. Circle',
+                    source: 'Made by',
+                    action: 'Action',
+                    add: 'Add gesture',
+                    confidence: 'Required match',
+                    prompts: {
+                        pointer: 'Draw {name} now (example {number})…',
+                        motion: 'Make the {name} movement with the device now (example {number})…'
+                    },
+                    trainingTimedOut: 'No gesture was made. Try again.',
+                    exampleRecorded: 'Example {count} of {name} recorded.',
+                    consistency: 'It matches the earlier examples {percent}%.',
+                    resembles: 'It also looks like {name}; try making the two more different.',
+                    recordMore: 'Record at least 3 examples.',
+                    recognized: 'Recognized {name} ({percent}%)',
+                    rejected: 'Not recognized: closest is {name} ({percent}%)',
+                    notifications: {
+                        nameRequired: 'Give the gesture a name'
+                    }
+                },
+                tremor: {
+                    title: 'Tremor Filtering',
+                    description: 'Steadies the pointer, head tracking and motion sensors, and ignores presses that bounce. Changes apply straight away.',
+                    enabled: 'Filter tremor',
+                    method: 'Smoothing',
+                    methodOptions: {
+                        oneEuro: 'Adaptive: steady when slow, quick when fast',
+                        movingAverage: 'Average of recent movement',
+                        none: 'No smoothing'
+                    },
+                    followProfile: 'Match the movement accuracy in my profile ({accuracy}/10)',
+                    followProfileUnset: 'Match the movement accuracy in my profile (not set)',
+                    strength: 'Strength',
+                    velocityThreshold: 'Ignore very slow drift',
+                    clickStabilization: 'Keep clicks on target while the button is down',
+                    bounceKeys: 'Ignore repeated presses (bounce keys)',
+                    summary: 'Repeat presses within {bounce} ms are ignored; clicks stay on target within {radius} px.',
+                    summaryOff: 'Input is not filtered.'
+                },
+                scanning: {
+                    title: 'Switch Scanning',
+                    description: 'How the highlight moves through buttons and scene objects when you use one or two switches.',
+                    method: 'Scanning method',
+                    methodOptions: {
+                        automatic: 'Automatic: press to select',
+                        step: 'Step: switch 1 moves, switch 2 selects',
+                        inverse: 'Inverse: hold to move, release to select'
+                    },
+                    pattern: 'Scanning pattern',
+                    patternOptions: {
+                        linear: 'One item at a time',
+                        rowColumn: 'Rows, then items in the row',
+                        group: 'Groups, then items in the group'
+                    },
+                    audioCue: 'Sound for each item',
+                    audioCueOptions: {
+                        tone: 'Tone',
+                        speech: 'Spoken name',
+                        both: 'Tone and spoken name',
+                        none: 'None'
+                    },
+                    speed: 'Seconds per item',
+                    initialPause: 'Seconds on the first item',
+                    loops: 'Passes before scanning stops'
+                },
+                recording: {
+                    title: 'Session Recording',
+                    description: 'Record the inputs of a session with their timing and camera position, save them to a file, and replay them later in the same scenario to see where the replay differs.',
+                    start: 'Record',
+                    stop: 'Stop recording',
+                    save: 'Save file',
+                    load: 'Load file',
+                    replay: 'Replay',
+                    stopReplay: 'Stop replay',
+                    speed: 'Speed',
+                    restorePose: 'Restore the camera position before each input',
+                    statusEmpty: 'Nothing recorded yet.',
+                    statusRecording: 'Recording. Close this panel and use the scenario as usual.',
+                    statusReady: '{scenario}: {count} inputs over {seconds} s',
+                    statusReplaying: 'Replaying at {speed}×…',
+                    recordingStarted: 'Recording started',
+                    recordingStopped: 'Recording stopped: {count} inputs',
+                    reportClean: 'Replayed {replayed} of {total} inputs with no divergences.',
+                    reportDivergences: 'Replayed {replayed} of {total} inputs: {count} divergences.',
+                    reportMore: '…and {count} more',
+                    objectInput: 'click on {target}',
+                    divergence: {
+                        missing: '{time} s: expected {input}, which did not happen',
+                        unexpected: '{time} s: {input} happened, which is not in the recording',
+                        pose: '{time} s: the camera was {distance} m and {angle}° away from the recorded position',
+                        missingTarget: '{time} s: {target} is not in this scene',
+                        profile: 'Recorded with the {expected} profile, but {actual} is active'
+                    },
+                    notifications: {
+                        saved: 'Recording saved',
+                        loaded: 'Recording loaded',
+                        loadFailed: 'This file is not an input recording',
+                        otherScenario: 'This recording is of {scenario}; open that scenario to replay it'
+                    }
+                },
+                capabilities: {
+                    vrControllers: 'VR Controllers',
+                    motionCapture: 'Motion Capture',
+                    smartMobility: 'Smart Mobility',
+                    switchDevices: 'Switch Devices',
+                    eyeTracking: 'Eye Tracking',
+                    voiceControl: 'Voice Control'
+                },
+                devices: {
+                    'vr-controller': 'VR Controller',
+                    'smart-mobility': 'Smart Mobility Device',
+                    'switch-device': 'Switch Device'
+                },
+                actions: {
+                    move: {
+                        name: 'Movement',
+                        description: 'Navigate through the environment'
+                    },
+                    interact: {
+                        name: 'Interaction',
+                        description: 'Interact with objects and elements'
+                    },
+                    menu: {
+                        name: 'Menu',
+                        description: 'Open menus and settings'
+                    },
+                    voice: {
+                        name: 'Voice Control',
+                        description: 'Voice command activation'
+                    },
+                    moveForward: {
+                        name: 'Move forward'
+                    },
+                    moveBack: {
+                        name: 'Move back'
+                    },
+                    moveLeft: {
+                        name: 'Move left'
+                    },
+                    moveRight: {
+                        name: 'Move right'
+                    },
+                    select: {
+                        name: 'Select'
+                    },
+                    cancel: {
+                        name: 'Cancel'
+                    },
+                    help: {
+                        name: 'Help'
+                    }
+                }
+            },
+            switchScanning: {
+                row: 'Row {number}',
+                group: 'Group {number}',
+                sceneObjects: 'Objects in the scene'
+            },
+            voice: {
+                commandRecognized: 'Command recognized: {command}',
+                notUnderstood: 'Sorry, I did not understand "{transcript}". Say "what can I say" to hear the commands.',
+                cancelled: 'Cancelled',
+                confirmPrompts: {
+                    restart: 'Restart the scenario? Your progress will be lost. Say yes or no.',
+                    exit: 'Leave the scenario? Say yes or no.'
+                },
+                list: {
+                    title: 'What you can say',
+                    spoken: 'You can say: {commands}.',
+                    targets: 'Places you can name: {targets}.',
+                    close: 'Close'
+                },
+                // Phrases are matched loosely against the transcript: (a|b) are alternatives,
+                // [a] is optional, {count} is a number and {target} names an object in the scene
+                commands: {
+                    moveForward: ['(move|go|walk|step) (forward|ahead) [{count} (step|steps)]', '(move|go|walk|take) {count} (step|steps) forward', 'forward'],
+                    moveBack: ['(move|go|walk|step) (back|backward|backwards) [{count} (step|steps)]', '(move|go|walk|take) {count} (step|steps) back', 'back up'],
+                    moveLeft: ['(move|go|walk|step) left [{count} (step|steps)]', '(move|go|walk|take) {count} (step|steps) left'],
+                    moveRight: ['(move|go|walk|step) right [{count} (step|steps)]', '(move|go|walk|take) {count} (step|steps) right'],
+                    goTo: ['(go|walk|move|head|navigate) to {target}', 'take me to {target}', '(find|where is) {target}'],
+                    interact: ['interact', '(press|activate|use|open|pick up) [{target}]'],
+                    menu: ['[open|show] menu'],
+                    select: ['(select|choose) [{target}]'],
+                    cancel: ['cancel', 'never mind'],
+                    help: ['help', 'help me'],
+                    whatCanISay: ['what (can|do) i say', '[list|show] [voice] commands'],
+                    restart: ['restart [scenario|game]', 'start (again|over)'],
+                    exit: ['(exit|quit|leave) [scenario|game|store]']
+                },
+                examples: {
+                    moveForward: 'move forward three steps',
+                    moveBack: 'go back',
+                    moveLeft: 'move left',
+                    moveRight: 'move right two steps',
+                    goTo: 'go to the checkout',
+                    interact: 'press the door',
+                    menu: 'open menu',
+                    select: 'select fruits',
+                    cancel: 'cancel',
+                    help: 'help',
+                    whatCanISay: 'what can I say',
+                    restart: 'restart',
+                    exit: 'exit'
+                },
+                confirm: {
+                    yes: ['yes', 'yeah', 'yes please', 'do it', 'confirm', 'okay'],
+                    no: ['no', 'nope', 'no thanks', 'do not', 'stop']
+                },
+                numbers: ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'],
+                // Ignored wherever they are said
+                fillers: ['please', 'the', 'a', 'an', 'um', 'uh'],
+                // Extra names for scene objects, by entity id
+                targets: {
+                    checkoutCounter: ['checkout', 'till', 'cashier'],
+                    fruitsShelf: ['fruit', 'fruits', 'fruit shelf'],
+                    vegetablesShelf: ['vegetables', 'veggies', 'vegetable shelf'],
+                    entranceDoor: ['entrance', 'door', 'front door']
+                }
+            },
+            profileManager: {
+                button: 'Profile Manager',
+                title: 'Profile Manager',
+                tabs: {
+                    abilities: 'Abilities',
+                    preferences: 'Preferences',
+                    medical: 'Medical Info',
+                    analysis: 'Analysis'
+                },
+                abilities: {
+                    fineMotor: 'Fine Motor',
+                    grossMotor: 'Gross Motor',
+                    visual: 'Visual',
+                    auditory: 'Auditory',
+                    cognitive: 'Cognitive',
+                    attention: 'Attention',
+                    memory: 'Memory',
+                    processing: 'Processing'
+                },
+                physicalLimitations: 'Physical Limitations',
+                reachRange: 'Reach Range (cm)',
+                gripStrength: 'Grip Strength',
+                movementSpeed: 'Movement Speed',
+                endurance: 'Endurance',
+                languageSettings: 'Language',
+                language: 'Display and narration language',
+                visualPreferences: 'Visual Preferences',
+                contrastLevel: 'Contrast Level',
+                textSize: 'Text Size',
+                enableAnimations: 'Enable Animations',
+                auditoryPreferences: 'Auditory Preferences',
+                volumeLevel: 'Volume Level',
+                speechRate: 'Speech Rate',
+                enableNarration: 'Enable Narration',
+                enableSoundEffects: 'Enable Sound Effects',
+                learningProfile: 'Learning Profile',
+                learningStyle: 'Learning Style',
+                learningPace: 'Learning Pace',
+                complexityLevel: 'Complexity Level',
+                guidanceLevel: 'Guidance Level',
+                medicalInformation: 'Medical Information',
+                conditions: 'Medical Conditions',
+                conditionsPlaceholder: 'Enter medical conditions (one per line)',
+                medications: 'Medications',
+                medicationsPlaceholder: 'Enter medications (one per line)',
+                assistiveDevices: 'Assistive Devices',
+                assistiveDevicesPlaceholder: 'Enter assistive devices (one per line)',
+                restrictions: 'Activity Restrictions',
+                restrictionsPlaceholder: 'Enter activity restrictions (one per line)',
+                emergencyContact: 'Emergency Contact',
+                emergencyContactPlaceholder: 'Emergency contact information',
+                strengths: 'Strengths',
+                noStrengths: 'No significant strengths identified',
+                improvements: 'Areas for Improvement',
+                noWeaknesses: 'No significant weaknesses identified',
+                score: 'Score: {score}/10 ({level})',
+                recommendations: 'Recommendations',
+                noRecommendations: 'No specific recommendations at this time',
+                recommendationDetails: 'Priority: {priority} | Type: {type}',
+                riskFactors: 'Risk Factors',
+                noRiskFactors: 'No significant risk factors identified',
+                riskDetails: 'Severity: {severity} | Mitigation: {mitigation}'
+            },
+            progressDashboard: {
+                button: 'Progress Dashboard',
+                title: 'Progress Dashboard',
+                tabs: {
+                    overview: 'Overview',
+                    progress: 'Progress',
+                    achievements: 'Achievements',
+                    analytics: 'Analytics'
+                },
+                totalPoints: 'Total Points',
+                level: 'Level {level}',
+                currentLevel: 'Current Level',
+                badgesEarned: 'Badges Earned',
+                tasksCompleted: 'Tasks Completed',
+                progressOverTime: 'Progress Over Time',
+                recentActivity: 'Recent Activity',
+                taskCompletion: 'Task Completion',
+                skillDevelopment: 'Skill Development',
+                taskPerformance: 'Task Performance',
+                columns: {
+                    task: 'Task',
+                    completions: 'Completions',
+                    averageTime: 'Avg Time',
+                    successRate: 'Success Rate',
+                    points: 'Points',
+                    step: 'Step',
+                    attempts: 'Attempts',
+                    averageHelp: 'Avg Help Level',
+                    mostHelp: 'Most Help'
+                },
+                badgesEarnedCount: 'Badges Earned ({count})',
+                achievementsCount: 'Achievements ({count})',
+                allBadges: 'All Available Badges',
+                sessionAnalytics: 'Session Analytics',
+                totalSessions: 'Total Sessions',
+                totalPlayTime: 'Total Play Time',
+                averageSession: 'Average Session',
+                successRate: 'Success Rate',
+                interactionAnalytics: 'Interaction Analytics',
+                totalInteractions: 'Total Interactions',
+                errorRate: 'Error Rate',
+                retryRate: 'Retry Rate',
+                averageTaskTime: 'Avg Task Time',
+                performanceTrends: 'Performance Trends',
+                helpPerStep: 'Help Needed per Step',
+                noStepHelp: 'Complete a guided task to see how much help each step needed.',
+                session: 'Session {id}',
+                sessionSummary: {
+                    one: '{count} task • {duration}',
+                    other: '{count} tasks • {duration}'
+                },
+                charts: {
+                    pointsOverTime: 'Points Over Time',
+                    taskCompletions: 'Task Completions',
+                    sessions: 'Sessions',
+                    points: 'Points',
+                    tasksCompleted: 'Tasks Completed',
+                    tasksPerMinute: 'Tasks/Minute'
+                }
+            },
+            analyticsDashboard: {
+                button: 'Analytics Dashboard',
+                title: 'Analytics Dashboard',
+                ranges: {
+                    day: 'Last 24 Hours',
+                    week: 'Last 7 Days',
+                    month: 'Last 30 Days',
+                    all: 'All Time'
+                },
+                tabs: {
+                    overview: 'Overview',
+                    performance: 'Performance',
+                    accessibility: 'Accessibility',
+                    feedback: 'User Feedback',
+                    trends: 'Trends'
+                },
+                performance: 'Performance',
+                completion: 'Completion: {value}',
+                efficiency: 'Efficiency: {value} tasks/min',
+                accessibility: 'Accessibility',
+                score: 'Score: {value}',
+                level: 'Level: {level}',
+                feedback: 'Feedback',
+                total: 'Total: {count}',
+                averageDifficulty: 'Avg Difficulty: {value}/5',
+                sessions: 'Sessions',
+                duration: 'Duration: {duration}',
+                tasks: 'Tasks: {count}',
+                recentActivity: 'Recent Activity',
+                performanceTrends: 'Performance Trends',
+                taskCompletion: 'Task Completion',
+                detailedMetrics: 'Detailed Performance Metrics',
+                columns: {
+                    metric: 'Metric',
+                    current: 'Current',
+                    average: 'Average',
+                    trend: 'Trend'
+                },
+                complianceScore: 'Compliance Score',
+                wcagLevel: 'WCAG {level} Level',
+                recentViolations: 'Recent Violations',
+                noViolations: 'No recent violations',
+                unknownRule: 'Unknown Rule',
+                noDetails: 'No details available',
+                accessibilityMetrics: 'Accessibility Metrics',
+                feedbackDistribution: 'Feedback Distribution',
+                difficultyRatings: 'Difficulty Ratings',
+                feedbackSummary: 'Feedback Summary',
+                totalFeedback: 'Total Feedback',
+                averageDifficultyLabel: 'Avg Difficulty',
+                recentFeedback: 'Recent Feedback',
+                feedbackTypes: 'Feedback Types',
+                trendsOverTime: 'Performance Trends Over Time',
+                behavioralPatterns: 'Behavioral Patterns',
+                learningProgress: 'Learning Progress',
+                charts: {
+                    time: 'Time',
+                    activity: 'Activity',
+                    sessions: 'Sessions',
+                    score: 'Score',
+                    progress: 'Progress'
+                }
+            },
+            announcer: {
+                badgeEarned: 'Badge earned: {name}. {points} points.',
+                achievementEarned: 'Achievement unlocked: {name}. {points} points.',
+                levelUp: 'Level up! You are now level {level}, with {bonus} bonus points.',
+                hazards: {
+                    wetFloor: 'Caution: wet floor ahead.',
+                    closure: 'A way ahead has been closed.',
+                    other: 'Caution: hazard ahead.',
+                    cleared: 'A hazard has been cleared.'
+                }
+            }
+        };
+    }
+}
+
+// Create global instance
+window.Localization = Localization;
+window.localization = new Localization();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Localization;
+}
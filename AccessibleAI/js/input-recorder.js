@@ -0,0 +1,403 @@
+/**
+ * Input Recorder
+ * Records the input stream of a session with timestamps and camera pose into a portable
+ * file, and replays it in the same scenario, reporting where the replay diverges
+ */
+
+class InputRecorder {
+    constructor(inputHandler, options = {}) {
+        this.inputHandler = inputHandler;
+        this.options = {
+            maxEvents: 20000,           // Recording stops by itself at this many events
+            positionTolerance: 0.1,     // m the camera may be off before a replay reports it
+            rotationTolerance: 5,       // degrees
+            lookahead: 5,               // Events searched ahead when matching a replay to its recording
+            speeds: [1, 2, 4, 8],
+            ...options
+        };
+        
+        this.format = 'accessibleai-input-recording';
+        this.currentVersion = 1;
+        this.kinds = ['assistive', 'input', 'object'];
+        
+        this.state = 'idle';            // idle, recording or replaying
+        this.recording = null;          // Last recorded or loaded recording
+        this.events = [];               // Events of the recording or replay in progress
+        this.startedAt = 0;
+        this.depth = 0;                 // > 0 while an observed input is being handled
+        this.replayState = null;
+        this.lastReport = null;
+        
+        this.init();
+    }
+    
+    init() {
+        // Capture on window sees these before any module reacts to them
+        window.addEventListener('objectClicked', (event) => {
+            if (event.detail && event.detail.id) {
+                this.observe({ kind: 'object', target: event.detail.id });
+            }
+        }, true);
+        
+        console.log('Input Recorder initialized');
+    }
+    
+    // Observation
+    // Called by AssistiveDeviceManager.triggerInput and AdaptiveInputHandler.processInput
+    // around the synchronous handling of their input
+    handle(entry, callback) {
+        this.observe(entry);
+        
+        this.depth++;
+        try {
+            callback();
+        } finally {
+            this.depth--;
+        }
+    }
+    
+    // Events that happen while another observed input is being handled are its
+    // consequences: kept to check a replay against, but not replayed themselves
+    observe(entry) {
+        if (this.state === 'idle') return;
+        
+        const timestamp = Date.now();
+        const event = {
+            t: this.state === 'replaying'
+                ? Math.round((timestamp - this.startedAt) * this.replayState.speed)
+                : timestamp - this.startedAt,
+            ...this.serialize(entry)
+        };
+        if (this.depth > 0) {
+            event.derived = true;
+        } else {
+            event.pose = this.getPose();
+        }
+        
+        this.events.push(event);
+        if (this.state === 'recording' && this.events.length >= this.options.maxEvents) {
+            this.stop();
+        }
+    }
+    
+    // Values are stored as JSON, so a replay compares what a file can hold
+    serialize(entry) {
+        const copy = {};
+        Object.entries(entry).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                copy[key] = JSON.parse(JSON.stringify(value));
+            }
+        });
+        return copy;
+    }
+    
+    // Recording
+    start() {
+        if (this.state !== 'idle') return false;
+        
+        this.state = 'recording';
+        this.events = [];
+        this.startedAt = Date.now();
+        this.recordedAt = new Date().toISOString();
+        this.recordedProfile = this.inputHandler.deviceManager.currentProfile;
+        
+        this.emitEvent('inputRecordingStarted', { scenario: this.getScenario() });
+        return true;
+    }
+    
+    stop() {
+        if (this.state === 'replaying') {
+            this.stopReplay();
+            return this.recording;
+        }
+        if (this.state !== 'recording') return this.recording;
+        
+        this.state = 'idle';
+        this.recording = {
+            format: this.format,
+            version: this.currentVersion,
+            scenario: this.getScenario(),
+            profile: this.recordedProfile,
+            recordedAt: this.recordedAt,
+            duration: Date.now() - this.startedAt,
+            events: this.events
+        };
+        this.events = [];
+        
+        this.emitEvent('inputRecordingStopped', { recording: this.recording });
+        return this.recording;
+    }
+    
+    isRecording() {
+        return this.state === 'recording';
+    }
+    
+    isReplaying() {
+        return this.state === 'replaying';
+    }
+    
+    // Files
+    export(recording = this.recording) {
+        return JSON.stringify(recording, null, 2);
+    }
+    
+    load(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new Error('Not an input recording');
+        }
+        
+        if (!data || data.format !== this.format || !Array.isArray(data.events)) {
+            throw new Error('Not an input recording');
+        }
+        if (data.version !== this.currentVersion) {
+            throw new Error(`Unsupported input recording version ${data.version}`);
+        }
+        
+        const invalid = data.events.findIndex(event =>
+            !event || typeof event.t !== 'number' || !this.kinds.includes(event.kind)
+        );
+        if (invalid !== -1) {
+            throw new Error(`Invalid event at events[${invalid}]`);
+        }
+        
+        this.recording = data;
+        return data;
+    }
+    
+    // Replay
+    // Sends the recording's events again at their recorded times, divided by speed.
+    // restorePose puts the camera back where it was before each event, so one
+    // divergence does not throw off everything after it. Resolves to the report
+    replay(recording = this.recording, options = {}) {
+        if (!recording) {
+            return Promise.reject(new Error('No input recording to replay'));
+        }
+        if (recording.scenario !== this.getScenario()) {
+            return Promise.reject(new Error(`The recording is of ${recording.scenario}, not ${this.getScenario()}`));
+        }
+        if (this.state !== 'idle') {
+            return Promise.reject(new Error('Recording or replay already in progress'));
+        }
+        
+        const settings = { speed: 1, restorePose: true, ...options };
+        const sources = recording.events.filter(event => !event.derived);
+        const replay = {
+            recording,
+            speed: settings.speed,
+            restorePose: settings.restorePose,
+            sources,
+            index: 0,
+            divergences: [],
+            skipped: new Set(),         // Events that could not be sent, already reported
+            timer: null,
+            resolve: null
+        };
+        
+        const profile = this.inputHandler.deviceManager.currentProfile;
+        if (recording.profile && recording.profile !== profile) {
+            replay.divergences.push({ kind: 'profile', t: 0, expected: recording.profile, actual: profile });
+        }
+        
+        this.state = 'replaying';
+        this.replayState = replay;
+        this.events = [];
+        this.startedAt = Date.now();
+        
+        // The replay starts where the recording did
+        if (sources.length > 0 && sources[0].pose) {
+            this.setPose(sources[0].pose);
+        }
+        this.emitEvent('inputReplayStarted', { scenario: recording.scenario, speed: replay.speed });
+        
+        const runNext = () => {
+            if (this.replayState !== replay) return;
+            
+            if (replay.index >= sources.length) {
+                this.finishReplay(true);
+                return;
+            }
+            
+            const event = sources[replay.index];
+            const elapsed = (Date.now() - this.startedAt) * replay.speed;
+            replay.timer = setTimeout(() => {
+                replay.timer = null;
+                replay.index++;
+                this.replayEvent(event, replay);
+                runNext();
+            }, Math.max(0, (event.t - elapsed) / replay.speed));
+        };
+        
+        return new Promise(resolve => {
+            replay.resolve = resolve;
+            runNext();
+        });
+    }
+    
+    replayEvent(event, replay) {
+        if (event.pose) {
+            const drift = this.comparePose(event.pose, this.getPose());
+            if (drift) {
+                replay.divergences.push({ kind: 'pose', t: event.t, ...drift });
+            }
+            if (replay.restorePose) {
+                this.setPose(event.pose);
+            }
+        }
+        
+        if (event.kind === 'assistive') {
+            this.inputHandler.deviceManager.triggerInput(event.type, event.value, event.device || null);
+        } else if (event.kind === 'input') {
+            this.inputHandler.processInput(event.type, event.value);
+        } else if (event.kind === 'object') {
+            const element = document.getElementById(event.target);
+            if (!element) {
+                replay.divergences.push({ kind: 'missingTarget', t: event.t, expected: event });
+                replay.skipped.add(event);
+                return;
+            }
+            document.dispatchEvent(new CustomEvent('objectClicked', { detail: { element, id: event.target } }));
+        }
+    }
+    
+    stopReplay() {
+        if (this.state === 'replaying') {
+            this.finishReplay(false);
+        }
+    }
+    
+    finishReplay(completed) {
+        const replay = this.replayState;
+        if (replay.timer) {
+            clearTimeout(replay.timer);
+        }
+        
+        // Only the part that was replayed can be compared
+        const replayedUntil = completed ? Infinity : (Date.now() - this.startedAt) * replay.speed;
+        const expected = replay.recording.events.filter(event => event.t <= replayedUntil && !replay.skipped.has(event));
+        
+        const report = {
+            scenario: replay.recording.scenario,
+            speed: replay.speed,
+            completed,
+            replayed: replay.index,
+            total: replay.sources.length,
+            divergences: replay.divergences
+                .concat(this.compareEvents(expected, this.events))
+                .sort((a, b) => a.t - b.t)
+        };
+        
+        this.state = 'idle';
+        this.replayState = null;
+        this.events = [];
+        this.lastReport = report;
+        
+        this.emitEvent('inputReplayFinished', { report });
+        replay.resolve(report);
+    }
+    
+    // Walks both streams in order; an event with no match a few places ahead is missing,
+    // and whatever the replay produced in between is unexpected
+    compareEvents(expected, actual) {
+        const divergences = [];
+        const key = event => JSON.stringify([event.kind, event.type, event.value, event.target, event.device, Boolean(event.derived)]);
+        let next = 0;
+        
+        expected.forEach(event => {
+            const window = actual.slice(next, next + this.options.lookahead + 1);
+            const found = window.findIndex(candidate => key(candidate) === key(event));
+            if (found === -1) {
+                divergences.push({ kind: 'missing', t: event.t, expected: event });
+                return;
+            }
+            
+            window.slice(0, found).forEach(extra => {
+                divergences.push({ kind: 'unexpected', t: extra.t, actual: extra });
+            });
+            next += found + 1;
+        });
+        
+        actual.slice(next).forEach(extra => {
+            divergences.push({ kind: 'unexpected', t: extra.t, actual: extra });
+        });
+        return divergences;
+    }
+    
+    // Camera pose
+    // World position of the camera (m) and its rotation (degrees)
+    getPose() {
+        const scene = document.querySelector('a-scene');
+        const camera = scene && scene.camera;
+        if (!camera || !camera.el || typeof THREE === 'undefined') return null;
+        
+        const position = camera.getWorldPosition(new THREE.Vector3());
+        const rotation = camera.el.object3D.rotation;
+        const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+        return {
+            position: [position.x, position.y, position.z].map(value => round(value, 3)),
+            rotation: [rotation.x, rotation.y, rotation.z].map(value => round(THREE.MathUtils.radToDeg(value), 1))
+        };
+    }
+    
+    // Moves the rig so the camera lands on the recorded position, and turns the view
+    setPose(pose) {
+        const scene = document.querySelector('a-scene');
+        const camera = scene && scene.camera;
+        if (!camera || !camera.el || typeof THREE === 'undefined') return;
+        
+        const cameraEl = camera.el;
+        const rig = cameraEl.parentNode && cameraEl.parentNode !== scene ? cameraEl.parentNode : cameraEl;
+        const current = camera.getWorldPosition(new THREE.Vector3());
+        rig.object3D.position.x += pose.position[0] - current.x;
+        rig.object3D.position.y += pose.position[1] - current.y;
+        rig.object3D.position.z += pose.position[2] - current.z;
+        
+        const [x, y, z] = pose.rotation.map(value => THREE.MathUtils.degToRad(value));
+        const lookControls = cameraEl.components && cameraEl.components['look-controls'];
+        if (lookControls && lookControls.pitchObject && lookControls.yawObject) {
+            // look-controls would put its own rotation back on the next frame
+            lookControls.pitchObject.rotation.x = x;
+            lookControls.yawObject.rotation.y = y;
+        }
+        cameraEl.object3D.rotation.set(x, y, z);
+    }
+    
+    comparePose(expected, actual) {
+        if (!expected || !actual) return null;
+        
+        const distance = Math.hypot(...expected.position.map((value, i) => value - actual.position[i]));
+        const angle = Math.max(...expected.rotation.map((value, i) =>
+            Math.abs(((value - actual.rotation[i] + 540) % 360) - 180)
+        ));
+        if (distance <= this.options.positionTolerance && angle <= this.options.rotationTolerance) {
+            return null;
+        }
+        return {
+            distance: Math.round(distance * 100) / 100,
+            angle: Math.round(angle),
+            expected,
+            actual
+        };
+    }
+    
+    // The page's file name: 'grocery' for scenarios/grocery.html
+    getScenario() {
+        const file = window.location.pathname.split('/').pop() || 'index.html';
+        return file.replace(/\.html?$/, '');
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Make available globally
+window.InputRecorder = InputRecorder;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputRecorder;
+}
@@ -37,15 +37,15 @@ class InteractionMetrics {
     setupEventListeners() {
         // Listen for task events
         document.addEventListener('taskStarted', (event) => {
-            this.startTaskTracking(event.detail);
+            this.startTaskTracking(event.detail.task || event.detail);
         });
         
         document.addEventListener('taskCompleted', (event) => {
-            this.completeTaskTracking(event.detail);
+            this.completeTaskTracking(event.detail.task || event.detail);
         });
         
         document.addEventListener('taskStepCompleted', (event) => {
-            this.recordStepCompletion(event.detail);
+            this.recordStepCompletion(event.detail.step || event.detail);
         });
         
         // Listen for interaction events
@@ -70,6 +70,14 @@ class InteractionMetrics {
             this.recordRetry(event.detail);
         });
         
+        document.addEventListener('taskDeadlineMissed', (event) => {
+            this.recordDeadlineMissed(event.detail);
+        });
+        
+        document.addEventListener('hintEscalated', (event) => {
+            this.recordHintEscalation(event.detail);
+        });
+        
         // Listen for navigation events
         document.addEventListener('navigation', (event) => {
             this.recordNavigation(event.detail);
@@ -87,6 +95,7 @@ class InteractionMetrics {
             errors: 0,
             retries: 0,
             scenarios: [],
+            tasks: [],
             totalPoints: 0,
             badgesEarned: []
         };
@@ -125,9 +134,16 @@ class InteractionMetrics {
             interactions: 0,
             errors: 0,
             retries: 0,
+            deadlinesMissed: 0,
+            hintEscalations: 0,
+            // Highest hint level reached on each step, by step name (0 = no hint)
+            stepHelp: {},
             success: false,
             difficulty: task.difficulty || 'medium',
-            assistanceLevel: task.assistanceLevel || 'moderate'
+            assistanceLevel: task.assistanceLevel || 'moderate',
+            // Generated variants can be replayed from their template and seed
+            template: task.template || null,
+            seed: task.seed !== undefined ? task.seed : null
         };
         
         this.taskStartTime = Date.now();
@@ -166,6 +182,12 @@ class InteractionMetrics {
             // Calculate points and badges
             this.calculateTaskRewards();
             
+            // Keep the finished task with its session for per-scenario metrics
+            if (this.currentSession) {
+                this.currentSession.tasks = this.currentSession.tasks || [];
+                this.currentSession.tasks.push(this.currentTask);
+            }
+            
             // Update averages
             this.updateAverages();
             
@@ -184,6 +206,9 @@ class InteractionMetrics {
     recordStepCompletion(step) {
         if (this.currentTask) {
             this.currentTask.stepsCompleted++;
+            if (this.currentTask.stepHelp[step.name] === undefined) {
+                this.currentTask.stepHelp[step.name] = 0;
+            }
             this.recordInteraction('step_completion', {
                 step: step.name,
                 task: this.currentTask.name,
@@ -243,6 +268,41 @@ class InteractionMetrics {
         this.emitEvent('errorRecorded', errorRecord);
     }
     
+    // A missed deadline counts as an error on the step that had it
+    recordDeadlineMissed(detail) {
+        if (this.currentTask) {
+            this.currentTask.deadlinesMissed++;
+        }
+        
+        this.recordError({
+            type: 'deadline_missed',
+            message: `Missed the deadline for ${detail.step ? detail.step.name : 'a step'}`,
+            context: {
+                step: detail.step ? detail.step.name : null,
+                deadline: detail.deadline,
+                scaledDeadline: detail.scaledDeadline
+            }
+        });
+    }
+    
+    recordHintEscalation(detail) {
+        if (!this.currentTask || !detail.step) return;
+        
+        const stepName = detail.step.name;
+        this.currentTask.hintEscalations++;
+        this.currentTask.stepHelp[stepName] = Math.max(this.currentTask.stepHelp[stepName] || 0, detail.level);
+        
+        this.emitEvent('hintRecorded', {
+            task: this.currentTask.name,
+            step: stepName,
+            level: detail.level,
+            rung: detail.rung,
+            trigger: detail.trigger,
+            timeOnStep: detail.timeOnStep,
+            timestamp: Date.now()
+        });
+    }
+    
     recordRetry(retry) {
         const retryRecord = {
             type: retry.type || 'task_retry',
@@ -444,7 +504,7 @@ class InteractionMetrics {
     isFirstCompletion(taskName) {
         return !this.metrics.sessions.some(session => 
             session.tasksCompleted > 0 && 
-            session.tasks.some(task => task.name === taskName && task.success)
+            (session.tasks || []).some(task => task.name === taskName && task.success)
         );
     }
     
@@ -461,7 +521,7 @@ class InteractionMetrics {
     
     getTaskMetrics(taskName) {
         const taskSessions = this.metrics.sessions.filter(session => 
-            session.tasks.some(task => task.name === taskName)
+            (session.tasks || []).some(task => this.matchesTask(task, taskName))
         );
         
         return {
@@ -473,6 +533,30 @@ class InteractionMetrics {
         };
     }
     
+    // How much help each step of a task needed over its completed attempts
+    getStepHelp(taskName) {
+        const steps = {};
+        
+        this.metrics.sessions
+            .flatMap(session => session.tasks || [])
+            .filter(task => this.matchesTask(task, taskName) && task.stepHelp)
+            .forEach(task => {
+                Object.entries(task.stepHelp).forEach(([stepName, level]) => {
+                    const entry = steps[stepName] || (steps[stepName] = { attempts: 0, totalLevel: 0, highestLevel: 0 });
+                    entry.attempts++;
+                    entry.totalLevel += level;
+                    entry.highestLevel = Math.max(entry.highestLevel, level);
+                });
+            });
+        
+        return Object.entries(steps).map(([step, entry]) => ({
+            step,
+            attempts: entry.attempts,
+            averageLevel: entry.totalLevel / entry.attempts,
+            highestLevel: entry.highestLevel
+        }));
+    }
+    
     getSessionMetrics(sessionId) {
         return this.metrics.sessions.find(session => session.id === sessionId);
     }
@@ -494,10 +578,15 @@ class InteractionMetrics {
         };
     }
     
+    // Tasks can be looked up by display name or by scenario id (e.g. 'classroom')
+    matchesTask(task, taskName) {
+        return task.name === taskName || task.scenario === taskName;
+    }
+    
     calculateAverageTaskTime(taskName) {
         const taskTimes = this.metrics.sessions
-            .flatMap(session => session.tasks)
-            .filter(task => task.name === taskName && task.success)
+            .flatMap(session => session.tasks || [])
+            .filter(task => this.matchesTask(task, taskName) && task.success)
             .map(task => task.duration);
         
         return taskTimes.length > 0 ? 
@@ -506,8 +595,8 @@ class InteractionMetrics {
     
     calculateTaskSuccessRate(taskName) {
         const taskAttempts = this.metrics.sessions
-            .flatMap(session => session.tasks)
-            .filter(task => task.name === taskName);
+            .flatMap(session => session.tasks || [])
+            .filter(task => this.matchesTask(task, taskName));
         
         const successfulAttempts = taskAttempts.filter(task => task.success);
         
@@ -517,15 +606,15 @@ class InteractionMetrics {
     
     calculateTotalTaskPoints(taskName) {
         return this.metrics.sessions
-            .flatMap(session => session.tasks)
-            .filter(task => task.name === taskName && task.success)
+            .flatMap(session => session.tasks || [])
+            .filter(task => this.matchesTask(task, taskName) && task.success)
             .reduce((sum, task) => sum + (task.points || 0), 0);
     }
     
     getTaskBadges(taskName) {
         const taskBadges = this.metrics.sessions
-            .flatMap(session => session.tasks)
-            .filter(task => task.name === taskName && task.success)
+            .flatMap(session => session.tasks || [])
+            .filter(task => this.matchesTask(task, taskName) && task.success)
             .flatMap(task => task.badges || []);
         
         return [...new Set(taskBadges)];
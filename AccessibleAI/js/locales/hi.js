@@ -0,0 +1,1238 @@
+/**
+ * Hindi Locale Bundle
+ * Hindi (हिन्दी) messages for the UI, guided tasks, device profiles and voice commands
+ */
+
+window.localeBundles = window.localeBundles || {};
+
+window.localeBundles.hi = {
+    locale: {
+        name: 'हिन्दी',
+        speech: 'hi-IN'
+    },
+    common: {
+        active: '✓ सक्रिय',
+        cancel: 'रद्द करें',
+        saveSettings: 'सेटिंग्स सहेजें',
+        settingsSaved: 'सेटिंग्स सफलतापूर्वक सहेजी गईं!',
+        none: 'कोई नहीं',
+        points: '+{points} अंक',
+        duration: {
+            hours: '{hours} घं {minutes} मि',
+            minutes: '{minutes} मि {seconds} से',
+            seconds: '{seconds} से'
+        },
+        options: {
+            low: 'कम',
+            medium: 'मध्यम',
+            normal: 'सामान्य',
+            high: 'उच्च',
+            small: 'छोटा',
+            large: 'बड़ा',
+            'extra-large': 'बहुत बड़ा',
+            slow: 'धीमा',
+            fast: 'तेज़',
+            visual: 'दृश्य',
+            auditory: 'श्रव्य',
+            kinesthetic: 'क्रियात्मक',
+            mixed: 'मिश्रित',
+            minimal: 'न्यूनतम',
+            moderate: 'मध्यम',
+            extensive: 'विस्तृत'
+        }
+    },
+    guidance: {
+        instruction: 'निर्देश',
+        hint: 'संकेत',
+        progress: 'कार्य प्रगति',
+        stepsLeft: {
+            '=0': 'सभी चरण पूरे हुए',
+            one: '{count} चरण बाकी',
+            other: '{count} चरण बाकी'
+        },
+        introDefault: 'यह कार्य पूरा करने के लिए नीचे दिए गए चरण पूरे करें।',
+        introLevels: 'कठिनाई: {difficulty} | सहायता: {assistance}',
+        taskCompleted: 'कार्य सफलतापूर्वक पूरा हुआ!',
+        stepCompleted: '✓ {name} पूरा हुआ!',
+        deadline: {
+            label: 'बचा हुआ समय',
+            timeUp: 'समय समाप्त',
+            start: 'आपके पास {time} हैं।',
+            remaining: '{time} बाकी।',
+            missed: 'समय समाप्त। इस चरण की समय-सीमा निकल गई।',
+            minutes: {
+                one: '{count} मिनट',
+                other: '{count} मिनट'
+            },
+            seconds: {
+                one: '{count} सेकंड',
+                other: '{count} सेकंड'
+            }
+        },
+        hazards: {
+            closed: 'यह रास्ता बंद है। कोई दूसरा रास्ता खोजें।',
+            closedAlternative: 'यह रास्ता बंद है। पास में एक और खुला है।'
+        },
+        wayfinding: {
+            straight: 'सीधे आगे चलें, {distance}।',
+            slightLeft: 'हल्का बाएँ चलें, {distance}।',
+            slightRight: 'हल्का दाएँ चलें, {distance}।',
+            left: 'बाएँ मुड़ें, {distance}।',
+            right: 'दाएँ मुड़ें, {distance}।',
+            turnAround: 'पीछे मुड़ें, {distance}।',
+            arrive: 'आप पहुँच गए हैं।',
+            noRoute: 'इस जगह तक कोई रास्ता नहीं मिला।',
+            accessible: 'सुलभ रास्ता लिया जा रहा है।',
+            metres: {
+                one: '{count} मीटर',
+                other: '{count} मीटर'
+            }
+        },
+        hintLevels: {
+            none: 'कोई संकेत नहीं',
+            cue: 'इशारा',
+            text: 'लिखित संकेत',
+            narration: 'बोला गया संकेत',
+            highlight: 'हाइलाइट और रास्ता'
+        },
+        history: {
+            controls: 'मार्गदर्शन नियंत्रण',
+            repeat: 'दोहराएँ',
+            repeatShortcut: 'पिछला निर्देश दोहराएँ (R)',
+            transcript: 'प्रतिलेख',
+            transcriptShortcut: 'मार्गदर्शन प्रतिलेख दिखाएँ या छिपाएँ (T)',
+            title: 'मार्गदर्शन प्रतिलेख',
+            close: 'प्रतिलेख बंद करें',
+            empty: 'अभी तक कोई मार्गदर्शन नहीं।',
+            nothingToRepeat: 'दोहराने के लिए अभी कोई निर्देश नहीं है।',
+            types: {
+                task: 'कार्य',
+                instruction: 'निर्देश',
+                hint: 'संकेत',
+                wayfinding: 'दिशा',
+                success: 'पूरा हुआ',
+                alert: 'चेतावनी'
+            }
+        },
+        pictograms: {
+            door: 'दरवाज़ा',
+            walk: 'चलें',
+            look: 'देखें',
+            touch: 'छुएँ',
+            left: 'बाएँ',
+            right: 'दाएँ',
+            wait: 'इंतज़ार करें',
+            stop: 'रुकें',
+            help: 'मदद',
+            cart: 'ट्रॉली',
+            fruit: 'फल',
+            vegetables: 'सब्ज़ियाँ',
+            checkout: 'भुगतान काउंटर',
+            money: 'पैसे',
+            ticket: 'टिकट',
+            train: 'ट्रेन',
+            platform: 'प्लेटफ़ॉर्म',
+            clock: 'समय',
+            teacher: 'शिक्षक',
+            chair: 'कुर्सी',
+            book: 'किताब',
+            lesson: 'पाठ',
+            bag: 'बैग',
+            doctor: 'डॉक्टर',
+            bed: 'बिस्तर',
+            plane: 'हवाई जहाज़',
+            wheelchair: 'सुगम'
+        },
+        difficulty: {
+            easy: {
+                name: 'आसान',
+                description: 'स्पष्ट मार्गदर्शन के साथ अधिकतम सहायता'
+            },
+            medium: {
+                name: 'मध्यम',
+                description: 'संतुलित सहायता और मध्यम मार्गदर्शन'
+            },
+            hard: {
+                name: 'कठिन',
+                description: 'अनुभवी उपयोगकर्ताओं के लिए न्यूनतम सहायता'
+            }
+        },
+        assistance: {
+            minimal: {
+                name: 'न्यूनतम',
+                description: 'केवल मूल हाइलाइटिंग'
+            },
+            moderate: {
+                name: 'मध्यम',
+                description: 'लिखित निर्देशों के साथ हाइलाइटिंग'
+            },
+            full: {
+                name: 'पूर्ण',
+                description: 'वाचन सहित पूरा मार्गदर्शन'
+            }
+        }
+    },
+    guidanceConfig: {
+        button: 'मार्गदर्शन सेटिंग्स',
+        title: 'मार्गदर्शन विन्यास',
+        currentStatus: 'वर्तमान स्थिति',
+        status: 'स्थिति',
+        active: 'सक्रिय',
+        inactive: 'निष्क्रिय',
+        currentTask: 'वर्तमान कार्य',
+        progress: 'प्रगति',
+        difficultyLevel: 'कठिनाई स्तर',
+        assistanceLevel: 'सहायता स्तर',
+        featureToggles: 'सुविधाएँ चालू/बंद',
+        highlighting: 'वस्तु हाइलाइटिंग',
+        highlightingDescription: 'कार्यों के लिए वस्तुओं और स्थानों को हाइलाइट करें',
+        textInstructions: 'लिखित निर्देश',
+        textInstructionsDescription: 'कार्यों के लिए लिखित निर्देश दिखाएँ',
+        narration: 'आवाज़ में वाचन',
+        narrationDescription: 'निर्देशों को आवाज़ में सुनाएँ',
+        audioBeacon: 'ऑडियो बीकन',
+        audioBeaconDescription: 'लक्ष्य से बीकन की आवाज़ चलाएँ जो पास आने पर तेज़ होती जाए',
+        wayfinding: 'रास्ता दिखाना',
+        wayfindingDescription: 'फ़र्श पर रास्ता दिखाएँ और लक्ष्य तक हर मोड़ बोलकर बताएँ',
+        easyRead: 'आसान भाषा',
+        easyReadDescription: 'हर चरण के लिए छोटे वाक्य और चित्र',
+        testGuidance: 'मार्गदर्शन आज़माएँ',
+        testDescription: 'यह देखने के लिए कि मार्गदर्शन कैसे काम करता है, एक नमूना कार्य आज़माएँ।',
+        testSampleTask: 'नमूना कार्य आज़माएँ',
+        stopGuidance: 'मार्गदर्शन रोकें',
+        quickActions: 'त्वरित क्रियाएँ',
+        resetToDefaults: 'डिफ़ॉल्ट पर लौटें',
+        exportSettings: 'सेटिंग्स निर्यात करें',
+        importSettings: 'सेटिंग्स आयात करें',
+        notifications: {
+            testStarted: 'नमूना कार्य शुरू हुआ!',
+            stopped: 'मार्गदर्शन रोका गया',
+            reset: 'सेटिंग्स डिफ़ॉल्ट पर लौटाई गईं',
+            exported: 'सेटिंग्स सफलतापूर्वक निर्यात हुईं',
+            imported: 'सेटिंग्स सफलतापूर्वक आयात हुईं',
+            importFailed: 'सेटिंग्स आयात नहीं हो सकीं'
+        }
+    },
+    taskEditor: {
+        scenario: 'परिदृश्य',
+        newTask: 'नया कार्य',
+        loadPack: 'कार्य पैक खोलें',
+        savePack: 'कार्य पैक सहेजें',
+        validate: 'जाँचें',
+        preview: 'पूर्वावलोकन',
+        stopPreview: 'पूर्वावलोकन रोकें',
+        author: 'लेखक',
+        taskDetails: 'कार्य विवरण',
+        taskName: 'कार्य का नाम',
+        description: 'विवरण',
+        difficulty: 'कठिनाई',
+        difficulties: {
+            easy: 'आसान',
+            medium: 'मध्यम',
+            hard: 'कठिन'
+        },
+        steps: 'चरण',
+        addStep: 'जोड़ें',
+        moveUp: 'ऊपर',
+        moveDown: 'नीचे',
+        deleteStep: 'हटाएँ',
+        noSteps: 'इस कार्य में अभी कोई चरण नहीं है। शुरू करने के लिए एक चरण जोड़ें।',
+        stepDetails: 'चरण विवरण',
+        stepName: 'चरण का नाम',
+        target: 'लक्ष्य',
+        pickTarget: 'दृश्य में चुनें',
+        cancelPick: 'रद्द करें',
+        pickPrompt: 'लक्ष्य बनाने के लिए दृश्य में किसी वस्तु पर क्लिक करें। रद्द करने के लिए Escape दबाएँ।',
+        noTarget: 'कोई लक्ष्य नहीं',
+        instructions: 'निर्देश',
+        narration: 'वाचन',
+        narrationPlaceholder: 'निर्देशों को ही पढ़कर सुनाने के लिए खाली छोड़ें',
+        hints: 'संकेत (हर पंक्ति में एक)',
+        successMessage: 'सफलता संदेश',
+        easyRead: 'आसान भाषा',
+        easyReadDescription: 'आसान भाषा चालू होने पर ऊपर के पाठ की जगह दिखाए जाने वाले छोटे वाक्य। खाली फ़ील्ड में ऊपर का पाठ ही दिखता है।',
+        pictograms: 'चित्र-संकेत',
+        keptRules: 'इस चरण की शाखाएँ और पूर्णता शर्तें जैसी हैं वैसी ही रखी जाती हैं।',
+        newTaskName: 'नया कार्य',
+        newStepName: 'चरण {number}',
+        valid: '✓ कार्य सही है',
+        invalid: '⚠️ {error}',
+        validWithWarnings: {
+            one: '✓ कार्य सही है, आसान भाषा की {count} चेतावनी के साथ',
+            other: '✓ कार्य सही है, आसान भाषा की {count} चेतावनियों के साथ'
+        },
+        easyReadWarnings: {
+            missing: 'चरण {step} में आसान भाषा के निर्देश नहीं हैं; सामान्य पाठ दिखाया जाएगा',
+            noPictograms: 'चरण {step} के आसान भाषा पाठ में कोई चित्र-संकेत नहीं है',
+            unknownPictogram: 'चरण {step} में अज्ञात चित्र-संकेत "{pictogram}" है'
+        },
+        confirmDiscard: 'इस कार्य के बिना सहेजे बदलाव छोड़ दें?',
+        notifications: {
+            targetSet: 'लक्ष्य {target} पर सेट किया गया',
+            noEntity: 'वहाँ id वाली कोई वस्तु नहीं मिली',
+            sceneLoading: 'दृश्य अभी लोड हो रहा है',
+            previewStarted: 'पूर्वावलोकन शुरू हुआ',
+            previewFinished: 'पूर्वावलोकन पूरा हुआ',
+            previewStopped: 'पूर्वावलोकन रोका गया',
+            previewUnavailable: 'इस परिदृश्य के लिए पूर्वावलोकन उपलब्ध नहीं है',
+            authorRequired: 'सहेजने से पहले लेखक का नाम दर्ज करें',
+            saveFailed: 'कार्य पैक जाँच में सफल नहीं हुआ',
+            packMigrated: 'कार्य पैक संस्करण {version} से अपग्रेड करके खोला गया',
+            packSaved: 'कार्य पैक सहेजा गया',
+            packLoaded: 'कार्य पैक खोला गया',
+            loadFailed: 'कार्य पैक नहीं खुल सका'
+        }
+    },
+    taskGenerator: {
+        variant: '(संस्करण {seed})',
+        items: {
+            apples: 'सेब',
+            oranges: 'संतरे',
+            bananas: 'केले',
+            grapes: 'अंगूर',
+            mangoes: 'आम',
+            pears: 'नाशपाती',
+            carrots: 'गाजर',
+            cucumbers: 'खीरे',
+            tomatoes: 'टमाटर',
+            potatoes: 'आलू',
+            onions: 'प्याज़',
+            spinach: 'पालक'
+        },
+        shelves: {
+            fruits: {
+                name: 'फलों की शेल्फ़',
+                location: 'दुकान में बाईं ओर'
+            },
+            vegetables: {
+                name: 'सब्ज़ियों की शेल्फ़',
+                location: 'दुकान में दाईं ओर'
+            }
+        },
+        grocery: {
+            description: 'आपकी खरीदारी सूची: {items}।',
+            item: {
+                name: '{item} उठाएँ',
+                instructions: '{shelf} पर {item} खोजें और उन्हें टोकरी में रखने के लिए शेल्फ़ पर क्लिक करें।',
+                narration: 'आपकी सूची में अगला: {item}। {shelf} पर जाएँ, जो {location} है।',
+                hints: ['{shelf} {location} है', 'अपनी सूची देखें: आपको {item} चाहिए'],
+                successMessage: '{item} मिल गए! इन्हें अपनी सूची में से काट दें।'
+            }
+        },
+        railway: {
+            description: '{destination} जाने वाली {time} की ट्रेन पकड़ें।',
+            ticket: {
+                name: '{destination} का टिकट खरीदें',
+                instructions: 'टिकट काउंटर पर जाएँ और {destination} का टिकट खरीदें।',
+                narration: 'आप {destination} जा रहे हैं। सबसे पहले टिकट काउंटर से अपना टिकट खरीदें।',
+                hints: ['पीला टिकट काउंटर बाईं ओर, स्टेशन भवन के पास है', '{destination} का टिकट माँगें'],
+                successMessage: 'आपके पास {destination} का टिकट है।'
+            },
+            board: {
+                name: 'अपनी ट्रेन खोजें',
+                instructions: 'प्रस्थान बोर्ड पर {destination} जाने वाली {time} की ट्रेन खोजें और उसका प्लेटफ़ॉर्म पढ़ें।',
+                narration: 'प्रस्थान बोर्ड देखें। {time} बजे {destination} जाने वाली ट्रेन खोजें और उसका प्लेटफ़ॉर्म नंबर पढ़ें।',
+                hints: ['प्रस्थान बोर्ड पर हर ट्रेन समय के क्रम में लिखी है', '{time} पर {destination} देखें'],
+                successMessage: '{destination} जाने वाली {time} की ट्रेन प्लेटफ़ॉर्म {platform} से जाती है।'
+            },
+            platform: {
+                name: 'प्लेटफ़ॉर्म {platform} पर जाएँ',
+                instructions: 'आपकी ट्रेन जल्द ही छूटने वाली है! {destination} जाने वाली {time} की ट्रेन छूटने से पहले प्लेटफ़ॉर्म {platform} पर जाएँ और उसके संकेत पर क्लिक करें।',
+                narration: 'जल्दी से प्लेटफ़ॉर्म {platform} की ओर चलें, आपकी ट्रेन जल्द ही छूटेगी। नीले प्लेटफ़ॉर्म संकेत हर प्लेटफ़ॉर्म के बाईं ओर हैं।',
+                hints: ['प्लेटफ़ॉर्म संकेत हर प्लेटफ़ॉर्म के बाईं ओर हैं', 'आपकी ट्रेन प्लेटफ़ॉर्म {platform} से जाती है'],
+                successMessage: 'आप प्लेटफ़ॉर्म {platform} पर हैं। {destination} की आपकी ट्रेन समय पर है।'
+            },
+            missed: {
+                name: 'अगली ट्रेन के बारे में पूछें',
+                instructions: '{destination} जाने वाली {time} की ट्रेन छूट गई है। टिकट काउंटर पर वापस जाएँ और अगली ट्रेन के बारे में पूछें।',
+                narration: '{destination} की आपकी ट्रेन जा चुकी है। ऐसा किसी के साथ भी हो सकता है। टिकट काउंटर पर वापस जाएँ और पूछें कि अगली ट्रेन कब जाएगी।',
+                hints: ['टिकट काउंटर स्टेशन भवन के पास है', '{destination} की अगली ट्रेन के बारे में पूछें'],
+                successMessage: 'कर्मचारी {destination} की अगली ट्रेन पकड़ने में आपकी मदद करेंगे।'
+            }
+        }
+    },
+    deviceConfig: {
+        button: 'डिवाइस सेटिंग्स',
+        title: 'डिवाइस विन्यास',
+        inputProfile: 'इनपुट प्रोफ़ाइल',
+        connectedDevices: 'जुड़े हुए डिवाइस',
+        connected: 'जुड़ा हुआ',
+        notAvailable: 'उपलब्ध नहीं',
+        activeDevices: 'सक्रिय डिवाइस',
+        deviceInputs: 'भेजता है: {inputs}',
+        deviceConnected: '{device} कनेक्ट हुआ',
+        deviceDisconnected: '{device} डिस्कनेक्ट हुआ',
+        inputMapping: 'इनपुट मैपिंग',
+        voiceControl: 'आवाज़ नियंत्रण',
+        startVoice: 'आवाज़ पहचान शुरू करें',
+        stopVoice: 'आवाज़ पहचान बंद करें',
+        voiceStarted: 'आवाज़ पहचान शुरू हुई',
+        voiceStopped: 'आवाज़ पहचान बंद हुई',
+        accessibilitySettings: 'सुगम्यता सेटिंग्स',
+        holdToActivate: 'सक्रिय करने के लिए दबाए रखें (सीमित गतिशीलता के लिए)',
+        scanningMode: 'स्कैनिंग मोड (स्विच डिवाइस के लिए)',
+        voiceFeedback: 'क्रियाओं पर आवाज़ में प्रतिक्रिया',
+        hapticFeedback: 'कंपन प्रतिक्रिया (VR कंट्रोलर)',
+        testInput: 'इनपुट जाँचें',
+        testDescription: 'अपना विन्यास जाँचने के लिए अलग-अलग इनपुट तरीके आज़माएँ:',
+        testPlaceholder: 'जाँचने के लिए यहाँ क्लिक करें या अपने इनपुट का उपयोग करें...',
+        inputDetected: '{time}: {type} इनपुट मिला',
+        voiceTest: {
+            label: 'कोई आवाज़ आदेश लिखें',
+            try: 'आज़माएँ',
+            result: '{time}: "{transcript}" → {result}',
+            statuses: {
+                executed: '{command} चलाया गया',
+                confirm: '{command} हाँ या नहीं का इंतज़ार कर रहा है',
+                cancelled: '{command} रद्द किया गया',
+                unrecognized: 'समझ नहीं आया'
+            }
+        },
+        remap: {
+            customize: 'कस्टम प्रोफ़ाइल बनाएँ',
+            import: 'प्रोफ़ाइल आयात करें',
+            export: 'कस्टम प्रोफ़ाइल निर्यात करें',
+            newProfileName: 'मेरी {name}',
+            basedOn: '{name} पर आधारित कस्टम प्रोफ़ाइल',
+            name: 'प्रोफ़ाइल का नाम',
+            captureFrom: 'इनपुट जोड़ें',
+            devices: {
+                keyboard: 'कीबोर्ड कुंजी',
+                switch: 'स्विच',
+                gamepad: 'गेमपैड बटन',
+                voice: 'बोला गया वाक्यांश'
+            },
+            phrase: 'वाक्यांश (या खाली छोड़कर बोलें)',
+            phrasePlaceholder: 'जैसे चलते रहो',
+            add: 'जोड़ें',
+            addFor: '{action} के लिए इनपुट जोड़ें',
+            remove: '{action} से {input} हटाएँ',
+            capturePrompts: {
+                keyboard: '{action} के लिए कोई कुंजी दबाएँ…',
+                switch: '{action} के लिए कोई स्विच दबाएँ…',
+                gamepad: '{action} के लिए कोई गेमपैड बटन दबाएँ…',
+                voice: '{action} के लिए कोई वाक्यांश बोलें…'
+            },
+            captureTimedOut: 'कुछ दबाया या बोला नहीं गया। फिर से कोशिश करें।',
+            typePhrase: 'आवाज़ पहचान उपलब्ध नहीं है। वाक्यांश लिखें।',
+            added: 'अब {input} से {action} होगा',
+            removed: '{action} से {input} हटाया गया',
+            inputLabels: {
+                switch: 'स्विच {number}',
+                gamepad: 'बटन {number}'
+            },
+            issuesTitle: 'प्रोफ़ाइल इस्तेमाल करने से पहले इन्हें जाँचें',
+            noIssues: 'हर क्रिया का इनपुट है और कुछ भी टकराता नहीं',
+            issues: {
+                conflict: '{input} एक से अधिक क्रियाओं को दिया गया है: {actions}',
+                reserved: '{input} का उपयोग {purpose} के लिए भी होता है',
+                scanning: 'इस प्रोफ़ाइल में {input} स्विच स्कैनिंग के लिए है, इसलिए इससे यह क्रिया नहीं होगी',
+                phraseOverlap: '{input} {actions} के आवाज़ आदेश जैसा सुनाई देता है',
+                unreachable: '{actions} के लिए कोई इनपुट नहीं है'
+            },
+            reservedKeys: {
+                r: 'पिछला निर्देश दोहराने',
+                t: 'मार्गदर्शन प्रतिलिपि खोलने',
+                tab: 'नियंत्रणों के बीच जाने'
+            },
+            saveProfile: 'प्रोफ़ाइल सहेजें',
+            deleteProfile: 'प्रोफ़ाइल हटाएँ',
+            confirmDelete: 'प्रोफ़ाइल "{name}" हटाएँ?',
+            notifications: {
+                created: 'कस्टम प्रोफ़ाइल बनाई गई',
+                saved: 'प्रोफ़ाइल सहेजी गई',
+                deleted: 'प्रोफ़ाइल हटाई गई',
+                nameRequired: 'प्रोफ़ाइल को नाम दें',
+                exported: 'कस्टम प्रोफ़ाइल निर्यात की गईं',
+                imported: '{count} प्रोफ़ाइल आयात की गईं',
+                importFailed: 'इस फ़ाइल में इनपुट प्रोफ़ाइल नहीं हैं'
+            }
+        },
+        gamepad: {
+            title: 'जॉयस्टिक कैलिब्रेशन',
+            description: 'हर जॉयस्टिक या गेमपैड को कैलिब्रेट करें ताकि छोड़ी हुई स्टिक स्थिर रहे और छोटी हरकतें भी गिनी जाएँ।',
+            noneConnected: 'कोई जॉयस्टिक जुड़ा नहीं है। एक जोड़ें और उसका कोई भी बटन दबाएँ।',
+            calibrate: 'कैलिब्रेट करें',
+            calibrated: 'कैलिब्रेट किया गया',
+            notCalibrated: 'कैलिब्रेट नहीं किया गया',
+            stepOf: 'चरण {step} / {total}',
+            centerInstructions: 'जॉयस्टिक को छोड़ दें ताकि वह बीच में टिका रहे, फिर शुरू करें चुनें।',
+            rangeInstructions: 'शुरू करें चुनें, फिर 5 सेकंड तक जॉयस्टिक को धीरे-धीरे उसके किनारे पर पूरा घुमाएँ।',
+            tuneInstructions: 'जॉयस्टिक की प्रतिक्रिया समायोजित करें। बिंदु दिखाता है कि वह अभी किस ओर है।',
+            start: 'शुरू करें',
+            measuring: 'माप रहे हैं…',
+            rangeTooSmall: 'जॉयस्टिक बहुत कम हिला। शुरू करें चुनें और उसे किनारों तक पूरा धकेलें।',
+            preview: 'जॉयस्टिक की स्थिति',
+            deadZone: 'डेड ज़ोन',
+            curve: 'प्रतिक्रिया वक्र',
+            curves: {
+                linear: 'रैखिक',
+                gentle: 'कोमल (धीमी गति पर अधिक नियंत्रण)',
+                precise: 'सटीक (धीमी गति पर सबसे अधिक नियंत्रण)'
+            },
+            sensitivity: 'संवेदनशीलता',
+            invertY: 'आगे और पीछे की दिशा बदलें',
+            reset: 'डिफ़ॉल्ट पर रीसेट करें',
+            save: 'कैलिब्रेशन सहेजें',
+            saved: 'जॉयस्टिक कैलिब्रेशन सहेजा गया',
+            disconnected: 'जॉयस्टिक डिस्कनेक्ट हो गया। कैलिब्रेशन रोक दिया गया।'
+        },
+        gestures: {
+            title: 'इशारे',
+            description: '{profile} को अपने इशारे सिखाएँ: माउस, उंगली या पेन से रेखा बनाएँ, या डिवाइस को हिलाएँ। हर इशारे के कुछ उदाहरण रिकॉर्ड करें, फिर चुनें कि वह क्या करे।',
+            none: 'अभी कोई इशारा नहीं है।',
+            sources: {
+                pointer: 'बनाई गई रेखा',
+                motion: 'डिवाइस की गति'
+            },
+            examples: '{count} उदाहरण',
+            actionFor: '{name} के लिए क्रिया',
+            record: 'उदाहरण रिकॉर्ड करें',
+            delete: 'हटाएँ',
+            confirmDelete: 'इशारा "{name}" हटाएँ?',
+            name: 'इशारे का नाम',
+            namePlaceholder: 'जैसे गोला',
+            source: 'किससे बनता है',
+            action: 'क्रिया',
+            add: 'इशारा जोड़ें',
+            confidence: 'आवश्यक मिलान',
+            prompts: {
+                pointer: 'अब {name} बनाएँ (उदाहरण {number})…',
+                motion: 'अब डिवाइस से {name} की गति करें (उदाहरण {number})…'
+            },
+            trainingTimedOut: 'कोई इशारा नहीं हुआ। फिर से प्रयास करें।',
+            exampleRecorded: '{name} का उदाहरण {count} रिकॉर्ड हुआ।',
+            consistency: 'यह पिछले उदाहरणों से {percent}% मिलता है।',
+            resembles: 'यह {name} जैसा भी दिखता है; दोनों को और अलग बनाने का प्रयास करें।',
+            recordMore: 'कम से कम 3 उदाहरण रिकॉर्ड करें।',
+            recognized: '{name} पहचाना गया ({percent}%)',
+            rejected: 'पहचाना नहीं गया: सबसे नज़दीक {name} है ({percent}%)',
+            notifications: {
+                nameRequired: 'इशारे को एक नाम दें'
+            }
+        },
+        tremor: {
+            title: 'कंपन फ़िल्टरिंग',
+            description: 'पॉइंटर, सिर की ट्रैकिंग और मोशन सेंसर को स्थिर करता है, और उछलकर दोबारा हुए प्रेस को अनदेखा करता है। बदलाव तुरंत लागू होते हैं।',
+            enabled: 'कंपन फ़िल्टर करें',
+            method: 'स्मूदिंग',
+            methodOptions: {
+                oneEuro: 'अनुकूली: धीमे में स्थिर, तेज़ में फुर्तीला',
+                movingAverage: 'हाल की गति का औसत',
+                none: 'कोई स्मूदिंग नहीं'
+            },
+            followProfile: 'मेरी प्रोफ़ाइल की गति सटीकता के अनुसार ({accuracy}/10)',
+            followProfileUnset: 'मेरी प्रोफ़ाइल की गति सटीकता के अनुसार (सेट नहीं)',
+            strength: 'तीव्रता',
+            velocityThreshold: 'बहुत धीमे खिसकाव को अनदेखा करें',
+            clickStabilization: 'बटन दबे रहने तक क्लिक को लक्ष्य पर रखें',
+            bounceKeys: 'दोहराए गए प्रेस अनदेखा करें (बाउंस कीज़)',
+            summary: '{bounce} ms के भीतर दोहराए गए प्रेस अनदेखे होते हैं; {radius} px के भीतर क्लिक लक्ष्य पर रहते हैं।',
+            summaryOff: 'इनपुट फ़िल्टर नहीं हो रहा है।'
+        },
+        scanning: {
+            title: 'स्विच स्कैनिंग',
+            description: 'एक या दो स्विच इस्तेमाल करते समय हाइलाइट बटनों और दृश्य की वस्तुओं पर कैसे आगे बढ़ता है।',
+            method: 'स्कैनिंग का तरीका',
+            methodOptions: {
+                automatic: 'स्वचालित: चुनने के लिए दबाएँ',
+                step: 'चरणबद्ध: स्विच 1 आगे बढ़ाता है, स्विच 2 चुनता है',
+                inverse: 'उलटा: आगे बढ़ाने के लिए दबाए रखें, चुनने के लिए छोड़ें'
+            },
+            pattern: 'स्कैनिंग का क्रम',
+            patternOptions: {
+                linear: 'एक बार में एक आइटम',
+                rowColumn: 'पहले पंक्तियाँ, फिर पंक्ति के आइटम',
+                group: 'पहले समूह, फिर समूह के आइटम'
+            },
+            audioCue: 'हर आइटम के लिए ध्वनि',
+            audioCueOptions: {
+                tone: 'टोन',
+                speech: 'बोला गया नाम',
+                both: 'टोन और बोला गया नाम',
+                none: 'कोई नहीं'
+            },
+            speed: 'हर आइटम पर सेकंड',
+            initialPause: 'पहले आइटम पर सेकंड',
+            loops: 'स्कैनिंग रुकने से पहले चक्कर'
+        },
+        recording: {
+            title: 'सत्र रिकॉर्डिंग',
+            description: 'किसी सत्र के इनपुट उनके समय और कैमरे की स्थिति के साथ रिकॉर्ड करें, उन्हें फ़ाइल में सहेजें, और बाद में उसी परिदृश्य में दोबारा चलाकर देखें कि कहाँ अंतर आता है।',
+            start: 'रिकॉर्ड करें',
+            stop: 'रिकॉर्डिंग रोकें',
+            save: 'फ़ाइल सहेजें',
+            load: 'फ़ाइल खोलें',
+            replay: 'दोबारा चलाएँ',
+            stopReplay: 'दोबारा चलाना रोकें',
+            speed: 'गति',
+            restorePose: 'हर इनपुट से पहले कैमरे की स्थिति वापस लाएँ',
+            statusEmpty: 'अभी तक कुछ रिकॉर्ड नहीं हुआ है।',
+            statusRecording: 'रिकॉर्डिंग चल रही है। यह पैनल बंद करें और परिदृश्य का सामान्य रूप से उपयोग करें।',
+            statusReady: '{scenario}: {seconds} सेकंड में {count} इनपुट',
+            statusReplaying: '{speed}× गति से दोबारा चल रहा है…',
+            recordingStarted: 'रिकॉर्डिंग शुरू हुई',
+            recordingStopped: 'रिकॉर्डिंग रुकी: {count} इनपुट',
+            reportClean: '{total} में से {replayed} इनपुट दोबारा चलाए गए, कोई अंतर नहीं मिला।',
+            reportDivergences: '{total} में से {replayed} इनपुट दोबारा चलाए गए: {count} अंतर मिले।',
+            reportMore: '…और {count} अधिक',
+            objectInput: '{target} पर क्लिक',
+            divergence: {
+                missing: '{time} सेकंड: {input} अपेक्षित था, जो नहीं हुआ',
+                unexpected: '{time} सेकंड: {input} हुआ, जो रिकॉर्डिंग में नहीं है',
+                pose: '{time} सेकंड: कैमरा रिकॉर्ड की गई स्थिति से {distance} मीटर और {angle}° दूर था',
+                missingTarget: '{time} सेकंड: {target} इस दृश्य में नहीं है',
+                profile: '{expected} प्रोफ़ाइल के साथ रिकॉर्ड किया गया, लेकिन {actual} सक्रिय है'
+            },
+            notifications: {
+                saved: 'रिकॉर्डिंग सहेजी गई',
+                loaded: 'रिकॉर्डिंग खुल गई',
+                loadFailed: 'यह फ़ाइल इनपुट रिकॉर्डिंग नहीं है',
+                otherScenario: 'यह रिकॉर्डिंग {scenario} की है; दोबारा चलाने के लिए वह परिदृश्य खोलें'
+            }
+        },
+        capabilities: {
+            vrControllers: 'VR कंट्रोलर',
+            motionCapture: 'मोशन कैप्चर',
+            smartMobility: 'स्मार्ट मोबिलिटी',
+            switchDevices: 'स्विच डिवाइस',
+            eyeTracking: 'आँख ट्रैकिंग',
+            voiceControl: 'आवाज़ नियंत्रण'
+        },
+        devices: {
+            'vr-controller': 'VR कंट्रोलर',
+            'smart-mobility': 'स्मार्ट मोबिलिटी डिवाइस',
+            'switch-device': 'स्विच डिवाइस'
+        },
+        actions: {
+            move: {
+                name: 'चलना',
+                description: 'परिवेश में आगे-पीछे जाएँ'
+            },
+            interact: {
+                name: 'संपर्क',
+                description: 'वस्तुओं और तत्वों के साथ संपर्क करें'
+            },
+            menu: {
+                name: 'मेनू',
+                description: 'मेनू और सेटिंग्स खोलें'
+            },
+            voice: {
+                name: 'आवाज़ नियंत्रण',
+                description: 'आवाज़ आदेश सक्रिय करें'
+            },
+            moveForward: {
+                name: 'आगे चलें'
+            },
+            moveBack: {
+                name: 'पीछे चलें'
+            },
+            moveLeft: {
+                name: 'बाएँ चलें'
+            },
+            moveRight: {
+                name: 'दाएँ चलें'
+            },
+            select: {
+                name: 'चयन'
+            },
+            cancel: {
+                name: 'रद्द करें'
+            },
+            help: {
+                name: 'मदद'
+            }
+        },
+        profiles: {
+            default: {
+                name: 'मानक नियंत्रण',
+                description: 'सामान्य कीबोर्ड और माउस नियंत्रण'
+            },
+            limitedArmMobility: {
+                name: 'सीमित बाँह गतिशीलता',
+                description: 'कम बाँह हिलाने वाले उपयोगकर्ताओं के लिए अनुकूलित'
+            },
+            switchDevice: {
+                name: 'स्विच डिवाइस',
+                description: 'एक या दो स्विच इनपुट का समर्थन'
+            },
+            wheelchair: {
+                name: 'व्हीलचेयर उपयोगकर्ता',
+                description: 'व्हीलचेयर उपयोगकर्ताओं के लिए अनुकूलित'
+            },
+            prosthetic: {
+                name: 'कृत्रिम अंग उपयोगकर्ता',
+                description: 'कृत्रिम अंग वाले उपयोगकर्ताओं के लिए अनुकूलित'
+            }
+        }
+    },
+    switchScanning: {
+        row: 'पंक्ति {number}',
+        group: 'समूह {number}',
+        sceneObjects: 'दृश्य की वस्तुएँ'
+    },
+    voice: {
+        commandRecognized: 'आदेश पहचाना गया: {command}',
+        notUnderstood: 'माफ़ कीजिए, "{transcript}" समझ नहीं आया। आदेश सुनने के लिए "मैं क्या बोल सकता हूँ" कहें।',
+        cancelled: 'रद्द किया गया',
+        confirmPrompts: {
+            restart: 'दृश्य फिर से शुरू करें? आपकी प्रगति खो जाएगी। हाँ या नहीं कहें।',
+            exit: 'दृश्य से बाहर निकलें? हाँ या नहीं कहें।'
+        },
+        list: {
+            title: 'आप क्या बोल सकते हैं',
+            spoken: 'आप बोल सकते हैं: {commands}।',
+            targets: 'जिन जगहों का नाम ले सकते हैं: {targets}।',
+            close: 'बंद करें'
+        },
+        commands: {
+            moveForward: ['[{count} (कदम|क़दम)] आगे (चलो|जाओ|बढ़ो)'],
+            moveBack: ['[{count} (कदम|क़दम)] पीछे (चलो|जाओ|हटो)'],
+            moveLeft: ['[{count} (कदम|क़दम)] (बाएँ|बाएं) (चलो|जाओ)'],
+            moveRight: ['[{count} (कदम|क़दम)] (दाएँ|दाएं) (चलो|जाओ)'],
+            goTo: ['{target} (पर|तक|की ओर) (चलो|जाओ)', 'मुझे {target} (पर|तक) ले चलो', '{target} कहाँ है'],
+            interact: ['चुनो', 'दबाओ', '{target} (दबाओ|खोलो|उठाओ)'],
+            menu: ['मेनू [खोलो|दिखाओ]'],
+            select: ['चयन [करो]', '{target} (चुनो|का चयन करो)'],
+            cancel: ['रद्द [करो]'],
+            help: ['मदद [करो]', 'सहायता'],
+            whatCanISay: ['मैं क्या (बोल|कह) (सकता|सकती) (हूँ|हूं)', 'आदेश (दिखाओ|सूची)'],
+            restart: ['(फिर से|दोबारा) शुरू करो'],
+            exit: ['बाहर (निकलो|जाओ)']
+        },
+        examples: {
+            moveForward: 'तीन कदम आगे चलो',
+            moveBack: 'पीछे जाओ',
+            moveLeft: 'बाएँ चलो',
+            moveRight: 'दो कदम दाएँ चलो',
+            goTo: 'चेकआउट पर चलो',
+            interact: 'दरवाज़ा खोलो',
+            menu: 'मेनू खोलो',
+            select: 'फल चुनो',
+            cancel: 'रद्द करो',
+            help: 'मदद',
+            whatCanISay: 'मैं क्या बोल सकता हूँ',
+            restart: 'फिर से शुरू करो',
+            exit: 'बाहर निकलो'
+        },
+        confirm: {
+            yes: ['हाँ', 'हां', 'जी हाँ', 'ठीक है', 'करो'],
+            no: ['नहीं', 'जी नहीं', 'मत करो', 'रहने दो']
+        },
+        numbers: ['एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ', 'दस'],
+        fillers: ['कृपया', 'ज़रा'],
+        targets: {
+            checkoutCounter: ['चेकआउट', 'काउंटर', 'बिलिंग काउंटर'],
+            fruitsShelf: ['फल', 'फलों की शेल्फ'],
+            vegetablesShelf: ['सब्ज़ियाँ', 'सब्जियां', 'सब्ज़ी'],
+            entranceDoor: ['प्रवेश द्वार', 'दरवाज़ा', 'दरवाजा']
+        }
+    },
+    profileManager: {
+        button: 'प्रोफ़ाइल प्रबंधक',
+        title: 'प्रोफ़ाइल प्रबंधक',
+        tabs: {
+            abilities: 'क्षमताएँ',
+            preferences: 'पसंद',
+            medical: 'चिकित्सा जानकारी',
+            analysis: 'विश्लेषण'
+        },
+        abilities: {
+            fineMotor: 'सूक्ष्म गति कौशल',
+            grossMotor: 'स्थूल गति कौशल',
+            visual: 'दृष्टि',
+            auditory: 'श्रवण',
+            cognitive: 'संज्ञानात्मक',
+            attention: 'ध्यान',
+            memory: 'स्मृति',
+            processing: 'प्रसंस्करण'
+        },
+        physicalLimitations: 'शारीरिक सीमाएँ',
+        reachRange: 'पहुँच सीमा (सेमी)',
+        gripStrength: 'पकड़ की ताकत',
+        movementSpeed: 'गति की रफ़्तार',
+        endurance: 'सहनशक्ति',
+        languageSettings: 'भाषा',
+        language: 'प्रदर्शन और वाचन की भाषा',
+        visualPreferences: 'दृश्य पसंद',
+        contrastLevel: 'कंट्रास्ट स्तर',
+        textSize: 'अक्षर आकार',
+        enableAnimations: 'एनिमेशन चालू करें',
+        auditoryPreferences: 'श्रव्य पसंद',
+        volumeLevel: 'आवाज़ स्तर',
+        speechRate: 'बोलने की गति',
+        enableNarration: 'वाचन चालू करें',
+        enableSoundEffects: 'ध्वनि प्रभाव चालू करें',
+        learningProfile: 'सीखने की प्रोफ़ाइल',
+        learningStyle: 'सीखने की शैली',
+        learningPace: 'सीखने की गति',
+        complexityLevel: 'जटिलता स्तर',
+        guidanceLevel: 'मार्गदर्शन स्तर',
+        medicalInformation: 'चिकित्सा जानकारी',
+        conditions: 'चिकित्सीय स्थितियाँ',
+        conditionsPlaceholder: 'चिकित्सीय स्थितियाँ लिखें (हर पंक्ति में एक)',
+        medications: 'दवाइयाँ',
+        medicationsPlaceholder: 'दवाइयाँ लिखें (हर पंक्ति में एक)',
+        assistiveDevices: 'सहायक उपकरण',
+        assistiveDevicesPlaceholder: 'सहायक उपकरण लिखें (हर पंक्ति में एक)',
+        restrictions: 'गतिविधि प्रतिबंध',
+        restrictionsPlaceholder: 'गतिविधि प्रतिबंध लिखें (हर पंक्ति में एक)',
+        emergencyContact: 'आपातकालीन संपर्क',
+        emergencyContactPlaceholder: 'आपातकालीन संपर्क की जानकारी',
+        strengths: 'ताकतें',
+        noStrengths: 'कोई विशेष ताकत नहीं मिली',
+        improvements: 'सुधार के क्षेत्र',
+        noWeaknesses: 'कोई विशेष कमज़ोरी नहीं मिली',
+        score: 'अंक: {score}/10 ({level})',
+        recommendations: 'सुझाव',
+        noRecommendations: 'अभी कोई विशेष सुझाव नहीं',
+        recommendationDetails: 'प्राथमिकता: {priority} | प्रकार: {type}',
+        riskFactors: 'जोखिम कारक',
+        noRiskFactors: 'कोई विशेष जोखिम कारक नहीं मिला',
+        riskDetails: 'गंभीरता: {severity} | बचाव: {mitigation}',
+        levels: {
+            excellent: 'उत्कृष्ट',
+            good: 'अच्छा',
+            average: 'औसत',
+            mild: 'हल्का',
+            moderate: 'मध्यम',
+            severe: 'गंभीर'
+        },
+        recommendationTypes: {
+            exercise: 'अभ्यास',
+            accommodation: 'सुविधा'
+        },
+        recommendationText: {
+            fineMotor: {
+                title: 'सूक्ष्म गति कौशल प्रशिक्षण',
+                description: 'सटीकता वाले कार्यों और हाथ-आँख तालमेल के अभ्यास करें'
+            },
+            grossMotor: {
+                title: 'स्थूल गति कौशल प्रशिक्षण',
+                description: 'बड़ी शारीरिक गतियों और स्थान में दिशा पहचानने का अभ्यास करें'
+            },
+            visual: {
+                title: 'दृश्य सहायता',
+                description: 'दृश्य कंट्रास्ट और हाइलाइटिंग बढ़ाएँ'
+            },
+            auditory: {
+                title: 'श्रव्य सहायता',
+                description: 'आवाज़ में वाचन और ध्वनि संकेत चालू करें'
+            },
+            cognitive: {
+                title: 'संज्ञानात्मक प्रशिक्षण',
+                description: 'समस्या सुलझाने और निर्णय लेने वाले कार्यों का अभ्यास करें'
+            }
+        },
+        risks: {
+            attention: {
+                title: 'ध्यान',
+                description: 'बहुत कम ध्यान अवधि कार्य पूरा करने में बाधा बन सकती है',
+                mitigation: 'कार्यों को छोटे हिस्सों में बाँटें, बार-बार विराम लें'
+            },
+            balance: {
+                title: 'संतुलन',
+                description: 'संतुलन की समस्या VR अनुभव को प्रभावित कर सकती है',
+                mitigation: 'बैठकर उपयोग करें, स्थिरता सहायक का उपयोग करें'
+            },
+            fine_motor: {
+                title: 'सूक्ष्म गति',
+                description: 'सूक्ष्म गति की गंभीर सीमाओं के लिए दूसरे इनपुट तरीकों की ज़रूरत हो सकती है',
+                mitigation: 'आवाज़ नियंत्रण, स्विच डिवाइस या सरल क्रियाओं का उपयोग करें'
+            }
+        }
+    },
+    progressDashboard: {
+        button: 'प्रगति डैशबोर्ड',
+        title: 'प्रगति डैशबोर्ड',
+        tabs: {
+            overview: 'सारांश',
+            progress: 'प्रगति',
+            achievements: 'उपलब्धियाँ',
+            analytics: 'विश्लेषण'
+        },
+        totalPoints: 'कुल अंक',
+        level: 'स्तर {level}',
+        currentLevel: 'वर्तमान स्तर',
+        badgesEarned: 'अर्जित बैज',
+        tasksCompleted: 'पूरे किए गए कार्य',
+        progressOverTime: 'समय के साथ प्रगति',
+        recentActivity: 'हाल की गतिविधि',
+        taskCompletion: 'कार्य पूर्णता',
+        skillDevelopment: 'कौशल विकास',
+        taskPerformance: 'कार्य प्रदर्शन',
+        columns: {
+            task: 'कार्य',
+            completions: 'पूर्णताएँ',
+            averageTime: 'औसत समय',
+            successRate: 'सफलता दर',
+            points: 'अंक',
+            step: 'चरण',
+            attempts: 'प्रयास',
+            averageHelp: 'औसत सहायता स्तर',
+            mostHelp: 'सबसे अधिक सहायता'
+        },
+        badgesEarnedCount: 'अर्जित बैज ({count})',
+        achievementsCount: 'उपलब्धियाँ ({count})',
+        allBadges: 'सभी उपलब्ध बैज',
+        sessionAnalytics: 'सत्र विश्लेषण',
+        totalSessions: 'कुल सत्र',
+        totalPlayTime: 'कुल खेल समय',
+        averageSession: 'औसत सत्र',
+        successRate: 'सफलता दर',
+        interactionAnalytics: 'संपर्क विश्लेषण',
+        totalInteractions: 'कुल संपर्क',
+        errorRate: 'त्रुटि दर',
+        retryRate: 'पुनः प्रयास दर',
+        averageTaskTime: 'औसत कार्य समय',
+        performanceTrends: 'प्रदर्शन रुझान',
+        helpPerStep: 'प्रति चरण आवश्यक सहायता',
+        noStepHelp: 'यह देखने के लिए कि हर चरण में कितनी सहायता लगी, कोई निर्देशित कार्य पूरा करें।',
+        session: 'सत्र {id}',
+        sessionSummary: {
+            one: '{count} कार्य • {duration}',
+            other: '{count} कार्य • {duration}'
+        },
+        charts: {
+            pointsOverTime: 'समय के साथ अंक',
+            taskCompletions: 'कार्य पूर्णताएँ',
+            sessions: 'सत्र',
+            points: 'अंक',
+            tasksCompleted: 'पूरे किए गए कार्य',
+            tasksPerMinute: 'कार्य/मिनट'
+        }
+    },
+    analyticsDashboard: {
+        button: 'विश्लेषण डैशबोर्ड',
+        title: 'विश्लेषण डैशबोर्ड',
+        ranges: {
+            day: 'पिछले 24 घंटे',
+            week: 'पिछले 7 दिन',
+            month: 'पिछले 30 दिन',
+            all: 'अब तक'
+        },
+        tabs: {
+            overview: 'सारांश',
+            performance: 'प्रदर्शन',
+            accessibility: 'सुगम्यता',
+            feedback: 'उपयोगकर्ता प्रतिक्रिया',
+            trends: 'रुझान'
+        },
+        performance: 'प्रदर्शन',
+        completion: 'पूर्णता: {value}',
+        efficiency: 'दक्षता: {value} कार्य/मिनट',
+        accessibility: 'सुगम्यता',
+        score: 'अंक: {value}',
+        level: 'स्तर: {level}',
+        feedback: 'प्रतिक्रिया',
+        total: 'कुल: {count}',
+        averageDifficulty: 'औसत कठिनाई: {value}/5',
+        sessions: 'सत्र',
+        duration: 'अवधि: {duration}',
+        tasks: 'कार्य: {count}',
+        recentActivity: 'हाल की गतिविधि',
+        performanceTrends: 'प्रदर्शन रुझान',
+        taskCompletion: 'कार्य पूर्णता',
+        detailedMetrics: 'विस्तृत प्रदर्शन माप',
+        columns: {
+            metric: 'माप',
+            current: 'वर्तमान',
+            average: 'औसत',
+            trend: 'रुझान'
+        },
+        complianceScore: 'अनुपालन अंक',
+        wcagLevel: 'WCAG {level} स्तर',
+        recentViolations: 'हाल के उल्लंघन',
+        noViolations: 'हाल में कोई उल्लंघन नहीं',
+        unknownRule: 'अज्ञात नियम',
+        noDetails: 'कोई विवरण उपलब्ध नहीं',
+        accessibilityMetrics: 'सुगम्यता माप',
+        feedbackDistribution: 'प्रतिक्रिया वितरण',
+        difficultyRatings: 'कठिनाई रेटिंग',
+        feedbackSummary: 'प्रतिक्रिया सारांश',
+        totalFeedback: 'कुल प्रतिक्रिया',
+        averageDifficultyLabel: 'औसत कठिनाई',
+        recentFeedback: 'हाल की प्रतिक्रिया',
+        feedbackTypes: 'प्रतिक्रिया प्रकार',
+        trendsOverTime: 'समय के साथ प्रदर्शन रुझान',
+        behavioralPatterns: 'व्यवहार पैटर्न',
+        learningProgress: 'सीखने की प्रगति',
+        charts: {
+            time: 'समय',
+            activity: 'गतिविधि',
+            sessions: 'सत्र',
+            score: 'अंक',
+            progress: 'प्रगति'
+        }
+    },
+    gamification: {
+        badges: {
+            first_completion: { name: 'पहला कदम', description: 'अपना पहला कार्य पूरा करें' },
+            perfect_completion: { name: 'बेदाग़', description: 'बिना किसी त्रुटि के कार्य पूरा करें' },
+            speed_run: { name: 'तेज़ रफ़्तार', description: 'रिकॉर्ड समय में कार्य पूरा करें' },
+            perfect_run: { name: 'पूर्णतावादी', description: 'बिना त्रुटि या दोबारा प्रयास के कार्य पूरा करें' },
+            marathon_session: { name: 'मैराथन धावक', description: 'एक सत्र में 30 मिनट से अधिक खेलें' },
+            productive_session: { name: 'उत्पादक', description: 'एक सत्र में 5 या अधिक कार्य पूरे करें' },
+            perfect_session: { name: 'बेदाग़ सत्र', description: 'बिना किसी त्रुटि के सत्र पूरा करें' },
+            explorer: { name: 'खोजकर्ता', description: 'एक सत्र में 3 या अधिक अलग परिदृश्य आज़माएँ' },
+            quick_learner: { name: 'तेज़ सीखने वाला', description: '10 कार्य सफलतापूर्वक पूरे करें' },
+            persistent: { name: 'लगनशील', description: '50 कार्य सफलतापूर्वक पूरे करें' },
+            master: { name: 'उस्ताद', description: '100 कार्य सफलतापूर्वक पूरे करें' },
+            early_bird: { name: 'सुबह का पंछी', description: 'सुबह 9 बजे से पहले कार्य पूरा करें' },
+            night_owl: { name: 'रात का उल्लू', description: 'रात 10 बजे के बाद कार्य पूरा करें' },
+            weekend_warrior: { name: 'सप्ताहांत योद्धा', description: 'सप्ताहांत के दोनों दिन कार्य पूरे करें' },
+            consistency: { name: 'निरंतरता', description: 'लगातार 7 दिन कार्य पूरे करें' }
+        },
+        achievements: {
+            first_week: { name: 'पहला सप्ताह', description: 'अभ्यास का पहला सप्ताह पूरा करें' },
+            monthly_champion: { name: 'मासिक चैंपियन', description: 'एक महीने में 100 कार्य पूरे करें' },
+            skill_master: { name: 'कौशल उस्ताद', description: 'सभी कठिनाई स्तरों में महारत हासिल करें' },
+            social_butterfly: { name: 'मिलनसार', description: 'अपनी प्रगति 5 बार साझा करें' }
+        }
+    },
+    announcer: {
+        badgeEarned: 'बैज मिला: {name}। {points} अंक।',
+        achievementEarned: 'उपलब्धि हासिल: {name}। {points} अंक।',
+        levelUp: 'लेवल अप! अब आप स्तर {level} पर हैं, {bonus} बोनस अंकों के साथ।',
+        hazards: {
+            wetFloor: 'सावधान: आगे फर्श गीला है।',
+            closure: 'आगे का एक रास्ता बंद कर दिया गया है।',
+            other: 'सावधान: आगे खतरा है।',
+            cleared: 'एक खतरा हटा दिया गया है।'
+        }
+    },
+    tasks: {
+        grocery: {
+            name: 'किराने की खरीदारी',
+            description: 'किराने की दुकान में घूमें और अपनी खरीदारी सूची पूरी करें।',
+            steps: {
+                1: {
+                    name: 'दुकान में प्रवेश करें',
+                    instructions: 'किराने की दुकान में जाने के लिए प्रवेश द्वार पर क्लिक करें।',
+                    narration: 'किराने की दुकान में आपका स्वागत है। खरीदारी शुरू करने के लिए प्रवेश द्वार पर क्लिक करें।',
+                    hints: ['नीले प्रवेश द्वार को देखें', 'द्वार दुकान के सामने है'],
+                    successMessage: 'बहुत अच्छे! आप दुकान में आ गए।',
+                    easyRead: {
+                        instructions: 'दरवाज़ा खोजें। दरवाज़े पर क्लिक करें।',
+                        hints: ['दरवाज़ा नीला है।', 'दरवाज़ा आपके सामने है।'],
+                        successMessage: 'अच्छा! आप दुकान में हैं।'
+                    }
+                },
+                2: {
+                    name: 'फलों के हिस्से में जाएँ',
+                    instructions: 'ताज़े फल देखने के लिए फलों के हिस्से तक जाएँ।',
+                    narration: 'अब फलों के हिस्से में चलते हैं। अपनी बाईं ओर फलों की शेल्फ़ देखें।',
+                    hints: ['फलों का हिस्सा बाईं ओर है', 'वहाँ सेब, संतरे और दूसरे फल दिखेंगे'],
+                    successMessage: 'शानदार! आपको फलों का हिस्सा मिल गया।',
+                    easyRead: {
+                        instructions: 'फलों के पास जाएँ। फल बाईं ओर हैं।',
+                        hints: ['बाएँ मुड़ें।', 'सेब ढूँढें।'],
+                        successMessage: 'अच्छा! आपको फल मिल गए।'
+                    }
+                },
+                3: {
+                    name: 'सब्ज़ियाँ देखें',
+                    instructions: 'ताज़ी सब्ज़ियाँ देखने के लिए सब्ज़ियों के हिस्से में जाएँ।',
+                    narration: 'अब अपनी दाईं ओर सब्ज़ियों का हिस्सा देखते हैं।',
+                    hints: ['सब्ज़ियों का हिस्सा दाईं ओर है', 'गाजर, खीरा और दूसरी सब्ज़ियाँ देखें'],
+                    successMessage: 'बढ़िया! आपको सब्ज़ियों का हिस्सा मिल गया।',
+                    easyRead: {
+                        instructions: 'सब्ज़ियों के पास जाएँ। सब्ज़ियाँ दाईं ओर हैं।',
+                        hints: ['दाएँ मुड़ें।', 'गाजर ढूँढें।'],
+                        successMessage: 'अच्छा! आपको सब्ज़ियाँ मिल गईं।'
+                    }
+                },
+                checkout: {
+                    name: 'भुगतान काउंटर पर जाएँ',
+                    instructions: 'खरीदारी पूरी करने के लिए भुगतान काउंटर या सुगम लेन पर जाएँ।',
+                    narration: 'अब भुगतान का समय है। दुकान के पीछे भुगतान काउंटर पर जाएँ, या उसके पास वाली सुगम लेन का उपयोग करें।',
+                    hints: ['भुगतान काउंटर पीछे की ओर है', 'नीली सुगम लेन का रास्ता चौड़ा है'],
+                    successMessage: 'शाबाश! आपकी किराने की खरीदारी पूरी हुई।',
+                    easyRead: {
+                        instructions: 'भुगतान काउंटर पर जाएँ। अपने सामान के पैसे दें।',
+                        hints: ['काउंटर पीछे की ओर है।', 'नीली लेन चौड़ी है।'],
+                        successMessage: 'शाबाश! आपकी खरीदारी पूरी हुई।'
+                    }
+                }
+            }
+        },
+        hospital: {
+            name: 'अस्पताल में रास्ता खोजना',
+            description: 'अस्पताल में घूमें और मुख्य स्थान खोजें।',
+            steps: {
+                1: {
+                    name: 'अस्पताल में प्रवेश करें',
+                    instructions: 'अस्पताल में जाने के लिए प्रवेश द्वार पर क्लिक करें।',
+                    narration: 'अस्पताल में आपका स्वागत है। शुरू करने के लिए प्रवेश द्वार पर क्लिक करें।',
+                    hints: ['मुख्य प्रवेश द्वार देखें', 'प्रवेश द्वार पर साफ़ निशान लगा है'],
+                    successMessage: 'आप अस्पताल में आ गए।'
+                },
+                2: {
+                    name: 'स्वागत कक्ष खोजें',
+                    instructions: 'पंजीकरण के लिए स्वागत डेस्क खोजें।',
+                    narration: 'सबसे पहले आपको स्वागत डेस्क पर पंजीकरण करना है।',
+                    hints: ['स्वागत डेस्क आमतौर पर प्रवेश द्वार के पास होता है', 'कर्मचारियों वाली डेस्क देखें'],
+                    successMessage: 'बहुत अच्छे! आपको स्वागत डेस्क मिल गई।'
+                },
+                3: {
+                    name: 'वार्ड तक जाएँ',
+                    instructions: 'मरीज़ों के वार्ड तक का रास्ता खोजें।',
+                    narration: 'अब मरीज़ों के वार्ड तक जाएँ।',
+                    hints: ['वार्ड के संकेतों का पालन करें', 'वार्ड आमतौर पर ऊपर की मंज़िलों पर होते हैं'],
+                    successMessage: 'शानदार! आपको वार्ड मिल गया।'
+                },
+                4: {
+                    name: 'ऑपरेशन थिएटर खोजें',
+                    instructions: 'शल्य चिकित्सा के लिए ऑपरेशन थिएटर खोजें।',
+                    narration: 'अंत में, शल्य चिकित्सा के लिए ऑपरेशन थिएटर खोजें।',
+                    hints: ['ऑपरेशन थिएटर आमतौर पर एक खास मंज़िल पर होता है', 'शल्य क्षेत्र के संकेत देखें'],
+                    successMessage: 'बढ़िया! आपने अस्पताल में रास्ता खोजना पूरा किया।'
+                }
+            }
+        },
+        railway: {
+            name: 'रेलवे स्टेशन में रास्ता खोजना',
+            description: 'रेलवे स्टेशन में घूमें और अपना प्लेटफ़ॉर्म खोजें।',
+            steps: {
+                1: {
+                    name: 'स्टेशन में प्रवेश करें',
+                    instructions: 'अपनी यात्रा शुरू करने के लिए स्टेशन के प्रवेश द्वार पर क्लिक करें।',
+                    narration: 'रेलवे स्टेशन में आपका स्वागत है। यात्रा शुरू करने के लिए प्रवेश द्वार पर क्लिक करें।',
+                    hints: ['स्टेशन का मुख्य प्रवेश द्वार देखें', 'प्रवेश द्वार पर आमतौर पर साफ़ निशान होता है'],
+                    successMessage: 'आप रेलवे स्टेशन में आ गए।'
+                },
+                2: {
+                    name: 'टिकट काउंटर खोजें',
+                    instructions: 'टिकट खरीदने के लिए टिकट काउंटर खोजें।',
+                    narration: 'सबसे पहले आपको टिकट खरीदना है। टिकट काउंटर खोजें।',
+                    hints: ['टिकट काउंटर आमतौर पर प्रवेश द्वार के पास होता है', '"टिकट" लिखे संकेत देखें'],
+                    successMessage: 'बहुत अच्छे! आपको टिकट काउंटर मिल गया।'
+                },
+                3: {
+                    name: 'प्रस्थान बोर्ड देखें',
+                    instructions: 'अपनी ट्रेन की जानकारी के लिए प्रस्थान बोर्ड देखें।',
+                    narration: 'अब अपनी ट्रेन की जानकारी के लिए प्रस्थान बोर्ड देखें।',
+                    hints: ['प्रस्थान बोर्ड पर ट्रेन का समय और प्लेटफ़ॉर्म दिखते हैं', 'एक बड़ा डिस्प्ले बोर्ड देखें'],
+                    successMessage: 'शानदार! आपने प्रस्थान बोर्ड देख लिया।'
+                },
+                4: {
+                    name: 'अपने प्लेटफ़ॉर्म पर जाएँ',
+                    instructions: 'ट्रेन पकड़ने के लिए अपने प्लेटफ़ॉर्म तक जाएँ।',
+                    narration: 'अंत में, ट्रेन पकड़ने के लिए अपने प्लेटफ़ॉर्म पर जाएँ।',
+                    hints: ['अपने प्लेटफ़ॉर्म नंबर के संकेतों का पालन करें', 'प्लेटफ़ॉर्म पर आमतौर पर नंबर लिखे होते हैं'],
+                    successMessage: 'बढ़िया! आप अपने प्लेटफ़ॉर्म पर पहुँच गए।'
+                }
+            }
+        },
+        classroom: {
+            name: 'कक्षा में बैठना',
+            description: 'कक्षा में पहुँचें, अपनी वर्कशीट लें, अपनी जगह खोजें और बोर्ड पर पाठ देखें।',
+            steps: {
+                1: {
+                    name: 'शिक्षक का अभिवादन करें',
+                    instructions: 'कक्षा के आगे जाएँ और नमस्ते कहने के लिए शिक्षक पर क्लिक करें।',
+                    narration: 'कक्षा में आपका स्वागत है। कमरे के आगे जाकर अपने शिक्षक का अभिवादन करें।',
+                    hints: ['शिक्षक आगे डेस्क के पास खड़े हैं', 'बेंचों के पास से आगे चलें'],
+                    successMessage: 'सुप्रभात! शिक्षक आपको देखकर खुश हैं।'
+                },
+                2: {
+                    name: 'अपनी वर्कशीट लें',
+                    instructions: 'आज की वर्कशीट लेने के लिए शिक्षक की डेस्क पर क्लिक करें।',
+                    narration: 'शिक्षक ने आज की वर्कशीट डेस्क पर रखी है। उसे लेने के लिए डेस्क पर क्लिक करें।',
+                    hints: ['डेस्क ब्लैकबोर्ड के सामने बड़ी भूरी मेज़ है', 'वह शिक्षक के ठीक पीछे है'],
+                    successMessage: 'आपको वर्कशीट मिल गई। अब अपनी जगह खोजते हैं।'
+                },
+                3: {
+                    name: 'अपनी जगह खोजें',
+                    instructions: 'आपकी जगह पहली पंक्ति की बीच वाली बेंच है। वहाँ जाकर उसके पास खड़े हों।',
+                    narration: 'आपकी जगह पहली पंक्ति की बीच वाली बेंच है, जो बोर्ड के सबसे पास है। वहाँ जाकर बैठने के लिए उसके पास खड़े हों।',
+                    hints: ['हर पंक्ति में तीन बेंच हैं', 'आपकी बेंच ब्लैकबोर्ड के पास वाली पंक्ति के बीच में है', 'पंक्तियों के बीच आराम से धीरे चलें'],
+                    successMessage: 'शाबाश! आप अपनी जगह पर हैं।'
+                },
+                4: {
+                    name: 'बोर्ड पढ़ें',
+                    instructions: 'आज का पाठ देखने के लिए ब्लैकबोर्ड पर क्लिक करें।',
+                    narration: 'अब ब्लैकबोर्ड की ओर देखें और आज का पाठ देखने के लिए उस पर क्लिक करें।',
+                    hints: ['ब्लैकबोर्ड सामने की दीवार पर है', 'क्लिक करने पर पाठ बोर्ड पर दिखेगा'],
+                    successMessage: 'बहुत बढ़िया! आप आज के पाठ के लिए तैयार हैं।'
+                }
+            }
+        },
+        office: {
+            name: 'चेक-इन और बोर्डिंग',
+            description: 'टिकट खरीदें, कतार में अपनी बारी का इंतज़ार करें, चेक-इन करें, बैग जमा करें और गेट से बोर्ड करें।',
+            steps: {
+                1: {
+                    name: 'अपना टिकट खरीदें',
+                    instructions: 'सबसे बाईं ओर टिकट काउंटर पर जाएँ और टिकट खरीदने के लिए उस पर क्लिक करें।',
+                    narration: 'सबसे पहले आपको टिकट चाहिए। सबसे बाईं ओर टिकट काउंटर पर जाएँ और उस पर क्लिक करें।',
+                    hints: ['TICKETING लिखा संकेत देखें', 'यह आपकी बाईं ओर पहला काउंटर है'],
+                    successMessage: 'आपको टिकट मिल गया।'
+                },
+                2: {
+                    name: 'कतार में लगें',
+                    instructions: 'काउंटरों के सामने रस्सी के पास खड़े होकर चेक-इन कतार में लगें और अपनी बारी का इंतज़ार करें।',
+                    narration: 'अब चेक-इन की कतार में लगें। काउंटरों के सामने रस्सी तक जाएँ और अपनी बारी का इंतज़ार करें।',
+                    hints: ['कतार को धूसर खंभों और रस्सी से दर्शाया गया है', 'असली कतार की तरह धैर्य से अपनी बारी का इंतज़ार करें'],
+                    successMessage: 'आप कतार में हैं। अब आपकी बारी है।'
+                },
+                3: {
+                    name: 'चेक-इन करें',
+                    instructions: 'चेक-इन काउंटर तक जाएँ और चेक-इन करने के लिए उस पर क्लिक करें।',
+                    narration: 'आपकी बारी है। चेक-इन काउंटर तक जाएँ और चेक-इन करने के लिए उस पर क्लिक करें।',
+                    hints: ['CHECK-IN लिखा संकेत देखें', 'बीच में दो चेक-इन काउंटर हैं'],
+                    successMessage: 'आपका चेक-इन हो गया और बोर्डिंग पास मिल गया।'
+                },
+                4: {
+                    name: 'अपना बैग जमा करें',
+                    instructions: 'अपना बैग सबसे दाईं ओर बैग ड्रॉप काउंटर पर ले जाएँ और उस पर क्लिक करें।',
+                    narration: 'अब अपना बैग जमा करें। बैग ड्रॉप काउंटर सबसे दाईं ओर है।',
+                    hints: ['BAG DROP लिखा संकेत देखें', 'यह आपकी दाईं ओर आखिरी काउंटर है'],
+                    successMessage: 'आपका बैग जमा हो गया।'
+                },
+                5: {
+                    name: 'बोर्डिंग पास स्कैन करें',
+                    instructions: 'गेट A1 पर जाएँ और बोर्डिंग पास स्कैन करने के लिए हरा एक्सेस कंट्रोल बटन दबाएँ।',
+                    narration: 'गेट A1 पर जाएँ। बोर्डिंग पास स्कैन करने के लिए पोडियम पर हरा एक्सेस कंट्रोल बटन दबाएँ।',
+                    hints: ['गेट A1 काउंटरों के पीछे, सूचना बोर्ड के आगे है', 'बटन गेट के बाईं ओर पोडियम पर है'],
+                    successMessage: 'बोर्डिंग पास स्वीकार हुआ। गेट खुल रहा है।'
+                },
+                6: {
+                    name: 'गेट से गुज़रें',
+                    instructions: 'खुले गेट के दरवाज़ों से गुज़रें और बोर्ड करने के लिए दरवाज़े पर क्लिक करें।',
+                    narration: 'गेट खुला है। बोर्ड करने के लिए दरवाज़ों से गुज़रें। दरवाज़े तक पहुँचकर उस पर क्लिक करें।',
+                    hints: ['स्कैन के बाद काँच के दरवाज़े खिसककर खुलते हैं', 'गेट के बीच से सीधे चलें'],
+                    successMessage: 'आप बोर्ड कर चुके हैं। आपकी यात्रा शुभ हो!'
+                }
+            }
+        },
+        sample: {
+            name: 'नमूना कार्य',
+            description: 'मार्गदर्शन प्रणाली दिखाने के लिए यह एक परीक्षण कार्य है।',
+            steps: {
+                1: {
+                    name: 'चरण 1',
+                    instructions: 'यह पहला चरण है। हाइलाइट किए गए हिस्से को देखें।',
+                    narration: 'यह पहला चरण है। हाइलाइट किए गए हिस्से को देखें।',
+                    hints: ['हाइलाइट किया गया हिस्सा मुख्य सामग्री है', 'आगे बढ़ने के लिए कहीं भी क्लिक करें']
+                },
+                2: {
+                    name: 'चरण 2',
+                    instructions: 'यह दूसरा चरण है। हाइलाइटिंग की अलग शैली पर ध्यान दें।',
+                    narration: 'यह दूसरा चरण है। हाइलाइटिंग की अलग शैली पर ध्यान दें।',
+                    hints: ['हाइलाइटिंग की शैली बदल गई है', 'यह दृश्य प्रतिक्रिया दिखाता है']
+                },
+                3: {
+                    name: 'चरण 3',
+                    instructions: 'यह अंतिम चरण है। कार्य लगभग पूरा है।',
+                    narration: 'यह अंतिम चरण है। कार्य लगभग पूरा है।',
+                    hints: ['यह आखिरी चरण है', 'जल्द ही पूर्णता संदेश दिखेगा']
+                }
+            }
+        }
+    }
+};
+
+if (window.localization) {
+    window.localization.addBundle('hi', window.localeBundles.hi);
+}
@@ -0,0 +1,1238 @@
+/**
+ * Malayalam Locale Bundle
+ * Malayalam (മലയാളം) messages for the UI, guided tasks, device profiles and voice commands
+ */
+
+window.localeBundles = window.localeBundles || {};
+
+window.localeBundles.ml = {
+    locale: {
+        name: 'മലയാളം',
+        speech: 'ml-IN'
+    },
+    common: {
+        active: '✓ സജീവം',
+        cancel: 'റദ്ദാക്കുക',
+        saveSettings: 'ക്രമീകരണങ്ങൾ സംരക്ഷിക്കുക',
+        settingsSaved: 'ക്രമീകരണങ്ങൾ വിജയകരമായി സംരക്ഷിച്ചു!',
+        none: 'ഒന്നുമില്ല',
+        points: '+{points} പോയിന്റ്',
+        duration: {
+            hours: '{hours} മ {minutes} മി',
+            minutes: '{minutes} മി {seconds} സെ',
+            seconds: '{seconds} സെ'
+        },
+        options: {
+            low: 'കുറവ്',
+            medium: 'ഇടത്തരം',
+            normal: 'സാധാരണ',
+            high: 'ഉയർന്ന',
+            small: 'ചെറുത്',
+            large: 'വലുത്',
+            'extra-large': 'വളരെ വലുത്',
+            slow: 'പതുക്കെ',
+            fast: 'വേഗത്തിൽ',
+            visual: 'ദൃശ്യം',
+            auditory: 'ശ്രവ്യം',
+            kinesthetic: 'പ്രവൃത്തിയിലൂടെ',
+            mixed: 'മിശ്രിതം',
+            minimal: 'ഏറ്റവും കുറവ്',
+            moderate: 'മിതമായ',
+            extensive: 'വിപുലമായ'
+        }
+    },
+    guidance: {
+        instruction: 'നിർദ്ദേശം',
+        hint: 'സൂചന',
+        progress: 'ടാസ്ക് പുരോഗതി',
+        stepsLeft: {
+            '=0': 'എല്ലാ ഘട്ടങ്ങളും പൂർത്തിയായി',
+            one: '{count} ഘട്ടം ബാക്കി',
+            other: '{count} ഘട്ടങ്ങൾ ബാക്കി'
+        },
+        introDefault: 'ഈ ടാസ്ക് പൂർത്തിയാക്കാൻ താഴെയുള്ള ഘട്ടങ്ങൾ ചെയ്യുക.',
+        introLevels: 'ബുദ്ധിമുട്ട്: {difficulty} | സഹായം: {assistance}',
+        taskCompleted: 'ടാസ്ക് വിജയകരമായി പൂർത്തിയായി!',
+        stepCompleted: '✓ {name} പൂർത്തിയായി!',
+        deadline: {
+            label: 'ബാക്കി സമയം',
+            timeUp: 'സമയം കഴിഞ്ഞു',
+            start: 'നിങ്ങൾക്ക് {time} ഉണ്ട്.',
+            remaining: '{time} ബാക്കി.',
+            missed: 'സമയം കഴിഞ്ഞു. ഈ ഘട്ടത്തിന്റെ സമയപരിധി കടന്നുപോയി.',
+            minutes: {
+                one: '{count} മിനിറ്റ്',
+                other: '{count} മിനിറ്റ്'
+            },
+            seconds: {
+                one: '{count} സെക്കൻഡ്',
+                other: '{count} സെക്കൻഡ്'
+            }
+        },
+        hazards: {
+            closed: 'ഈ വഴി അടച്ചിരിക്കുന്നു. മറ്റൊരു വഴി കണ്ടെത്തുക.',
+            closedAlternative: 'ഈ വഴി അടച്ചിരിക്കുന്നു. അടുത്ത് മറ്റൊന്ന് തുറന്നിരിക്കുന്നു.'
+        },
+        wayfinding: {
+            straight: 'നേരെ മുന്നോട്ട് പോകുക, {distance}.',
+            slightLeft: 'അല്പം ഇടത്തോട്ട് പോകുക, {distance}.',
+            slightRight: 'അല്പം വലത്തോട്ട് പോകുക, {distance}.',
+            left: 'ഇടത്തോട്ട് തിരിയുക, {distance}.',
+            right: 'വലത്തോട്ട് തിരിയുക, {distance}.',
+            turnAround: 'പിന്നിലേക്ക് തിരിയുക, {distance}.',
+            arrive: 'നിങ്ങൾ എത്തിച്ചേർന്നു.',
+            noRoute: 'ഈ സ്ഥലത്തേക്ക് വഴി കണ്ടെത്താനായില്ല.',
+            accessible: 'പ്രവേശനസൗകര്യമുള്ള വഴിയാണ് എടുക്കുന്നത്.',
+            metres: {
+                one: '{count} മീറ്റർ',
+                other: '{count} മീറ്റർ'
+            }
+        },
+        hintLevels: {
+            none: 'സൂചനയില്ല',
+            cue: 'അടയാളം',
+            text: 'എഴുതിയ സൂചന',
+            narration: 'പറഞ്ഞുള്ള സൂചന',
+            highlight: 'ഹൈലൈറ്റും വഴിയും'
+        },
+        history: {
+            controls: 'മാർഗ്ഗനിർദ്ദേശ നിയന്ത്രണങ്ങൾ',
+            repeat: 'ആവർത്തിക്കുക',
+            repeatShortcut: 'അവസാന നിർദ്ദേശം ആവർത്തിക്കുക (R)',
+            transcript: 'ട്രാൻസ്ക്രിപ്റ്റ്',
+            transcriptShortcut: 'മാർഗ്ഗനിർദ്ദേശ ട്രാൻസ്ക്രിപ്റ്റ് കാണിക്കുക അല്ലെങ്കിൽ മറയ്ക്കുക (T)',
+            title: 'മാർഗ്ഗനിർദ്ദേശ ട്രാൻസ്ക്രിപ്റ്റ്',
+            close: 'ട്രാൻസ്ക്രിപ്റ്റ് അടയ്ക്കുക',
+            empty: 'ഇതുവരെ മാർഗ്ഗനിർദ്ദേശമൊന്നുമില്ല.',
+            nothingToRepeat: 'ആവർത്തിക്കാൻ ഇതുവരെ നിർദ്ദേശമൊന്നുമില്ല.',
+            types: {
+                task: 'ടാസ്ക്',
+                instruction: 'നിർദ്ദേശം',
+                hint: 'സൂചന',
+                wayfinding: 'ദിശ',
+                success: 'പൂർത്തിയായി',
+                alert: 'മുന്നറിയിപ്പ്'
+            }
+        },
+        pictograms: {
+            door: 'വാതിൽ',
+            walk: 'നടക്കുക',
+            look: 'നോക്കുക',
+            touch: 'തൊടുക',
+            left: 'ഇടത്ത്',
+            right: 'വലത്ത്',
+            wait: 'കാത്തിരിക്കുക',
+            stop: 'നിൽക്കുക',
+            help: 'സഹായം',
+            cart: 'ട്രോളി',
+            fruit: 'പഴങ്ങൾ',
+            vegetables: 'പച്ചക്കറികൾ',
+            checkout: 'ബില്ലിംഗ് കൗണ്ടർ',
+            money: 'പണം',
+            ticket: 'ടിക്കറ്റ്',
+            train: 'ട്രെയിൻ',
+            platform: 'പ്ലാറ്റ്ഫോം',
+            clock: 'സമയം',
+            teacher: 'അധ്യാപകൻ',
+            chair: 'കസേര',
+            book: 'പുസ്തകം',
+            lesson: 'പാഠം',
+            bag: 'ബാഗ്',
+            doctor: 'ഡോക്ടർ',
+            bed: 'കിടക്ക',
+            plane: 'വിമാനം',
+            wheelchair: 'പ്രവേശനസൗകര്യം'
+        },
+        difficulty: {
+            easy: {
+                name: 'എളുപ്പം',
+                description: 'വ്യക്തമായ മാർഗ്ഗനിർദ്ദേശത്തോടെ പരമാവധി സഹായം'
+            },
+            medium: {
+                name: 'ഇടത്തരം',
+                description: 'സന്തുലിതമായ സഹായവും മിതമായ മാർഗ്ഗനിർദ്ദേശവും'
+            },
+            hard: {
+                name: 'പ്രയാസം',
+                description: 'പരിചയസമ്പന്നർക്ക് ഏറ്റവും കുറഞ്ഞ സഹായം'
+            }
+        },
+        assistance: {
+            minimal: {
+                name: 'ഏറ്റവും കുറവ്',
+                description: 'അടിസ്ഥാന ഹൈലൈറ്റിംഗ് മാത്രം'
+            },
+            moderate: {
+                name: 'മിതമായ',
+                description: 'എഴുതിയ നിർദ്ദേശങ്ങളോടെ ഹൈലൈറ്റിംഗ്'
+            },
+            full: {
+                name: 'പൂർണ്ണം',
+                description: 'ശബ്ദവിവരണത്തോടെ പൂർണ്ണ മാർഗ്ഗനിർദ്ദേശം'
+            }
+        }
+    },
+    guidanceConfig: {
+        button: 'മാർഗ്ഗനിർദ്ദേശ ക്രമീകരണങ്ങൾ',
+        title: 'മാർഗ്ഗനിർദ്ദേശ ക്രമീകരണം',
+        currentStatus: 'നിലവിലെ സ്ഥിതി',
+        status: 'സ്ഥിതി',
+        active: 'സജീവം',
+        inactive: 'നിഷ്ക്രിയം',
+        currentTask: 'നിലവിലെ ടാസ്ക്',
+        progress: 'പുരോഗതി',
+        difficultyLevel: 'ബുദ്ധിമുട്ട് നില',
+        assistanceLevel: 'സഹായ നില',
+        featureToggles: 'സവിശേഷതകൾ ഓൺ/ഓഫ്',
+        highlighting: 'വസ്തു ഹൈലൈറ്റിംഗ്',
+        highlightingDescription: 'ടാസ്കുകൾക്കായി വസ്തുക്കളും സ്ഥലങ്ങളും ഹൈലൈറ്റ് ചെയ്യുക',
+        textInstructions: 'എഴുതിയ നിർദ്ദേശങ്ങൾ',
+        textInstructionsDescription: 'ടാസ്കുകൾക്കായി എഴുതിയ നിർദ്ദേശങ്ങൾ കാണിക്കുക',
+        narration: 'ശബ്ദവിവരണം',
+        narrationDescription: 'നിർദ്ദേശങ്ങൾ ശബ്ദത്തിൽ കേൾപ്പിക്കുക',
+        audioBeacon: 'ഓഡിയോ ബീക്കൺ',
+        audioBeaconDescription: 'ലക്ഷ്യത്തിൽ നിന്ന് ഒരു ബീക്കൺ ശബ്ദം കേൾപ്പിക്കുക, അടുത്തെത്തുമ്പോൾ അത് വേഗത്തിലാകും',
+        wayfinding: 'വഴികാട്ടൽ',
+        wayfindingDescription: 'തറയിൽ വഴി കാണിക്കുകയും ലക്ഷ്യത്തിലേക്കുള്ള ഓരോ തിരിവും പറഞ്ഞുതരികയും ചെയ്യുക',
+        easyRead: 'എളുപ്പ വായന',
+        easyReadDescription: 'ഓരോ ഘട്ടത്തിനും ചെറിയ വാക്യങ്ങളും ചിത്രങ്ങളും',
+        testGuidance: 'മാർഗ്ഗനിർദ്ദേശം പരീക്ഷിക്കുക',
+        testDescription: 'മാർഗ്ഗനിർദ്ദേശം എങ്ങനെ പ്രവർത്തിക്കുന്നുവെന്ന് കാണാൻ ഒരു മാതൃകാ ടാസ്ക് പരീക്ഷിക്കുക.',
+        testSampleTask: 'മാതൃകാ ടാസ്ക് പരീക്ഷിക്കുക',
+        stopGuidance: 'മാർഗ്ഗനിർദ്ദേശം നിർത്തുക',
+        quickActions: 'പെട്ടെന്നുള്ള പ്രവർത്തനങ്ങൾ',
+        resetToDefaults: 'സ്ഥിരസ്ഥിതിയിലേക്ക് മാറ്റുക',
+        exportSettings: 'ക്രമീകരണങ്ങൾ എക്സ്പോർട്ട് ചെയ്യുക',
+        importSettings: 'ക്രമീകരണങ്ങൾ ഇമ്പോർട്ട് ചെയ്യുക',
+        notifications: {
+            testStarted: 'മാതൃകാ ടാസ്ക് ആരംഭിച്ചു!',
+            stopped: 'മാർഗ്ഗനിർദ്ദേശം നിർത്തി',
+            reset: 'ക്രമീകരണങ്ങൾ സ്ഥിരസ്ഥിതിയിലേക്ക് മാറ്റി',
+            exported: 'ക്രമീകരണങ്ങൾ വിജയകരമായി എക്സ്പോർട്ട് ചെയ്തു',
+            imported: 'ക്രമീകരണങ്ങൾ വിജയകരമായി ഇമ്പോർട്ട് ചെയ്തു',
+            importFailed: 'ക്രമീകരണങ്ങൾ ഇമ്പോർട്ട് ചെയ്യാനായില്ല'
+        }
+    },
+    taskEditor: {
+        scenario: 'സാഹചര്യം',
+        newTask: 'പുതിയ ടാസ്ക്',
+        loadPack: 'ടാസ്ക് പാക്ക് തുറക്കുക',
+        savePack: 'ടാസ്ക് പാക്ക് സേവ് ചെയ്യുക',
+        validate: 'പരിശോധിക്കുക',
+        preview: 'പ്രിവ്യൂ',
+        stopPreview: 'പ്രിവ്യൂ നിർത്തുക',
+        author: 'രചയിതാവ്',
+        taskDetails: 'ടാസ്ക് വിശദാംശങ്ങൾ',
+        taskName: 'ടാസ്കിന്റെ പേര്',
+        description: 'വിവരണം',
+        difficulty: 'ബുദ്ധിമുട്ട്',
+        difficulties: {
+            easy: 'എളുപ്പം',
+            medium: 'ഇടത്തരം',
+            hard: 'കഠിനം'
+        },
+        steps: 'ഘട്ടങ്ങൾ',
+        addStep: 'ചേർക്കുക',
+        moveUp: 'മുകളിലേക്ക്',
+        moveDown: 'താഴേക്ക്',
+        deleteStep: 'നീക്കം ചെയ്യുക',
+        noSteps: 'ഈ ടാസ്കിൽ ഇതുവരെ ഘട്ടങ്ങളൊന്നുമില്ല. തുടങ്ങാൻ ഒന്ന് ചേർക്കുക.',
+        stepDetails: 'ഘട്ട വിശദാംശങ്ങൾ',
+        stepName: 'ഘട്ടത്തിന്റെ പേര്',
+        target: 'ലക്ഷ്യം',
+        pickTarget: 'ദൃശ്യത്തിൽ തിരഞ്ഞെടുക്കുക',
+        cancelPick: 'റദ്ദാക്കുക',
+        pickPrompt: 'ലക്ഷ്യമാക്കാൻ ദൃശ്യത്തിലെ ഒരു വസ്തുവിൽ ക്ലിക്ക് ചെയ്യുക. റദ്ദാക്കാൻ Escape അമർത്തുക.',
+        noTarget: 'ലക്ഷ്യമില്ല',
+        instructions: 'നിർദ്ദേശങ്ങൾ',
+        narration: 'വിവരണ ശബ്ദം',
+        narrationPlaceholder: 'നിർദ്ദേശങ്ങൾ തന്നെ വായിക്കാൻ ശൂന്യമായി വിടുക',
+        hints: 'സൂചനകൾ (ഓരോ വരിയിലും ഒന്ന്)',
+        successMessage: 'വിജയ സന്ദേശം',
+        easyRead: 'എളുപ്പ വായന',
+        easyReadDescription: 'എളുപ്പ വായന ഓണായിരിക്കുമ്പോൾ മുകളിലെ വാചകത്തിന് പകരം കാണിക്കുന്ന ചെറിയ വാക്യങ്ങൾ. ശൂന്യമായ ഫീൽഡുകൾക്ക് മുകളിലെ വാചകം തന്നെ ഉപയോഗിക്കും.',
+        pictograms: 'ചിത്രസൂചകങ്ങൾ',
+        keptRules: 'ഈ ഘട്ടത്തിലെ ശാഖകളും പൂർത്തീകരണ വ്യവസ്ഥകളും അതേപടി നിലനിർത്തും.',
+        newTaskName: 'പുതിയ ടാസ്ക്',
+        newStepName: 'ഘട്ടം {number}',
+        valid: '✓ ടാസ്ക് ശരിയാണ്',
+        invalid: '⚠️ {error}',
+        validWithWarnings: {
+            one: '✓ ടാസ്ക് ശരിയാണ്, {count} എളുപ്പ വായന മുന്നറിയിപ്പോടെ',
+            other: '✓ ടാസ്ക് ശരിയാണ്, {count} എളുപ്പ വായന മുന്നറിയിപ്പുകളോടെ'
+        },
+        easyReadWarnings: {
+            missing: 'ഘട്ടം {step}-ൽ എളുപ്പ വായന നിർദ്ദേശങ്ങളില്ല; സാധാരണ വാചകം കാണിക്കും',
+            noPictograms: 'ഘട്ടം {step}-ലെ എളുപ്പ വായന വാചകത്തിൽ ചിത്രസൂചകങ്ങളില്ല',
+            unknownPictogram: 'ഘട്ടം {step}-ൽ അറിയാത്ത ചിത്രസൂചകം "{pictogram}" ഉപയോഗിക്കുന്നു'
+        },
+        confirmDiscard: 'ഈ ടാസ്കിലെ സേവ് ചെയ്യാത്ത മാറ്റങ്ങൾ ഉപേക്ഷിക്കണോ?',
+        notifications: {
+            targetSet: 'ലക്ഷ്യം {target} ആയി സജ്ജമാക്കി',
+            noEntity: 'അവിടെ id ഉള്ള വസ്തുവൊന്നും കണ്ടെത്തിയില്ല',
+            sceneLoading: 'ദൃശ്യം ഇപ്പോഴും ലോഡ് ചെയ്യുകയാണ്',
+            previewStarted: 'പ്രിവ്യൂ തുടങ്ങി',
+            previewFinished: 'പ്രിവ്യൂ പൂർത്തിയായി',
+            previewStopped: 'പ്രിവ്യൂ നിർത്തി',
+            previewUnavailable: 'ഈ സാഹചര്യത്തിന് പ്രിവ്യൂ ലഭ്യമല്ല',
+            authorRequired: 'സേവ് ചെയ്യുന്നതിന് മുമ്പ് രചയിതാവിന്റെ പേര് നൽകുക',
+            saveFailed: 'ടാസ്ക് പാക്ക് പരിശോധനയിൽ പരാജയപ്പെട്ടു',
+            packMigrated: 'ടാസ്ക് പാക്ക് പതിപ്പ് {version}-ൽ നിന്ന് അപ്ഗ്രേഡ് ചെയ്ത് തുറന്നു',
+            packSaved: 'ടാസ്ക് പാക്ക് സേവ് ചെയ്തു',
+            packLoaded: 'ടാസ്ക് പാക്ക് തുറന്നു',
+            loadFailed: 'ടാസ്ക് പാക്ക് തുറക്കാനായില്ല'
+        }
+    },
+    taskGenerator: {
+        variant: '(പതിപ്പ് {seed})',
+        items: {
+            apples: 'ആപ്പിൾ',
+            oranges: 'ഓറഞ്ച്',
+            bananas: 'പഴം',
+            grapes: 'മുന്തിരി',
+            mangoes: 'മാങ്ങ',
+            pears: 'സബർജല്ലി',
+            carrots: 'കാരറ്റ്',
+            cucumbers: 'വെള്ളരിക്ക',
+            tomatoes: 'തക്കാളി',
+            potatoes: 'ഉരുളക്കിഴങ്ങ്',
+            onions: 'ഉള്ളി',
+            spinach: 'ചീര'
+        },
+        shelves: {
+            fruits: {
+                name: 'പഴങ്ങളുടെ ഷെൽഫ്',
+                location: 'കടയുടെ ഇടതുവശത്ത്'
+            },
+            vegetables: {
+                name: 'പച്ചക്കറി ഷെൽഫ്',
+                location: 'കടയുടെ വലതുവശത്ത്'
+            }
+        },
+        grocery: {
+            description: 'നിങ്ങളുടെ ഷോപ്പിംഗ് ലിസ്റ്റ്: {items}.',
+            item: {
+                name: '{item} എടുക്കുക',
+                instructions: '{shelf}-ൽ {item} കണ്ടെത്തി കൊട്ടയിൽ ഇടാൻ ഷെൽഫിൽ ക്ലിക്ക് ചെയ്യുക.',
+                narration: 'ലിസ്റ്റിൽ അടുത്തത്: {item}. {location} ഉള്ള {shelf}-ലേക്ക് പോകുക.',
+                hints: ['{shelf} {location} ആണ്', 'ലിസ്റ്റ് നോക്കുക: നിങ്ങൾക്ക് {item} വേണം'],
+                successMessage: '{item} കിട്ടി! ലിസ്റ്റിൽ നിന്ന് അത് വെട്ടുക.'
+            }
+        },
+        railway: {
+            description: '{destination}-ലേക്കുള്ള {time}-ന്റെ ട്രെയിൻ പിടിക്കുക.',
+            ticket: {
+                name: '{destination}-ലേക്ക് ടിക്കറ്റ് വാങ്ങുക',
+                instructions: 'ടിക്കറ്റ് കൗണ്ടറിൽ പോയി {destination}-ലേക്ക് ടിക്കറ്റ് വാങ്ങുക.',
+                narration: 'നിങ്ങൾ {destination}-ലേക്ക് യാത്ര ചെയ്യുകയാണ്. ആദ്യം ടിക്കറ്റ് കൗണ്ടറിൽ നിന്ന് ടിക്കറ്റ് വാങ്ങുക.',
+                hints: ['മഞ്ഞ ടിക്കറ്റ് കൗണ്ടർ ഇടതുവശത്ത്, സ്റ്റേഷൻ കെട്ടിടത്തിനടുത്താണ്', '{destination}-ലേക്കുള്ള ടിക്കറ്റ് ചോദിക്കുക'],
+                successMessage: 'നിങ്ങൾക്ക് {destination}-ലേക്കുള്ള ടിക്കറ്റ് ഉണ്ട്.'
+            },
+            board: {
+                name: 'നിങ്ങളുടെ ട്രെയിൻ കണ്ടെത്തുക',
+                instructions: 'പുറപ്പെടൽ ബോർഡിൽ {destination}-ലേക്കുള്ള {time}-ന്റെ ട്രെയിൻ കണ്ടെത്തി അതിന്റെ പ്ലാറ്റ്ഫോം വായിക്കുക.',
+                narration: 'പുറപ്പെടൽ ബോർഡ് നോക്കുക. {time}-ന് {destination}-ലേക്ക് പോകുന്ന ട്രെയിൻ കണ്ടെത്തി പ്ലാറ്റ്ഫോം നമ്പർ വായിക്കുക.',
+                hints: ['പുറപ്പെടൽ ബോർഡിൽ എല്ലാ ട്രെയിനുകളും സമയക്രമത്തിലാണ്', '{time}-ന് {destination} നോക്കുക'],
+                successMessage: '{destination}-ലേക്കുള്ള {time}-ന്റെ ട്രെയിൻ പ്ലാറ്റ്ഫോം {platform}-ൽ നിന്നാണ് പുറപ്പെടുന്നത്.'
+            },
+            platform: {
+                name: 'പ്ലാറ്റ്ഫോം {platform}-ലേക്ക് പോകുക',
+                instructions: 'നിങ്ങളുടെ ട്രെയിൻ ഉടൻ പുറപ്പെടും! {destination}-ലേക്കുള്ള {time}-ന്റെ ട്രെയിൻ പോകുന്നതിന് മുമ്പ് പ്ലാറ്റ്ഫോം {platform}-ലേക്ക് പോയി അതിന്റെ ബോർഡിൽ ക്ലിക്ക് ചെയ്യുക.',
+                narration: 'വേഗം പ്ലാറ്റ്ഫോം {platform}-ലേക്ക് പോകുക, നിങ്ങളുടെ ട്രെയിൻ ഉടൻ പുറപ്പെടും. നീല പ്ലാറ്റ്ഫോം ബോർഡുകൾ ഓരോ പ്ലാറ്റ്ഫോമിന്റെയും ഇടതുവശത്താണ്.',
+                hints: ['പ്ലാറ്റ്ഫോം ബോർഡുകൾ ഓരോ പ്ലാറ്റ്ഫോമിന്റെയും ഇടതുവശത്താണ്', 'നിങ്ങളുടെ ട്രെയിൻ പ്ലാറ്റ്ഫോം {platform}-ൽ നിന്നാണ്'],
+                successMessage: 'നിങ്ങൾ പ്ലാറ്റ്ഫോം {platform}-ലാണ്. {destination}-ലേക്കുള്ള ട്രെയിൻ കൃത്യസമയത്താണ്.'
+            },
+            missed: {
+                name: 'അടുത്ത ട്രെയിനിനെക്കുറിച്ച് ചോദിക്കുക',
+                instructions: '{destination}-ലേക്കുള്ള {time}-ന്റെ ട്രെയിൻ പോയി. ടിക്കറ്റ് കൗണ്ടറിലേക്ക് തിരികെ പോയി അടുത്ത ട്രെയിനിനെക്കുറിച്ച് ചോദിക്കുക.',
+                narration: '{destination}-ലേക്കുള്ള നിങ്ങളുടെ ട്രെയിൻ പോയിക്കഴിഞ്ഞു. ഇത് ആർക്കും സംഭവിക്കാം. ടിക്കറ്റ് കൗണ്ടറിലേക്ക് തിരികെ പോയി അടുത്ത ട്രെയിൻ എപ്പോഴാണെന്ന് ചോദിക്കുക.',
+                hints: ['ടിക്കറ്റ് കൗണ്ടർ സ്റ്റേഷൻ കെട്ടിടത്തിനടുത്താണ്', '{destination}-ലേക്കുള്ള അടുത്ത ട്രെയിനിനെക്കുറിച്ച് ചോദിക്കുക'],
+                successMessage: '{destination}-ലേക്കുള്ള അടുത്ത ട്രെയിൻ പിടിക്കാൻ ജീവനക്കാർ നിങ്ങളെ സഹായിക്കും.'
+            }
+        }
+    },
+    deviceConfig: {
+        button: 'ഉപകരണ ക്രമീകരണങ്ങൾ',
+        title: 'ഉപകരണ ക്രമീകരണം',
+        inputProfile: 'ഇൻപുട്ട് പ്രൊഫൈൽ',
+        connectedDevices: 'ബന്ധിപ്പിച്ച ഉപകരണങ്ങൾ',
+        connected: 'ബന്ധിപ്പിച്ചു',
+        notAvailable: 'ലഭ്യമല്ല',
+        activeDevices: 'സജീവ ഉപകരണങ്ങൾ',
+        deviceInputs: 'അയയ്ക്കുന്നത്: {inputs}',
+        deviceConnected: '{device} കണക്റ്റ് ചെയ്തു',
+        deviceDisconnected: '{device} വിച്ഛേദിച്ചു',
+        inputMapping: 'ഇൻപുട്ട് മാപ്പിംഗ്',
+        voiceControl: 'ശബ്ദ നിയന്ത്രണം',
+        startVoice: 'ശബ്ദം തിരിച്ചറിയൽ ആരംഭിക്കുക',
+        stopVoice: 'ശബ്ദം തിരിച്ചറിയൽ നിർത്തുക',
+        voiceStarted: 'ശബ്ദം തിരിച്ചറിയൽ ആരംഭിച്ചു',
+        voiceStopped: 'ശബ്ദം തിരിച്ചറിയൽ നിർത്തി',
+        accessibilitySettings: 'പ്രവേശനക്ഷമത ക്രമീകരണങ്ങൾ',
+        holdToActivate: 'സജീവമാക്കാൻ അമർത്തിപ്പിടിക്കുക (ചലനപരിമിതിയുള്ളവർക്ക്)',
+        scanningMode: 'സ്കാനിംഗ് മോഡ് (സ്വിച്ച് ഉപകരണങ്ങൾക്ക്)',
+        voiceFeedback: 'പ്രവർത്തനങ്ങൾക്ക് ശബ്ദ പ്രതികരണം',
+        hapticFeedback: 'കമ്പന പ്രതികരണം (VR കൺട്രോളറുകൾ)',
+        testInput: 'ഇൻപുട്ട് പരിശോധിക്കുക',
+        testDescription: 'നിങ്ങളുടെ ക്രമീകരണം പരിശോധിക്കാൻ വിവിധ ഇൻപുട്ട് രീതികൾ പരീക്ഷിക്കുക:',
+        testPlaceholder: 'പരിശോധിക്കാൻ ഇവിടെ ക്ലിക്ക് ചെയ്യുക അല്ലെങ്കിൽ നിങ്ങളുടെ ഇൻപുട്ടുകൾ ഉപയോഗിക്കുക...',
+        inputDetected: '{time}: {type} ഇൻപുട്ട് കണ്ടെത്തി',
+        voiceTest: {
+            label: 'ഒരു ശബ്ദ കമാൻഡ് ടൈപ്പ് ചെയ്യുക',
+            try: 'പരീക്ഷിക്കുക',
+            result: '{time}: "{transcript}" → {result}',
+            statuses: {
+                executed: '{command} പ്രവർത്തിപ്പിച്ചു',
+                confirm: '{command} അതെ അല്ലെങ്കിൽ ഇല്ല എന്നതിനായി കാത്തിരിക്കുന്നു',
+                cancelled: '{command} റദ്ദാക്കി',
+                unrecognized: 'മനസ്സിലായില്ല'
+            }
+        },
+        remap: {
+            customize: 'ഇഷ്ടാനുസൃത പ്രൊഫൈൽ സൃഷ്ടിക്കുക',
+            import: 'പ്രൊഫൈലുകൾ ഇമ്പോർട്ട് ചെയ്യുക',
+            export: 'ഇഷ്ടാനുസൃത പ്രൊഫൈലുകൾ എക്സ്പോർട്ട് ചെയ്യുക',
+            newProfileName: 'എന്റെ {name}',
+            basedOn: '{name} അടിസ്ഥാനമാക്കിയുള്ള ഇഷ്ടാനുസൃത പ്രൊഫൈൽ',
+            name: 'പ്രൊഫൈലിന്റെ പേര്',
+            captureFrom: 'ഇൻപുട്ടുകൾ ചേർക്കുന്നത്',
+            devices: {
+                keyboard: 'കീബോർഡ് കീ',
+                switch: 'സ്വിച്ച്',
+                gamepad: 'ഗെയിംപാഡ് ബട്ടൺ',
+                voice: 'ശബ്ദ വാക്യം'
+            },
+            phrase: 'വാക്യം (അല്ലെങ്കിൽ ഒഴിച്ചിട്ട് പറയൂ)',
+            phrasePlaceholder: 'ഉദാ. നടക്കൂ',
+            add: 'ചേർക്കുക',
+            addFor: '{action} എന്നതിന് ഒരു ഇൻപുട്ട് ചേർക്കുക',
+            remove: '{action} എന്നതിൽ നിന്ന് {input} നീക്കം ചെയ്യുക',
+            capturePrompts: {
+                keyboard: '{action} എന്നതിനായി ഒരു കീ അമർത്തുക…',
+                switch: '{action} എന്നതിനായി ഒരു സ്വിച്ച് അമർത്തുക…',
+                gamepad: '{action} എന്നതിനായി ഒരു ഗെയിംപാഡ് ബട്ടൺ അമർത്തുക…',
+                voice: '{action} എന്നതിനായി ഒരു വാക്യം പറയൂ…'
+            },
+            captureTimedOut: 'ഒന്നും അമർത്തുകയോ പറയുകയോ ചെയ്തില്ല. വീണ്ടും ശ്രമിക്കുക.',
+            typePhrase: 'ശബ്ദ തിരിച്ചറിയൽ ലഭ്യമല്ല. വാക്യം ടൈപ്പ് ചെയ്യുക.',
+            added: 'ഇനി {input} {action} ചെയ്യും',
+            removed: '{action} എന്നതിൽ നിന്ന് {input} നീക്കം ചെയ്തു',
+            inputLabels: {
+                switch: 'സ്വിച്ച് {number}',
+                gamepad: 'ബട്ടൺ {number}'
+            },
+            issuesTitle: 'പ്രൊഫൈൽ ഉപയോഗിക്കുന്നതിന് മുമ്പ് ഇവ പരിശോധിക്കുക',
+            noIssues: 'എല്ലാ പ്രവർത്തനത്തിനും ഇൻപുട്ട് ഉണ്ട്, ഒന്നും ഒത്തുചേരുന്നില്ല',
+            issues: {
+                conflict: '{input} ഒന്നിലധികം പ്രവർത്തനങ്ങൾക്ക് നൽകിയിരിക്കുന്നു: {actions}',
+                reserved: '{input} {purpose} ഉപയോഗിക്കുന്നുണ്ട്',
+                scanning: 'ഈ പ്രൊഫൈലിൽ {input} സ്വിച്ച് സ്കാനിംഗിനുള്ളതാണ്, അതിനാൽ അത് ഈ പ്രവർത്തനം ചെയ്യില്ല',
+                phraseOverlap: '{input} {actions} എന്നതിന്റെ ശബ്ദ കമാൻഡ് പോലെ കേൾക്കുന്നു',
+                unreachable: '{actions} ചെയ്യാൻ ഒരു ഇൻപുട്ടും ഇല്ല'
+            },
+            reservedKeys: {
+                r: 'അവസാന നിർദ്ദേശം ആവർത്തിക്കാനും',
+                t: 'മാർഗനിർദ്ദേശ ട്രാൻസ്ക്രിപ്റ്റ് തുറക്കാനും',
+                tab: 'നിയന്ത്രണങ്ങൾക്കിടയിൽ നീങ്ങാനും'
+            },
+            saveProfile: 'പ്രൊഫൈൽ സംരക്ഷിക്കുക',
+            deleteProfile: 'പ്രൊഫൈൽ ഇല്ലാതാക്കുക',
+            confirmDelete: '"{name}" എന്ന പ്രൊഫൈൽ ഇല്ലാതാക്കണോ?',
+            notifications: {
+                created: 'ഇഷ്ടാനുസൃത പ്രൊഫൈൽ സൃഷ്ടിച്ചു',
+                saved: 'പ്രൊഫൈൽ സംരക്ഷിച്ചു',
+                deleted: 'പ്രൊഫൈൽ ഇല്ലാതാക്കി',
+                nameRequired: 'പ്രൊഫൈലിന് ഒരു പേര് നൽകുക',
+                exported: 'ഇഷ്ടാനുസൃത പ്രൊഫൈലുകൾ എക്സ്പോർട്ട് ചെയ്തു',
+                imported: '{count} പ്രൊഫൈലുകൾ ഇമ്പോർട്ട് ചെയ്തു',
+                importFailed: 'ഈ ഫയലിൽ ഇൻപുട്ട് പ്രൊഫൈലുകൾ ഇല്ല'
+            }
+        },
+        gamepad: {
+            title: 'ജോയ്‌സ്റ്റിക്ക് കാലിബ്രേഷൻ',
+            description: 'വിട്ടിരിക്കുന്ന സ്റ്റിക്ക് അനങ്ങാതിരിക്കാനും ചെറിയ ചലനങ്ങൾ പോലും കണക്കാക്കാനും ഓരോ ജോയ്‌സ്റ്റിക്കും ഗെയിംപാഡും കാലിബ്രേറ്റ് ചെയ്യുക.',
+            noneConnected: 'ജോയ്‌സ്റ്റിക്ക് ഒന്നും ബന്ധിപ്പിച്ചിട്ടില്ല. ഒന്ന് ബന്ധിപ്പിച്ച് അതിലെ ഏതെങ്കിലും ബട്ടൺ അമർത്തുക.',
+            calibrate: 'കാലിബ്രേറ്റ് ചെയ്യുക',
+            calibrated: 'കാലിബ്രേറ്റ് ചെയ്തു',
+            notCalibrated: 'കാലിബ്രേറ്റ് ചെയ്തിട്ടില്ല',
+            stepOf: 'ഘട്ടം {step} / {total}',
+            centerInstructions: 'ജോയ്‌സ്റ്റിക്ക് നടുവിൽ നിൽക്കാൻ വിടുക, തുടർന്ന് ആരംഭിക്കുക തിരഞ്ഞെടുക്കുക.',
+            rangeInstructions: 'ആരംഭിക്കുക തിരഞ്ഞെടുത്ത്, 5 സെക്കൻഡ് ജോയ്‌സ്റ്റിക്ക് അതിന്റെ അരികിലൂടെ പതുക്കെ മുഴുവനായി ചുറ്റിക്കുക.',
+            tuneInstructions: 'ജോയ്‌സ്റ്റിക്ക് പ്രതികരിക്കുന്ന രീതി ക്രമീകരിക്കുക. അത് ഇപ്പോൾ എവിടേക്കാണെന്ന് കുത്ത് കാണിക്കുന്നു.',
+            start: 'ആരംഭിക്കുക',
+            measuring: 'അളക്കുന്നു…',
+            rangeTooSmall: 'ജോയ്‌സ്റ്റിക്ക് വളരെ കുറച്ചേ നീങ്ങിയുള്ളൂ. ആരംഭിക്കുക തിരഞ്ഞെടുത്ത് അത് അരികുകൾ വരെ മുഴുവനായി തള്ളുക.',
+            preview: 'ജോയ്‌സ്റ്റിക്കിന്റെ സ്ഥാനം',
+            deadZone: 'ഡെഡ് സോൺ',
+            curve: 'പ്രതികരണ വക്രം',
+            curves: {
+                linear: 'രേഖീയം',
+                gentle: 'മൃദു (കുറഞ്ഞ വേഗതയിൽ കൂടുതൽ നിയന്ത്രണം)',
+                precise: 'കൃത്യം (കുറഞ്ഞ വേഗതയിൽ ഏറ്റവും കൂടുതൽ നിയന്ത്രണം)'
+            },
+            sensitivity: 'സംവേദനക്ഷമത',
+            invertY: 'മുന്നോട്ടും പിന്നോട്ടും പരസ്പരം മാറ്റുക',
+            reset: 'സ്ഥിരസ്ഥിതിയിലേക്ക് പുനഃസജ്ജമാക്കുക',
+            save: 'കാലിബ്രേഷൻ സംരക്ഷിക്കുക',
+            saved: 'ജോയ്‌സ്റ്റിക്ക് കാലിബ്രേഷൻ സംരക്ഷിച്ചു',
+            disconnected: 'ജോയ്‌സ്റ്റിക്ക് വിച്ഛേദിക്കപ്പെട്ടു. കാലിബ്രേഷൻ നിർത്തി.'
+        },
+        gestures: {
+            title: 'ആംഗ്യങ്ങൾ',
+            description: '{profile}-നെ നിങ്ങളുടെ സ്വന്തം ആംഗ്യങ്ങൾ പഠിപ്പിക്കുക: മൗസ്, വിരൽ അല്ലെങ്കിൽ പേന കൊണ്ട് ഒരു വര വരയ്ക്കുക, അല്ലെങ്കിൽ ഉപകരണം ചലിപ്പിക്കുക. ഓരോന്നിന്റെയും കുറച്ച് ഉദാഹരണങ്ങൾ റെക്കോർഡ് ചെയ്ത്, അത് എന്ത് ചെയ്യണമെന്ന് തിരഞ്ഞെടുക്കുക.',
+            none: 'ഇതുവരെ ആംഗ്യങ്ങളൊന്നുമില്ല.',
+            sources: {
+                pointer: 'വരച്ച വര',
+                motion: 'ഉപകരണത്തിന്റെ ചലനം'
+            },
+            examples: '{count} ഉദാഹരണങ്ങൾ',
+            actionFor: '{name}-നുള്ള പ്രവൃത്തി',
+            record: 'ഉദാഹരണം റെക്കോർഡ് ചെയ്യുക',
+            delete: 'ഇല്ലാതാക്കുക',
+            confirmDelete: '"{name}" എന്ന ആംഗ്യം ഇല്ലാതാക്കണോ?',
+            name: 'ആംഗ്യത്തിന്റെ പേര്',
+            namePlaceholder: 'ഉദാ. വൃത്തം',
+            source: 'എങ്ങനെ ചെയ്യുന്നു',
+            action: 'പ്രവൃത്തി',
+            add: 'ആംഗ്യം ചേർക്കുക',
+            confidence: 'ആവശ്യമായ സാമ്യം',
+            prompts: {
+                pointer: 'ഇപ്പോൾ {name} വരയ്ക്കുക (ഉദാഹരണം {number})…',
+                motion: 'ഇപ്പോൾ ഉപകരണം കൊണ്ട് {name} ചലനം ചെയ്യുക (ഉദാഹരണം {number})…'
+            },
+            trainingTimedOut: 'ആംഗ്യമൊന്നും ഉണ്ടായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+            exampleRecorded: '{name}-ന്റെ ഉദാഹരണം {count} റെക്കോർഡ് ചെയ്തു.',
+            consistency: 'ഇത് മുൻ ഉദാഹരണങ്ങളുമായി {percent}% ചേരുന്നു.',
+            resembles: 'ഇത് {name} പോലെയും തോന്നുന്നു; രണ്ടും കൂടുതൽ വ്യത്യസ്തമാക്കാൻ ശ്രമിക്കുക.',
+            recordMore: 'കുറഞ്ഞത് 3 ഉദാഹരണങ്ങൾ റെക്കോർഡ് ചെയ്യുക.',
+            recognized: '{name} തിരിച്ചറിഞ്ഞു ({percent}%)',
+            rejected: 'തിരിച്ചറിഞ്ഞില്ല: ഏറ്റവും അടുത്തത് {name} ({percent}%)',
+            notifications: {
+                nameRequired: 'ആംഗ്യത്തിന് ഒരു പേര് നൽകുക'
+            }
+        },
+        tremor: {
+            title: 'വിറയൽ ഫിൽട്ടറിംഗ്',
+            description: 'പോയിന്റർ, തല ട്രാക്കിംഗ്, ചലന സെൻസറുകൾ എന്നിവ സ്ഥിരപ്പെടുത്തുന്നു, കുതിച്ചുവരുന്ന ആവർത്തിച്ചുള്ള അമർത്തലുകൾ അവഗണിക്കുന്നു. മാറ്റങ്ങൾ ഉടൻ ബാധകമാകും.',
+            enabled: 'വിറയൽ ഫിൽട്ടർ ചെയ്യുക',
+            method: 'സ്മൂത്തിംഗ്',
+            methodOptions: {
+                oneEuro: 'അനുയോജ്യം: പതുക്കെയാകുമ്പോൾ സ്ഥിരം, വേഗത്തിലാകുമ്പോൾ ചടുലം',
+                movingAverage: 'സമീപകാല ചലനത്തിന്റെ ശരാശരി',
+                none: 'സ്മൂത്തിംഗ് ഇല്ല'
+            },
+            followProfile: 'എന്റെ പ്രൊഫൈലിലെ ചലന കൃത്യത അനുസരിച്ച് ({accuracy}/10)',
+            followProfileUnset: 'എന്റെ പ്രൊഫൈലിലെ ചലന കൃത്യത അനുസരിച്ച് (സജ്ജമാക്കിയിട്ടില്ല)',
+            strength: 'തീവ്രത',
+            velocityThreshold: 'വളരെ പതുക്കെയുള്ള നീക്കം അവഗണിക്കുക',
+            clickStabilization: 'ബട്ടൺ അമർത്തിയിരിക്കുമ്പോൾ ക്ലിക്ക് ലക്ഷ്യത്തിൽ നിർത്തുക',
+            bounceKeys: 'ആവർത്തിച്ചുള്ള അമർത്തലുകൾ അവഗണിക്കുക (ബൗൺസ് കീകൾ)',
+            summary: '{bounce} ms-നുള്ളിലെ ആവർത്തിച്ചുള്ള അമർത്തലുകൾ അവഗണിക്കും; {radius} px-നുള്ളിൽ ക്ലിക്കുകൾ ലക്ഷ്യത്തിൽ തുടരും.',
+            summaryOff: 'ഇൻപുട്ട് ഫിൽട്ടർ ചെയ്യുന്നില്ല.'
+        },
+        scanning: {
+            title: 'സ്വിച്ച് സ്കാനിംഗ്',
+            description: 'ഒന്നോ രണ്ടോ സ്വിച്ചുകൾ ഉപയോഗിക്കുമ്പോൾ ഹൈലൈറ്റ് ബട്ടണുകളിലൂടെയും ദൃശ്യത്തിലെ വസ്തുക്കളിലൂടെയും എങ്ങനെ നീങ്ങുന്നു.',
+            method: 'സ്കാനിംഗ് രീതി',
+            methodOptions: {
+                automatic: 'സ്വയമേവ: തിരഞ്ഞെടുക്കാൻ അമർത്തുക',
+                step: 'ഘട്ടം ഘട്ടമായി: സ്വിച്ച് 1 നീക്കുന്നു, സ്വിച്ച് 2 തിരഞ്ഞെടുക്കുന്നു',
+                inverse: 'വിപരീതം: നീക്കാൻ അമർത്തിപ്പിടിക്കുക, തിരഞ്ഞെടുക്കാൻ വിടുക'
+            },
+            pattern: 'സ്കാനിംഗ് ക്രമം',
+            patternOptions: {
+                linear: 'ഒരു സമയം ഒരു ഇനം',
+                rowColumn: 'ആദ്യം വരികൾ, പിന്നെ വരിയിലെ ഇനങ്ങൾ',
+                group: 'ആദ്യം ഗ്രൂപ്പുകൾ, പിന്നെ ഗ്രൂപ്പിലെ ഇനങ്ങൾ'
+            },
+            audioCue: 'ഓരോ ഇനത്തിനും ശബ്ദം',
+            audioCueOptions: {
+                tone: 'ടോൺ',
+                speech: 'പറഞ്ഞ പേര്',
+                both: 'ടോണും പറഞ്ഞ പേരും',
+                none: 'ഒന്നുമില്ല'
+            },
+            speed: 'ഓരോ ഇനത്തിലും സെക്കൻഡ്',
+            initialPause: 'ആദ്യ ഇനത്തിൽ സെക്കൻഡ്',
+            loops: 'സ്കാനിംഗ് നിർത്തുന്നതിന് മുമ്പുള്ള റൗണ്ടുകൾ'
+        },
+        recording: {
+            title: 'സെഷൻ റെക്കോർഡിംഗ്',
+            description: 'ഒരു സെഷനിലെ ഇൻപുട്ടുകൾ അവയുടെ സമയവും ക്യാമറയുടെ സ്ഥാനവും സഹിതം റെക്കോർഡ് ചെയ്യുക, ഫയലിൽ സേവ് ചെയ്യുക, പിന്നീട് അതേ സാഹചര്യത്തിൽ വീണ്ടും പ്ലേ ചെയ്ത് എവിടെയാണ് വ്യത്യാസം വരുന്നതെന്ന് കാണുക.',
+            start: 'റെക്കോർഡ് ചെയ്യുക',
+            stop: 'റെക്കോർഡിംഗ് നിർത്തുക',
+            save: 'ഫയൽ സേവ് ചെയ്യുക',
+            load: 'ഫയൽ തുറക്കുക',
+            replay: 'വീണ്ടും പ്ലേ ചെയ്യുക',
+            stopReplay: 'റീപ്ലേ നിർത്തുക',
+            speed: 'വേഗത',
+            restorePose: 'ഓരോ ഇൻപുട്ടിനും മുമ്പ് ക്യാമറയുടെ സ്ഥാനം പുനഃസ്ഥാപിക്കുക',
+            statusEmpty: 'ഇതുവരെ ഒന്നും റെക്കോർഡ് ചെയ്തിട്ടില്ല.',
+            statusRecording: 'റെക്കോർഡ് ചെയ്യുന്നു. ഈ പാനൽ അടച്ച് സാഹചര്യം സാധാരണപോലെ ഉപയോഗിക്കുക.',
+            statusReady: '{scenario}: {seconds} സെക്കൻഡിൽ {count} ഇൻപുട്ടുകൾ',
+            statusReplaying: '{speed}× വേഗതയിൽ വീണ്ടും പ്ലേ ചെയ്യുന്നു…',
+            recordingStarted: 'റെക്കോർഡിംഗ് ആരംഭിച്ചു',
+            recordingStopped: 'റെക്കോർഡിംഗ് നിർത്തി: {count} ഇൻപുട്ടുകൾ',
+            reportClean: '{total}-ൽ {replayed} ഇൻപുട്ടുകൾ വീണ്ടും പ്ലേ ചെയ്തു, വ്യത്യാസങ്ങളൊന്നുമില്ല.',
+            reportDivergences: '{total}-ൽ {replayed} ഇൻപുട്ടുകൾ വീണ്ടും പ്ലേ ചെയ്തു: {count} വ്യത്യാസങ്ങൾ.',
+            reportMore: '…കൂടാതെ {count} എണ്ണം കൂടി',
+            objectInput: '{target}-ൽ ക്ലിക്ക്',
+            divergence: {
+                missing: '{time} സെ: {input} പ്രതീക്ഷിച്ചു, പക്ഷേ സംഭവിച്ചില്ല',
+                unexpected: '{time} സെ: {input} സംഭവിച്ചു, ഇത് റെക്കോർഡിംഗിൽ ഇല്ല',
+                pose: '{time} സെ: ക്യാമറ റെക്കോർഡ് ചെയ്ത സ്ഥാനത്തുനിന്ന് {distance} മീറ്ററും {angle}°-ഉം അകലെയായിരുന്നു',
+                missingTarget: '{time} സെ: {target} ഈ ദൃശ്യത്തിൽ ഇല്ല',
+                profile: '{expected} പ്രൊഫൈലിൽ റെക്കോർഡ് ചെയ്തു, പക്ഷേ {actual} ആണ് സജീവം'
+            },
+            notifications: {
+                saved: 'റെക്കോർഡിംഗ് സേവ് ചെയ്തു',
+                loaded: 'റെക്കോർഡിംഗ് തുറന്നു',
+                loadFailed: 'ഈ ഫയൽ ഒരു ഇൻപുട്ട് റെക്കോർഡിംഗ് അല്ല',
+                otherScenario: 'ഈ റെക്കോർഡിംഗ് {scenario}-ന്റേതാണ്; വീണ്ടും പ്ലേ ചെയ്യാൻ ആ സാഹചര്യം തുറക്കുക'
+            }
+        },
+        capabilities: {
+            vrControllers: 'VR കൺട്രോളറുകൾ',
+            motionCapture: 'മോഷൻ ക്യാപ്ചർ',
+            smartMobility: 'സ്മാർട്ട് മൊബിലിറ്റി',
+            switchDevices: 'സ്വിച്ച് ഉപകരണങ്ങൾ',
+            eyeTracking: 'കണ്ണ് ട്രാക്കിംഗ്',
+            voiceControl: 'ശബ്ദ നിയന്ത്രണം'
+        },
+        devices: {
+            'vr-controller': 'VR കൺട്രോളർ',
+            'smart-mobility': 'സ്മാർട്ട് മൊബിലിറ്റി ഉപകരണം',
+            'switch-device': 'സ്വിച്ച് ഉപകരണം'
+        },
+        actions: {
+            move: {
+                name: 'ചലനം',
+                description: 'പരിസരത്തിലൂടെ സഞ്ചരിക്കുക'
+            },
+            interact: {
+                name: 'ഇടപെടൽ',
+                description: 'വസ്തുക്കളുമായും ഘടകങ്ങളുമായും ഇടപെടുക'
+            },
+            menu: {
+                name: 'മെനു',
+                description: 'മെനുകളും ക്രമീകരണങ്ങളും തുറക്കുക'
+            },
+            voice: {
+                name: 'ശബ്ദ നിയന്ത്രണം',
+                description: 'ശബ്ദ കമാൻഡ് സജീവമാക്കൽ'
+            },
+            moveForward: {
+                name: 'മുന്നോട്ട് നീങ്ങുക'
+            },
+            moveBack: {
+                name: 'പിന്നോട്ട് നീങ്ങുക'
+            },
+            moveLeft: {
+                name: 'ഇടത്തോട്ട് നീങ്ങുക'
+            },
+            moveRight: {
+                name: 'വലത്തോട്ട് നീങ്ങുക'
+            },
+            select: {
+                name: 'തിരഞ്ഞെടുക്കുക'
+            },
+            cancel: {
+                name: 'റദ്ദാക്കുക'
+            },
+            help: {
+                name: 'സഹായം'
+            }
+        },
+        profiles: {
+            default: {
+                name: 'സാധാരണ നിയന്ത്രണങ്ങൾ',
+                description: 'സാധാരണ കീബോർഡ്, മൗസ് നിയന്ത്രണങ്ങൾ'
+            },
+            limitedArmMobility: {
+                name: 'കൈ ചലനപരിമിതി',
+                description: 'കൈ ചലനം കുറവുള്ളവർക്കായി ക്രമീകരിച്ചത്'
+            },
+            switchDevice: {
+                name: 'സ്വിച്ച് ഉപകരണം',
+                description: 'ഒന്നോ രണ്ടോ സ്വിച്ച് ഇൻപുട്ട് പിന്തുണ'
+            },
+            wheelchair: {
+                name: 'വീൽചെയർ ഉപയോക്താവ്',
+                description: 'വീൽചെയർ ഉപയോക്താക്കൾക്കായി ക്രമീകരിച്ചത്'
+            },
+            prosthetic: {
+                name: 'കൃത്രിമ അവയവ ഉപയോക്താവ്',
+                description: 'കൃത്രിമ അവയവം ഉപയോഗിക്കുന്നവർക്കായി ക്രമീകരിച്ചത്'
+            }
+        }
+    },
+    switchScanning: {
+        row: 'വരി {number}',
+        group: 'ഗ്രൂപ്പ് {number}',
+        sceneObjects: 'ദൃശ്യത്തിലെ വസ്തുക്കൾ'
+    },
+    voice: {
+        commandRecognized: 'കമാൻഡ് തിരിച്ചറിഞ്ഞു: {command}',
+        notUnderstood: 'ക്ഷമിക്കണം, "{transcript}" മനസ്സിലായില്ല. കമാൻഡുകൾ കേൾക്കാൻ "എനിക്ക് എന്ത് പറയാം" എന്ന് പറയൂ.',
+        cancelled: 'റദ്ദാക്കി',
+        confirmPrompts: {
+            restart: 'ദൃശ്യം വീണ്ടും തുടങ്ങണോ? നിങ്ങളുടെ പുരോഗതി നഷ്ടമാകും. അതെ അല്ലെങ്കിൽ ഇല്ല എന്ന് പറയൂ.',
+            exit: 'ദൃശ്യത്തിൽ നിന്ന് പുറത്തുകടക്കണോ? അതെ അല്ലെങ്കിൽ ഇല്ല എന്ന് പറയൂ.'
+        },
+        list: {
+            title: 'നിങ്ങൾക്ക് പറയാവുന്നത്',
+            spoken: 'നിങ്ങൾക്ക് ഇങ്ങനെ പറയാം: {commands}.',
+            targets: 'പേര് പറയാവുന്ന സ്ഥലങ്ങൾ: {targets}.',
+            close: 'അടയ്ക്കുക'
+        },
+        commands: {
+            moveForward: ['[{count} (ചുവട്|അടി)] മുന്നോട്ട് [പോകൂ|നടക്കൂ]'],
+            moveBack: ['[{count} (ചുവട്|അടി)] പിന്നോട്ട് [പോകൂ|നടക്കൂ]'],
+            moveLeft: ['[{count} (ചുവട്|അടി)] ഇടത്തോട്ട് [പോകൂ|നടക്കൂ]'],
+            moveRight: ['[{count} (ചുവട്|അടി)] വലത്തോട്ട് [പോകൂ|നടക്കൂ]'],
+            goTo: ['{target} (പോകൂ|പോവുക)', 'എന്നെ {target} കൊണ്ടുപോകൂ', '{target} എവിടെ'],
+            interact: ['അമർത്തുക', 'തൊടുക', '{target} (അമർത്തുക|തുറക്കുക|എടുക്കുക)'],
+            menu: ['മെനു [തുറക്കുക|കാണിക്കൂ]'],
+            select: ['[{target}] തിരഞ്ഞെടുക്കുക'],
+            cancel: ['റദ്ദാക്കുക'],
+            help: ['സഹായം', 'സഹായിക്കൂ'],
+            whatCanISay: ['എനിക്ക് എന്ത് പറയാം', 'കമാൻഡുകൾ കാണിക്കൂ'],
+            restart: ['വീണ്ടും തുടങ്ങുക', 'പുനരാരംഭിക്കുക'],
+            exit: ['പുറത്തുകടക്കുക', 'പുറത്ത് പോകൂ']
+        },
+        examples: {
+            moveForward: 'മൂന്ന് ചുവട് മുന്നോട്ട് പോകൂ',
+            moveBack: 'പിന്നോട്ട് പോകൂ',
+            moveLeft: 'ഇടത്തോട്ട് പോകൂ',
+            moveRight: 'രണ്ട് ചുവട് വലത്തോട്ട്',
+            goTo: 'ചെക്കൗട്ടിലേക്ക് പോകൂ',
+            interact: 'വാതിൽ തുറക്കുക',
+            menu: 'മെനു തുറക്കുക',
+            select: 'പഴങ്ങൾ തിരഞ്ഞെടുക്കുക',
+            cancel: 'റദ്ദാക്കുക',
+            help: 'സഹായം',
+            whatCanISay: 'എനിക്ക് എന്ത് പറയാം',
+            restart: 'വീണ്ടും തുടങ്ങുക',
+            exit: 'പുറത്തുകടക്കുക'
+        },
+        confirm: {
+            yes: ['അതെ', 'ശരി', 'ഉവ്വ്', 'ചെയ്യൂ'],
+            no: ['ഇല്ല', 'വേണ്ട', 'അല്ല']
+        },
+        numbers: ['ഒന്ന്', 'രണ്ട്', 'മൂന്ന്', 'നാല്', 'അഞ്ച്', 'ആറ്', 'ഏഴ്', 'എട്ട്', 'ഒമ്പത്', 'പത്ത്'],
+        fillers: ['ദയവായി'],
+        targets: {
+            checkoutCounter: ['ചെക്കൗട്ട്', 'കൗണ്ടർ', 'ബില്ലിംഗ് കൗണ്ടർ'],
+            fruitsShelf: ['പഴങ്ങൾ', 'പഴം'],
+            vegetablesShelf: ['പച്ചക്കറികൾ', 'പച്ചക്കറി'],
+            entranceDoor: ['പ്രവേശന കവാടം', 'വാതിൽ']
+        }
+    },
+    profileManager: {
+        button: 'പ്രൊഫൈൽ മാനേജർ',
+        title: 'പ്രൊഫൈൽ മാനേജർ',
+        tabs: {
+            abilities: 'കഴിവുകൾ',
+            preferences: 'മുൻഗണനകൾ',
+            medical: 'മെഡിക്കൽ വിവരങ്ങൾ',
+            analysis: 'വിശകലനം'
+        },
+        abilities: {
+            fineMotor: 'സൂക്ഷ്മ ചലനശേഷി',
+            grossMotor: 'സ്ഥൂല ചലനശേഷി',
+            visual: 'കാഴ്ച',
+            auditory: 'കേൾവി',
+            cognitive: 'ചിന്താശേഷി',
+            attention: 'ശ്രദ്ധ',
+            memory: 'ഓർമ്മ',
+            processing: 'ഗ്രഹണവേഗം'
+        },
+        physicalLimitations: 'ശാരീരിക പരിമിതികൾ',
+        reachRange: 'എത്തിപ്പിടിക്കാവുന്ന ദൂരം (സെ.മീ)',
+        gripStrength: 'പിടിത്ത ശക്തി',
+        movementSpeed: 'ചലന വേഗത',
+        endurance: 'സഹനശക്തി',
+        languageSettings: 'ഭാഷ',
+        language: 'പ്രദർശനത്തിനും ശബ്ദവിവരണത്തിനുമുള്ള ഭാഷ',
+        visualPreferences: 'ദൃശ്യ മുൻഗണനകൾ',
+        contrastLevel: 'കോൺട്രാസ്റ്റ് നില',
+        textSize: 'അക്ഷര വലുപ്പം',
+        enableAnimations: 'ആനിമേഷനുകൾ ഓണാക്കുക',
+        auditoryPreferences: 'ശ്രവ്യ മുൻഗണനകൾ',
+        volumeLevel: 'ശബ്ദ നില',
+        speechRate: 'സംസാര വേഗത',
+        enableNarration: 'ശബ്ദവിവരണം ഓണാക്കുക',
+        enableSoundEffects: 'ശബ്ദ ഇഫക്റ്റുകൾ ഓണാക്കുക',
+        learningProfile: 'പഠന പ്രൊഫൈൽ',
+        learningStyle: 'പഠന രീതി',
+        learningPace: 'പഠന വേഗത',
+        complexityLevel: 'സങ്കീർണ്ണത നില',
+        guidanceLevel: 'മാർഗ്ഗനിർദ്ദേശ നില',
+        medicalInformation: 'മെഡിക്കൽ വിവരങ്ങൾ',
+        conditions: 'രോഗാവസ്ഥകൾ',
+        conditionsPlaceholder: 'രോഗാവസ്ഥകൾ നൽകുക (ഓരോ വരിയിലും ഒന്ന്)',
+        medications: 'മരുന്നുകൾ',
+        medicationsPlaceholder: 'മരുന്നുകൾ നൽകുക (ഓരോ വരിയിലും ഒന്ന്)',
+        assistiveDevices: 'സഹായ ഉപകരണങ്ങൾ',
+        assistiveDevicesPlaceholder: 'സഹായ ഉപകരണങ്ങൾ നൽകുക (ഓരോ വരിയിലും ഒന്ന്)',
+        restrictions: 'പ്രവർത്തന നിയന്ത്രണങ്ങൾ',
+        restrictionsPlaceholder: 'പ്രവർത്തന നിയന്ത്രണങ്ങൾ നൽകുക (ഓരോ വരിയിലും ഒന്ന്)',
+        emergencyContact: 'അടിയന്തര ബന്ധപ്പെടൽ',
+        emergencyContactPlaceholder: 'അടിയന്തര ബന്ധപ്പെടൽ വിവരങ്ങൾ',
+        strengths: 'ശക്തികൾ',
+        noStrengths: 'പ്രത്യേക ശക്തികൾ കണ്ടെത്തിയില്ല',
+        improvements: 'മെച്ചപ്പെടുത്തേണ്ട മേഖലകൾ',
+        noWeaknesses: 'പ്രത്യേക ദൗർബല്യങ്ങൾ കണ്ടെത്തിയില്ല',
+        score: 'സ്കോർ: {score}/10 ({level})',
+        recommendations: 'ശുപാർശകൾ',
+        noRecommendations: 'ഇപ്പോൾ പ്രത്യേക ശുപാർശകളൊന്നുമില്ല',
+        recommendationDetails: 'മുൻഗണന: {priority} | തരം: {type}',
+        riskFactors: 'അപകട ഘടകങ്ങൾ',
+        noRiskFactors: 'പ്രത്യേക അപകട ഘടകങ്ങൾ കണ്ടെത്തിയില്ല',
+        riskDetails: 'തീവ്രത: {severity} | പ്രതിവിധി: {mitigation}',
+        levels: {
+            excellent: 'മികച്ചത്',
+            good: 'നല്ലത്',
+            average: 'ശരാശരി',
+            mild: 'നേരിയ',
+            moderate: 'മിതമായ',
+            severe: 'ഗുരുതരം'
+        },
+        recommendationTypes: {
+            exercise: 'വ്യായാമം',
+            accommodation: 'സൗകര്യം'
+        },
+        recommendationText: {
+            fineMotor: {
+                title: 'സൂക്ഷ്മ ചലനശേഷി പരിശീലനം',
+                description: 'കൃത്യത ആവശ്യമുള്ള ടാസ്കുകളും കൈ-കണ്ണ് ഏകോപന വ്യായാമങ്ങളും പരിശീലിക്കുക'
+            },
+            grossMotor: {
+                title: 'സ്ഥൂല ചലനശേഷി പരിശീലനം',
+                description: 'വലിയ ചലനങ്ങളും സ്ഥലത്തിലൂടെയുള്ള സഞ്ചാരവും പരിശീലിക്കുക'
+            },
+            visual: {
+                title: 'ദൃശ്യ സഹായം',
+                description: 'ദൃശ്യ കോൺട്രാസ്റ്റും ഹൈലൈറ്റിംഗും വർദ്ധിപ്പിക്കുക'
+            },
+            auditory: {
+                title: 'ശ്രവ്യ സഹായം',
+                description: 'ശബ്ദവിവരണവും ശബ്ദ സൂചനകളും ഓണാക്കുക'
+            },
+            cognitive: {
+                title: 'ചിന്താശേഷി പരിശീലനം',
+                description: 'പ്രശ്നപരിഹാരവും തീരുമാനമെടുക്കലും ഉള്ള ടാസ്കുകൾ പരിശീലിക്കുക'
+            }
+        },
+        risks: {
+            attention: {
+                title: 'ശ്രദ്ധ',
+                description: 'വളരെ കുറഞ്ഞ ശ്രദ്ധാദൈർഘ്യം ടാസ്ക് പൂർത്തിയാക്കുന്നതിനെ ബാധിച്ചേക്കാം',
+                mitigation: 'ടാസ്കുകളെ ചെറിയ ഭാഗങ്ങളായി തിരിക്കുക, ഇടയ്ക്കിടെ ഇടവേളയെടുക്കുക'
+            },
+            balance: {
+                title: 'ശരീരസന്തുലനം',
+                description: 'സന്തുലന പ്രശ്നങ്ങൾ VR അനുഭവത്തെ ബാധിച്ചേക്കാം',
+                mitigation: 'ഇരുന്നുകൊണ്ട് ഉപയോഗിക്കുക, സ്ഥിരതാ സഹായികൾ ഉപയോഗിക്കുക'
+            },
+            fine_motor: {
+                title: 'സൂക്ഷ്മ ചലനം',
+                description: 'ഗുരുതരമായ സൂക്ഷ്മ ചലനപരിമിതികൾക്ക് മറ്റ് ഇൻപുട്ട് രീതികൾ ആവശ്യമായേക്കാം',
+                mitigation: 'ശബ്ദ നിയന്ത്രണം, സ്വിച്ച് ഉപകരണങ്ങൾ അല്ലെങ്കിൽ ലളിതമായ ഇടപെടലുകൾ ഉപയോഗിക്കുക'
+            }
+        }
+    },
+    progressDashboard: {
+        button: 'പുരോഗതി ഡാഷ്ബോർഡ്',
+        title: 'പുരോഗതി ഡാഷ്ബോർഡ്',
+        tabs: {
+            overview: 'അവലോകനം',
+            progress: 'പുരോഗതി',
+            achievements: 'നേട്ടങ്ങൾ',
+            analytics: 'വിശകലനം'
+        },
+        totalPoints: 'ആകെ പോയിന്റുകൾ',
+        level: 'ലെവൽ {level}',
+        currentLevel: 'നിലവിലെ ലെവൽ',
+        badgesEarned: 'നേടിയ ബാഡ്ജുകൾ',
+        tasksCompleted: 'പൂർത്തിയാക്കിയ ടാസ്കുകൾ',
+        progressOverTime: 'കാലക്രമേണയുള്ള പുരോഗതി',
+        recentActivity: 'സമീപകാല പ്രവർത്തനം',
+        taskCompletion: 'ടാസ്ക് പൂർത്തീകരണം',
+        skillDevelopment: 'നൈപുണ്യ വികസനം',
+        taskPerformance: 'ടാസ്ക് പ്രകടനം',
+        columns: {
+            task: 'ടാസ്ക്',
+            completions: 'പൂർത്തീകരണങ്ങൾ',
+            averageTime: 'ശരാശരി സമയം',
+            successRate: 'വിജയ നിരക്ക്',
+            points: 'പോയിന്റുകൾ',
+            step: 'ഘട്ടം',
+            attempts: 'ശ്രമങ്ങൾ',
+            averageHelp: 'ശരാശരി സഹായ നില',
+            mostHelp: 'ഏറ്റവും കൂടുതൽ സഹായം'
+        },
+        badgesEarnedCount: 'നേടിയ ബാഡ്ജുകൾ ({count})',
+        achievementsCount: 'നേട്ടങ്ങൾ ({count})',
+        allBadges: 'ലഭ്യമായ എല്ലാ ബാഡ്ജുകളും',
+        sessionAnalytics: 'സെഷൻ വിശകലനം',
+        totalSessions: 'ആകെ സെഷനുകൾ',
+        totalPlayTime: 'ആകെ കളി സമയം',
+        averageSession: 'ശരാശരി സെഷൻ',
+        successRate: 'വിജയ നിരക്ക്',
+        interactionAnalytics: 'ഇടപെടൽ വിശകലനം',
+        totalInteractions: 'ആകെ ഇടപെടലുകൾ',
+        errorRate: 'പിശക് നിരക്ക്',
+        retryRate: 'വീണ്ടും ശ്രമിക്കൽ നിരക്ക്',
+        averageTaskTime: 'ശരാശരി ടാസ്ക് സമയം',
+        performanceTrends: 'പ്രകടന പ്രവണതകൾ',
+        helpPerStep: 'ഓരോ ഘട്ടത്തിനും വേണ്ടിവന്ന സഹായം',
+        noStepHelp: 'ഓരോ ഘട്ടത്തിനും എത്ര സഹായം വേണ്ടിവന്നു എന്ന് കാണാൻ ഒരു മാർഗ്ഗനിർദ്ദേശമുള്ള ടാസ്ക് പൂർത്തിയാക്കുക.',
+        session: 'സെഷൻ {id}',
+        sessionSummary: {
+            one: '{count} ടാസ്ക് • {duration}',
+            other: '{count} ടാസ്കുകൾ • {duration}'
+        },
+        charts: {
+            pointsOverTime: 'കാലക്രമേണയുള്ള പോയിന്റുകൾ',
+            taskCompletions: 'ടാസ്ക് പൂർത്തീകരണങ്ങൾ',
+            sessions: 'സെഷനുകൾ',
+            points: 'പോയിന്റുകൾ',
+            tasksCompleted: 'പൂർത്തിയാക്കിയ ടാസ്കുകൾ',
+            tasksPerMinute: 'ടാസ്കുകൾ/മിനിറ്റ്'
+        }
+    },
+    analyticsDashboard: {
+        button: 'വിശകലന ഡാഷ്ബോർഡ്',
+        title: 'വിശകലന ഡാഷ്ബോർഡ്',
+        ranges: {
+            day: 'കഴിഞ്ഞ 24 മണിക്കൂർ',
+            week: 'കഴിഞ്ഞ 7 ദിവസം',
+            month: 'കഴിഞ്ഞ 30 ദിവസം',
+            all: 'എല്ലാ കാലവും'
+        },
+        tabs: {
+            overview: 'അവലോകനം',
+            performance: 'പ്രകടനം',
+            accessibility: 'പ്രവേശനക്ഷമത',
+            feedback: 'ഉപയോക്തൃ പ്രതികരണം',
+            trends: 'പ്രവണതകൾ'
+        },
+        performance: 'പ്രകടനം',
+        completion: 'പൂർത്തീകരണം: {value}',
+        efficiency: 'കാര്യക്ഷമത: {value} ടാസ്കുകൾ/മിനിറ്റ്',
+        accessibility: 'പ്രവേശനക്ഷമത',
+        score: 'സ്കോർ: {value}',
+        level: 'നില: {level}',
+        feedback: 'പ്രതികരണം',
+        total: 'ആകെ: {count}',
+        averageDifficulty: 'ശരാശരി ബുദ്ധിമുട്ട്: {value}/5',
+        sessions: 'സെഷനുകൾ',
+        duration: 'ദൈർഘ്യം: {duration}',
+        tasks: 'ടാസ്കുകൾ: {count}',
+        recentActivity: 'സമീപകാല പ്രവർത്തനം',
+        performanceTrends: 'പ്രകടന പ്രവണതകൾ',
+        taskCompletion: 'ടാസ്ക് പൂർത്തീകരണം',
+        detailedMetrics: 'വിശദമായ പ്രകടന അളവുകൾ',
+        columns: {
+            metric: 'അളവ്',
+            current: 'നിലവിൽ',
+            average: 'ശരാശരി',
+            trend: 'പ്രവണത'
+        },
+        complianceScore: 'അനുസരണ സ്കോർ',
+        wcagLevel: 'WCAG {level} നില',
+        recentViolations: 'സമീപകാല ലംഘനങ്ങൾ',
+        noViolations: 'സമീപകാല ലംഘനങ്ങളൊന്നുമില്ല',
+        unknownRule: 'അജ്ഞാത നിയമം',
+        noDetails: 'വിശദാംശങ്ങൾ ലഭ്യമല്ല',
+        accessibilityMetrics: 'പ്രവേശനക്ഷമത അളവുകൾ',
+        feedbackDistribution: 'പ്രതികരണ വിതരണം',
+        difficultyRatings: 'ബുദ്ധിമുട്ട് റേറ്റിംഗുകൾ',
+        feedbackSummary: 'പ്രതികരണ സംഗ്രഹം',
+        totalFeedback: 'ആകെ പ്രതികരണങ്ങൾ',
+        averageDifficultyLabel: 'ശരാശരി ബുദ്ധിമുട്ട്',
+        recentFeedback: 'സമീപകാല പ്രതികരണങ്ങൾ',
+        feedbackTypes: 'പ്രതികരണ തരങ്ങൾ',
+        trendsOverTime: 'കാലക്രമേണയുള്ള പ്രകടന പ്രവണതകൾ',
+        behavioralPatterns: 'പെരുമാറ്റ രീതികൾ',
+        learningProgress: 'പഠന പുരോഗതി',
+        charts: {
+            time: 'സമയം',
+            activity: 'പ്രവർത്തനം',
+            sessions: 'സെഷനുകൾ',
+            score: 'സ്കോർ',
+            progress: 'പുരോഗതി'
+        }
+    },
+    gamification: {
+        badges: {
+            first_completion: { name: 'ആദ്യ ചുവടുകൾ', description: 'നിങ്ങളുടെ ആദ്യ ടാസ്ക് പൂർത്തിയാക്കുക' },
+            perfect_completion: { name: 'കുറ്റമറ്റത്', description: 'ഒരു പിശകുമില്ലാതെ ടാസ്ക് പൂർത്തിയാക്കുക' },
+            speed_run: { name: 'വേഗരാജൻ', description: 'റെക്കോർഡ് സമയത്തിൽ ടാസ്ക് പൂർത്തിയാക്കുക' },
+            perfect_run: { name: 'പൂർണ്ണതാവാദി', description: 'പിശകോ വീണ്ടും ശ്രമിക്കലോ ഇല്ലാതെ ടാസ്ക് പൂർത്തിയാക്കുക' },
+            marathon_session: { name: 'മാരത്തൺ ഓട്ടക്കാരൻ', description: 'ഒരു സെഷനിൽ 30 മിനിറ്റിലധികം കളിക്കുക' },
+            productive_session: { name: 'ഉൽപ്പാദനക്ഷമം', description: 'ഒരു സെഷനിൽ 5 അല്ലെങ്കിൽ അതിലധികം ടാസ്കുകൾ പൂർത്തിയാക്കുക' },
+            perfect_session: { name: 'കുറ്റമറ്റ സെഷൻ', description: 'ഒരു പിശകുമില്ലാതെ സെഷൻ പൂർത്തിയാക്കുക' },
+            explorer: { name: 'പര്യവേക്ഷകൻ', description: 'ഒരു സെഷനിൽ 3 അല്ലെങ്കിൽ അതിലധികം സാഹചര്യങ്ങൾ പരീക്ഷിക്കുക' },
+            quick_learner: { name: 'വേഗം പഠിക്കുന്നയാൾ', description: '10 ടാസ്കുകൾ വിജയകരമായി പൂർത്തിയാക്കുക' },
+            persistent: { name: 'സ്ഥിരോത്സാഹി', description: '50 ടാസ്കുകൾ വിജയകരമായി പൂർത്തിയാക്കുക' },
+            master: { name: 'വിദഗ്ദ്ധൻ', description: '100 ടാസ്കുകൾ വിജയകരമായി പൂർത്തിയാക്കുക' },
+            early_bird: { name: 'അതിരാവിലെ', description: 'രാവിലെ 9 മണിക്ക് മുമ്പ് ടാസ്ക് പൂർത്തിയാക്കുക' },
+            night_owl: { name: 'രാത്രിമൂങ്ങ', description: 'രാത്രി 10 മണിക്ക് ശേഷം ടാസ്ക് പൂർത്തിയാക്കുക' },
+            weekend_warrior: { name: 'വാരാന്ത്യ യോദ്ധാവ്', description: 'വാരാന്ത്യത്തിലെ രണ്ട് ദിവസവും ടാസ്കുകൾ പൂർത്തിയാക്കുക' },
+            consistency: { name: 'സ്ഥിരത', description: 'തുടർച്ചയായി 7 ദിവസം ടാസ്കുകൾ പൂർത്തിയാക്കുക' }
+        },
+        achievements: {
+            first_week: { name: 'ആദ്യ ആഴ്ച', description: 'പരിശീലനത്തിന്റെ ആദ്യ ആഴ്ച പൂർത്തിയാക്കുക' },
+            monthly_champion: { name: 'മാസത്തെ ചാമ്പ്യൻ', description: 'ഒരു മാസത്തിൽ 100 ടാസ്കുകൾ പൂർത്തിയാക്കുക' },
+            skill_master: { name: 'നൈപുണ്യ വിദഗ്ദ്ധൻ', description: 'എല്ലാ ബുദ്ധിമുട്ട് നിലകളിലും പ്രാവീണ്യം നേടുക' },
+            social_butterfly: { name: 'സാമൂഹിക ശലഭം', description: 'നിങ്ങളുടെ പുരോഗതി 5 തവണ പങ്കിടുക' }
+        }
+    },
+    announcer: {
+        badgeEarned: 'ബാഡ്ജ് ലഭിച്ചു: {name}. {points} പോയിന്റുകൾ.',
+        achievementEarned: 'നേട്ടം കൈവരിച്ചു: {name}. {points} പോയിന്റുകൾ.',
+        levelUp: 'ലെവൽ അപ്പ്! നിങ്ങൾ ഇപ്പോൾ ലെവൽ {level}-ൽ ആണ്, {bonus} ബോണസ് പോയിന്റുകളോടെ.',
+        hazards: {
+            wetFloor: 'ശ്രദ്ധിക്കുക: മുന്നിൽ തറ നനഞ്ഞിരിക്കുന്നു.',
+            closure: 'മുന്നിലുള്ള ഒരു വഴി അടച്ചിരിക്കുന്നു.',
+            other: 'ശ്രദ്ധിക്കുക: മുന്നിൽ അപകടമുണ്ട്.',
+            cleared: 'ഒരു അപകടം നീക്കം ചെയ്തു.'
+        }
+    },
+    tasks: {
+        grocery: {
+            name: 'പലചരക്ക് ഷോപ്പിംഗ്',
+            description: 'പലചരക്ക് കടയിലൂടെ സഞ്ചരിച്ച് നിങ്ങളുടെ ഷോപ്പിംഗ് ലിസ്റ്റ് പൂർത്തിയാക്കുക.',
+            steps: {
+                1: {
+                    name: 'കടയിൽ പ്രവേശിക്കുക',
+                    instructions: 'പലചരക്ക് കടയിൽ പ്രവേശിക്കാൻ പ്രവേശന വാതിലിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'പലചരക്ക് കടയിലേക്ക് സ്വാഗതം. ഷോപ്പിംഗ് ആരംഭിക്കാൻ പ്രവേശന വാതിലിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['നീല പ്രവേശന വാതിൽ നോക്കുക', 'വാതിൽ കടയുടെ മുൻവശത്താണ്'],
+                    successMessage: 'കൊള്ളാം! നിങ്ങൾ കടയിൽ പ്രവേശിച്ചു.',
+                    easyRead: {
+                        instructions: 'വാതിൽ കണ്ടെത്തുക. വാതിലിൽ ക്ലിക്ക് ചെയ്യുക.',
+                        hints: ['വാതിൽ നീലയാണ്.', 'വാതിൽ നിങ്ങളുടെ മുന്നിലാണ്.'],
+                        successMessage: 'കൊള്ളാം! നിങ്ങൾ കടയിലാണ്.'
+                    }
+                },
+                2: {
+                    name: 'പഴങ്ങളുടെ വിഭാഗം സന്ദർശിക്കുക',
+                    instructions: 'പുതിയ പഴങ്ങൾ കാണാൻ പഴങ്ങളുടെ വിഭാഗത്തിലേക്ക് പോകുക.',
+                    narration: 'ഇനി പഴങ്ങളുടെ വിഭാഗത്തിലേക്ക് പോകാം. നിങ്ങളുടെ ഇടതുവശത്തുള്ള പഴങ്ങളുടെ ഷെൽഫ് നോക്കുക.',
+                    hints: ['പഴങ്ങളുടെ വിഭാഗം ഇടതുവശത്താണ്', 'ആപ്പിൾ, ഓറഞ്ച് തുടങ്ങിയ പഴങ്ങൾ കാണാം'],
+                    successMessage: 'മികച്ചത്! നിങ്ങൾ പഴങ്ങളുടെ വിഭാഗം കണ്ടെത്തി.',
+                    easyRead: {
+                        instructions: 'പഴങ്ങളുടെ അടുത്തേക്ക് പോകുക. പഴങ്ങൾ ഇടതുവശത്താണ്.',
+                        hints: ['ഇടത്തേക്ക് തിരിയുക.', 'ആപ്പിൾ നോക്കുക.'],
+                        successMessage: 'കൊള്ളാം! നിങ്ങൾ പഴങ്ങൾ കണ്ടെത്തി.'
+                    }
+                },
+                3: {
+                    name: 'പച്ചക്കറികൾ നോക്കുക',
+                    instructions: 'പുതിയ പച്ചക്കറികൾ കാണാൻ പച്ചക്കറി വിഭാഗത്തിലേക്ക് നീങ്ങുക.',
+                    narration: 'അടുത്തതായി, നിങ്ങളുടെ വലതുവശത്തുള്ള പച്ചക്കറി വിഭാഗം നോക്കാം.',
+                    hints: ['പച്ചക്കറി വിഭാഗം വലതുവശത്താണ്', 'കാരറ്റ്, വെള്ളരി തുടങ്ങിയ പച്ചക്കറികൾ നോക്കുക'],
+                    successMessage: 'നന്നായി! നിങ്ങൾ പച്ചക്കറി വിഭാഗം കണ്ടെത്തി.',
+                    easyRead: {
+                        instructions: 'പച്ചക്കറികളുടെ അടുത്തേക്ക് പോകുക. അവ വലതുവശത്താണ്.',
+                        hints: ['വലത്തേക്ക് തിരിയുക.', 'കാരറ്റ് നോക്കുക.'],
+                        successMessage: 'കൊള്ളാം! നിങ്ങൾ പച്ചക്കറികൾ കണ്ടെത്തി.'
+                    }
+                },
+                checkout: {
+                    name: 'ബില്ലിംഗ് കൗണ്ടറിലേക്ക് പോകുക',
+                    instructions: 'വാങ്ങൽ പൂർത്തിയാക്കാൻ ബില്ലിംഗ് കൗണ്ടറിലേക്കോ പ്രവേശനസൗകര്യമുള്ള വരിയിലേക്കോ പോകുക.',
+                    narration: 'ഇനി ബില്ലടയ്ക്കാനുള്ള സമയമാണ്. കടയുടെ പിൻഭാഗത്തുള്ള ബില്ലിംഗ് കൗണ്ടറിലേക്ക് പോകുക, അല്ലെങ്കിൽ അതിനടുത്തുള്ള പ്രവേശനസൗകര്യമുള്ള വരി ഉപയോഗിക്കുക.',
+                    hints: ['ബില്ലിംഗ് കൗണ്ടർ പിൻഭാഗത്താണ്', 'നീല നിറത്തിലുള്ള പ്രവേശനസൗകര്യമുള്ള വരിക്ക് വീതി കൂടുതലാണ്'],
+                    successMessage: 'നന്നായി ചെയ്തു! നിങ്ങളുടെ പലചരക്ക് ഷോപ്പിംഗ് പൂർത്തിയായി.',
+                    easyRead: {
+                        instructions: 'ബില്ലിംഗ് കൗണ്ടറിലേക്ക് പോകുക. സാധനങ്ങൾക്ക് പണം നൽകുക.',
+                        hints: ['കൗണ്ടർ പിൻഭാഗത്താണ്.', 'നീല വരിക്ക് വീതിയുണ്ട്.'],
+                        successMessage: 'നന്നായി ചെയ്തു! നിങ്ങളുടെ ഷോപ്പിംഗ് കഴിഞ്ഞു.'
+                    }
+                }
+            }
+        },
+        hospital: {
+            name: 'ആശുപത്രിയിലെ വഴി കണ്ടെത്തൽ',
+            description: 'ആശുപത്രിയിലൂടെ സഞ്ചരിച്ച് പ്രധാന സ്ഥലങ്ങൾ കണ്ടെത്തുക.',
+            steps: {
+                1: {
+                    name: 'ആശുപത്രിയിൽ പ്രവേശിക്കുക',
+                    instructions: 'ആശുപത്രിയിൽ പ്രവേശിക്കാൻ പ്രവേശന കവാടത്തിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'ആശുപത്രിയിലേക്ക് സ്വാഗതം. ആരംഭിക്കാൻ പ്രവേശന കവാടത്തിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['പ്രധാന പ്രവേശന കവാടം നോക്കുക', 'പ്രവേശന കവാടം വ്യക്തമായി അടയാളപ്പെടുത്തിയിട്ടുണ്ട്'],
+                    successMessage: 'നിങ്ങൾ ആശുപത്രിയിൽ പ്രവേശിച്ചു.'
+                },
+                2: {
+                    name: 'റിസപ്ഷൻ ഡെസ്ക് കണ്ടെത്തുക',
+                    instructions: 'രജിസ്ട്രേഷനായി റിസപ്ഷൻ ഡെസ്ക് കണ്ടെത്തുക.',
+                    narration: 'ആദ്യം, നിങ്ങൾ റിസപ്ഷൻ ഡെസ്കിൽ രജിസ്റ്റർ ചെയ്യണം.',
+                    hints: ['റിസപ്ഷൻ ഡെസ്ക് സാധാരണയായി പ്രവേശന കവാടത്തിനടുത്താണ്', 'ജീവനക്കാരുള്ള ഡെസ്ക് നോക്കുക'],
+                    successMessage: 'കൊള്ളാം! നിങ്ങൾ റിസപ്ഷൻ ഡെസ്ക് കണ്ടെത്തി.'
+                },
+                3: {
+                    name: 'വാർഡിലേക്ക് പോകുക',
+                    instructions: 'രോഗികളുടെ വാർഡിലേക്കുള്ള വഴി കണ്ടെത്തുക.',
+                    narration: 'ഇനി രോഗികളുടെ വാർഡിലേക്ക് പോകുക.',
+                    hints: ['വാർഡുകളിലേക്കുള്ള അടയാളങ്ങൾ പിന്തുടരുക', 'വാർഡുകൾ സാധാരണയായി മുകളിലത്തെ നിലകളിലാണ്'],
+                    successMessage: 'മികച്ചത്! നിങ്ങൾ വാർഡ് കണ്ടെത്തി.'
+                },
+                4: {
+                    name: 'ഓപ്പറേഷൻ തിയേറ്റർ കണ്ടെത്തുക',
+                    instructions: 'ശസ്ത്രക്രിയകൾക്കുള്ള ഓപ്പറേഷൻ തിയേറ്റർ കണ്ടെത്തുക.',
+                    narration: 'അവസാനമായി, ശസ്ത്രക്രിയകൾക്കുള്ള ഓപ്പറേഷൻ തിയേറ്റർ കണ്ടെത്തുക.',
+                    hints: ['ഓപ്പറേഷൻ തിയേറ്റർ സാധാരണയായി ഒരു പ്രത്യേക നിലയിലാണ്', 'ശസ്ത്രക്രിയാ മേഖലയുടെ അടയാളങ്ങൾ നോക്കുക'],
+                    successMessage: 'നന്നായി! നിങ്ങൾ ആശുപത്രിയിലെ വഴി കണ്ടെത്തൽ പൂർത്തിയാക്കി.'
+                }
+            }
+        },
+        railway: {
+            name: 'റെയിൽവേ സ്റ്റേഷനിലെ വഴി കണ്ടെത്തൽ',
+            description: 'റെയിൽവേ സ്റ്റേഷനിലൂടെ സഞ്ചരിച്ച് നിങ്ങളുടെ പ്ലാറ്റ്ഫോം കണ്ടെത്തുക.',
+            steps: {
+                1: {
+                    name: 'സ്റ്റേഷനിൽ പ്രവേശിക്കുക',
+                    instructions: 'യാത്ര ആരംഭിക്കാൻ സ്റ്റേഷന്റെ പ്രവേശന കവാടത്തിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'റെയിൽവേ സ്റ്റേഷനിലേക്ക് സ്വാഗതം. യാത്ര ആരംഭിക്കാൻ പ്രവേശന കവാടത്തിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['സ്റ്റേഷന്റെ പ്രധാന പ്രവേശന കവാടം നോക്കുക', 'പ്രവേശന കവാടം സാധാരണയായി വ്യക്തമായി അടയാളപ്പെടുത്തിയിരിക്കും'],
+                    successMessage: 'നിങ്ങൾ റെയിൽവേ സ്റ്റേഷനിൽ പ്രവേശിച്ചു.'
+                },
+                2: {
+                    name: 'ടിക്കറ്റ് കൗണ്ടർ കണ്ടെത്തുക',
+                    instructions: 'ടിക്കറ്റ് വാങ്ങാൻ ടിക്കറ്റ് കൗണ്ടർ കണ്ടെത്തുക.',
+                    narration: 'ആദ്യം, നിങ്ങൾ ഒരു ടിക്കറ്റ് വാങ്ങണം. ടിക്കറ്റ് കൗണ്ടർ കണ്ടെത്തുക.',
+                    hints: ['ടിക്കറ്റ് കൗണ്ടർ സാധാരണയായി പ്രവേശന കവാടത്തിനടുത്താണ്', '"ടിക്കറ്റുകൾ" എന്ന അടയാളം നോക്കുക'],
+                    successMessage: 'കൊള്ളാം! നിങ്ങൾ ടിക്കറ്റ് കൗണ്ടർ കണ്ടെത്തി.'
+                },
+                3: {
+                    name: 'പുറപ്പെടൽ ബോർഡ് നോക്കുക',
+                    instructions: 'നിങ്ങളുടെ ട്രെയിനിന്റെ വിവരങ്ങൾക്കായി പുറപ്പെടൽ ബോർഡ് നോക്കുക.',
+                    narration: 'ഇനി നിങ്ങളുടെ ട്രെയിനിന്റെ വിവരങ്ങൾ കാണാൻ പുറപ്പെടൽ ബോർഡ് നോക്കുക.',
+                    hints: ['പുറപ്പെടൽ ബോർഡിൽ ട്രെയിൻ സമയവും പ്ലാറ്റ്ഫോമുകളും കാണിക്കുന്നു', 'ഒരു വലിയ ഡിസ്പ്ലേ ബോർഡ് നോക്കുക'],
+                    successMessage: 'മികച്ചത്! നിങ്ങൾ പുറപ്പെടൽ ബോർഡ് പരിശോധിച്ചു.'
+                },
+                4: {
+                    name: 'നിങ്ങളുടെ പ്ലാറ്റ്ഫോമിലേക്ക് പോകുക',
+                    instructions: 'ട്രെയിൻ പിടിക്കാൻ നിങ്ങൾക്ക് നിശ്ചയിച്ച പ്ലാറ്റ്ഫോമിലേക്ക് പോകുക.',
+                    narration: 'അവസാനമായി, ട്രെയിൻ പിടിക്കാൻ നിങ്ങളുടെ പ്ലാറ്റ്ഫോമിലേക്ക് പോകുക.',
+                    hints: ['നിങ്ങളുടെ പ്ലാറ്റ്ഫോം നമ്പറിലേക്കുള്ള അടയാളങ്ങൾ പിന്തുടരുക', 'പ്ലാറ്റ്ഫോമുകൾക്ക് സാധാരണയായി നമ്പറുകളുണ്ട്'],
+                    successMessage: 'നന്നായി! നിങ്ങൾ നിങ്ങളുടെ പ്ലാറ്റ്ഫോമിലെത്തി.'
+                }
+            }
+        },
+        classroom: {
+            name: 'ക്ലാസ്മുറിയിലെ ഇരിപ്പിടം',
+            description: 'ക്ലാസിലെത്തി, വർക്ക്ഷീറ്റ് എടുത്ത്, നിങ്ങളുടെ ഇരിപ്പിടം കണ്ടെത്തി ബോർഡിലെ പാഠം ശ്രദ്ധിക്കുക.',
+            steps: {
+                1: {
+                    name: 'അധ്യാപകനെ അഭിവാദ്യം ചെയ്യുക',
+                    instructions: 'ക്ലാസ്മുറിയുടെ മുൻഭാഗത്തേക്ക് നടന്ന് നമസ്കാരം പറയാൻ അധ്യാപകനിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'ക്ലാസിലേക്ക് സ്വാഗതം. മുറിയുടെ മുൻഭാഗത്തേക്ക് നടന്ന് നിങ്ങളുടെ അധ്യാപകനെ അഭിവാദ്യം ചെയ്തുകൊണ്ട് തുടങ്ങുക.',
+                    hints: ['അധ്യാപകൻ മുന്നിലെ മേശയ്ക്കടുത്ത് നിൽക്കുന്നു', 'ബെഞ്ചുകൾ കടന്ന് മുന്നോട്ട് നടക്കുക'],
+                    successMessage: 'സുപ്രഭാതം! നിങ്ങളെ കണ്ടതിൽ അധ്യാപകന് സന്തോഷം.'
+                },
+                2: {
+                    name: 'വർക്ക്ഷീറ്റ് എടുക്കുക',
+                    instructions: 'ഇന്നത്തെ വർക്ക്ഷീറ്റ് എടുക്കാൻ അധ്യാപകന്റെ മേശയിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'ഇന്നത്തെ വർക്ക്ഷീറ്റ് അധ്യാപകൻ മേശപ്പുറത്ത് വെച്ചിട്ടുണ്ട്. അത് എടുക്കാൻ മേശയിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['ബ്ലാക്ക്ബോർഡിന് മുന്നിലുള്ള വലിയ തവിട്ട് മേശയാണ് അത്', 'അത് അധ്യാപകന്റെ തൊട്ടുപിന്നിലാണ്'],
+                    successMessage: 'നിങ്ങൾക്ക് വർക്ക്ഷീറ്റ് കിട്ടി. ഇനി നിങ്ങളുടെ ഇരിപ്പിടം കണ്ടെത്താം.'
+                },
+                3: {
+                    name: 'നിങ്ങളുടെ ഇരിപ്പിടം കണ്ടെത്തുക',
+                    instructions: 'മുൻനിരയിലെ നടുവിലുള്ള ബെഞ്ചാണ് നിങ്ങളുടെ ഇരിപ്പിടം. അവിടേക്ക് നടന്ന് അതിനരികിൽ നിൽക്കുക.',
+                    narration: 'ബോർഡിനോട് ഏറ്റവും അടുത്തുള്ള മുൻനിരയിലെ നടുവിലെ ബെഞ്ചാണ് നിങ്ങളുടെ ഇരിപ്പിടം. അവിടേക്ക് നടന്ന് ഇരിക്കാനായി അതിനരികിൽ നിൽക്കുക.',
+                    hints: ['ഓരോ നിരയിലും മൂന്ന് ബെഞ്ചുകളുണ്ട്', 'ബ്ലാക്ക്ബോർഡിനടുത്തുള്ള നിരയുടെ നടുവിലാണ് നിങ്ങളുടെ ബെഞ്ച്', 'നിരകൾക്കിടയിലൂടെ സമയമെടുത്ത് പതുക്കെ നീങ്ങുക'],
+                    successMessage: 'നന്നായി ചെയ്തു! നിങ്ങൾ ഇരിപ്പിടത്തിലെത്തി.'
+                },
+                4: {
+                    name: 'ബോർഡ് വായിക്കുക',
+                    instructions: 'ഇന്നത്തെ പാഠം കാണാൻ ബ്ലാക്ക്ബോർഡിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'ഇനി ബ്ലാക്ക്ബോർഡിലേക്ക് നോക്കി, ഇന്ന് എന്താണ് പഠിക്കുന്നതെന്ന് കാണാൻ അതിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['ബ്ലാക്ക്ബോർഡ് മുന്നിലെ ചുമരിലാണ്', 'ക്ലിക്ക് ചെയ്യുമ്പോൾ പാഠം ബോർഡിൽ തെളിയും'],
+                    successMessage: 'മികച്ച പ്രകടനം! ഇന്നത്തെ പാഠത്തിന് നിങ്ങൾ തയ്യാറാണ്.'
+                }
+            }
+        },
+        office: {
+            name: 'ചെക്ക്-ഇനും ബോർഡിംഗും',
+            description: 'ടിക്കറ്റ് വാങ്ങി, ക്യൂവിൽ നിങ്ങളുടെ ഊഴം കാത്ത്, ചെക്ക്-ഇൻ ചെയ്ത്, ബാഗ് ഏൽപ്പിച്ച് ഗേറ്റിലൂടെ കയറുക.',
+            steps: {
+                1: {
+                    name: 'ടിക്കറ്റ് വാങ്ങുക',
+                    instructions: 'ഏറ്റവും ഇടതുവശത്തുള്ള ടിക്കറ്റ് കൗണ്ടറിലേക്ക് പോയി ടിക്കറ്റ് വാങ്ങാൻ അതിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'ആദ്യം നിങ്ങൾക്ക് ഒരു ടിക്കറ്റ് വേണം. ഏറ്റവും ഇടതുവശത്തുള്ള ടിക്കറ്റ് കൗണ്ടറിലേക്ക് പോയി അതിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['TICKETING എന്ന അടയാളം നോക്കുക', 'നിങ്ങളുടെ ഇടതുവശത്തെ ആദ്യത്തെ കൗണ്ടറാണ് അത്'],
+                    successMessage: 'നിങ്ങൾക്ക് ടിക്കറ്റ് കിട്ടി.'
+                },
+                2: {
+                    name: 'ക്യൂവിൽ ചേരുക',
+                    instructions: 'കൗണ്ടറുകൾക്ക് മുന്നിലുള്ള കയറിനടുത്ത് നിന്ന് ചെക്ക്-ഇൻ ക്യൂവിൽ ചേർന്ന് നിങ്ങളുടെ ഊഴം കാത്തിരിക്കുക.',
+                    narration: 'ഇനി ചെക്ക്-ഇനിനുള്ള ക്യൂവിൽ ചേരുക. കൗണ്ടറുകൾക്ക് മുന്നിലുള്ള കയർ വേലിയിലേക്ക് നടന്ന് നിങ്ങളുടെ ഊഴം വരെ അവിടെ കാത്തിരിക്കുക.',
+                    hints: ['ചാരനിറത്തിലുള്ള തൂണുകളും കയറും കൊണ്ടാണ് ക്യൂ അടയാളപ്പെടുത്തിയിരിക്കുന്നത്', 'ഒരു യഥാർത്ഥ ക്യൂവിലെന്നപോലെ ക്ഷമയോടെ ഊഴം കാത്തിരിക്കുക'],
+                    successMessage: 'നിങ്ങൾ ക്യൂവിലാണ്. ഇപ്പോൾ നിങ്ങളുടെ ഊഴമാണ്.'
+                },
+                3: {
+                    name: 'ചെക്ക്-ഇൻ ചെയ്യുക',
+                    instructions: 'ചെക്ക്-ഇൻ കൗണ്ടറിലേക്ക് നടന്ന് ചെക്ക്-ഇൻ ചെയ്യാൻ അതിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'ഇത് നിങ്ങളുടെ ഊഴമാണ്. ചെക്ക്-ഇൻ കൗണ്ടറിലേക്ക് നടന്ന് ചെക്ക്-ഇൻ ചെയ്യാൻ അതിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['CHECK-IN എന്ന അടയാളം നോക്കുക', 'നടുവിൽ രണ്ട് ചെക്ക്-ഇൻ കൗണ്ടറുകളുണ്ട്'],
+                    successMessage: 'നിങ്ങൾ ചെക്ക്-ഇൻ ചെയ്തു, ബോർഡിംഗ് പാസ് കിട്ടി.'
+                },
+                4: {
+                    name: 'ബാഗ് ഏൽപ്പിക്കുക',
+                    instructions: 'നിങ്ങളുടെ ബാഗ് ഏറ്റവും വലതുവശത്തുള്ള ബാഗ് ഡ്രോപ്പ് കൗണ്ടറിലേക്ക് കൊണ്ടുപോയി അതിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'അടുത്തതായി, നിങ്ങളുടെ ബാഗ് ഏൽപ്പിക്കുക. ബാഗ് ഡ്രോപ്പ് കൗണ്ടർ ഏറ്റവും വലതുവശത്താണ്.',
+                    hints: ['BAG DROP എന്ന അടയാളം നോക്കുക', 'നിങ്ങളുടെ വലതുവശത്തെ അവസാനത്തെ കൗണ്ടറാണ് അത്'],
+                    successMessage: 'നിങ്ങളുടെ ബാഗ് ഏൽപ്പിച്ചു.'
+                },
+                5: {
+                    name: 'ബോർഡിംഗ് പാസ് സ്കാൻ ചെയ്യുക',
+                    instructions: 'ഗേറ്റ് A1-ലേക്ക് പോയി ബോർഡിംഗ് പാസ് സ്കാൻ ചെയ്യാൻ പച്ച ആക്സസ് കൺട്രോൾ ബട്ടൺ അമർത്തുക.',
+                    narration: 'ഗേറ്റ് A1-ലേക്ക് പോകുക. ബോർഡിംഗ് പാസ് സ്കാൻ ചെയ്യാൻ പോഡിയത്തിലെ പച്ച ആക്സസ് കൺട്രോൾ ബട്ടൺ അമർത്തുക.',
+                    hints: ['ഗേറ്റ് A1 കൗണ്ടറുകൾക്ക് പിന്നിൽ, വിവര ബോർഡ് കഴിഞ്ഞാണ്', 'ബട്ടൺ ഗേറ്റിന്റെ ഇടതുവശത്തുള്ള പോഡിയത്തിലാണ്'],
+                    successMessage: 'ബോർഡിംഗ് പാസ് സ്വീകരിച്ചു. ഗേറ്റ് തുറക്കുന്നു.'
+                },
+                6: {
+                    name: 'ഗേറ്റിലൂടെ നടക്കുക',
+                    instructions: 'തുറന്ന ഗേറ്റ് വാതിലുകളിലൂടെ നടന്ന് കയറാൻ വാതിലിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    narration: 'ഗേറ്റ് തുറന്നിരിക്കുന്നു. കയറാൻ വാതിലുകളിലൂടെ നടക്കുക. വാതിലിനടുത്തെത്തുമ്പോൾ അതിൽ ക്ലിക്ക് ചെയ്യുക.',
+                    hints: ['സ്കാൻ ചെയ്തതിനുശേഷം ഗ്ലാസ് വാതിലുകൾ നീങ്ങിത്തുറക്കും', 'ഗേറ്റിന്റെ നടുവിലൂടെ നേരെ നടക്കുക'],
+                    successMessage: 'നിങ്ങൾ കയറി. ശുഭയാത്ര!'
+                }
+            }
+        },
+        sample: {
+            name: 'മാതൃകാ ടാസ്ക്',
+            description: 'മാർഗ്ഗനിർദ്ദേശ സംവിധാനം കാണിക്കാനുള്ള ഒരു പരീക്ഷണ ടാസ്ക് ആണിത്.',
+            steps: {
+                1: {
+                    name: 'ഘട്ടം 1',
+                    instructions: 'ഇത് ആദ്യ ഘട്ടമാണ്. ഹൈലൈറ്റ് ചെയ്ത ഭാഗം നോക്കുക.',
+                    narration: 'ഇത് ആദ്യ ഘട്ടമാണ്. ഹൈലൈറ്റ് ചെയ്ത ഭാഗം നോക്കുക.',
+                    hints: ['ഹൈലൈറ്റ് ചെയ്ത ഭാഗമാണ് പ്രധാന ഉള്ളടക്കം', 'തുടരാൻ എവിടെയും ക്ലിക്ക് ചെയ്യാം']
+                },
+                2: {
+                    name: 'ഘട്ടം 2',
+                    instructions: 'ഇത് രണ്ടാം ഘട്ടമാണ്. വ്യത്യസ്തമായ ഹൈലൈറ്റിംഗ് ശൈലി ശ്രദ്ധിക്കുക.',
+                    narration: 'ഇത് രണ്ടാം ഘട്ടമാണ്. വ്യത്യസ്തമായ ഹൈലൈറ്റിംഗ് ശൈലി ശ്രദ്ധിക്കുക.',
+                    hints: ['ഹൈലൈറ്റിംഗ് ശൈലി മാറി', 'ഇത് ദൃശ്യ പ്രതികരണം കാണിക്കുന്നു']
+                },
+                3: {
+                    name: 'ഘട്ടം 3',
+                    instructions: 'ഇത് അവസാന ഘട്ടമാണ്. ടാസ്ക് ഏകദേശം പൂർത്തിയായി.',
+                    narration: 'ഇത് അവസാന ഘട്ടമാണ്. ടാസ്ക് ഏകദേശം പൂർത്തിയായി.',
+                    hints: ['ഇതാണ് അവസാന ഘട്ടം', 'ഉടൻ തന്നെ പൂർത്തീകരണ സന്ദേശം കാണാം']
+                }
+            }
+        }
+    }
+};
+
+if (window.localization) {
+    window.localization.addBundle('ml', window.localeBundles.ml);
+}
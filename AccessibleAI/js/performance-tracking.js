@@ -49,7 +49,7 @@ class PerformanceTracking {
         
         // Listen for task events
         document.addEventListener('taskStarted', (event) => {
-            this.recordTaskStart(event.detail);
+            this.recordTaskStart(event.detail.task || event.detail);
         });
         
         document.addEventListener('taskCompleted', (event) => {
@@ -59,6 +59,11 @@ class PerformanceTracking {
         document.addEventListener('taskStepCompleted', (event) => {
             this.recordTaskStep(event.detail);
         });
+        
+        // Listen for responses to scene hazards
+        document.addEventListener('hazardResponse', (event) => {
+            this.recordHazardResponse(event.detail);
+        });
     }
     
     // Session Tracking
@@ -72,13 +77,19 @@ class PerformanceTracking {
             movementPaths: [],
             interactionLog: [],
             taskTimings: [],
+            hazardLog: [],
             performanceMetrics: {
                 totalDistance: 0,
                 averageSpeed: 0,
                 interactionCount: 0,
                 taskCount: 0,
                 completionRate: 0,
-                efficiency: 0
+                efficiency: 0,
+                hazardCollisions: 0,
+                hazardEntries: 0,
+                blockedAttempts: 0,
+                reroutes: 0,
+                hazardsAvoided: 0
             },
             accessibilityMetrics: {
                 keyboardNavigation: 0,
@@ -240,6 +251,7 @@ class PerformanceTracking {
             steps: [],
             interactions: 0,
             errors: 0,
+            hazardResponses: [],
             success: false,
             difficulty: taskData.difficulty || 'medium',
             assistanceLevel: taskData.assistanceLevel || 'moderate'
@@ -303,6 +315,51 @@ class PerformanceTracking {
             (completedTasks.length / (sessionDuration / 60000)) || 0;
     }
     
+    // Hazard Tracking
+    recordHazardResponse(responseData) {
+        if (!this.sessionData) return;
+        
+        const response = {
+            timestamp: Date.now(),
+            hazardId: responseData.hazard ? responseData.hazard.id : null,
+            hazardType: responseData.hazard ? responseData.hazard.type : 'unknown',
+            response: responseData.response || 'unknown',
+            position: responseData.position || null,
+            task: responseData.task || null,
+            step: responseData.step || null
+        };
+        
+        this.sessionData.hazardLog.push(response);
+        
+        const task = this.sessionData.taskTimings[this.sessionData.taskTimings.length - 1];
+        if (task && !task.endTime) {
+            task.hazardResponses.push(response);
+        }
+        
+        // Update hazard metrics
+        this.updateHazardMetrics();
+    }
+    
+    updateHazardMetrics() {
+        const counts = {
+            collision: 'hazardCollisions',
+            entered: 'hazardEntries',
+            blockedAttempt: 'blockedAttempts',
+            rerouted: 'reroutes',
+            avoided: 'hazardsAvoided'
+        };
+        
+        Object.values(counts).forEach(metric => {
+            this.sessionData.performanceMetrics[metric] = 0;
+        });
+        
+        this.sessionData.hazardLog.forEach(entry => {
+            if (counts[entry.response]) {
+                this.sessionData.performanceMetrics[counts[entry.response]]++;
+            }
+        });
+    }
+    
     // Accessibility Tracking
     recordAccessibilityEvent(eventType, data) {
         if (!this.sessionData) return;
@@ -355,7 +412,8 @@ class PerformanceTracking {
             accessibilityMetrics: this.sessionData.accessibilityMetrics,
             movementPaths: this.sessionData.movementPaths,
             interactionLog: this.sessionData.interactionLog,
-            taskTimings: this.sessionData.taskTimings
+            taskTimings: this.sessionData.taskTimings,
+            hazardLog: this.sessionData.hazardLog
         };
         
         this.historicalData.push(historicalEntry);
@@ -543,6 +601,9 @@ class PerformanceTracking {
     }
 }
 
+// Make available globally
+window.PerformanceTracking = PerformanceTracking;
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PerformanceTracking;
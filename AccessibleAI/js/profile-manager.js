@@ -24,7 +24,7 @@ class ProfileManager {
     createManagerButton() {
         const button = document.createElement('button');
         button.id = 'profile-manager-button';
-        button.innerHTML = '👤 Profile Manager';
+        button.innerHTML = `👤 ${this.t('profileManager.button')}`;
         button.style.cssText = `
             position: fixed;
             top: 20px;
@@ -65,6 +65,15 @@ class ProfileManager {
         document.addEventListener('abilitiesUpdated', () => {
             this.updateDisplay();
         });
+        
+        // Re-render in the newly selected language
+        document.addEventListener('localeChanged', () => {
+            const button = document.getElementById('profile-manager-button');
+            if (button) {
+                button.innerHTML = `👤 ${this.t('profileManager.button')}`;
+            }
+            this.updateDisplay();
+        });
     }
     
     toggleManager() {
@@ -142,7 +151,7 @@ class ProfileManager {
         return `
             <div style="padding: 30px;">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px;">
-                    <h2 style="margin: 0; color: #2c3e50; font-size: 28px;">👤 Profile Manager</h2>
+                    <h2 style="margin: 0; color: #2c3e50; font-size: 28px;">👤 ${this.t('profileManager.title')}</h2>
                     <button id="close-profile-manager" style="
                         background: #e74c3c;
                         color: white;
@@ -169,7 +178,7 @@ class ProfileManager {
                         font-weight: 600;
                         color: #667eea;
                         border-bottom: 3px solid #667eea;
-                    ">Abilities</button>
+                    ">${this.t('profileManager.tabs.abilities')}</button>
                     <button class="profile-tab" data-tab="preferences" style="
                         background: none;
                         border: none;
@@ -179,7 +188,7 @@ class ProfileManager {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Preferences</button>
+                    ">${this.t('profileManager.tabs.preferences')}</button>
                     <button class="profile-tab" data-tab="medical" style="
                         background: none;
                         border: none;
@@ -189,7 +198,7 @@ class ProfileManager {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Medical Info</button>
+                    ">${this.t('profileManager.tabs.medical')}</button>
                     <button class="profile-tab" data-tab="analysis" style="
                         background: none;
                         border: none;
@@ -199,7 +208,7 @@ class ProfileManager {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Analysis</button>
+                    ">${this.t('profileManager.tabs.analysis')}</button>
                 </div>
                 
                 <!-- Abilities Tab -->
@@ -233,7 +242,7 @@ class ProfileManager {
                 ${Object.entries(abilities).map(([ability, score]) => `
                     <div style="background: #f8f9fa; padding: 20px; border-radius: 15px;">
                         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
-                            <h3 style="margin: 0; color: #2c3e50; text-transform: capitalize;">${ability.replace(/([A-Z])/g, ' $1').trim()}</h3>
+                            <h3 style="margin: 0; color: #2c3e50; text-transform: capitalize;">${this.getAbilityName(ability)}</h3>
                             <span style="font-size: 24px; font-weight: 700; color: #667eea;">${score}/10</span>
                         </div>
                         <div style="background: #e9ecef; height: 10px; border-radius: 5px; overflow: hidden;">
@@ -258,10 +267,10 @@ class ProfileManager {
             </div>
             
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Physical Limitations</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('profileManager.physicalLimitations')}</h3>
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px;">
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Reach Range (cm)</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.reachRange')}</label>
                         <input type="range" 
                                min="0" 
                                max="200" 
@@ -274,7 +283,7 @@ class ProfileManager {
                         </div>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Grip Strength</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.gripStrength')}</label>
                         <input type="range" 
                                min="1" 
                                max="10" 
@@ -287,7 +296,7 @@ class ProfileManager {
                         </div>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Movement Speed</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.movementSpeed')}</label>
                         <input type="range" 
                                min="1" 
                                max="10" 
@@ -300,7 +309,7 @@ class ProfileManager {
                         </div>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Endurance</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.endurance')}</label>
                         <input type="range" 
                                min="1" 
                                max="10" 
@@ -324,23 +333,23 @@ class ProfileManager {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Visual Preferences -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">👁️ Visual Preferences</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">👁️ ${this.t('profileManager.visualPreferences')}</h3>
                     <div style="display: grid; gap: 15px;">
                         <div>
-                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">Contrast Level</label>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.contrastLevel')}</label>
                             <select class="preference-select" data-preference="visual.contrast" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                                <option value="low" ${preferences.visual.contrast === 'low' ? 'selected' : ''}>Low</option>
-                                <option value="normal" ${preferences.visual.contrast === 'normal' ? 'selected' : ''}>Normal</option>
-                                <option value="high" ${preferences.visual.contrast === 'high' ? 'selected' : ''}>High</option>
+                                <option value="low" ${preferences.visual.contrast === 'low' ? 'selected' : ''}>${this.t('common.options.low')}</option>
+                                <option value="normal" ${preferences.visual.contrast === 'normal' ? 'selected' : ''}>${this.t('common.options.normal')}</option>
+                                <option value="high" ${preferences.visual.contrast === 'high' ? 'selected' : ''}>${this.t('common.options.high')}</option>
                             </select>
                         </div>
                         <div>
-                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">Text Size</label>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.textSize')}</label>
                             <select class="preference-select" data-preference="visual.fontSize" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                                <option value="small" ${preferences.visual.fontSize === 'small' ? 'selected' : ''}>Small</option>
-                                <option value="normal" ${preferences.visual.fontSize === 'normal' ? 'selected' : ''}>Normal</option>
-                                <option value="large" ${preferences.visual.fontSize === 'large' ? 'selected' : ''}>Large</option>
-                                <option value="extra-large" ${preferences.visual.fontSize === 'extra-large' ? 'selected' : ''}>Extra Large</option>
+                                <option value="small" ${preferences.visual.fontSize === 'small' ? 'selected' : ''}>${this.t('common.options.small')}</option>
+                                <option value="normal" ${preferences.visual.fontSize === 'normal' ? 'selected' : ''}>${this.t('common.options.normal')}</option>
+                                <option value="large" ${preferences.visual.fontSize === 'large' ? 'selected' : ''}>${this.t('common.options.large')}</option>
+                                <option value="extra-large" ${preferences.visual.fontSize === 'extra-large' ? 'selected' : ''}>${this.t('common.options.extra-large')}</option>
                             </select>
                         </div>
                         <div>
@@ -349,7 +358,7 @@ class ProfileManager {
                                        class="preference-checkbox" 
                                        data-preference="visual.animations"
                                        ${preferences.visual.animations ? 'checked' : ''}>
-                                Enable Animations
+                                ${this.t('profileManager.enableAnimations')}
                             </label>
                         </div>
                     </div>
@@ -357,22 +366,22 @@ class ProfileManager {
                 
                 <!-- Auditory Preferences -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">🔊 Auditory Preferences</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">🔊 ${this.t('profileManager.auditoryPreferences')}</h3>
                     <div style="display: grid; gap: 15px;">
                         <div>
-                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">Volume Level</label>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.volumeLevel')}</label>
                             <select class="preference-select" data-preference="auditory.volume" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                                <option value="low" ${preferences.auditory.volume === 'low' ? 'selected' : ''}>Low</option>
-                                <option value="normal" ${preferences.auditory.volume === 'normal' ? 'selected' : ''}>Normal</option>
-                                <option value="high" ${preferences.auditory.volume === 'high' ? 'selected' : ''}>High</option>
+                                <option value="low" ${preferences.auditory.volume === 'low' ? 'selected' : ''}>${this.t('common.options.low')}</option>
+                                <option value="normal" ${preferences.auditory.volume === 'normal' ? 'selected' : ''}>${this.t('common.options.normal')}</option>
+                                <option value="high" ${preferences.auditory.volume === 'high' ? 'selected' : ''}>${this.t('common.options.high')}</option>
                             </select>
                         </div>
                         <div>
-                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">Speech Rate</label>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.speechRate')}</label>
                             <select class="preference-select" data-preference="auditory.speechRate" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                                <option value="slow" ${preferences.auditory.speechRate === 'slow' ? 'selected' : ''}>Slow</option>
-                                <option value="normal" ${preferences.auditory.speechRate === 'normal' ? 'selected' : ''}>Normal</option>
-                                <option value="fast" ${preferences.auditory.speechRate === 'fast' ? 'selected' : ''}>Fast</option>
+                                <option value="slow" ${preferences.auditory.speechRate === 'slow' ? 'selected' : ''}>${this.t('common.options.slow')}</option>
+                                <option value="normal" ${preferences.auditory.speechRate === 'normal' ? 'selected' : ''}>${this.t('common.options.normal')}</option>
+                                <option value="fast" ${preferences.auditory.speechRate === 'fast' ? 'selected' : ''}>${this.t('common.options.fast')}</option>
                             </select>
                         </div>
                         <div>
@@ -381,7 +390,7 @@ class ProfileManager {
                                        class="preference-checkbox" 
                                        data-preference="auditory.narration"
                                        ${preferences.auditory.narration ? 'checked' : ''}>
-                                Enable Narration
+                                ${this.t('profileManager.enableNarration')}
                             </label>
                         </div>
                         <div>
@@ -390,7 +399,7 @@ class ProfileManager {
                                        class="preference-checkbox" 
                                        data-preference="auditory.soundEffects"
                                        ${preferences.auditory.soundEffects ? 'checked' : ''}>
-                                Enable Sound Effects
+                                ${this.t('profileManager.enableSoundEffects')}
                             </label>
                         </div>
                     </div>
@@ -399,43 +408,54 @@ class ProfileManager {
             
             <!-- Learning Profile -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">🎓 Learning Profile</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">🎓 ${this.t('profileManager.learningProfile')}</h3>
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px;">
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Learning Style</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.learningStyle')}</label>
                         <select class="preference-select" data-preference="learningProfile.style" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                            <option value="visual" ${profile.learningProfile.style === 'visual' ? 'selected' : ''}>Visual</option>
-                            <option value="auditory" ${profile.learningProfile.style === 'auditory' ? 'selected' : ''}>Auditory</option>
-                            <option value="kinesthetic" ${profile.learningProfile.style === 'kinesthetic' ? 'selected' : ''}>Kinesthetic</option>
-                            <option value="mixed" ${profile.learningProfile.style === 'mixed' ? 'selected' : ''}>Mixed</option>
+                            <option value="visual" ${profile.learningProfile.style === 'visual' ? 'selected' : ''}>${this.t('common.options.visual')}</option>
+                            <option value="auditory" ${profile.learningProfile.style === 'auditory' ? 'selected' : ''}>${this.t('common.options.auditory')}</option>
+                            <option value="kinesthetic" ${profile.learningProfile.style === 'kinesthetic' ? 'selected' : ''}>${this.t('common.options.kinesthetic')}</option>
+                            <option value="mixed" ${profile.learningProfile.style === 'mixed' ? 'selected' : ''}>${this.t('common.options.mixed')}</option>
                         </select>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Learning Pace</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.learningPace')}</label>
                         <select class="preference-select" data-preference="learningProfile.pace" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                            <option value="slow" ${profile.learningProfile.pace === 'slow' ? 'selected' : ''}>Slow</option>
-                            <option value="normal" ${profile.learningProfile.pace === 'normal' ? 'selected' : ''}>Normal</option>
-                            <option value="fast" ${profile.learningProfile.pace === 'fast' ? 'selected' : ''}>Fast</option>
+                            <option value="slow" ${profile.learningProfile.pace === 'slow' ? 'selected' : ''}>${this.t('common.options.slow')}</option>
+                            <option value="normal" ${profile.learningProfile.pace === 'normal' ? 'selected' : ''}>${this.t('common.options.normal')}</option>
+                            <option value="fast" ${profile.learningProfile.pace === 'fast' ? 'selected' : ''}>${this.t('common.options.fast')}</option>
                         </select>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Complexity Level</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.complexityLevel')}</label>
                         <select class="preference-select" data-preference="learningProfile.complexity" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                            <option value="low" ${profile.learningProfile.complexity === 'low' ? 'selected' : ''}>Low</option>
-                            <option value="medium" ${profile.learningProfile.complexity === 'medium' ? 'selected' : ''}>Medium</option>
-                            <option value="high" ${profile.learningProfile.complexity === 'high' ? 'selected' : ''}>High</option>
+                            <option value="low" ${profile.learningProfile.complexity === 'low' ? 'selected' : ''}>${this.t('common.options.low')}</option>
+                            <option value="medium" ${profile.learningProfile.complexity === 'medium' ? 'selected' : ''}>${this.t('common.options.medium')}</option>
+                            <option value="high" ${profile.learningProfile.complexity === 'high' ? 'selected' : ''}>${this.t('common.options.high')}</option>
                         </select>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Guidance Level</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.guidanceLevel')}</label>
                         <select class="preference-select" data-preference="learningProfile.guidance" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
-                            <option value="minimal" ${profile.learningProfile.guidance === 'minimal' ? 'selected' : ''}>Minimal</option>
-                            <option value="moderate" ${profile.learningProfile.guidance === 'moderate' ? 'selected' : ''}>Moderate</option>
-                            <option value="extensive" ${profile.learningProfile.guidance === 'extensive' ? 'selected' : ''}>Extensive</option>
+                            <option value="minimal" ${profile.learningProfile.guidance === 'minimal' ? 'selected' : ''}>${this.t('common.options.minimal')}</option>
+                            <option value="moderate" ${profile.learningProfile.guidance === 'moderate' ? 'selected' : ''}>${this.t('common.options.moderate')}</option>
+                            <option value="extensive" ${profile.learningProfile.guidance === 'extensive' ? 'selected' : ''}>${this.t('common.options.extensive')}</option>
                         </select>
                     </div>
                 </div>
             </div>
+            
+            <!-- Language -->
+            <div style="background: #f8f9fa; padding: 25px; border-radius: 15px; margin-top: 30px;">
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">🌐 ${this.t('profileManager.languageSettings')}</h3>
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.language')}</label>
+                <select class="language-select" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
+                    ${this.getAvailableLanguages().map(locale => `
+                        <option value="${locale.code}" ${profile.preferences.language === locale.code ? 'selected' : ''}>${locale.name}</option>
+                    `).join('')}
+                </select>
+            </div>
         `;
     }
     
@@ -444,42 +464,42 @@ class ProfileManager {
         
         return `
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px; margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">🏥 Medical Information</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">🏥 ${this.t('profileManager.medicalInformation')}</h3>
                 <div style="display: grid; gap: 20px;">
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Medical Conditions</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.conditions')}</label>
                         <textarea class="medical-textarea" 
                                   data-medical="conditions" 
-                                  placeholder="Enter medical conditions (one per line)"
+                                  placeholder="${this.t('profileManager.conditionsPlaceholder')}"
                                   style="width: 100%; height: 100px; padding: 10px; border: 1px solid #ddd; border-radius: 5px; resize: vertical;">${medical.conditions.join('\n')}</textarea>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Medications</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.medications')}</label>
                         <textarea class="medical-textarea" 
                                   data-medical="medications" 
-                                  placeholder="Enter medications (one per line)"
+                                  placeholder="${this.t('profileManager.medicationsPlaceholder')}"
                                   style="width: 100%; height: 100px; padding: 10px; border: 1px solid #ddd; border-radius: 5px; resize: vertical;">${medical.medications.join('\n')}</textarea>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Assistive Devices</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.assistiveDevices')}</label>
                         <textarea class="medical-textarea" 
                                   data-medical="assistiveDevices" 
-                                  placeholder="Enter assistive devices (one per line)"
+                                  placeholder="${this.t('profileManager.assistiveDevicesPlaceholder')}"
                                   style="width: 100%; height: 100px; padding: 10px; border: 1px solid #ddd; border-radius: 5px; resize: vertical;">${medical.assistiveDevices.join('\n')}</textarea>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Activity Restrictions</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.restrictions')}</label>
                         <textarea class="medical-textarea" 
                                   data-medical="restrictions" 
-                                  placeholder="Enter activity restrictions (one per line)"
+                                  placeholder="${this.t('profileManager.restrictionsPlaceholder')}"
                                   style="width: 100%; height: 100px; padding: 10px; border: 1px solid #ddd; border-radius: 5px; resize: vertical;">${medical.restrictions.join('\n')}</textarea>
                     </div>
                     <div>
-                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">Emergency Contact</label>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 600;">${this.t('profileManager.emergencyContact')}</label>
                         <input type="text" 
                                class="medical-input" 
                                data-medical="emergencyContact" 
-                               placeholder="Emergency contact information"
+                               placeholder="${this.t('profileManager.emergencyContactPlaceholder')}"
                                value="${medical.emergencyContact || ''}"
                                style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
                     </div>
@@ -495,80 +515,86 @@ class ProfileManager {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Strengths -->
                 <div style="background: #d5f4e6; padding: 25px; border-radius: 15px; border-left: 4px solid #27ae60;">
-                    <h3 style="color: #27ae60; margin-bottom: 20px;">💪 Strengths</h3>
+                    <h3 style="color: #27ae60; margin-bottom: 20px;">💪 ${this.t('profileManager.strengths')}</h3>
                     ${analysis.strengths.length > 0 ? 
                         analysis.strengths.map(strength => `
                             <div style="margin-bottom: 15px; padding: 10px; background: white; border-radius: 8px;">
                                 <div style="font-weight: 600; color: #2c3e50; text-transform: capitalize;">
-                                    ${strength.ability.replace(/([A-Z])/g, ' $1').trim()}
+                                    ${this.getAbilityName(strength.ability)}
                                 </div>
                                 <div style="font-size: 14px; color: #6c757d;">
-                                    Score: ${strength.score}/10 (${strength.level})
+                                    ${this.t('profileManager.score', { score: strength.score, level: this.t(`profileManager.levels.${strength.level}`, {}, strength.level) })}
                                 </div>
                             </div>
                         `).join('') :
-                        '<div style="color: #6c757d; font-style: italic;">No significant strengths identified</div>'
+                        `<div style="color: #6c757d; font-style: italic;">${this.t('profileManager.noStrengths')}</div>`
                     }
                 </div>
                 
                 <!-- Weaknesses -->
                 <div style="background: #fadbd8; padding: 25px; border-radius: 15px; border-left: 4px solid #e74c3c;">
-                    <h3 style="color: #e74c3c; margin-bottom: 20px;">⚠️ Areas for Improvement</h3>
+                    <h3 style="color: #e74c3c; margin-bottom: 20px;">⚠️ ${this.t('profileManager.improvements')}</h3>
                     ${analysis.weaknesses.length > 0 ? 
                         analysis.weaknesses.map(weakness => `
                             <div style="margin-bottom: 15px; padding: 10px; background: white; border-radius: 8px;">
                                 <div style="font-weight: 600; color: #2c3e50; text-transform: capitalize;">
-                                    ${weakness.ability.replace(/([A-Z])/g, ' $1').trim()}
+                                    ${this.getAbilityName(weakness.ability)}
                                 </div>
                                 <div style="font-size: 14px; color: #6c757d;">
-                                    Score: ${weakness.score}/10 (${weakness.level})
+                                    ${this.t('profileManager.score', { score: weakness.score, level: this.t(`profileManager.levels.${weakness.level}`, {}, weakness.level) })}
                                 </div>
                             </div>
                         `).join('') :
-                        '<div style="color: #6c757d; font-style: italic;">No significant weaknesses identified</div>'
+                        `<div style="color: #6c757d; font-style: italic;">${this.t('profileManager.noWeaknesses')}</div>`
                     }
                 </div>
             </div>
             
             <!-- Recommendations -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px; margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">💡 Recommendations</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">💡 ${this.t('profileManager.recommendations')}</h3>
                 ${analysis.recommendations.length > 0 ? 
                     analysis.recommendations.map(rec => `
                         <div style="margin-bottom: 15px; padding: 15px; background: white; border-radius: 8px; border-left: 4px solid #3498db;">
                             <div style="font-weight: 600; color: #2c3e50; margin-bottom: 5px;">
-                                ${rec.title}
+                                ${this.t(`profileManager.recommendationText.${rec.ability}.title`, {}, rec.title)}
                             </div>
                             <div style="color: #6c757d; margin-bottom: 10px;">
-                                ${rec.description}
+                                ${this.t(`profileManager.recommendationText.${rec.ability}.description`, {}, rec.description)}
                             </div>
                             <div style="font-size: 12px; color: #95a5a6;">
-                                Priority: ${rec.priority} | Type: ${rec.type}
+                                ${this.t('profileManager.recommendationDetails', {
+                                    priority: this.t(`common.options.${rec.priority}`, {}, rec.priority),
+                                    type: this.t(`profileManager.recommendationTypes.${rec.type}`, {}, rec.type)
+                                })}
                             </div>
                         </div>
                     `).join('') :
-                    '<div style="color: #6c757d; font-style: italic;">No specific recommendations at this time</div>'
+                    `<div style="color: #6c757d; font-style: italic;">${this.t('profileManager.noRecommendations')}</div>`
                 }
             </div>
             
             <!-- Risk Factors -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">🚨 Risk Factors</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">🚨 ${this.t('profileManager.riskFactors')}</h3>
                 ${analysis.riskFactors.length > 0 ? 
                     analysis.riskFactors.map(risk => `
                         <div style="margin-bottom: 15px; padding: 15px; background: white; border-radius: 8px; border-left: 4px solid #f39c12;">
                             <div style="font-weight: 600; color: #2c3e50; margin-bottom: 5px;">
-                                ${risk.type.replace(/_/g, ' ').toUpperCase()}
+                                ${this.t(`profileManager.risks.${risk.type}.title`, {}, risk.type.replace(/_/g, ' ').toUpperCase())}
                             </div>
                             <div style="color: #6c757d; margin-bottom: 10px;">
-                                ${risk.description}
+                                ${this.t(`profileManager.risks.${risk.type}.description`, {}, risk.description)}
                             </div>
                             <div style="font-size: 12px; color: #95a5a6;">
-                                Severity: ${risk.severity} | Mitigation: ${risk.mitigation}
+                                ${this.t('profileManager.riskDetails', {
+                                    severity: this.t(`common.options.${risk.severity}`, {}, risk.severity),
+                                    mitigation: this.t(`profileManager.risks.${risk.type}.mitigation`, {}, risk.mitigation)
+                                })}
                             </div>
                         </div>
                     `).join('') :
-                    '<div style="color: #6c757d; font-style: italic;">No significant risk factors identified</div>'
+                    `<div style="color: #6c757d; font-style: italic;">${this.t('profileManager.noRiskFactors')}</div>`
                 }
             </div>
         `;
@@ -630,6 +656,14 @@ class ProfileManager {
             });
         });
         
+        // Language selection
+        const languageSelect = document.querySelector('.language-select');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (e) => {
+                this.updateLanguage(e.target.value);
+            });
+        }
+        
         // Medical inputs
         const medicalInputs = document.querySelectorAll('.medical-input, .medical-textarea');
         medicalInputs.forEach(input => {
@@ -693,6 +727,12 @@ class ProfileManager {
         this.userProfile.updateSensoryPreferences(updates);
     }
     
+    // Saved with the profile; the message catalog follows profile updates
+    updateLanguage(language) {
+        const preferences = this.userProfile.getProfile().preferences;
+        this.userProfile.updateProfile({ preferences: { ...preferences, language: language } });
+    }
+    
     updateMedicalInfo(medical, value) {
         const updates = { ...this.userProfile.getProfile().medicalInfo };
         
@@ -707,10 +747,29 @@ class ProfileManager {
     
     updateDisplay() {
         if (this.isOpen && this.manager) {
-            // Refresh the manager content
+            // Refresh the manager content, staying on the current tab
             this.manager.innerHTML = this.generateManagerHTML();
             this.setupManagerEventListeners();
+            if (this.currentTab) {
+                this.switchTab(this.currentTab);
+            }
+        }
+    }
+    
+    // Localization
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
         }
+        return fallback !== undefined ? fallback : key;
+    }
+    
+    getAbilityName(ability) {
+        return this.t(`profileManager.abilities.${ability}`, {}, ability.replace(/([A-Z])/g, ' $1').trim());
+    }
+    
+    getAvailableLanguages() {
+        return window.localization ? window.localization.getAvailableLocales() : [{ code: 'en', name: 'English' }];
     }
 }
 
@@ -24,7 +24,7 @@ class ProgressDashboard {
     createDashboardButton() {
         const button = document.createElement('button');
         button.id = 'progress-dashboard-button';
-        button.innerHTML = '📊 Progress Dashboard';
+        button.innerHTML = `📊 ${this.t('progressDashboard.button')}`;
         button.style.cssText = `
             position: fixed;
             top: 20px;
@@ -73,6 +73,14 @@ class ProgressDashboard {
         document.addEventListener('levelUp', () => {
             this.updateDashboard();
         });
+        
+        document.addEventListener('localeChanged', () => {
+            const button = document.getElementById('progress-dashboard-button');
+            if (button) {
+                button.innerHTML = `📊 ${this.t('progressDashboard.button')}`;
+            }
+            this.updateDashboard();
+        });
     }
     
     toggleDashboard() {
@@ -151,7 +159,7 @@ class ProgressDashboard {
         return `
             <div style="padding: 30px;">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px;">
-                    <h2 style="margin: 0; color: #2c3e50; font-size: 28px;">📊 Progress Dashboard</h2>
+                    <h2 style="margin: 0; color: #2c3e50; font-size: 28px;">📊 ${this.t('progressDashboard.title')}</h2>
                     <button id="close-dashboard" style="
                         background: #e74c3c;
                         color: white;
@@ -178,7 +186,7 @@ class ProgressDashboard {
                         font-weight: 600;
                         color: #9b59b6;
                         border-bottom: 3px solid #9b59b6;
-                    ">Overview</button>
+                    ">${this.t('progressDashboard.tabs.overview')}</button>
                     <button class="dashboard-tab" data-view="progress" style="
                         background: none;
                         border: none;
@@ -188,7 +196,7 @@ class ProgressDashboard {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Progress</button>
+                    ">${this.t('progressDashboard.tabs.progress')}</button>
                     <button class="dashboard-tab" data-view="achievements" style="
                         background: none;
                         border: none;
@@ -198,7 +206,7 @@ class ProgressDashboard {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Achievements</button>
+                    ">${this.t('progressDashboard.tabs.achievements')}</button>
                     <button class="dashboard-tab" data-view="analytics" style="
                         background: none;
                         border: none;
@@ -208,7 +216,7 @@ class ProgressDashboard {
                         font-weight: 600;
                         color: #6c757d;
                         border-bottom: 3px solid transparent;
-                    ">Analytics</button>
+                    ">${this.t('progressDashboard.tabs.analytics')}</button>
                 </div>
                 
                 <!-- Overview Tab -->
@@ -240,35 +248,35 @@ class ProgressDashboard {
                 <!-- Points Card -->
                 <div style="background: linear-gradient(135deg, #667eea, #764ba2); color: white; padding: 25px; border-radius: 15px; text-align: center;">
                     <div style="font-size: 36px; margin-bottom: 10px;">⭐</div>
-                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">${stats.points.toLocaleString()}</div>
-                    <div style="font-size: 16px; opacity: 0.9;">Total Points</div>
+                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">${this.formatNumber(stats.points)}</div>
+                    <div style="font-size: 16px; opacity: 0.9;">${this.t('progressDashboard.totalPoints')}</div>
                 </div>
                 
                 <!-- Level Card -->
                 <div style="background: linear-gradient(135deg, #f39c12, #e67e22); color: white; padding: 25px; border-radius: 15px; text-align: center;">
                     <div style="font-size: 36px; margin-bottom: 10px;">🏆</div>
-                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">Level ${stats.level}</div>
-                    <div style="font-size: 16px; opacity: 0.9;">Current Level</div>
+                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">${this.t('progressDashboard.level', { level: stats.level })}</div>
+                    <div style="font-size: 16px; opacity: 0.9;">${this.t('progressDashboard.currentLevel')}</div>
                 </div>
                 
                 <!-- Badges Card -->
                 <div style="background: linear-gradient(135deg, #27ae60, #2ecc71); color: white; padding: 25px; border-radius: 15px; text-align: center;">
                     <div style="font-size: 36px; margin-bottom: 10px;">🏅</div>
-                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">${stats.badges}</div>
-                    <div style="font-size: 16px; opacity: 0.9;">Badges Earned</div>
+                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">${this.formatNumber(stats.badges)}</div>
+                    <div style="font-size: 16px; opacity: 0.9;">${this.t('progressDashboard.badgesEarned')}</div>
                 </div>
                 
                 <!-- Tasks Card -->
                 <div style="background: linear-gradient(135deg, #9b59b6, #8e44ad); color: white; padding: 25px; border-radius: 15px; text-align: center;">
                     <div style="font-size: 36px; margin-bottom: 10px;">✅</div>
-                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">${metrics.totalTasksCompleted}</div>
-                    <div style="font-size: 16px; opacity: 0.9;">Tasks Completed</div>
+                    <div style="font-size: 32px; font-weight: 700; margin-bottom: 5px;">${this.formatNumber(metrics.totalTasksCompleted)}</div>
+                    <div style="font-size: 16px; opacity: 0.9;">${this.t('progressDashboard.tasksCompleted')}</div>
                 </div>
             </div>
             
             <!-- Progress Chart -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px; margin-bottom: 30px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Progress Over Time</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.progressOverTime')}</h3>
                 <div id="progress-chart" style="height: 300px; background: white; border-radius: 10px; padding: 20px;">
                     <canvas id="progress-canvas" width="800" height="300"></canvas>
                 </div>
@@ -276,7 +284,7 @@ class ProgressDashboard {
             
             <!-- Recent Activity -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Recent Activity</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.recentActivity')}</h3>
                 <div id="recent-activity">
                     ${this.generateRecentActivity()}
                 </div>
@@ -292,7 +300,7 @@ class ProgressDashboard {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Task Completion Chart -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Task Completion</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.taskCompletion')}</h3>
                     <div id="task-completion-chart" style="height: 250px;">
                         <canvas id="task-completion-canvas" width="400" height="250"></canvas>
                     </div>
@@ -300,7 +308,7 @@ class ProgressDashboard {
                 
                 <!-- Skill Development Chart -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Skill Development</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.skillDevelopment')}</h3>
                     <div id="skill-development-chart" style="height: 250px;">
                         <canvas id="skill-development-canvas" width="400" height="250"></canvas>
                     </div>
@@ -309,16 +317,16 @@ class ProgressDashboard {
             
             <!-- Task Performance Table -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Task Performance</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.taskPerformance')}</h3>
                 <div style="overflow-x: auto;">
                     <table style="width: 100%; border-collapse: collapse;">
                         <thead>
                             <tr style="background: #e9ecef;">
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Task</th>
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Completions</th>
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Avg Time</th>
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Success Rate</th>
-                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">Points</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.task')}</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.completions')}</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.averageTime')}</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.successRate')}</th>
+                                <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.points')}</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -338,7 +346,7 @@ class ProgressDashboard {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Badges Section -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Badges Earned (${badges.length})</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.badgesEarnedCount', { count: badges.length })}</h3>
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
                         ${badges.map(badgeId => this.generateBadgeCard(badgeId)).join('')}
                     </div>
@@ -346,7 +354,7 @@ class ProgressDashboard {
                 
                 <!-- Achievements Section -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Achievements (${achievements.length})</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.achievementsCount', { count: achievements.length })}</h3>
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
                         ${achievements.map(achievementId => this.generateAchievementCard(achievementId)).join('')}
                     </div>
@@ -355,7 +363,7 @@ class ProgressDashboard {
             
             <!-- All Available Badges -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">All Available Badges</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.allBadges')}</h3>
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 15px;">
                     ${Object.keys(this.gamification.badgeDefinitions).map(badgeId => 
                         this.generateBadgeCard(badgeId, badges.includes(badgeId))
@@ -372,54 +380,60 @@ class ProgressDashboard {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-bottom: 30px;">
                 <!-- Session Analytics -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Session Analytics</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.sessionAnalytics')}</h3>
                     <div style="display: grid; gap: 15px;">
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Total Sessions</span>
-                            <span style="font-weight: 600;">${metrics.totalSessions}</span>
+                            <span>${this.t('progressDashboard.totalSessions')}</span>
+                            <span style="font-weight: 600;">${this.formatNumber(metrics.totalSessions)}</span>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Total Play Time</span>
+                            <span>${this.t('progressDashboard.totalPlayTime')}</span>
                             <span style="font-weight: 600;">${this.formatDuration(metrics.totalPlayTime)}</span>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Average Session</span>
+                            <span>${this.t('progressDashboard.averageSession')}</span>
                             <span style="font-weight: 600;">${this.formatDuration(metrics.averageSessionTime)}</span>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Success Rate</span>
-                            <span style="font-weight: 600;">${metrics.successRate.toFixed(1)}%</span>
+                            <span>${this.t('progressDashboard.successRate')}</span>
+                            <span style="font-weight: 600;">${this.formatPercent(metrics.successRate)}</span>
                         </div>
                     </div>
                 </div>
                 
                 <!-- Interaction Analytics -->
                 <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                    <h3 style="color: #2c3e50; margin-bottom: 20px;">Interaction Analytics</h3>
+                    <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.interactionAnalytics')}</h3>
                     <div style="display: grid; gap: 15px;">
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Total Interactions</span>
-                            <span style="font-weight: 600;">${metrics.totalInteractions}</span>
+                            <span>${this.t('progressDashboard.totalInteractions')}</span>
+                            <span style="font-weight: 600;">${this.formatNumber(metrics.totalInteractions)}</span>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Error Rate</span>
-                            <span style="font-weight: 600;">${(metrics.errorRate * 100).toFixed(1)}%</span>
+                            <span>${this.t('progressDashboard.errorRate')}</span>
+                            <span style="font-weight: 600;">${this.formatPercent(metrics.errorRate * 100)}</span>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Retry Rate</span>
-                            <span style="font-weight: 600;">${(metrics.retryRate * 100).toFixed(1)}%</span>
+                            <span>${this.t('progressDashboard.retryRate')}</span>
+                            <span style="font-weight: 600;">${this.formatPercent(metrics.retryRate * 100)}</span>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 10px; background: white; border-radius: 8px;">
-                            <span>Avg Task Time</span>
+                            <span>${this.t('progressDashboard.averageTaskTime')}</span>
                             <span style="font-weight: 600;">${this.formatDuration(metrics.averageTaskTime)}</span>
                         </div>
                     </div>
                 </div>
             </div>
             
+            <!-- Help Needed per Step -->
+            <div style="background: #f8f9fa; padding: 25px; border-radius: 15px; margin-bottom: 30px;">
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.helpPerStep')}</h3>
+                ${this.generateStepHelpTable()}
+            </div>
+            
             <!-- Performance Trends -->
             <div style="background: #f8f9fa; padding: 25px; border-radius: 15px;">
-                <h3 style="color: #2c3e50; margin-bottom: 20px;">Performance Trends</h3>
+                <h3 style="color: #2c3e50; margin-bottom: 20px;">${this.t('progressDashboard.performanceTrends')}</h3>
                 <div id="performance-trends-chart" style="height: 300px; background: white; border-radius: 10px; padding: 20px;">
                     <canvas id="performance-trends-canvas" width="800" height="300"></canvas>
                 </div>
@@ -443,9 +457,9 @@ class ProgressDashboard {
             ">
                 ${earned ? '<div style="position: absolute; top: 10px; right: 10px; font-size: 20px;">✓</div>' : ''}
                 <div style="font-size: 32px; margin-bottom: 10px;">${badge.icon}</div>
-                <div style="font-size: 16px; font-weight: 600; margin-bottom: 5px;">${badge.name}</div>
-                <div style="font-size: 12px; opacity: 0.8;">${badge.description}</div>
-                <div style="font-size: 14px; font-weight: 600; margin-top: 10px;">+${badge.points} pts</div>
+                <div style="font-size: 16px; font-weight: 600; margin-bottom: 5px;">${this.t(`gamification.badges.${badgeId}.name`, {}, badge.name)}</div>
+                <div style="font-size: 12px; opacity: 0.8;">${this.t(`gamification.badges.${badgeId}.description`, {}, badge.description)}</div>
+                <div style="font-size: 14px; font-weight: 600; margin-top: 10px;">${this.t('common.points', { points: badge.points })}</div>
             </div>
         `;
     }
@@ -463,9 +477,9 @@ class ProgressDashboard {
                 text-align: center;
             ">
                 <div style="font-size: 32px; margin-bottom: 10px;">${achievement.icon}</div>
-                <div style="font-size: 16px; font-weight: 600; margin-bottom: 5px;">${achievement.name}</div>
-                <div style="font-size: 12px; opacity: 0.8;">${achievement.description}</div>
-                <div style="font-size: 14px; font-weight: 600; margin-top: 10px;">+${achievement.points} pts</div>
+                <div style="font-size: 16px; font-weight: 600; margin-bottom: 5px;">${this.t(`gamification.achievements.${achievementId}.name`, {}, achievement.name)}</div>
+                <div style="font-size: 12px; opacity: 0.8;">${this.t(`gamification.achievements.${achievementId}.description`, {}, achievement.description)}</div>
+                <div style="font-size: 14px; font-weight: 600; margin-top: 10px;">${this.t('common.points', { points: achievement.points })}</div>
             </div>
         `;
     }
@@ -485,15 +499,15 @@ class ProgressDashboard {
                 border-left: 4px solid #9b59b6;
             ">
                 <div>
-                    <div style="font-weight: 600; color: #2c3e50;">Session ${session.id.slice(-8)}</div>
+                    <div style="font-weight: 600; color: #2c3e50;">${this.t('progressDashboard.session', { id: session.id.slice(-8) })}</div>
                     <div style="font-size: 14px; color: #6c757d;">
-                        ${session.tasksCompleted} tasks • ${this.formatDuration(session.duration)}
+                        ${this.t('progressDashboard.sessionSummary', { count: session.tasksCompleted, duration: this.formatDuration(session.duration) })}
                     </div>
                 </div>
                 <div style="text-align: right;">
-                    <div style="font-weight: 600; color: #27ae60;">+${session.totalPoints} pts</div>
+                    <div style="font-weight: 600; color: #27ae60;">${this.t('common.points', { points: session.totalPoints })}</div>
                     <div style="font-size: 14px; color: #6c757d;">
-                        ${new Date(session.startTime).toLocaleDateString()}
+                        ${this.formatDate(session.startTime)}
                     </div>
                 </div>
             </div>
@@ -503,17 +517,56 @@ class ProgressDashboard {
     generateTaskPerformanceRows(taskMetrics) {
         return Object.entries(taskMetrics).map(([taskName, metrics]) => `
             <tr>
-                <td style="padding: 15px; border-bottom: 1px solid #dee2e6; font-weight: 600;">${taskName}</td>
-                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${metrics.totalCompletions}</td>
+                <td style="padding: 15px; border-bottom: 1px solid #dee2e6; font-weight: 600;">${this.getTaskName(taskName)}</td>
+                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.formatNumber(metrics.totalCompletions)}</td>
                 <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.formatDuration(metrics.averageTime)}</td>
-                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${metrics.successRate.toFixed(1)}%</td>
-                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${metrics.totalPoints}</td>
+                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.formatPercent(metrics.successRate)}</td>
+                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.formatNumber(metrics.totalPoints)}</td>
             </tr>
         `).join('');
     }
     
+    // Hint levels reached per step, from the guidance hint ladder
+    generateStepHelpTable() {
+        const hintLevels = ['none', 'cue', 'text', 'narration', 'highlight'];
+        const rows = Object.keys(this.getTaskMetrics()).flatMap(taskName =>
+            this.metrics.getStepHelp(taskName).map(help => ({ taskName, ...help }))
+        );
+        
+        if (rows.length === 0) {
+            return `<p style="color: #6c757d; margin: 0;">${this.t('progressDashboard.noStepHelp')}</p>`;
+        }
+        
+        return `
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: #e9ecef;">
+                            <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.task')}</th>
+                            <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.step')}</th>
+                            <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.attempts')}</th>
+                            <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.averageHelp')}</th>
+                            <th style="padding: 15px; text-align: left; border-bottom: 2px solid #dee2e6;">${this.t('progressDashboard.columns.mostHelp')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.getTaskName(row.taskName)}</td>
+                                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${row.step}</td>
+                                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.formatNumber(row.attempts)}</td>
+                                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.formatNumber(Math.round(row.averageLevel * 10) / 10)}</td>
+                                <td style="padding: 15px; border-bottom: 1px solid #dee2e6;">${this.t(`guidance.hintLevels.${hintLevels[row.highestLevel]}`)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+    
     getTaskMetrics() {
-        const taskNames = ['grocery', 'hospital', 'railway'];
+        const taskNames = ['grocery', 'hospital', 'railway', 'classroom', 'office'];
         const metrics = {};
         
         taskNames.forEach(taskName => {
@@ -595,7 +648,7 @@ class ProgressDashboard {
             y: session.totalPoints
         }));
         
-        this.drawLineChart(ctx, data, 'Points Over Time', 'Sessions', 'Points');
+        this.drawLineChart(ctx, data, this.t('progressDashboard.charts.pointsOverTime'), this.t('progressDashboard.charts.sessions'), this.t('progressDashboard.charts.points'));
     }
     
     initializeTaskCompletionChart() {
@@ -606,11 +659,11 @@ class ProgressDashboard {
         const taskMetrics = this.getTaskMetrics();
         
         const data = Object.entries(taskMetrics).map(([taskName, metrics]) => ({
-            label: taskName,
+            label: this.getTaskName(taskName),
             value: metrics.totalCompletions
         }));
         
-        this.drawBarChart(ctx, data, 'Task Completions');
+        this.drawBarChart(ctx, data, this.t('progressDashboard.charts.taskCompletions'));
     }
     
     initializeSkillDevelopmentChart() {
@@ -626,7 +679,7 @@ class ProgressDashboard {
             y: session.tasksCompleted
         }));
         
-        this.drawLineChart(ctx, skillData, 'Skill Development', 'Sessions', 'Tasks Completed');
+        this.drawLineChart(ctx, skillData, this.t('progressDashboard.skillDevelopment'), this.t('progressDashboard.charts.sessions'), this.t('progressDashboard.charts.tasksCompleted'));
     }
     
     initializePerformanceTrendsChart() {
@@ -642,7 +695,7 @@ class ProgressDashboard {
             y: session.tasksCompleted / (session.duration / 60000) // tasks per minute
         }));
         
-        this.drawLineChart(ctx, performanceData, 'Performance Trends', 'Sessions', 'Tasks/Minute');
+        this.drawLineChart(ctx, performanceData, this.t('progressDashboard.performanceTrends'), this.t('progressDashboard.charts.sessions'), this.t('progressDashboard.charts.tasksPerMinute'));
     }
     
     drawLineChart(ctx, data, title, xLabel, yLabel) {
@@ -742,11 +795,11 @@ class ProgressDashboard {
         const hours = Math.floor(minutes / 60);
         
         if (hours > 0) {
-            return `${hours}h ${minutes % 60}m`;
+            return this.t('common.duration.hours', { hours: hours, minutes: minutes % 60 });
         } else if (minutes > 0) {
-            return `${minutes}m ${seconds % 60}s`;
+            return this.t('common.duration.minutes', { minutes: minutes, seconds: seconds % 60 });
         } else {
-            return `${seconds}s`;
+            return this.t('common.duration.seconds', { seconds: seconds });
         }
     }
     
@@ -755,9 +808,33 @@ class ProgressDashboard {
             // Refresh the dashboard content
             this.dashboard.innerHTML = this.generateDashboardHTML();
             this.setupDashboardEventListeners();
-            this.initializeCharts();
+            this.switchView(this.currentView);
         }
     }
+    
+    // Localization
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+    
+    getTaskName(taskName) {
+        return this.t(`tasks.${taskName}.name`, {}, taskName);
+    }
+    
+    formatNumber(value) {
+        return window.localization ? window.localization.formatNumber(value) : value.toLocaleString();
+    }
+    
+    formatPercent(value) {
+        return window.localization ? window.localization.formatPercent(value) : `${value.toFixed(1)}%`;
+    }
+    
+    formatDate(date) {
+        return window.localization ? window.localization.formatDate(date) : new Date(date).toLocaleDateString();
+    }
 }
 
 // Export for module systems
@@ -353,6 +353,14 @@ class RemoteMonitoringSystem {
         
         document.body.appendChild(notification);
         
+        // Warnings interrupt the screen reader; other alerts wait their turn
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(alert.message, {
+                politeness: alert.severity === 'warning' ? 'assertive' : 'polite',
+                source: 'remoteMonitoring'
+            });
+        }
+        
         // Auto-remove after 5 seconds
         setTimeout(() => {
             notification.remove();
@@ -377,6 +385,9 @@ class RemoteMonitoringSystem {
             case 'session_control':
                 this.handleSessionControl(message.control);
                 break;
+            case 'hazard':
+                this.handleRemoteHazard(message.hazard);
+                break;
         }
     }
     
@@ -416,6 +427,11 @@ class RemoteMonitoringSystem {
         this.emitEvent('remoteAlert', { alert });
     }
     
+    // Spawn, remove or clear scene hazards (see SceneHazards.handleRemoteHazard)
+    handleRemoteHazard(hazard) {
+        this.emitEvent('remoteHazard', { hazard });
+    }
+    
     handleSessionControl(control) {
         switch (control.action) {
             case 'pause':
@@ -0,0 +1,365 @@
+/**
+ * Scene Adaptation Layer
+ * Applies AI adaptation events to A-Frame entities (size, glow, hitboxes, movement) and reverts them
+ */
+
+class SceneAdaptationLayer {
+    constructor(options = {}) {
+        this.options = {
+            interactableSelector: '.clickable-object',
+            hitboxClass: 'scene-adaptation-hitbox',
+            hitboxPadding: 0.3,
+            glowColor: '#f1c40f',
+            glowIntensity: 0.5,
+            ...options
+        };
+        
+        // Default multipliers used when an adaptation arrives as a plain `true`
+        this.defaults = {
+            objectSize: 1.5,
+            clickTolerance: 2.0,
+            navigationSpeed: 0.8,
+            movementTolerance: 1.5
+        };
+        
+        // Keep multipliers in a range the scenes can cope with
+        this.limits = {
+            objectSize: { min: 0.5, max: 3.0 },
+            clickTolerance: { min: 1.0, max: 4.0 },
+            navigationSpeed: { min: 0.25, max: 2.0 },
+            movementTolerance: { min: 1.0, max: 3.0 }
+        };
+        
+        this.activeAdaptations = {};
+        this.originalState = new Map();
+        this.sceneReady = false;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.waitForScene();
+        console.log('Scene Adaptation Layer initialized');
+    }
+    
+    setupEventListeners() {
+        // Listen for adaptation engine events
+        document.addEventListener('objectSizeChanged', (event) => {
+            this.applyAdaptation('objectSize', event.detail.size);
+        });
+        
+        document.addEventListener('objectGlowChanged', (event) => {
+            this.applyAdaptation('objectGlow', event.detail.glow);
+        });
+        
+        document.addEventListener('clickToleranceChanged', (event) => {
+            this.applyAdaptation('clickTolerance', event.detail.tolerance);
+        });
+        
+        document.addEventListener('navigationSpeedChanged', (event) => {
+            this.applyAdaptation('navigationSpeed', event.detail.speed);
+        });
+        
+        document.addEventListener('movementToleranceChanged', (event) => {
+            this.applyAdaptation('movementTolerance', event.detail.tolerance);
+        });
+        
+        // Allow other modules (or a therapist) to undo everything
+        document.addEventListener('sceneAdaptationsReset', () => {
+            this.revertAll();
+        });
+    }
+    
+    waitForScene() {
+        const scene = document.querySelector('a-scene');
+        if (!scene) return;
+        
+        const onReady = () => {
+            this.sceneReady = true;
+            
+            // Apply anything that arrived before the scene finished loading
+            Object.entries(this.activeAdaptations).forEach(([type, value]) => {
+                this.applyToScene(type, value);
+            });
+        };
+        
+        if (scene.hasLoaded) {
+            onReady();
+        } else {
+            scene.addEventListener('loaded', onReady, { once: true });
+        }
+    }
+    
+    // Adaptation entry points
+    applyAdaptation(type, value) {
+        // false/null means the adaptation no longer applies
+        if (value === false || value === null || value === undefined) {
+            this.revertAdaptation(type);
+            return;
+        }
+        
+        // Start from the original scene state so repeated events don't compound
+        if (this.activeAdaptations[type] !== undefined) {
+            this.revertAdaptation(type, { silent: true });
+        }
+        
+        this.activeAdaptations[type] = value;
+        
+        if (this.sceneReady) {
+            this.applyToScene(type, value);
+        }
+        
+        this.emitEvent('sceneAdaptationApplied', { type, value });
+    }
+    
+    applyToScene(type, value) {
+        switch (type) {
+            case 'objectSize':
+                this.applyObjectSize(this.resolveMultiplier(type, value));
+                break;
+            case 'objectGlow':
+                this.applyObjectGlow(value);
+                break;
+            case 'clickTolerance':
+                this.applyClickTolerance(this.resolveMultiplier(type, value));
+                break;
+            case 'navigationSpeed':
+                this.applyNavigationSpeed(this.resolveMultiplier(type, value));
+                break;
+            case 'movementTolerance':
+                this.applyMovementTolerance(this.resolveMultiplier(type, value));
+                break;
+        }
+    }
+    
+    resolveMultiplier(type, value) {
+        let multiplier = this.defaults[type];
+        
+        if (typeof value === 'number') {
+            multiplier = value;
+        } else if (value && typeof value.multiplier === 'number') {
+            multiplier = value.multiplier;
+        }
+        
+        const limits = this.limits[type];
+        return Math.min(limits.max, Math.max(limits.min, multiplier));
+    }
+    
+    // Object size
+    applyObjectSize(multiplier) {
+        this.getInteractables().forEach(el => {
+            const scale = el.getAttribute('scale') || { x: 1, y: 1, z: 1 };
+            this.rememberState(el, 'objectSize', {
+                scale: { x: scale.x, y: scale.y, z: scale.z },
+                animations: this.getScaleAnimations(el)
+            });
+            
+            el.setAttribute('scale', {
+                x: scale.x * multiplier,
+                y: scale.y * multiplier,
+                z: scale.z * multiplier
+            });
+            
+            // Hover/leave animations target absolute scales, so scale those too
+            Object.entries(this.getScaleAnimations(el)).forEach(([name, to]) => {
+                el.setAttribute(name, 'to', this.multiplyVector(to, multiplier));
+            });
+        });
+    }
+    
+    getScaleAnimations(el) {
+        const animations = {};
+        
+        Object.keys(el.components || {}).forEach(name => {
+            if (name.indexOf('animation') !== 0) return;
+            
+            const data = el.getAttribute(name);
+            if (data && data.property === 'scale' && data.to) {
+                animations[name] = data.to;
+            }
+        });
+        
+        return animations;
+    }
+    
+    multiplyVector(vector, multiplier) {
+        if (typeof vector === 'string') {
+            return vector.split(' ').map(v => parseFloat(v) * multiplier).join(' ');
+        }
+        return { x: vector.x * multiplier, y: vector.y * multiplier, z: vector.z * multiplier };
+    }
+    
+    // Object glow
+    applyObjectGlow(glow) {
+        const color = (glow && glow.color) || this.options.glowColor;
+        const intensity = (glow && typeof glow.intensity === 'number') ? glow.intensity : this.options.glowIntensity;
+        
+        this.getInteractables().forEach(el => {
+            // Grouping entities have no material of their own to glow
+            if (!el.components || !el.components.material) return;
+            
+            const material = el.getAttribute('material') || {};
+            this.rememberState(el, 'objectGlow', {
+                emissive: material.emissive || '#000',
+                emissiveIntensity: material.emissiveIntensity !== undefined ? material.emissiveIntensity : 1
+            });
+            
+            el.setAttribute('material', 'emissive', color);
+            el.setAttribute('material', 'emissiveIntensity', intensity);
+        });
+    }
+    
+    // Click tolerance
+    applyClickTolerance(multiplier) {
+        const padding = (multiplier - 1) * this.options.hitboxPadding;
+        if (padding <= 0) return;
+        
+        this.getInteractables().forEach(el => {
+            const mesh = el.getObject3D('mesh');
+            if (!mesh || !mesh.geometry) return;
+            
+            mesh.geometry.computeBoundingBox();
+            const box = mesh.geometry.boundingBox;
+            const size = box.getSize(new THREE.Vector3());
+            const center = box.getCenter(new THREE.Vector3());
+            
+            // Invisible box slightly larger than the entity, clicks bubble up to the parent
+            const hitbox = document.createElement('a-box');
+            hitbox.classList.add(this.options.hitboxClass);
+            hitbox.setAttribute('position', `${center.x} ${center.y} ${center.z}`);
+            hitbox.setAttribute('width', size.x + padding * 2);
+            hitbox.setAttribute('height', size.y + padding * 2);
+            hitbox.setAttribute('depth', size.z + padding * 2);
+            hitbox.setAttribute('material', 'opacity: 0; transparent: true; depthWrite: false');
+            el.appendChild(hitbox);
+        });
+        
+        // Make every raycaster aware of the hitboxes
+        document.querySelectorAll('[raycaster]').forEach(el => {
+            const raycaster = el.getAttribute('raycaster');
+            const objects = raycaster.objects || '';
+            this.rememberState(el, 'clickTolerance', { objects });
+            
+            if (objects && objects.indexOf(this.options.hitboxClass) === -1) {
+                el.setAttribute('raycaster', 'objects', `${objects}, .${this.options.hitboxClass}`);
+            }
+        });
+    }
+    
+    // Navigation speed
+    applyNavigationSpeed(multiplier) {
+        document.querySelectorAll('[wasd-controls]').forEach(el => {
+            const controls = el.getAttribute('wasd-controls');
+            this.rememberState(el, 'navigationSpeed', { acceleration: controls.acceleration });
+            
+            el.setAttribute('wasd-controls', 'acceleration', controls.acceleration * multiplier);
+        });
+    }
+    
+    // Movement tolerance extends how far away the user can interact from
+    applyMovementTolerance(multiplier) {
+        document.querySelectorAll('[raycaster]').forEach(el => {
+            const raycaster = el.getAttribute('raycaster');
+            this.rememberState(el, 'movementTolerance', { far: raycaster.far });
+            
+            el.setAttribute('raycaster', 'far', raycaster.far * multiplier);
+        });
+    }
+    
+    getMovementTolerance() {
+        const value = this.activeAdaptations.movementTolerance;
+        return value === undefined ? 1 : this.resolveMultiplier('movementTolerance', value);
+    }
+    
+    getScaleMultiplier() {
+        const value = this.activeAdaptations.objectSize;
+        return value === undefined ? 1 : this.resolveMultiplier('objectSize', value);
+    }
+    
+    // Reverting
+    revertAdaptation(type, options = {}) {
+        if (this.activeAdaptations[type] === undefined) return;
+        
+        this.originalState.forEach((states, el) => {
+            const original = states[type];
+            if (!original) return;
+            
+            switch (type) {
+                case 'objectSize':
+                    el.setAttribute('scale', original.scale);
+                    Object.entries(original.animations).forEach(([name, to]) => {
+                        el.setAttribute(name, 'to', to);
+                    });
+                    break;
+                case 'objectGlow':
+                    el.setAttribute('material', 'emissive', original.emissive);
+                    el.setAttribute('material', 'emissiveIntensity', original.emissiveIntensity);
+                    break;
+                case 'clickTolerance':
+                    el.setAttribute('raycaster', 'objects', original.objects);
+                    break;
+                case 'navigationSpeed':
+                    el.setAttribute('wasd-controls', 'acceleration', original.acceleration);
+                    break;
+                case 'movementTolerance':
+                    el.setAttribute('raycaster', 'far', original.far);
+                    break;
+            }
+            
+            delete states[type];
+        });
+        
+        if (type === 'clickTolerance') {
+            document.querySelectorAll(`.${this.options.hitboxClass}`).forEach(hitbox => {
+                hitbox.parentNode.removeChild(hitbox);
+            });
+        }
+        
+        delete this.activeAdaptations[type];
+        
+        if (!options.silent) {
+            this.emitEvent('sceneAdaptationReverted', { type });
+        }
+    }
+    
+    revertAll() {
+        Object.keys(this.activeAdaptations).forEach(type => {
+            this.revertAdaptation(type);
+        });
+        this.originalState.clear();
+    }
+    
+    // Utility methods
+    getInteractables() {
+        return Array.from(document.querySelectorAll(this.options.interactableSelector));
+    }
+    
+    rememberState(el, type, state) {
+        if (!this.originalState.has(el)) {
+            this.originalState.set(el, {});
+        }
+        
+        const states = this.originalState.get(el);
+        if (!states[type]) {
+            states[type] = state;
+        }
+    }
+    
+    getActiveAdaptations() {
+        return { ...this.activeAdaptations };
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Make available globally
+window.SceneAdaptationLayer = SceneAdaptationLayer;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneAdaptationLayer;
+}
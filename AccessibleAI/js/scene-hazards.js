@@ -0,0 +1,468 @@
+/**
+ * Scene Hazards
+ * Obstacles and closures spawned into a scenario at runtime (carts, crowds, wet floors,
+ * closed ramps or counters), with the user's response to each one reported for tracking
+ */
+
+class SceneHazards {
+    constructor(options = {}) {
+        this.options = {
+            clearance: 0.3,
+            contactCooldown: 1500,
+            hitboxClass: 'scene-adaptation-hitbox',
+            ...options
+        };
+        
+        this.hazardTypes = {};
+        this.hazards = [];
+        this.nextId = 1;
+        this.currentTask = null;
+        this.currentStep = null;
+        this.lastSafePosition = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.registerBuiltInHazards();
+        this.registerTickComponent();
+        this.setupEventListeners();
+        console.log('Scene Hazards initialized');
+    }
+    
+    // Scene component that checks the user against hazard footprints every frame
+    registerTickComponent() {
+        if (typeof AFRAME === 'undefined' || AFRAME.components['scene-hazards']) return;
+        
+        AFRAME.registerComponent('scene-hazards', {
+            init: function () {
+                this.hazards = null;
+            },
+            
+            tick: function () {
+                if (this.hazards) {
+                    this.hazards.update();
+                }
+            }
+        });
+    }
+    
+    setupEventListeners() {
+        // Tasks and steps can carry hazards that last as long as they do
+        document.addEventListener('taskStarted', (event) => {
+            const task = event.detail.task;
+            this.currentTask = task || null;
+            if (task && task.hazards) {
+                task.hazards.forEach(definition => this.spawn(definition, task));
+            }
+        });
+        
+        document.addEventListener('taskStepStarted', (event) => {
+            const step = event.detail.step;
+            this.currentStep = step || null;
+            if (step && step.hazards) {
+                step.hazards.forEach(definition => this.spawn(definition, step));
+            }
+        });
+        
+        document.addEventListener('taskStepCompleted', (event) => {
+            this.removeOwnedBy(event.detail.step);
+            this.currentStep = null;
+        });
+        
+        document.addEventListener('taskCompleted', (event) => {
+            this.removeOwnedBy(event.detail.task);
+            this.currentTask = null;
+        });
+        
+        document.addEventListener('objectClicked', (event) => {
+            this.onObjectClicked(event.detail);
+        });
+        
+        // A therapist can change hazards during a monitored session
+        document.addEventListener('remoteHazard', (event) => {
+            this.handleRemoteHazard(event.detail.hazard);
+        });
+    }
+    
+    // Hazard library
+    // A definition provides `build(hazard)` returning the entity to add to the scene, and
+    // `solid` when the user cannot walk through it (entering counts as a collision and
+    // steps them back). Non-solid hazards are walkable zones the user should avoid.
+    registerHazardType(type, definition) {
+        this.hazardTypes[type] = definition;
+    }
+    
+    registerBuiltInHazards() {
+        // Shopping cart left in an aisle
+        this.registerHazardType('cart', {
+            solid: true,
+            build: (hazard) => {
+                const entity = this.createEntity(hazard);
+                entity.appendChild(this.createPrimitive('a-box', { width: 1, height: 0.5, depth: 0.6, position: '0 0.75 0', color: '#95a5a6', opacity: 0.8 }));
+                entity.appendChild(this.createPrimitive('a-box', { width: 0.05, height: 0.4, depth: 0.6, position: '-0.55 1.05 0', color: '#7f8c8d' }));
+                [[-0.4, -0.25], [-0.4, 0.25], [0.4, -0.25], [0.4, 0.25]].forEach(([x, z]) => {
+                    entity.appendChild(this.createPrimitive('a-cylinder', { radius: 0.08, height: 0.05, position: `${x} 0.08 ${z}`, rotation: '90 0 0', color: '#2c3e50' }));
+                });
+                return entity;
+            }
+        });
+        
+        // A group of people standing together
+        this.registerHazardType('crowd', {
+            solid: true,
+            build: (hazard) => {
+                const entity = this.createEntity(hazard);
+                const colors = ['#e67e22', '#9b59b6', '#1abc9c', '#e74c3c'];
+                const size = hazard.definition.size || 3;
+                for (let i = 0; i < size; i++) {
+                    const angle = (i / size) * Math.PI * 2;
+                    const x = (Math.cos(angle) * 0.7).toFixed(2);
+                    const z = (Math.sin(angle) * 0.7).toFixed(2);
+                    entity.appendChild(this.createPrimitive('a-cylinder', { radius: 0.3, height: 1.6, position: `${x} 0.8 ${z}`, color: colors[i % colors.length] }));
+                    entity.appendChild(this.createPrimitive('a-sphere', { radius: 0.35, position: `${x} 1.95 ${z}`, color: '#ffe0bd' }));
+                }
+                return entity;
+            }
+        });
+        
+        // Wet floor: a yellow sign and a slippery patch of `radius` metres
+        this.registerHazardType('wetFloor', {
+            solid: false,
+            build: (hazard) => {
+                const entity = this.createEntity(hazard);
+                const radius = hazard.definition.radius || 1.5;
+                entity.appendChild(this.createPrimitive('a-circle', { radius: radius, rotation: '-90 0 0', position: '0 0.02 0', color: '#74b9ff', opacity: 0.45 }));
+                entity.appendChild(this.createPrimitive('a-cone', { 'radius-bottom': 0.3, 'radius-top': 0.05, height: 0.9, position: '0 0.45 0', color: '#f1c40f' }));
+                entity.appendChild(this.createPrimitive('a-text', { value: hazard.definition.label || 'CAUTION\nWET FLOOR', position: '0 1.2 0', align: 'center', width: 3, color: '#2d3436' }));
+                return entity;
+            }
+        });
+        
+        // Closure of an existing `target` (ramp, counter, lift): a barrier over its footprint.
+        // The target cannot be used; an `alternative` element stands in for it
+        this.registerHazardType('closure', {
+            solid: true,
+            build: (hazard) => {
+                const entity = this.createEntity(hazard);
+                const box = this.getBounds(hazard.target.object3D);
+                const size = box.getSize(new THREE.Vector3());
+                const center = box.getCenter(new THREE.Vector3());
+                const height = Math.max(size.y, 1.2);
+                
+                entity.setAttribute('position', `${center.x} ${box.min.y} ${center.z}`);
+                entity.appendChild(this.createPrimitive('a-box', { width: size.x + 0.2, height: height, depth: size.z + 0.2, position: `0 ${height / 2} 0`, color: '#e74c3c', opacity: 0.35 }));
+                entity.appendChild(this.createPrimitive('a-text', { value: hazard.definition.label || 'CLOSED', position: `0 ${height + 0.4} 0`, align: 'center', width: 6, color: '#c0392b', side: 'double' }));
+                return entity;
+            }
+        });
+    }
+    
+    // Spawning
+    // definition: { type, position ('x y z'), rotation, target, alternative, label, id }
+    // owner: the task or step the hazard belongs to, removed with it (null until removed by hand)
+    spawn(definition, owner = null) {
+        const type = this.hazardTypes[definition.type];
+        if (!type) {
+            console.warn('Unknown hazard type:', definition.type);
+            return null;
+        }
+        
+        const hazard = {
+            id: definition.id || `hazard${this.nextId++}`,
+            type: definition.type,
+            definition: definition,
+            owner: owner,
+            solid: Boolean(type.solid),
+            target: this.resolveElement(definition.target),
+            alternative: this.resolveElement(definition.alternative),
+            entity: null,
+            footprint: null,
+            inside: null,
+            lastContactAt: 0,
+            contacts: 0,
+            rerouted: false
+        };
+        
+        if (definition.type === 'closure' && !hazard.target) {
+            console.warn('Closure target not found:', definition.target);
+            return null;
+        }
+        
+        this.remove(hazard.id);
+        this.hazards.push(hazard);
+        this.attach(hazard);
+        
+        this.emitEvent('hazardSpawned', { hazard: this.describe(hazard) });
+        this.announce(this.t(`announcer.hazards.${hazard.type}`, {}, this.t('announcer.hazards.other')), 'assertive');
+        return hazard.id;
+    }
+    
+    attach(hazard) {
+        const scene = document.querySelector('a-scene');
+        if (!scene || typeof AFRAME === 'undefined') return;
+        
+        if (!scene.hasLoaded) {
+            scene.addEventListener('loaded', () => this.attach(hazard), { once: true });
+            return;
+        }
+        
+        // Removed while the scene was loading
+        if (!this.hazards.includes(hazard)) return;
+        
+        hazard.entity = this.hazardTypes[hazard.type].build(hazard);
+        scene.appendChild(hazard.entity);
+        
+        if (!scene.hasAttribute('scene-hazards')) {
+            scene.setAttribute('scene-hazards', '');
+        }
+        const component = scene.components && scene.components['scene-hazards'];
+        if (component) {
+            component.hazards = this;
+        }
+    }
+    
+    // A hazard the user never touched was avoided
+    remove(id) {
+        const hazard = this.hazards.find(h => h.id === id);
+        if (!hazard) return false;
+        
+        this.hazards = this.hazards.filter(h => h !== hazard);
+        if (hazard.entity && hazard.entity.parentNode) {
+            hazard.entity.parentNode.removeChild(hazard.entity);
+        }
+        
+        if (hazard.contacts === 0) {
+            this.respond(hazard, 'avoided');
+        }
+        
+        this.emitEvent('hazardRemoved', { hazard: this.describe(hazard) });
+        this.announce(this.t('announcer.hazards.cleared'));
+        return true;
+    }
+    
+    removeOwnedBy(owner) {
+        if (!owner) return;
+        this.hazards.filter(h => h.owner === owner).forEach(hazard => this.remove(hazard.id));
+    }
+    
+    clear() {
+        this.hazards.slice().forEach(hazard => this.remove(hazard.id));
+    }
+    
+    getActive() {
+        return this.hazards.map(hazard => this.describe(hazard));
+    }
+    
+    // Closed targets
+    isClosed(element) {
+        return Boolean(element) && this.hazards.some(h => h.type === 'closure' && h.target === element);
+    }
+    
+    getAlternative(element) {
+        const hazard = this.hazards.find(h => h.type === 'closure' && h.target === element);
+        return hazard ? hazard.alternative : null;
+    }
+    
+    onObjectClicked(detail) {
+        if (!detail || !detail.element) return;
+        
+        this.hazards.filter(h => h.target).forEach(hazard => {
+            if (hazard.target === detail.element) {
+                hazard.contacts++;
+                this.respond(hazard, 'blockedAttempt');
+            } else if (hazard.alternative === detail.element && !hazard.rerouted) {
+                hazard.rerouted = true;
+                this.respond(hazard, 'rerouted');
+            }
+        });
+    }
+    
+    // Movement
+    // Entering a footprint is a contact; entering a solid one also steps the user back
+    update(time = this.now()) {
+        if (this.hazards.length === 0) return;
+        
+        const scene = document.querySelector('a-scene');
+        const mover = this.getMover();
+        if (!scene || !scene.camera || !mover) return;
+        
+        const position = scene.camera.getWorldPosition(new THREE.Vector3());
+        const blocking = [];
+        
+        this.hazards.forEach(hazard => {
+            const footprint = this.getFootprint(hazard);
+            if (!footprint) return;
+            
+            const inside = this.contains(footprint, position);
+            
+            // A hazard spawned on top of the user does not count until they step out
+            const entered = inside && hazard.inside === false;
+            hazard.inside = inside;
+            if (!entered) return;
+            
+            if (hazard.solid) {
+                blocking.push(hazard);
+            }
+            
+            if (time - hazard.lastContactAt >= this.options.contactCooldown) {
+                hazard.contacts++;
+                this.respond(hazard, hazard.solid ? 'collision' : 'entered', position);
+            }
+            hazard.lastContactAt = time;
+        });
+        
+        if (blocking.length > 0 && this.lastSafePosition) {
+            mover.object3D.position.copy(this.lastSafePosition);
+            blocking.forEach(hazard => {
+                hazard.inside = false;
+            });
+        } else if (blocking.length === 0) {
+            this.lastSafePosition = mover.object3D.position.clone();
+        }
+    }
+    
+    // Horizontal bounds of the hazard entity, grown by the clearance; fixed once built
+    getFootprint(hazard) {
+        if (hazard.footprint) return hazard.footprint;
+        if (!hazard.entity || !hazard.entity.object3D) return null;
+        
+        const box = new THREE.Box3().setFromObject(hazard.entity.object3D);
+        if (box.isEmpty()) return null;
+        
+        hazard.footprint = box.expandByScalar(this.options.clearance);
+        return hazard.footprint;
+    }
+    
+    // World bounds of an entity's meshes. The invisible hitboxes scene adaptation adds to
+    // enlarge targets are left out, so a closure covers only what can be seen
+    getBounds(object) {
+        const box = new THREE.Box3();
+        object.traverse(node => {
+            const hitbox = node.el && node.el.classList && node.el.classList.contains(this.options.hitboxClass);
+            if (node.isMesh && !hitbox) {
+                box.expandByObject(node);
+            }
+        });
+        return box;
+    }
+    
+    contains(footprint, position) {
+        return position.x >= footprint.min.x && position.x <= footprint.max.x &&
+            position.z >= footprint.min.z && position.z <= footprint.max.z;
+    }
+    
+    // The entity that walks: wasd-controls may sit on the camera or on its rig
+    getMover() {
+        return document.querySelector('[wasd-controls]') || document.querySelector('[camera]');
+    }
+    
+    // Reporting
+    // response: collision, entered, blockedAttempt, rerouted or avoided
+    respond(hazard, response, position = null) {
+        this.emitEvent('hazardResponse', {
+            hazard: this.describe(hazard),
+            response: response,
+            position: position ? { x: position.x, y: position.y, z: position.z } : null,
+            task: this.currentTask ? this.currentTask.name : null,
+            step: this.currentStep ? this.currentStep.name : null
+        });
+    }
+    
+    describe(hazard) {
+        return {
+            id: hazard.id,
+            type: hazard.type,
+            solid: hazard.solid,
+            target: hazard.definition.target || null,
+            alternative: hazard.definition.alternative || null,
+            label: hazard.definition.label || null
+        };
+    }
+    
+    // Remote control: { action: 'spawn', ...definition }, { action: 'remove', id } or { action: 'clear' }
+    handleRemoteHazard(command) {
+        if (!command) return;
+        
+        switch (command.action) {
+            case 'spawn': {
+                const { action, ...definition } = command;
+                this.spawn(definition);
+                break;
+            }
+            case 'remove':
+                this.remove(command.id);
+                break;
+            case 'clear':
+                this.clear();
+                break;
+        }
+    }
+    
+    // Utility methods
+    createEntity(hazard) {
+        const entity = document.createElement('a-entity');
+        entity.id = `hazard-${hazard.id}`;
+        entity.classList.add('scene-hazard');
+        
+        const definition = hazard.definition;
+        if (definition.position !== undefined) {
+            entity.setAttribute('position', this.formatVector(definition.position));
+        }
+        if (definition.rotation !== undefined) {
+            entity.setAttribute('rotation', this.formatVector(definition.rotation));
+        }
+        return entity;
+    }
+    
+    createPrimitive(tag, attributes) {
+        const element = document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            element.setAttribute(name, value);
+        });
+        return element;
+    }
+    
+    formatVector(value) {
+        return typeof value === 'string' ? value : `${value.x || 0} ${value.y || 0} ${value.z || 0}`;
+    }
+    
+    resolveElement(target) {
+        if (typeof target === 'string') {
+            return document.querySelector(target);
+        }
+        return target && target.nodeType ? target : null;
+    }
+    
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+    
+    // The signs are only in the 3D scene; screen readers hear about them through the shared live regions
+    announce(text, politeness = 'polite') {
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(text, { politeness: politeness, source: 'sceneHazards' });
+        }
+    }
+    
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+}
+
+// Create global instance
+window.SceneHazards = SceneHazards;
+window.sceneHazards = new SceneHazards();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneHazards;
+}
@@ -0,0 +1,286 @@
+/**
+ * Scene Highlighter
+ * World-space highlighting for A-Frame targets: outline, glow, beacon and off-screen indicator
+ */
+
+class SceneHighlighter {
+    constructor(options = {}) {
+        this.options = {
+            color: '#3498db',
+            outlineScale: 1.08,
+            glowIntensity: 0.6,
+            beaconHeight: 0.6,
+            beamHeight: 3,
+            indicatorDistance: 1,
+            indicatorRadius: 0.3,
+            hitboxClass: 'scene-adaptation-hitbox',
+            ...options
+        };
+        
+        this.current = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.registerIndicatorComponent();
+        console.log('Scene Highlighter initialized');
+    }
+    
+    // Camera-attached arrow that points toward a target outside the view.
+    // Implemented as a component so it keeps ticking inside immersive VR sessions.
+    registerIndicatorComponent() {
+        if (typeof AFRAME === 'undefined' || AFRAME.components['guidance-indicator']) return;
+        
+        AFRAME.registerComponent('guidance-indicator', {
+            schema: {
+                target: { type: 'selector' },
+                color: { type: 'color', default: '#3498db' },
+                distance: { type: 'number', default: 1 },
+                radius: { type: 'number', default: 0.3 }
+            },
+            
+            init: function () {
+                this.arrow = document.createElement('a-cone');
+                this.arrow.setAttribute('radius-bottom', 0.04);
+                this.arrow.setAttribute('radius-top', 0);
+                this.arrow.setAttribute('height', 0.1);
+                this.arrow.setAttribute('material', 'shader: flat; depthTest: false; transparent: true; opacity: 0.9');
+                this.arrow.setAttribute('visible', false);
+                this.el.appendChild(this.arrow);
+                
+                this.frustum = new THREE.Frustum();
+                this.projection = new THREE.Matrix4();
+                this.targetPosition = new THREE.Vector3();
+                this.localPosition = new THREE.Vector3();
+            },
+            
+            update: function () {
+                this.arrow.setAttribute('color', this.data.color);
+            },
+            
+            tick: function () {
+                const camera = this.el.getObject3D('camera');
+                const target = this.data.target;
+                if (!camera || !target || !target.object3D || !this.arrow.object3D) return;
+                
+                target.object3D.getWorldPosition(this.targetPosition);
+                
+                // Inside the view frustum the world-space highlight is enough
+                this.projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+                this.frustum.setFromProjectionMatrix(this.projection);
+                if (this.frustum.containsPoint(this.targetPosition)) {
+                    this.arrow.object3D.visible = false;
+                    return;
+                }
+                
+                // Direction to the target in camera space, flattened onto the view plane
+                this.localPosition.copy(this.targetPosition);
+                camera.worldToLocal(this.localPosition);
+                let angle = Math.atan2(this.localPosition.y, this.localPosition.x);
+                if (this.localPosition.x === 0 && this.localPosition.y === 0) {
+                    angle = 0;
+                }
+                
+                this.arrow.object3D.position.set(
+                    Math.cos(angle) * this.data.radius,
+                    Math.sin(angle) * this.data.radius,
+                    -this.data.distance
+                );
+                this.arrow.object3D.rotation.set(0, 0, angle - Math.PI / 2);
+                this.arrow.object3D.visible = true;
+            },
+            
+            remove: function () {
+                if (this.arrow.parentNode) {
+                    this.arrow.parentNode.removeChild(this.arrow);
+                }
+            }
+        });
+    }
+    
+    // Highlight lifecycle
+    // options: { color, duration, beacon: false and indicator: false to outline and glow only }
+    highlight(element, options = {}) {
+        this.clear();
+        
+        const color = options.color || this.options.color;
+        const scene = element.sceneEl || document.querySelector('a-scene');
+        if (!scene) return null;
+        
+        this.current = {
+            element: element,
+            scene: scene,
+            color: color,
+            outlines: [],
+            beacon: null,
+            camera: null,
+            originalMaterial: null,
+            pulseTimeout: null
+        };
+        
+        this.addOutline(this.current);
+        this.addGlow(this.current, options.duration);
+        if (options.beacon !== false) {
+            this.addBeacon(this.current);
+        }
+        if (options.indicator !== false) {
+            this.addIndicator(this.current);
+        }
+        
+        return this.current;
+    }
+    
+    clear() {
+        if (!this.current) return;
+        
+        const highlight = this.current;
+        this.current = null;
+        
+        clearTimeout(highlight.pulseTimeout);
+        
+        // Restore the entity itself
+        highlight.outlines.forEach(outline => {
+            if (outline.parent) {
+                outline.parent.remove(outline);
+            }
+            outline.material.dispose();
+        });
+        
+        highlight.element.removeAttribute('animation__guidance');
+        if (highlight.originalMaterial) {
+            highlight.element.setAttribute('material', 'emissive', highlight.originalMaterial.emissive);
+            highlight.element.setAttribute('material', 'emissiveIntensity', highlight.originalMaterial.emissiveIntensity);
+        }
+        
+        // Remove helper entities
+        if (highlight.beacon && highlight.beacon.parentNode) {
+            highlight.beacon.parentNode.removeChild(highlight.beacon);
+        }
+        
+        if (highlight.camera) {
+            highlight.camera.removeAttribute('guidance-indicator');
+        }
+    }
+    
+    // Outline drawn as a slightly larger back-face shell around each mesh,
+    // so grouped entities (e.g. a bench made of several boxes) are outlined too.
+    // The invisible hitboxes scene adaptation adds to enlarge targets are left out
+    addOutline(highlight) {
+        const meshes = [];
+        highlight.element.object3D.traverse(node => {
+            const hitbox = node.el && node.el.classList && node.el.classList.contains(this.options.hitboxClass);
+            if (node.isMesh && node.geometry && !hitbox) {
+                meshes.push(node);
+            }
+        });
+        
+        meshes.forEach(mesh => {
+            const outline = new THREE.Mesh(mesh.geometry, new THREE.MeshBasicMaterial({
+                color: highlight.color,
+                side: THREE.BackSide,
+                transparent: true,
+                opacity: 0.8
+            }));
+            outline.scale.setScalar(this.options.outlineScale);
+            outline.raycast = () => {};
+            
+            mesh.add(outline);
+            highlight.outlines.push(outline);
+        });
+    }
+    
+    addGlow(highlight, duration) {
+        const element = highlight.element;
+        if (!element.components || !element.components.material) return;
+        
+        const material = element.getAttribute('material') || {};
+        highlight.originalMaterial = {
+            emissive: material.emissive || '#000',
+            emissiveIntensity: material.emissiveIntensity !== undefined ? material.emissiveIntensity : 1
+        };
+        
+        element.setAttribute('material', 'emissive', highlight.color);
+        element.setAttribute('animation__guidance', {
+            property: 'material.emissiveIntensity',
+            from: 0.1,
+            to: this.options.glowIntensity,
+            dur: 800,
+            dir: 'alternate',
+            loop: true
+        });
+        
+        // Settle into a steady glow once the attention-grabbing pulse is over
+        if (duration) {
+            highlight.pulseTimeout = setTimeout(() => {
+                element.removeAttribute('animation__guidance');
+                element.setAttribute('material', 'emissiveIntensity', this.options.glowIntensity / 2);
+            }, duration);
+        }
+    }
+    
+    // Bobbing arrow and light beam above the target, placed in world space
+    addBeacon(highlight) {
+        const box = new THREE.Box3().setFromObject(highlight.element.object3D);
+        if (box.isEmpty()) return;
+        
+        const center = box.getCenter(new THREE.Vector3());
+        const top = box.max.y + this.options.beaconHeight;
+        
+        const beacon = document.createElement('a-entity');
+        beacon.classList.add('guidance-beacon');
+        beacon.setAttribute('position', `${center.x} ${top} ${center.z}`);
+        
+        const arrow = document.createElement('a-cone');
+        arrow.setAttribute('radius-bottom', 0);
+        arrow.setAttribute('radius-top', 0.2);
+        arrow.setAttribute('height', 0.4);
+        arrow.setAttribute('color', highlight.color);
+        arrow.setAttribute('material', 'shader: flat');
+        arrow.setAttribute('animation', {
+            property: 'position',
+            from: '0 0 0',
+            to: '0 0.25 0',
+            dur: 700,
+            dir: 'alternate',
+            loop: true,
+            easing: 'easeInOutSine'
+        });
+        beacon.appendChild(arrow);
+        
+        const beam = document.createElement('a-cylinder');
+        beam.setAttribute('radius', 0.05);
+        beam.setAttribute('height', this.options.beamHeight);
+        beam.setAttribute('position', `0 ${this.options.beamHeight / 2} 0`);
+        beam.setAttribute('material', `color: ${highlight.color}; shader: flat; transparent: true; opacity: 0.25`);
+        beacon.appendChild(beam);
+        
+        highlight.scene.appendChild(beacon);
+        highlight.beacon = beacon;
+    }
+    
+    addIndicator(highlight) {
+        const camera = highlight.scene.camera && highlight.scene.camera.el;
+        if (!camera || !AFRAME.components['guidance-indicator']) return;
+        
+        camera.setAttribute('guidance-indicator', {
+            target: highlight.element,
+            color: highlight.color,
+            distance: this.options.indicatorDistance,
+            radius: this.options.indicatorRadius
+        });
+        highlight.camera = camera;
+    }
+    
+    isHighlighting() {
+        return this.current !== null;
+    }
+}
+
+// Make available globally
+window.SceneHighlighter = SceneHighlighter;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneHighlighter;
+}
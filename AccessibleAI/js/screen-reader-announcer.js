@@ -0,0 +1,175 @@
+/**
+ * Screen Reader Announcer
+ * Polite and assertive ARIA live regions shared by every module, fed from a queue
+ * that spaces messages out and drops repeats
+ */
+
+class ScreenReaderAnnouncer {
+    constructor(options = {}) {
+        this.options = {
+            messageInterval: 700,   // ms between messages, so one does not replace the last before it is read
+            repeatWindow: 3000,     // ms in which the same text is not announced again
+            maxQueue: 10,           // Older polite messages are dropped beyond this
+            ...options
+        };
+        
+        this.queue = [];
+        this.regions = {};
+        this.recent = new Map();    // text -> time it was last announced
+        this.timer = null;
+        this.writeTimer = null;     // Pending write of the message being spoken
+        
+        this.init();
+    }
+    
+    init() {
+        if (document.body) {
+            this.createRegions();
+        } else {
+            document.addEventListener('DOMContentLoaded', () => this.createRegions(), { once: true });
+        }
+        console.log('Screen Reader Announcer initialized');
+    }
+    
+    // Visually hidden, but still in the accessibility tree
+    createRegions() {
+        ['polite', 'assertive'].forEach(politeness => {
+            let region = document.getElementById(`sr-announcer-${politeness}`);
+            if (!region) {
+                region = document.createElement('div');
+                region.id = `sr-announcer-${politeness}`;
+                region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+                region.setAttribute('aria-live', politeness);
+                region.setAttribute('aria-atomic', 'true');
+                region.style.cssText = `
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    margin: -1px;
+                    padding: 0;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
+                `;
+                document.body.appendChild(region);
+            }
+            this.regions[politeness] = region;
+        });
+        
+        this.flush();
+    }
+    
+    // options: { politeness: 'polite' (default) or 'assertive', source: module name,
+    // allowRepeat: true for text the user asked to hear again }
+    // Returns false when the message was empty or a repeat
+    announce(text, options = {}) {
+        const message = this.normalize(text);
+        if (!message || (!options.allowRepeat && this.isRepeat(message))) return false;
+        
+        const entry = {
+            text: message,
+            politeness: options.politeness === 'assertive' ? 'assertive' : 'polite',
+            source: options.source || null
+        };
+        
+        // Alerts go ahead of any polite message still waiting
+        if (entry.politeness === 'assertive') {
+            const index = this.queue.findIndex(queued => queued.politeness === 'polite');
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+        } else {
+            this.queue.push(entry);
+        }
+        
+        while (this.queue.length > this.options.maxQueue) {
+            const index = this.queue.findIndex(queued => queued.politeness === 'polite');
+            this.queue.splice(index === -1 ? 0 : index, 1);
+        }
+        
+        this.flush();
+        return true;
+    }
+    
+    isRepeat(text) {
+        if (this.queue.some(queued => queued.text === text)) return true;
+        
+        const announcedAt = this.recent.get(text);
+        return announcedAt !== undefined && Date.now() - announcedAt < this.options.repeatWindow;
+    }
+    
+    flush() {
+        if (this.timer || this.queue.length === 0 || !this.regions.polite) return;
+        
+        this.speak(this.queue.shift());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.options.messageInterval);
+    }
+    
+    // Emptying the region first makes screen readers read text it already held
+    speak(entry) {
+        const region = this.regions[entry.politeness];
+        region.textContent = '';
+        clearTimeout(this.writeTimer);
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            region.textContent = entry.text;
+        }, 50);
+        
+        const now = Date.now();
+        this.recent.set(entry.text, now);
+        this.recent.forEach((announcedAt, text) => {
+            if (now - announcedAt >= this.options.repeatWindow) {
+                this.recent.delete(text);
+            }
+        });
+        
+        this.emitEvent('screenReaderAnnounce', {
+            text: entry.text,
+            politeness: entry.politeness,
+            source: entry.source,
+            timestamp: now
+        });
+    }
+    
+    // Guidance text may carry markup meant for the visual overlay
+    normalize(text) {
+        if (text === null || text === undefined) return '';
+        
+        return [].concat(text).join(' ')
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    clear() {
+        this.queue = [];
+        clearTimeout(this.timer);
+        this.timer = null;
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        Object.values(this.regions).forEach(region => {
+            region.textContent = '';
+        });
+    }
+    
+    getQueueLength() {
+        return this.queue.length;
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Create global instance
+window.ScreenReaderAnnouncer = ScreenReaderAnnouncer;
+window.screenReaderAnnouncer = new ScreenReaderAnnouncer();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScreenReaderAnnouncer;
+}
@@ -0,0 +1,122 @@
+/**
+ * Simulated Device Adapter
+ * Scriptable stand-in for real hardware: plugs and unplugs on demand and plays back
+ * timed input steps, so the input pipeline can be exercised without a device attached
+ */
+
+class SimulatedDeviceAdapter extends DeviceAdapter {
+    constructor(options = {}) {
+        super({
+            id: 'simulated-device',
+            type: 'simulated',
+            name: 'Simulated Device',
+            ...options
+        });
+        
+        this.options = {
+            available: true,        // Whether detect() finds the device
+            connectDelay: 0,        // ms connect() takes
+            failConnect: false,     // Make connect() throw, to exercise error handling
+            stepInterval: 100,      // ms before a script step that sets no delay
+            ...options
+        };
+        
+        this.available = this.options.available;
+        this.playback = null;
+        this.timer = null;
+    }
+    
+    // Lifecycle
+    async detect() {
+        return this.available;
+    }
+    
+    async connect() {
+        if (this.options.connectDelay > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.options.connectDelay));
+        }
+        if (this.options.failConnect) {
+            throw new Error('Simulated connection failure');
+        }
+    }
+    
+    // Hot-plugging
+    plug() {
+        this.available = true;
+        return this.manager ? this.manager.connectAdapter(this.id) : Promise.resolve(false);
+    }
+    
+    unplug() {
+        this.available = false;
+        if (this.manager) {
+            this.manager.disconnectAdapter(this.id);
+        }
+    }
+    
+    // Scripts
+    // Steps run in order, each after its delay (ms, default stepInterval):
+    //   { type: 'move', value: 'forward' }  sends an input
+    //   { unplug: true } / { plug: true }    disconnects or reconnects the device
+    //   { delay: 500 }                       only waits
+    // Resolves to the number of inputs the manager accepted. Playing a new script stops the old one
+    play(steps) {
+        this.stop();
+        
+        const playback = { steps: [...steps], index: 0, accepted: 0, resolve: null };
+        this.playback = playback;
+        
+        const runNext = () => {
+            if (this.playback !== playback) return;
+            
+            if (playback.index >= playback.steps.length) {
+                this.playback = null;
+                playback.resolve(playback.accepted);
+                return;
+            }
+            
+            const step = playback.steps[playback.index++];
+            const delay = step.delay !== undefined ? step.delay : this.options.stepInterval;
+            this.timer = setTimeout(async () => {
+                this.timer = null;
+                if (step.plug) {
+                    await this.plug();
+                } else if (step.unplug) {
+                    this.unplug();
+                } else if (step.type && this.emit(step.type, step.value)) {
+                    playback.accepted++;
+                }
+                runNext();
+            }, delay);
+        };
+        
+        return new Promise(resolve => {
+            playback.resolve = resolve;
+            runNext();
+        });
+    }
+    
+    // Ends the running script; its promise resolves with the inputs sent so far
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.playback) {
+            const playback = this.playback;
+            this.playback = null;
+            playback.resolve(playback.accepted);
+        }
+    }
+    
+    isPlaying() {
+        return this.playback !== null;
+    }
+}
+
+// Make available globally
+window.SimulatedDeviceAdapter = SimulatedDeviceAdapter;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulatedDeviceAdapter;
+}
@@ -0,0 +1,375 @@
+/**
+ * Step Conditions
+ * Declarative step completion conditions (proximity, zone, gaze dwell, sequence, hold, time window) evaluated each frame
+ */
+
+class StepConditionEvaluator {
+    constructor(options = {}) {
+        this.options = {
+            proximityRadius: 1.5,
+            zoneMargin: 0.5,
+            gazeDuration: 2000,
+            holdDuration: 1500,
+            ...options
+        };
+        
+        this.conditionTypes = {};
+        this.active = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.registerBuiltInConditions();
+        this.registerTickComponent();
+        this.setupEventListeners();
+        console.log('Step Condition Evaluator initialized');
+    }
+    
+    // Scene component that drives evaluation; components keep ticking inside immersive VR sessions
+    registerTickComponent() {
+        if (typeof AFRAME === 'undefined' || AFRAME.components['step-conditions']) return;
+        
+        AFRAME.registerComponent('step-conditions', {
+            init: function () {
+                this.evaluator = null;
+            },
+            
+            tick: function () {
+                if (this.evaluator) {
+                    this.evaluator.evaluate();
+                }
+            }
+        });
+    }
+    
+    setupEventListeners() {
+        // Target activations feed sequence conditions
+        document.addEventListener('objectClicked', (event) => {
+            this.onObjectClicked(event.detail);
+        });
+    }
+    
+    // Condition library
+    // A definition provides `check(entry, context)` returning whether the condition holds
+    // right now, and optionally `setup(entry)`, `onActivate(entry, element)`, `dispose(entry)`
+    // and a `defaultDuration` the condition must hold for.
+    registerCondition(type, definition) {
+        this.conditionTypes[type] = definition;
+    }
+    
+    registerBuiltInConditions() {
+        // Camera rig within `radius` metres (horizontal) of the target
+        this.registerCondition('proximity', {
+            check: (entry, context) => {
+                if (!entry.element || !context.cameraPosition) return false;
+                
+                const position = entry.element.object3D.getWorldPosition(new THREE.Vector3());
+                const radius = (entry.condition.radius || this.options.proximityRadius) * context.tolerance;
+                const dx = position.x - context.cameraPosition.x;
+                const dz = position.z - context.cameraPosition.z;
+                return Math.sqrt(dx * dx + dz * dz) <= radius;
+            }
+        });
+        
+        // Camera rig inside the target's footprint grown by `margin` metres
+        this.registerCondition('zone', {
+            check: (entry, context) => {
+                if (!entry.element || !context.cameraPosition) return false;
+                
+                const box = new THREE.Box3().setFromObject(entry.element.object3D);
+                if (box.isEmpty()) return false;
+                
+                const margin = (entry.condition.margin !== undefined ? entry.condition.margin : this.options.zoneMargin) * context.tolerance;
+                const { x, z } = context.cameraPosition;
+                return x >= box.min.x - margin && x <= box.max.x + margin &&
+                    z >= box.min.z - margin && z <= box.max.z + margin;
+            }
+        });
+        
+        // Centre of view resting on the target
+        this.registerCondition('gaze', {
+            defaultDuration: this.options.gazeDuration,
+            setup: (entry) => {
+                entry.raycaster = new THREE.Raycaster();
+            },
+            check: (entry, context) => {
+                if (!entry.element || !context.cameraPosition) return false;
+                
+                entry.raycaster.set(context.cameraPosition, context.cameraDirection);
+                entry.raycaster.far = entry.condition.maxDistance || Infinity;
+                return entry.raycaster.intersectObject(entry.element.object3D, true).length > 0;
+            }
+        });
+        
+        // Targets activated in the listed order
+        this.registerCondition('sequence', {
+            setup: (entry) => {
+                entry.index = 0;
+            },
+            onActivate: (entry, element) => {
+                const targets = entry.condition.targets || [];
+                const position = targets.findIndex(target => document.querySelector(target) === element);
+                if (position === -1) return;
+                
+                if (position === entry.index) {
+                    entry.index++;
+                    this.emitEvent('stepSequenceAdvanced', {
+                        step: this.active.step,
+                        index: entry.index,
+                        nextTarget: targets[entry.index] || null
+                    });
+                } else if (entry.condition.strict !== false && position > entry.index && entry.index > 0) {
+                    // Out of order: start the sequence again
+                    entry.index = 0;
+                    this.emitEvent('stepSequenceAdvanced', {
+                        step: this.active.step,
+                        index: 0,
+                        nextTarget: targets[0] || null
+                    });
+                }
+            },
+            check: (entry) => entry.index >= (entry.condition.targets || []).length
+        });
+        
+        // Cursor pressed down on the target
+        this.registerCondition('hold', {
+            defaultDuration: this.options.holdDuration,
+            setup: (entry) => {
+                entry.pressed = false;
+                if (!entry.element) return;
+                
+                entry.listeners = {
+                    mousedown: () => { entry.pressed = true; },
+                    mouseup: () => { entry.pressed = false; },
+                    mouseleave: () => { entry.pressed = false; }
+                };
+                Object.entries(entry.listeners).forEach(([name, listener]) => {
+                    entry.element.addEventListener(name, listener);
+                });
+            },
+            dispose: (entry) => {
+                if (!entry.element || !entry.listeners) return;
+                
+                Object.entries(entry.listeners).forEach(([name, listener]) => {
+                    entry.element.removeEventListener(name, listener);
+                });
+            },
+            check: (entry) => entry.pressed
+        });
+        
+        // Wrapped condition only counts between `after` and `before` ms into the step
+        this.registerCondition('timeWindow', {
+            setup: (entry) => {
+                entry.inner = entry.condition.condition ? this.createEntry(entry.condition.condition, entry.step) : null;
+            },
+            onActivate: (entry, element) => {
+                if (entry.inner) {
+                    this.activateEntry(entry.inner, element);
+                }
+            },
+            dispose: (entry) => {
+                if (entry.inner) {
+                    this.disposeEntry(entry.inner);
+                }
+            },
+            check: (entry, context) => {
+                const after = entry.condition.after || 0;
+                const before = entry.condition.before !== undefined ? entry.condition.before : Infinity;
+                if (!entry.inner || context.elapsed < after || context.elapsed > before) return false;
+                
+                return this.evaluateEntry(entry.inner, context);
+            }
+        });
+    }
+    
+    // Watching a step
+    watch(step, onComplete) {
+        this.stop();
+        
+        const conditions = [].concat(step.completion || []);
+        this.active = {
+            step: step,
+            onComplete: onComplete,
+            startedAt: this.now(),
+            entries: conditions.map(condition => this.createEntry(condition, step))
+        };
+        
+        this.attachToScene();
+    }
+    
+    stop() {
+        if (!this.active) return;
+        
+        this.active.entries.forEach(entry => this.disposeEntry(entry));
+        this.active = null;
+    }
+    
+    isWatching(step) {
+        return this.active !== null && (!step || this.active.step === step);
+    }
+    
+    attachToScene() {
+        const scene = document.querySelector('a-scene');
+        if (!scene || typeof AFRAME === 'undefined') return;
+        
+        if (!scene.hasAttribute('step-conditions')) {
+            scene.setAttribute('step-conditions', '');
+        }
+        
+        const component = scene.components && scene.components['step-conditions'];
+        if (component) {
+            component.evaluator = this;
+        } else {
+            // Component initializes once the scene has loaded
+            scene.addEventListener('loaded', () => this.attachToScene(), { once: true });
+        }
+    }
+    
+    createEntry(condition, step) {
+        const entry = {
+            condition: condition,
+            step: step,
+            element: this.resolveTarget(condition.target || step.target),
+            since: null,
+            met: false
+        };
+        
+        const definition = this.conditionTypes[condition.type];
+        if (!definition) {
+            console.warn('Unknown step condition type:', condition.type);
+        } else if (definition.setup) {
+            definition.setup(entry);
+        }
+        
+        return entry;
+    }
+    
+    activateEntry(entry, element) {
+        const definition = this.conditionTypes[entry.condition.type];
+        if (definition && definition.onActivate && !entry.met) {
+            definition.onActivate(entry, element);
+        }
+    }
+    
+    disposeEntry(entry) {
+        const definition = this.conditionTypes[entry.condition.type];
+        if (definition && definition.dispose) {
+            definition.dispose(entry);
+        }
+    }
+    
+    // Evaluation
+    evaluate(time = this.now()) {
+        if (!this.active) return;
+        
+        const context = this.createContext(time);
+        const results = this.active.entries.map(entry => this.evaluateEntry(entry, context));
+        
+        if (results.every(met => met)) {
+            const { step, onComplete } = this.active;
+            this.stop();
+            
+            this.emitEvent('stepConditionsMet', { step: step });
+            if (onComplete) {
+                onComplete(step);
+            }
+        }
+    }
+    
+    // Conditions latch once met; `duration` is how long the condition must hold continuously
+    evaluateEntry(entry, context) {
+        if (entry.met) return true;
+        
+        const definition = this.conditionTypes[entry.condition.type];
+        if (!definition || !definition.check(entry, context)) {
+            entry.since = null;
+            return false;
+        }
+        
+        if (entry.since === null) {
+            entry.since = context.time;
+        }
+        
+        const duration = entry.condition.duration !== undefined ? entry.condition.duration : (definition.defaultDuration || 0);
+        entry.met = context.time - entry.since >= duration;
+        return entry.met;
+    }
+    
+    createContext(time) {
+        const context = {
+            time: time,
+            elapsed: time - this.active.startedAt,
+            cameraPosition: null,
+            cameraDirection: null,
+            tolerance: this.getMovementTolerance()
+        };
+        
+        const scene = document.querySelector('a-scene');
+        const camera = scene && scene.camera;
+        if (camera && typeof THREE !== 'undefined') {
+            context.cameraPosition = camera.getWorldPosition(new THREE.Vector3());
+            context.cameraDirection = camera.getWorldDirection(new THREE.Vector3());
+        }
+        
+        return context;
+    }
+    
+    onObjectClicked(detail) {
+        if (!this.active || !detail || !detail.element) return;
+        
+        this.active.entries.forEach(entry => this.activateEntry(entry, detail.element));
+        
+        // Event-driven conditions should not wait for the next frame (or a scene at all)
+        this.evaluate();
+    }
+    
+    getProgress() {
+        if (!this.active) return [];
+        
+        const time = this.now();
+        return this.active.entries.map(entry => {
+            const definition = this.conditionTypes[entry.condition.type] || {};
+            const duration = entry.condition.duration !== undefined ? entry.condition.duration : (definition.defaultDuration || 0);
+            let progress = entry.met ? 1 : 0;
+            
+            if (!entry.met && entry.condition.type === 'sequence') {
+                progress = entry.index / ((entry.condition.targets || []).length || 1);
+            } else if (!entry.met && entry.since !== null && duration > 0) {
+                progress = Math.min(1, (time - entry.since) / duration);
+            }
+            
+            return { type: entry.condition.type, met: entry.met, progress: progress };
+        });
+    }
+    
+    // Utility methods
+    resolveTarget(target) {
+        if (typeof target === 'string') {
+            return document.querySelector(target);
+        }
+        return target && target.nodeType ? target : null;
+    }
+    
+    // Reach distances grow with the user's movement tolerance adaptation
+    getMovementTolerance() {
+        return window.sceneAdaptationLayer ? window.sceneAdaptationLayer.getMovementTolerance() : 1;
+    }
+    
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Make available globally
+window.StepConditionEvaluator = StepConditionEvaluator;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StepConditionEvaluator;
+}
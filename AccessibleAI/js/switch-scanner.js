@@ -0,0 +1,513 @@
+/**
+ * Switch Scanner
+ * Switch-access scanning over page controls and scene interactables: automatic, step
+ * and inverse timing, in a single list, by rows and columns or by groups
+ */
+
+class SwitchScanner {
+    constructor(options = {}) {
+        this.options = {
+            domSelector: 'button, a[href], input, select, textarea, [role="button"], [tabindex]:not([tabindex="-1"])',
+            sceneSelector: '.clickable-object, .interact',
+            groupSelector: '[role="group"], [role="dialog"], [role="toolbar"], fieldset, form, nav, section, aside, header, footer, .config-section',
+            rowTolerance: 40,       // px between centers that still count as the same row
+            itemColor: '#3498db',
+            groupColor: '#f39c12',
+            itemTone: 660,          // Hz
+            groupTone: 440,         // Hz
+            ...options
+        };
+        
+        this.defaultSettings = {
+            scanMethod: 'automatic',    // 'automatic', 'step' or 'inverse'
+            scanPattern: 'rowColumn',   // 'linear', 'rowColumn' or 'group'
+            scanSpeed: 2000,            // ms each entry stays highlighted
+            initialPause: 3000,         // ms the first entry of each pass stays highlighted
+            scanLoops: 3,               // Passes over a level before scanning backs out of it
+            audioCue: 'tone'            // 'tone', 'speech', 'both' or 'none'
+        };
+        
+        this.userSettings = {};
+        this.settings = { ...this.defaultSettings };
+        this.scanning = false;
+        this.levels = [];           // Stack of { entries, index, loops }; groups push their items
+        this.timer = null;
+        this.held = false;          // Inverse scanning moves only while the switch is held
+        this.releaseSelects = false;    // Not for the release of the press that started scanning
+        this.highlighted = [];
+        this.sceneHighlighters = [];    // Kept between ticks, one per scene object highlighted at once
+        this.sceneHighlightCount = 0;
+        this.audioContext = null;
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('Switch Scanner initialized');
+    }
+    
+    // Settings
+    // Saved user choices win over the input profile's settings, which win over the defaults
+    configure(settings = {}) {
+        this.userSettings = {};
+        Object.keys(this.defaultSettings).forEach(key => {
+            if (settings[key] !== undefined) {
+                this.userSettings[key] = settings[key];
+            }
+        });
+    }
+    
+    getSettings(profileSettings = {}) {
+        const settings = { ...this.defaultSettings };
+        Object.keys(this.defaultSettings).forEach(key => {
+            if (profileSettings[key] !== undefined) {
+                settings[key] = profileSettings[key];
+            }
+        });
+        return { ...settings, ...this.userSettings };
+    }
+    
+    // Switch presses
+    // switch1 starts scanning and then selects (automatic), moves on (step) or moves
+    // while held and selects on release (inverse); switch2 selects in step scanning
+    // and backs out of a group otherwise
+    handleSwitch(switchName, value, profileSettings) {
+        const pressed = value !== 'release';
+        
+        if (!this.scanning) {
+            if (switchName === 'switch1' && pressed) {
+                this.start(profileSettings, true);
+            }
+            return;
+        }
+        
+        const method = this.settings.scanMethod;
+        if (switchName === 'switch1') {
+            if (method === 'inverse') {
+                if (pressed) {
+                    this.held = true;
+                    this.releaseSelects = true;
+                    this.schedule(false);
+                } else if (this.held) {
+                    this.held = false;
+                    clearTimeout(this.timer);
+                    if (this.releaseSelects) {
+                        this.select();
+                    }
+                }
+            } else if (pressed) {
+                if (method === 'step') {
+                    this.advance();
+                } else {
+                    this.select();
+                }
+            }
+        } else if (switchName === 'switch2' && pressed) {
+            if (method === 'step') {
+                this.select();
+            } else {
+                this.back();
+            }
+        }
+    }
+    
+    // Scanning lifecycle
+    // held: the switch that started scanning is still down
+    start(profileSettings, held = false) {
+        this.stop();
+        this.settings = this.getSettings(profileSettings);
+        
+        const entries = this.buildEntries();
+        if (entries.length === 0) return false;
+        
+        this.held = held;
+        this.releaseSelects = false;
+        
+        this.scanning = true;
+        this.enterLevel(entries);
+        
+        this.emitEvent('switchScanStarted', {
+            method: this.settings.scanMethod,
+            pattern: this.settings.scanPattern
+        });
+        return true;
+    }
+    
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.clearHighlights();
+        this.levels = [];
+        this.held = false;
+        
+        if (this.scanning) {
+            this.scanning = false;
+            this.emitEvent('switchScanStopped', {});
+        }
+    }
+    
+    isScanning() {
+        return this.scanning;
+    }
+    
+    enterLevel(entries) {
+        this.levels.push({ entries, index: 0, loops: 0 });
+        this.highlightCurrent();
+        this.schedule(true);
+    }
+    
+    getLevel() {
+        return this.levels[this.levels.length - 1] || null;
+    }
+    
+    // The first entry of each pass waits for the initial pause, the rest for the scan speed
+    schedule(first) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        const method = this.settings.scanMethod;
+        if (method === 'step' || (method === 'inverse' && !this.held)) return;
+        
+        this.timer = setTimeout(() => this.advance(), first ? this.settings.initialPause : this.settings.scanSpeed);
+    }
+    
+    advance() {
+        const level = this.getLevel();
+        if (!level) return;
+        
+        level.index += 1;
+        this.releaseSelects = true;
+        if (level.index >= level.entries.length) {
+            level.index = 0;
+            level.loops += 1;
+            
+            // Step scanning is paced by the user, so it never times out
+            if (this.settings.scanMethod !== 'step' && level.loops >= this.settings.scanLoops) {
+                this.back();
+                return;
+            }
+            
+            // Pick up controls that appeared or went away during the pass
+            if (this.levels.length === 1) {
+                const entries = this.buildEntries();
+                if (entries.length === 0) {
+                    this.stop();
+                    return;
+                }
+                level.entries = entries;
+            }
+        }
+        
+        this.highlightCurrent();
+        this.schedule(level.index === 0);
+    }
+    
+    // Up from a group to the level above, or out of scanning from the top level
+    back() {
+        if (this.levels.length <= 1) {
+            this.stop();
+            return;
+        }
+        
+        this.levels.pop();
+        this.getLevel().loops = 0;
+        this.highlightCurrent();
+        this.schedule(false);
+    }
+    
+    select() {
+        const level = this.getLevel();
+        if (!level) return;
+        
+        const entry = level.entries[level.index];
+        if (entry.items && entry.items.length > 1) {
+            this.enterLevel(entry.items);
+            return;
+        }
+        
+        this.activate(entry.items ? entry.items[0] : entry);
+        
+        // Start over from the top, since the selection may have changed the page
+        this.clearHighlights();
+        this.levels = [];
+        const entries = this.buildEntries();
+        if (entries.length === 0) {
+            this.stop();
+            return;
+        }
+        this.enterLevel(entries);
+    }
+    
+    activate(item) {
+        if (item.kind === 'scene') {
+            item.element.emit('click');
+        } else {
+            item.element.focus();
+            item.element.click();
+        }
+        
+        this.emitEvent('switchScanSelected', {
+            element: item.element,
+            kind: item.kind,
+            label: item.label
+        });
+    }
+    
+    // Scan sets
+    buildEntries() {
+        const items = this.collectItems();
+        let entries;
+        
+        switch (this.settings.scanPattern) {
+            case 'rowColumn':
+                entries = this.groupByRow(items);
+                break;
+            case 'group':
+                entries = this.groupByContainer(items);
+                break;
+            default:
+                entries = items;
+        }
+        
+        // A single group would only add a pointless extra selection
+        return entries.length === 1 && entries[0].items ? entries[0].items : entries;
+    }
+    
+    // Page controls and scene interactables, each with a screen position so they
+    // can be sorted into rows together
+    collectItems() {
+        const items = [];
+        
+        document.querySelectorAll(this.options.domSelector).forEach(element => {
+            if (element.closest('a-scene') || element.offsetParent === null || element.disabled ||
+                element.closest('[aria-hidden="true"]')) return;
+            
+            const rect = element.getBoundingClientRect();
+            items.push({
+                element,
+                kind: 'dom',
+                label: this.getLabel(element),
+                x: rect.left + rect.width / 2,
+                y: rect.top + rect.height / 2
+            });
+        });
+        
+        const scene = document.querySelector('a-scene');
+        const camera = scene && scene.camera;
+        if (camera) {
+            scene.querySelectorAll(this.options.sceneSelector).forEach(element => {
+                if (!element.object3D || !this.isVisibleInScene(element)) return;
+                
+                // Objects behind the camera come last, in a row of their own
+                const position = element.object3D.getWorldPosition(new THREE.Vector3()).project(camera);
+                const behind = position.z > 1;
+                items.push({
+                    element,
+                    kind: 'scene',
+                    label: this.getLabel(element),
+                    x: (position.x + 1) / 2 * window.innerWidth,
+                    y: behind ? Infinity : (1 - position.y) / 2 * window.innerHeight
+                });
+            });
+        }
+        
+        return items;
+    }
+    
+    isVisibleInScene(element) {
+        let node = element.object3D;
+        while (node) {
+            if (!node.visible) return false;
+            node = node.parent;
+        }
+        return true;
+    }
+    
+    // Top to bottom, then left to right within each row
+    groupByRow(items) {
+        const rows = [];
+        items.slice().sort((a, b) => a.y - b.y).forEach(item => {
+            const row = rows[rows.length - 1];
+            if (row && (item.y === row.y || Math.abs(item.y - row.y) <= this.options.rowTolerance)) {
+                row.items.push(item);
+            } else {
+                rows.push({ y: item.y, items: [item] });
+            }
+        });
+        
+        return rows.map((row, index) => ({
+            label: this.t('switchScanning.row', { number: index + 1 }, `Row ${index + 1}`),
+            items: row.items.sort((a, b) => a.x - b.x)
+        }));
+    }
+    
+    // Page controls by their nearest landmark or group container; scene objects together
+    groupByContainer(items) {
+        const groups = new Map();
+        
+        items.forEach(item => {
+            const container = item.kind === 'scene' ? 'scene' : (item.element.closest(this.options.groupSelector) || 'page');
+            if (!groups.has(container)) {
+                groups.set(container, []);
+            }
+            groups.get(container).push(item);
+        });
+        
+        return Array.from(groups.entries()).map(([container, groupItems], index) => ({
+            label: this.getGroupLabel(container, index),
+            items: groupItems
+        }));
+    }
+    
+    getGroupLabel(container, index) {
+        if (container === 'scene') {
+            return this.t('switchScanning.sceneObjects', {}, 'Objects in the scene');
+        }
+        
+        if (container !== 'page') {
+            const heading = container.querySelector('h1, h2, h3, h4, legend');
+            const label = container.getAttribute('aria-label') || (heading && heading.textContent.trim());
+            if (label) return label;
+        }
+        
+        return this.t('switchScanning.group', { number: index + 1 }, `Group ${index + 1}`);
+    }
+    
+    getLabel(element) {
+        const label = element.getAttribute('aria-label') || element.getAttribute('title');
+        if (label) return label;
+        
+        if (element.tagName && element.tagName.indexOf('A-') === 0) {
+            return (element.id || '').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]/g, ' ').toLowerCase();
+        }
+        
+        return (element.textContent || element.value || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+    }
+    
+    // Highlighting
+    highlightCurrent() {
+        this.clearHighlights();
+        
+        const level = this.getLevel();
+        const entry = level && level.entries[level.index];
+        if (!entry) return;
+        
+        const items = entry.items || [entry];
+        const color = entry.items ? this.options.groupColor : this.options.itemColor;
+        items.forEach(item => this.highlightItem(item, color, items.length === 1));
+        
+        this.playCue(entry);
+        this.emitEvent('switchScanHighlight', {
+            label: entry.label,
+            group: !!entry.items,
+            count: items.length
+        });
+    }
+    
+    // A single scene object also gets the off-screen indicator; a group only outlines
+    highlightItem(item, color, single) {
+        if (item.kind === 'scene') {
+            if (typeof SceneHighlighter === 'undefined') return;
+            
+            if (this.sceneHighlightCount === this.sceneHighlighters.length) {
+                this.sceneHighlighters.push(new SceneHighlighter());
+            }
+            const highlighter = this.sceneHighlighters[this.sceneHighlightCount++];
+            highlighter.highlight(item.element, { color, beacon: false, indicator: single });
+            return;
+        }
+        
+        const element = item.element;
+        element.style.outline = `3px solid ${color}`;
+        element.style.outlineOffset = '2px';
+        element.classList.add('scanning-highlight');
+        if (single && element.scrollIntoView) {
+            element.scrollIntoView({ block: 'nearest' });
+        }
+        this.highlighted.push(element);
+    }
+    
+    clearHighlights() {
+        this.highlighted.forEach(element => {
+            element.style.outline = '';
+            element.style.outlineOffset = '';
+            element.classList.remove('scanning-highlight');
+        });
+        this.highlighted = [];
+        
+        this.sceneHighlighters.forEach(highlighter => highlighter.clear());
+        this.sceneHighlightCount = 0;
+    }
+    
+    // Audio cues
+    // A lower tone for groups, so the two are told apart without looking
+    playCue(entry) {
+        const cue = this.settings.audioCue;
+        
+        if (cue === 'tone' || cue === 'both') {
+            this.playTone(entry.items ? this.options.groupTone : this.options.itemTone);
+        }
+        if ((cue === 'speech' || cue === 'both') && entry.label) {
+            this.speak(entry.label);
+        }
+    }
+    
+    playTone(frequency) {
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            const context = this.audioContext;
+            if (context.state === 'suspended') {
+                context.resume();
+            }
+            
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, context.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.08);
+            
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(context.currentTime);
+            oscillator.stop(context.currentTime + 0.08);
+        } catch (error) {
+            // Audio not available
+        }
+    }
+    
+    // Each label replaces the last, so speech keeps up with the scan
+    speak(text) {
+        if (typeof speechSynthesis === 'undefined') return;
+        
+        speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        if (window.localization) {
+            window.localization.prepareUtterance(utterance);
+        }
+        speechSynthesis.speak(utterance);
+    }
+    
+    // Localization
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Make available globally
+window.SwitchScanner = SwitchScanner;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwitchScanner;
+}
@@ -11,6 +11,7 @@ class TaskDefinitions {
                 description: 'Navigate through the grocery store and complete your shopping list.',
                 difficulty: 'medium',
                 estimatedTime: '5-10 minutes',
+                scenario: 'grocery',
                 steps: [
                     {
                         name: 'Enter the Store',
@@ -19,6 +20,12 @@ class TaskDefinitions {
                         narration: 'Welcome to the grocery store. Click on the entrance door to begin your shopping experience.',
                         hints: ['Look for the blue entrance door', 'The door is located at the front of the store'],
                         successMessage: 'Great! You have entered the store.',
+                        easyRead: {
+                            instructions: 'Find the door. Click the door.',
+                            hints: ['The door is blue.', 'The door is in front of you.'],
+                            successMessage: 'Good! You are in the shop.',
+                            pictograms: ['look', 'door', 'touch']
+                        },
                         nextStepDelay: 2000
                     },
                     {
@@ -28,6 +35,12 @@ class TaskDefinitions {
                         narration: 'Now let\'s visit the fruits section. Look for the fruits shelf on your left.',
                         hints: ['The fruits section is on the left side', 'You can see apples, oranges, and other fruits'],
                         successMessage: 'Excellent! You found the fruits section.',
+                        easyRead: {
+                            instructions: 'Go to the fruit. The fruit is on the left.',
+                            hints: ['Turn left.', 'Look for apples.'],
+                            successMessage: 'Good! You found the fruit.',
+                            pictograms: ['left', 'walk', 'fruit']
+                        },
                         nextStepDelay: 2000
                     },
                     {
@@ -37,16 +50,33 @@ class TaskDefinitions {
                         narration: 'Next, let\'s check out the vegetables section on your right.',
                         hints: ['The vegetables section is on the right side', 'Look for carrots, cucumbers, and other vegetables'],
                         successMessage: 'Perfect! You found the vegetables section.',
+                        easyRead: {
+                            instructions: 'Go to the vegetables. They are on the right.',
+                            hints: ['Turn right.', 'Look for carrots.'],
+                            successMessage: 'Good! You found the vegetables.',
+                            pictograms: ['right', 'walk', 'vegetables']
+                        },
                         nextStepDelay: 2000
                     },
                     {
+                        id: 'checkout',
                         name: 'Go to Checkout',
                         target: '#checkoutCounter',
-                        instructions: 'Proceed to the checkout counter to complete your purchase.',
-                        narration: 'Now it\'s time to checkout. Head to the checkout counter at the back of the store.',
-                        hints: ['The checkout counter is at the back', 'Look for the brown counter'],
+                        instructions: 'Proceed to the checkout counter or the accessible lane to complete your purchase.',
+                        narration: 'Now it\'s time to checkout. Head to the checkout counter at the back of the store, or use the accessible lane beside it.',
+                        hints: ['The checkout counter is at the back', 'The blue accessible lane has a wider aisle'],
                         successMessage: 'Well done! You have completed your grocery shopping.',
-                        nextStepDelay: 2000
+                        easyRead: {
+                            instructions: 'Go to the checkout. Pay for your food.',
+                            hints: ['The checkout is at the back.', 'The blue lane is wide.'],
+                            successMessage: 'Well done! Your shopping is done.',
+                            pictograms: ['walk', 'checkout', 'money']
+                        },
+                        nextStepDelay: 2000,
+                        transitions: [
+                            { target: '#accessibleCheckout', next: null },
+                            { target: '#checkoutCounter', next: null }
+                        ]
                     }
                 ]
             },
@@ -55,6 +85,7 @@ class TaskDefinitions {
                 description: 'Navigate through the hospital environment and locate key areas.',
                 difficulty: 'medium',
                 estimatedTime: '5-8 minutes',
+                scenario: 'hospital',
                 steps: [
                     {
                         name: 'Enter the Hospital',
@@ -99,6 +130,7 @@ class TaskDefinitions {
                 description: 'Navigate through the railway station and find your platform.',
                 difficulty: 'easy',
                 estimatedTime: '3-5 minutes',
+                scenario: 'railway',
                 steps: [
                     {
                         name: 'Enter the Station',
@@ -137,11 +169,154 @@ class TaskDefinitions {
                         nextStepDelay: 2000
                     }
                 ]
+            },
+            classroom: {
+                name: 'Classroom Seating',
+                description: 'Arrive at class, collect your worksheet, find your seat and follow the lesson on the board.',
+                difficulty: 'easy',
+                estimatedTime: '3-5 minutes',
+                scenario: 'classroom',
+                steps: [
+                    {
+                        name: 'Greet the Teacher',
+                        target: '#teacher',
+                        instructions: 'Walk to the front of the classroom and click on the teacher to say hello.',
+                        narration: 'Welcome to class. Start by walking to the front of the room and greeting your teacher.',
+                        hints: ['The teacher is standing near the desk at the front', 'Walk forward past the student benches'],
+                        successMessage: 'Good morning! The teacher is happy to see you.',
+                        nextStepDelay: 2000
+                    },
+                    {
+                        name: 'Collect Your Worksheet',
+                        target: '#teacherDesk',
+                        instructions: 'Click on the teacher\'s desk to pick up today\'s worksheet.',
+                        narration: 'The teacher has left today\'s worksheet on the desk. Click on the desk to pick it up.',
+                        hints: ['The desk is the large brown table in front of the blackboard', 'It is right behind the teacher'],
+                        successMessage: 'You have your worksheet. Now let\'s find your seat.',
+                        nextStepDelay: 2000
+                    },
+                    {
+                        name: 'Find Your Seat',
+                        target: '#bench5',
+                        instructions: 'Your seat is the middle bench in the front row. Walk over and stand beside it to sit down.',
+                        narration: 'Your seat is the middle bench in the front row, closest to the board. Walk over and stand beside it to sit down.',
+                        hints: ['There are three benches in each row', 'Your bench is in the middle of the row nearest the blackboard', 'Take your time and move slowly between the rows'],
+                        successMessage: 'Well done! You are in your seat.',
+                        nextStepDelay: 2000,
+                        completion: { type: 'proximity', radius: 1.5 }
+                    },
+                    {
+                        name: 'Read the Board',
+                        target: '#blackboard',
+                        instructions: 'Click on the blackboard to see today\'s lesson.',
+                        narration: 'Now look up at the blackboard and click on it to see what we are learning today.',
+                        hints: ['The blackboard is on the front wall', 'The lesson will appear on the board when you click it'],
+                        successMessage: 'Great job! You are ready for today\'s lesson.',
+                        nextStepDelay: 2000
+                    }
+                ]
+            },
+            office: {
+                name: 'Check-in and Boarding',
+                description: 'Buy a ticket, wait your turn in the queue, check in, drop your bag and board through the gate.',
+                difficulty: 'medium',
+                estimatedTime: '5-8 minutes',
+                scenario: 'office',
+                steps: [
+                    {
+                        name: 'Buy Your Ticket',
+                        target: '#ticketingDesk',
+                        instructions: 'Go to the ticketing counter on the far left and click on it to buy your ticket.',
+                        narration: 'First you need a ticket. Head to the ticketing counter on the far left and click on it.',
+                        hints: ['Look for the sign that says TICKETING', 'It is the first counter on your left'],
+                        successMessage: 'You have your ticket.',
+                        nextStepDelay: 2000
+                    },
+                    {
+                        name: 'Join the Queue',
+                        target: '#queueRope',
+                        instructions: 'Join the check-in queue by standing at the queue rope in front of the counters and waiting your turn.',
+                        narration: 'Now join the queue for check-in. Walk to the rope barrier in front of the counters and wait there for your turn.',
+                        hints: ['The queue is marked by grey posts and a rope', 'Wait your turn patiently, just like a real queue'],
+                        successMessage: 'You are in the queue. It is your turn now.',
+                        nextStepDelay: 2000,
+                        completion: { type: 'zone', margin: 1, duration: 5000 }
+                    },
+                    {
+                        name: 'Check In',
+                        target: '#checkInDesk',
+                        instructions: 'Walk to the check-in counter and click on it to check in.',
+                        narration: 'It\'s your turn. Walk up to the check-in counter and click on it to check in.',
+                        hints: ['Look for the sign that says CHECK-IN', 'There are two check-in counters in the middle'],
+                        successMessage: 'You are checked in and have your boarding pass.',
+                        nextStepDelay: 2000
+                    },
+                    {
+                        name: 'Drop Your Bag',
+                        target: '#bagDropDesk',
+                        instructions: 'Take your bag to the bag drop counter on the far right and click on it.',
+                        narration: 'Next, drop off your bag. The bag drop counter is on the far right.',
+                        hints: ['Look for the sign that says BAG DROP', 'It is the last counter on your right'],
+                        successMessage: 'Your bag has been dropped off.',
+                        nextStepDelay: 2000
+                    },
+                    {
+                        name: 'Scan Your Boarding Pass',
+                        target: '#scanButton',
+                        instructions: 'Go to Gate A1 and press the green Access Control button to scan your boarding pass.',
+                        narration: 'Head to Gate A1. Press the green access control button on the podium to scan your boarding pass.',
+                        hints: ['Gate A1 is behind the counters, past the information board', 'The button is on the podium to the left of the gate'],
+                        successMessage: 'Boarding pass accepted. The gate is opening.',
+                        nextStepDelay: 2000
+                    },
+                    {
+                        name: 'Walk Through the Gate',
+                        target: '#doorLeft',
+                        instructions: 'Walk through the open gate doors and click on the door to board.',
+                        narration: 'The gate is open. Walk through the doors to board. Click on the door when you reach it.',
+                        hints: ['The glass doors slide open after scanning', 'Walk straight through the middle of the gate'],
+                        successMessage: 'You have boarded. Have a great trip!',
+                        nextStepDelay: 2000
+                    }
+                ]
             }
         };
         
+        // Pictograms that easy-read steps reference by id. The symbol is shown next to
+        // the text; its spoken label is guidance.pictograms.<id> in the catalogs
+        this.pictograms = {
+            door: '🚪',
+            walk: '🚶',
+            look: '👀',
+            touch: '👆',
+            left: '⬅️',
+            right: '➡️',
+            wait: '⏳',
+            stop: '🛑',
+            help: '🙋',
+            cart: '🛒',
+            fruit: '🍎',
+            vegetables: '🥕',
+            checkout: '🧾',
+            money: '💵',
+            ticket: '🎫',
+            train: '🚆',
+            platform: '🚉',
+            clock: '🕒',
+            teacher: '🧑‍🏫',
+            chair: '🪑',
+            book: '📖',
+            lesson: '📝',
+            bag: '🧳',
+            doctor: '🧑‍⚕️',
+            bed: '🛏️',
+            plane: '✈️',
+            wheelchair: '♿'
+        };
+        
         this.currentScenario = null;
         this.currentTask = null;
+        this.lastImportErrors = [];
     }
     
     getTask(scenarioId) {
@@ -182,37 +357,89 @@ class TaskDefinitions {
             if (!this.tasks[scenarioId].steps) {
                 this.tasks[scenarioId].steps = [];
             }
+            
+            // Step ids are transition targets, so they must stay unique
+            if (step.id !== undefined && this.findStepIndex(this.tasks[scenarioId], step.id) !== -1) {
+                return false;
+            }
+            
             this.tasks[scenarioId].steps.push(step);
             return true;
         }
         return false;
     }
     
-    removeTaskStep(scenarioId, stepIndex) {
-        if (this.tasks[scenarioId] && this.tasks[scenarioId].steps) {
-            if (stepIndex >= 0 && stepIndex < this.tasks[scenarioId].steps.length) {
-                this.tasks[scenarioId].steps.splice(stepIndex, 1);
-                return true;
-            }
+    // Steps can be referenced by index or by id
+    removeTaskStep(scenarioId, stepRef) {
+        const task = this.tasks[scenarioId];
+        const stepIndex = this.findStepIndex(task, stepRef);
+        if (stepIndex === -1) return false;
+        
+        const [removed] = task.steps.splice(stepIndex, 1);
+        if (removed.id !== undefined) {
+            this.unlinkStep(task, removed, task.steps[stepIndex]);
         }
-        return false;
+        return true;
+    }
+    
+    getTaskStep(scenarioId, stepRef) {
+        const task = this.tasks[scenarioId];
+        const stepIndex = this.findStepIndex(task, stepRef);
+        return stepIndex === -1 ? null : task.steps[stepIndex];
     }
     
-    getTaskStep(scenarioId, stepIndex) {
-        if (this.tasks[scenarioId] && this.tasks[scenarioId].steps) {
-            return this.tasks[scenarioId].steps[stepIndex] || null;
+    updateTaskStep(scenarioId, stepRef, updates) {
+        const task = this.tasks[scenarioId];
+        const stepIndex = this.findStepIndex(task, stepRef);
+        if (stepIndex === -1) return false;
+        
+        task.steps[stepIndex] = { ...task.steps[stepIndex], ...updates };
+        return true;
+    }
+    
+    // Step graph
+    // A step may have an `id` and a `transitions` array. Each transition names the
+    // `next` step id (null ends the task) and when it applies: `target` (that element
+    // was activated), `choice` + `label` (the user picked it), `after` (ms spent on the
+    // step) and optionally `within` (only if the step took at most that long).
+    // A transition with no target/choice/after is the default; steps without a
+    // matching transition continue to the next step in array order.
+    findStepIndex(task, stepRef) {
+        if (!task || !task.steps) return -1;
+        
+        if (typeof stepRef === 'number') {
+            return stepRef >= 0 && stepRef < task.steps.length ? stepRef : -1;
         }
-        return null;
+        return task.steps.findIndex(step => step.id !== undefined && step.id === stepRef);
+    }
+    
+    isDefaultTransition(transition) {
+        return !transition.target && !transition.choice && transition.after === undefined;
     }
     
-    updateTaskStep(scenarioId, stepIndex, updates) {
-        if (this.tasks[scenarioId] && this.tasks[scenarioId].steps) {
-            if (stepIndex >= 0 && stepIndex < this.tasks[scenarioId].steps.length) {
-                this.tasks[scenarioId].steps[stepIndex] = { ...this.tasks[scenarioId].steps[stepIndex], ...updates };
-                return true;
+    // Re-route transitions that led to a removed step to wherever that step would have gone
+    unlinkStep(task, removed, followingStep) {
+        const defaultTransition = (removed.transitions || []).find(t => this.isDefaultTransition(t));
+        let replacement = defaultTransition ? defaultTransition.next : (followingStep ? followingStep.id : null);
+        if (replacement === removed.id) {
+            replacement = undefined;
+        }
+        
+        task.steps.forEach(step => {
+            if (!step.transitions) return;
+            
+            step.transitions = step.transitions
+                .filter(t => t.next !== removed.id || replacement !== undefined)
+                .map(t => (t.next === removed.id ? { ...t, next: replacement } : t));
+        });
+        
+        if (task.startStep === removed.id) {
+            if (replacement) {
+                task.startStep = replacement;
+            } else {
+                delete task.startStep;
             }
         }
-        return false;
     }
     
     validateTask(task) {
@@ -232,37 +459,316 @@ class TaskDefinitions {
             return { valid: false, error: 'Task must have steps array' };
         }
         
+        const stepIds = new Set();
+        for (let i = 0; i < task.steps.length; i++) {
+            const id = task.steps[i].id;
+            if (id === undefined) continue;
+            
+            if (typeof id !== 'string' || !id) {
+                return { valid: false, error: `Step ${i + 1} id must be a non-empty string` };
+            }
+            
+            if (stepIds.has(id)) {
+                return { valid: false, error: `Step ${i + 1} has a duplicate id "${id}"` };
+            }
+            stepIds.add(id);
+        }
+        
+        if (task.startStep !== undefined && !stepIds.has(task.startStep)) {
+            return { valid: false, error: `Start step "${task.startStep}" does not exist` };
+        }
+        
+        const taskHazardError = this.validateHazards(task.hazards);
+        if (taskHazardError) {
+            return { valid: false, error: `Task ${taskHazardError}` };
+        }
+        
         for (let i = 0; i < task.steps.length; i++) {
             const step = task.steps[i];
             if (!step.name || typeof step.name !== 'string') {
                 return { valid: false, error: `Step ${i + 1} must have a name` };
             }
             
-            if (!step.target || typeof step.target !== 'string') {
-                return { valid: false, error: `Step ${i + 1} must have a target` };
+            if (step.transitions !== undefined && !Array.isArray(step.transitions)) {
+                return { valid: false, error: `Step ${i + 1} transitions must be an array` };
+            }
+            
+            // Choice and timed steps can be left without activating a target
+            const transitions = step.transitions || [];
+            const canLeaveWithoutTarget = transitions.some(t => t && !this.isDefaultTransition(t));
+            if (step.target !== undefined || !canLeaveWithoutTarget) {
+                if (!step.target || typeof step.target !== 'string') {
+                    return { valid: false, error: `Step ${i + 1} must have a target` };
+                }
             }
             
             if (!step.instructions || typeof step.instructions !== 'string') {
                 return { valid: false, error: `Step ${i + 1} must have instructions` };
             }
+            
+            if (step.deadline !== undefined && !(step.deadline > 0)) {
+                return { valid: false, error: `Step ${i + 1} deadline must be a positive number of milliseconds` };
+            }
+            
+            for (let j = 0; j < transitions.length; j++) {
+                const error = this.validateTransition(transitions[j], stepIds);
+                if (error) {
+                    return { valid: false, error: `Step ${i + 1} transition ${j + 1} ${error}` };
+                }
+            }
+            
+            const conditions = step.completion !== undefined ? [].concat(step.completion) : [];
+            for (let j = 0; j < conditions.length; j++) {
+                const error = this.validateCondition(conditions[j], step);
+                if (error) {
+                    return { valid: false, error: `Step ${i + 1} completion condition ${j + 1} ${error}` };
+                }
+            }
+            
+            const stepHazardError = this.validateHazards(step.hazards);
+            if (stepHazardError) {
+                return { valid: false, error: `Step ${i + 1} ${stepHazardError}` };
+            }
+            
+            const easyReadError = this.validateEasyRead(step.easyRead);
+            if (easyReadError) {
+                return { valid: false, error: `Step ${i + 1} easy-read ${easyReadError}` };
+            }
         }
         
         return { valid: true };
     }
     
-    exportTasks() {
-        return JSON.stringify(this.tasks, null, 2);
+    validateTransition(transition, stepIds) {
+        if (!transition || typeof transition !== 'object') {
+            return 'must be an object';
+        }
+        
+        if (transition.next !== null && !stepIds.has(transition.next)) {
+            return `points to unknown step "${transition.next}"`;
+        }
+        
+        if (transition.target !== undefined && (typeof transition.target !== 'string' || !transition.target)) {
+            return 'target must be a selector';
+        }
+        
+        if (transition.choice !== undefined && (!transition.label || typeof transition.label !== 'string')) {
+            return 'choice must have a label';
+        }
+        
+        if (transition.after !== undefined && !(transition.after > 0)) {
+            return 'after must be a positive number of milliseconds';
+        }
+        
+        if (transition.within !== undefined && !(transition.within > 0)) {
+            return 'within must be a positive number of milliseconds';
+        }
+        
+        if (transition.missedDeadline !== undefined && typeof transition.missedDeadline !== 'boolean') {
+            return 'missedDeadline must be true or false';
+        }
+        
+        return null;
+    }
+    
+    // Completion conditions (see StepConditionEvaluator); custom registered types are only checked for a type
+    validateCondition(condition, step) {
+        if (!condition || typeof condition !== 'object' || !condition.type || typeof condition.type !== 'string') {
+            return 'must be an object with a type';
+        }
+        
+        const targeted = ['proximity', 'zone', 'gaze', 'hold'];
+        if (targeted.includes(condition.type) && !condition.target && !step.target) {
+            return 'needs a target';
+        }
+        
+        if (condition.duration !== undefined && !(condition.duration >= 0)) {
+            return 'duration must be a number of milliseconds';
+        }
+        
+        switch (condition.type) {
+            case 'proximity':
+                if (condition.radius !== undefined && !(condition.radius > 0)) {
+                    return 'radius must be a positive number of metres';
+                }
+                break;
+            case 'zone':
+                if (condition.margin !== undefined && !(condition.margin >= 0)) {
+                    return 'margin must be a number of metres';
+                }
+                break;
+            case 'sequence':
+                if (!Array.isArray(condition.targets) || condition.targets.length === 0 ||
+                    condition.targets.some(target => !target || typeof target !== 'string')) {
+                    return 'needs a targets array of selectors';
+                }
+                break;
+            case 'timeWindow': {
+                const after = condition.after !== undefined ? condition.after : 0;
+                const before = condition.before !== undefined ? condition.before : Infinity;
+                if (!(after >= 0) || !(before > after)) {
+                    return 'needs a window with before later than after';
+                }
+                return condition.condition ? this.validateCondition(condition.condition, step) : 'needs a condition to wrap';
+            }
+        }
+        
+        return null;
     }
     
-    importTasks(tasksJson) {
+    // Hazards (see SceneHazards); custom registered types are only checked for a type
+    validateHazards(hazards) {
+        if (hazards === undefined) return null;
+        if (!Array.isArray(hazards)) return 'hazards must be an array';
+        
+        for (let i = 0; i < hazards.length; i++) {
+            const hazard = hazards[i];
+            if (!hazard || typeof hazard !== 'object' || !hazard.type || typeof hazard.type !== 'string') {
+                return `hazard ${i + 1} must be an object with a type`;
+            }
+            
+            if (hazard.type === 'closure' && (!hazard.target || typeof hazard.target !== 'string')) {
+                return `hazard ${i + 1} needs a target to close`;
+            }
+            
+            if (hazard.alternative !== undefined && (!hazard.alternative || typeof hazard.alternative !== 'string')) {
+                return `hazard ${i + 1} alternative must be a selector`;
+            }
+            
+            const placed = ['cart', 'crowd', 'wetFloor'];
+            if (placed.includes(hazard.type) && hazard.position === undefined) {
+                return `hazard ${i + 1} needs a position`;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Easy-read variants
+    // A step's `easyRead` object holds short-sentence versions of its `instructions`,
+    // `narration`, `hints` and `successMessage`, plus `pictograms`, a list of ids from
+    // this.pictograms. Only the shape is an error here: guidance falls back to the
+    // standard text for anything missing, so gaps are reported by getEasyReadWarnings
+    validateEasyRead(easyRead) {
+        if (easyRead === undefined) return null;
+        if (!easyRead || typeof easyRead !== 'object' || Array.isArray(easyRead)) return 'must be an object';
+        
+        for (const field of ['instructions', 'narration', 'successMessage']) {
+            if (easyRead[field] !== undefined && typeof easyRead[field] !== 'string') {
+                return `${field} must be text`;
+            }
+        }
+        
+        if (easyRead.hints !== undefined && !this.isTextList(easyRead.hints)) {
+            return 'hints must be a list of text';
+        }
+        
+        if (easyRead.pictograms !== undefined && !this.isTextList(easyRead.pictograms)) {
+            return 'pictograms must be a list of pictogram ids';
+        }
+        
+        return null;
+    }
+    
+    isTextList(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+    
+    // Returns [{ step, type, pictogram? }] with 1-based step numbers. Types: `missing`
+    // (no easy-read instructions), `noPictograms` and `unknownPictogram`
+    getEasyReadWarnings(task) {
+        const warnings = [];
+        
+        ((task && task.steps) || []).forEach((step, index) => {
+            const variant = step.easyRead;
+            if (!variant || !variant.instructions) {
+                warnings.push({ step: index + 1, type: 'missing' });
+            }
+            if (!variant) return;
+            
+            const pictograms = Array.isArray(variant.pictograms) ? variant.pictograms : [];
+            if (pictograms.length === 0) {
+                warnings.push({ step: index + 1, type: 'noPictograms' });
+            }
+            pictograms.filter(id => !this.getPictogram(id)).forEach(pictogram => {
+                warnings.push({ step: index + 1, type: 'unknownPictogram', pictogram });
+            });
+        });
+        
+        return warnings;
+    }
+    
+    getPictogram(id) {
+        return Object.prototype.hasOwnProperty.call(this.pictograms, id) ? this.pictograms[id] : null;
+    }
+    
+    // Task packs
+    // A pack wraps tasks with a format version, author and target scenario (js/task-pack.js);
+    // packs from older versions are migrated forward when read
+    createTaskPack(tasks, metadata = {}) {
+        return this.getPackFormat().createPack(tasks, metadata);
+    }
+    
+    exportTasks(metadata = {}) {
+        const keys = metadata.taskKeys || Object.keys(this.tasks);
+        const tasks = {};
+        keys.forEach(key => {
+            if (this.tasks[key]) {
+                tasks[key] = this.tasks[key];
+            }
+        });
+        
+        return JSON.stringify(this.createTaskPack(tasks, metadata), null, 2);
+    }
+    
+    // Returns { valid, pack, errors, migratedFrom }; each error has a JSON Pointer path and a reason
+    readTaskPack(packJson) {
+        const packFormat = this.getPackFormat();
+        
+        let data;
         try {
-            const importedTasks = JSON.parse(tasksJson);
-            this.tasks = { ...this.tasks, ...importedTasks };
-            return true;
+            data = typeof packJson === 'string' ? JSON.parse(packJson) : packJson;
         } catch (error) {
-            console.error('Failed to import tasks:', error);
+            return packFormat.failure([{ path: '', message: `is not valid JSON (${error.message})` }]);
+        }
+        
+        const result = packFormat.read(data);
+        if (!result.valid) return result;
+        
+        // The schema checks shape; validateTask also checks step ids, transitions and conditions
+        const errors = [];
+        Object.keys(result.pack.tasks).forEach(key => {
+            const validation = this.validateTask(result.pack.tasks[key]);
+            if (!validation.valid) {
+                errors.push({ path: packFormat.childPath('/tasks', key), message: validation.error });
+            }
+        });
+        
+        return errors.length > 0 ? { ...result, valid: false, pack: null, errors } : result;
+    }
+    
+    importTasks(tasksJson) {
+        const result = this.readTaskPack(tasksJson);
+        this.lastImportErrors = result.errors;
+        
+        if (!result.valid) {
+            console.error('Failed to import tasks:', result.errors.map(error => this.getPackFormat().formatError(error)));
             return false;
         }
+        
+        if (result.migratedFrom) {
+            console.log(`Migrated task pack from version ${result.migratedFrom} to ${result.pack.version}`);
+        }
+        
+        this.tasks = { ...this.tasks, ...result.pack.tasks };
+        return true;
+    }
+    
+    getPackFormat() {
+        if (!window.taskPackFormat) {
+            throw new Error('Task pack format is not loaded (js/task-pack.js)');
+        }
+        return window.taskPackFormat;
     }
     
     // Helper method to create a step
@@ -279,6 +785,14 @@ class TaskDefinitions {
         };
     }
     
+    // Helper method to create a transition
+    createTransition(next, conditions = {}) {
+        return {
+            ...conditions,
+            next: next === undefined ? null : next
+        };
+    }
+    
     // Helper method to create a task
     createTask(name, description, steps, options = {}) {
         return {
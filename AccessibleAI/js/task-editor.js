@@ -0,0 +1,907 @@
+/**
+ * Task Editor
+ * In-browser authoring of guided tasks: load a scenario, pick step targets in the scene,
+ * edit step text, preview with the guidance system and save the result as a task pack
+ */
+
+class TaskEditor {
+    constructor(taskDefinitions, container, options = {}) {
+        this.taskDefinitions = taskDefinitions;
+        this.container = container;
+        this.scenarios = options.scenarios || ['grocery', 'hospital', 'railway', 'classroom', 'office'];
+        this.scenarioPath = options.scenarioPath || 'scenarios/';
+        this.scriptPath = options.scriptPath || 'js/';
+        
+        this.scenarioId = null;
+        this.draft = null;
+        this.packInfo = { author: this.loadAuthor() };
+        this.selectedStep = -1;
+        this.isDirty = false;
+        this.isPicking = false;
+        this.previewTask = null;
+        this.frame = null;
+        
+        // Loaded into scenes that have no guidance system of their own, in order
+        this.guidanceScripts = [
+            'i18n.js',
+            'locales/hi.js',
+            'locales/ml.js',
+            'scene-highlighter.js',
+            'step-conditions.js',
+            'user-guidance.js'
+        ];
+        
+        this.init();
+    }
+    
+    init() {
+        this.createLayout();
+        this.setupEventListeners();
+        this.loadScenario(this.scenarios[0]);
+        
+        console.log('Task Editor initialized');
+    }
+    
+    createLayout() {
+        this.container.innerHTML = `
+            <div id="task-editor-toolbar" style="
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 10px;
+                padding: 15px 20px;
+                background: #f8f9fa;
+                border-bottom: 1px solid #e9ecef;
+            "></div>
+            <div id="task-editor-validation" role="status" style="
+                padding: 10px 20px;
+                font-weight: 600;
+                border-bottom: 1px solid #e9ecef;
+            "></div>
+            <div style="display: grid; grid-template-columns: 300px 1fr 340px; min-height: 600px;">
+                <div id="task-editor-task" style="padding: 20px; border-right: 1px solid #e9ecef; overflow-y: auto;"></div>
+                <div style="position: relative; background: #2c3e50;">
+                    <iframe id="task-editor-frame" title="Scenario" style="width: 100%; height: 100%; min-height: 600px; border: 0; display: block;"></iframe>
+                    <div id="task-editor-pick-overlay" style="
+                        display: none;
+                        position: absolute;
+                        inset: 0;
+                        cursor: crosshair;
+                        background: rgba(52, 152, 219, 0.08);
+                        outline: 3px dashed #3498db;
+                        outline-offset: -3px;
+                    ">
+                        <div id="task-editor-pick-prompt" style="
+                            position: absolute;
+                            top: 15px;
+                            left: 50%;
+                            transform: translateX(-50%);
+                            background: rgba(0, 0, 0, 0.8);
+                            color: white;
+                            padding: 10px 20px;
+                            border-radius: 8px;
+                            font-size: 14px;
+                            pointer-events: none;
+                        "></div>
+                    </div>
+                </div>
+                <div id="task-editor-step" style="padding: 20px; border-left: 1px solid #e9ecef; overflow-y: auto;"></div>
+            </div>
+        `;
+        
+        this.frame = this.container.querySelector('#task-editor-frame');
+        this.pickOverlay = this.container.querySelector('#task-editor-pick-overlay');
+        
+        this.frame.addEventListener('load', () => this.onFrameLoaded());
+        this.pickOverlay.addEventListener('click', (event) => this.onPickClick(event));
+    }
+    
+    setupEventListeners() {
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isPicking) {
+                this.stopPicking();
+            }
+        });
+        
+        document.addEventListener('localeChanged', () => {
+            this.renderAll();
+        });
+    }
+    
+    // Rendering
+    renderAll() {
+        this.renderToolbar();
+        this.renderTaskPanel();
+        this.renderStepPanel();
+        this.renderValidation(this.validate());
+        
+        const prompt = this.container.querySelector('#task-editor-pick-prompt');
+        prompt.textContent = this.t('taskEditor.pickPrompt');
+    }
+    
+    renderToolbar() {
+        const toolbar = this.container.querySelector('#task-editor-toolbar');
+        const buttonStyle = `
+            padding: 10px 16px;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            font-weight: 600;
+            color: white;
+        `;
+        
+        toolbar.innerHTML = `
+            <label style="font-weight: 600; color: #2c3e50;">
+                ${this.t('taskEditor.scenario')}
+                <select id="task-editor-scenario" style="margin-left: 8px; padding: 8px; border: 1px solid #ddd; border-radius: 6px;">
+                    ${this.scenarios.map(id => `
+                        <option value="${id}" ${id === this.scenarioId ? 'selected' : ''}>${this.getScenarioName(id)}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <button id="task-editor-new" style="${buttonStyle} background: #95a5a6;">➕ ${this.t('taskEditor.newTask')}</button>
+            <button id="task-editor-load" style="${buttonStyle} background: #95a5a6;">📂 ${this.t('taskEditor.loadPack')}</button>
+            <span style="flex: 1;"></span>
+            <button id="task-editor-validate" style="${buttonStyle} background: #3498db;">✔️ ${this.t('taskEditor.validate')}</button>
+            <button id="task-editor-preview" style="${buttonStyle} background: #e67e22;">▶️ ${this.t('taskEditor.preview')}</button>
+            <button id="task-editor-stop" style="${buttonStyle} background: #e74c3c;">⏹️ ${this.t('taskEditor.stopPreview')}</button>
+            <button id="task-editor-save" style="${buttonStyle} background: #27ae60;">💾 ${this.t('taskEditor.savePack')}</button>
+        `;
+        
+        toolbar.querySelector('#task-editor-scenario').addEventListener('change', (event) => {
+            if (!this.loadScenario(event.target.value)) {
+                event.target.value = this.scenarioId;
+            }
+        });
+        toolbar.querySelector('#task-editor-new').addEventListener('click', () => this.newTask());
+        toolbar.querySelector('#task-editor-load').addEventListener('click', () => this.loadTaskPack());
+        toolbar.querySelector('#task-editor-validate').addEventListener('click', () => this.renderValidation(this.validate()));
+        toolbar.querySelector('#task-editor-preview').addEventListener('click', () => this.preview());
+        toolbar.querySelector('#task-editor-stop').addEventListener('click', () => this.stopPreview());
+        toolbar.querySelector('#task-editor-save').addEventListener('click', () => this.saveTaskPack());
+    }
+    
+    renderTaskPanel() {
+        const panel = this.container.querySelector('#task-editor-task');
+        const labelStyle = 'display: block; font-weight: 600; color: #2c3e50; margin: 15px 0 5px;';
+        const fieldStyle = 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font: inherit;';
+        const buttonStyle = 'flex: 1; padding: 8px; border: 1px solid #ddd; border-radius: 6px; background: white; cursor: pointer;';
+        
+        panel.innerHTML = `
+            <h3 style="margin: 0; color: #2c3e50;">📋 ${this.t('taskEditor.taskDetails')}</h3>
+            <label style="${labelStyle}" for="task-editor-author">${this.t('taskEditor.author')}</label>
+            <input id="task-editor-author" type="text" style="${fieldStyle}">
+            <label style="${labelStyle}" for="task-editor-name">${this.t('taskEditor.taskName')}</label>
+            <input id="task-editor-name" type="text" style="${fieldStyle}">
+            <label style="${labelStyle}" for="task-editor-description">${this.t('taskEditor.description')}</label>
+            <textarea id="task-editor-description" rows="3" style="${fieldStyle}"></textarea>
+            <label style="${labelStyle}" for="task-editor-difficulty">${this.t('taskEditor.difficulty')}</label>
+            <select id="task-editor-difficulty" style="${fieldStyle}">
+                ${['easy', 'medium', 'hard'].map(level => `
+                    <option value="${level}">${this.t(`taskEditor.difficulties.${level}`)}</option>
+                `).join('')}
+            </select>
+            
+            <h3 style="margin: 25px 0 10px; color: #2c3e50;">🪜 ${this.t('taskEditor.steps')}</h3>
+            <ol id="task-editor-steps" style="list-style: none; padding: 0; margin: 0 0 10px;"></ol>
+            <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+                <button id="task-editor-add-step" style="${buttonStyle}">➕ ${this.t('taskEditor.addStep')}</button>
+                <button id="task-editor-move-up" style="${buttonStyle}">⬆️ ${this.t('taskEditor.moveUp')}</button>
+                <button id="task-editor-move-down" style="${buttonStyle}">⬇️ ${this.t('taskEditor.moveDown')}</button>
+                <button id="task-editor-delete-step" style="${buttonStyle} color: #e74c3c;">🗑️ ${this.t('taskEditor.deleteStep')}</button>
+            </div>
+        `;
+        
+        if (!this.draft) return;
+        
+        // User text is assigned as values, never interpolated into markup
+        this.bindField(panel.querySelector('#task-editor-author'), this.packInfo, 'author');
+        this.bindField(panel.querySelector('#task-editor-name'), this.draft, 'name');
+        this.bindField(panel.querySelector('#task-editor-description'), this.draft, 'description');
+        this.bindField(panel.querySelector('#task-editor-difficulty'), this.draft, 'difficulty');
+        
+        panel.querySelector('#task-editor-add-step').addEventListener('click', () => this.addStep());
+        panel.querySelector('#task-editor-move-up').addEventListener('click', () => this.moveStep(-1));
+        panel.querySelector('#task-editor-move-down').addEventListener('click', () => this.moveStep(1));
+        panel.querySelector('#task-editor-delete-step').addEventListener('click', () => this.deleteStep());
+        
+        this.renderStepList();
+    }
+    
+    renderStepList() {
+        const list = this.container.querySelector('#task-editor-steps');
+        if (!list || !this.draft) return;
+        
+        list.innerHTML = '';
+        
+        if (this.draft.steps.length === 0) {
+            const empty = document.createElement('li');
+            empty.style.cssText = 'color: #6c757d; font-size: 14px; padding: 10px 0;';
+            empty.textContent = this.t('taskEditor.noSteps');
+            list.appendChild(empty);
+            return;
+        }
+        
+        this.draft.steps.forEach((step, index) => {
+            const isSelected = index === this.selectedStep;
+            const item = document.createElement('li');
+            item.tabIndex = 0;
+            item.setAttribute('role', 'button');
+            item.setAttribute('aria-pressed', String(isSelected));
+            item.style.cssText = `
+                padding: 10px;
+                margin-bottom: 6px;
+                border: 2px solid ${isSelected ? '#3498db' : '#e9ecef'};
+                border-radius: 8px;
+                background: ${isSelected ? '#ebf5fb' : 'white'};
+                cursor: pointer;
+            `;
+            
+            const name = document.createElement('div');
+            name.style.cssText = 'font-weight: 600; color: #2c3e50;';
+            name.textContent = `${index + 1}. ${step.name || ''}`;
+            
+            const target = document.createElement('div');
+            target.style.cssText = `font-size: 12px; font-family: monospace; color: ${step.target ? '#6c757d' : '#e74c3c'};`;
+            target.textContent = step.target || this.t('taskEditor.noTarget');
+            
+            item.appendChild(name);
+            item.appendChild(target);
+            
+            item.addEventListener('click', () => this.selectStep(index));
+            item.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.selectStep(index);
+                }
+            });
+            
+            list.appendChild(item);
+        });
+    }
+    
+    renderStepPanel() {
+        const panel = this.container.querySelector('#task-editor-step');
+        const step = this.getSelectedStep();
+        
+        if (!step) {
+            panel.innerHTML = `
+                <h3 style="margin: 0 0 15px; color: #2c3e50;">✏️ ${this.t('taskEditor.stepDetails')}</h3>
+                <p style="color: #6c757d;">${this.t('taskEditor.noSteps')}</p>
+            `;
+            return;
+        }
+        
+        const labelStyle = 'display: block; font-weight: 600; color: #2c3e50; margin: 15px 0 5px;';
+        const fieldStyle = 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font: inherit;';
+        const hasRules = (step.transitions && step.transitions.length > 0) || step.completion !== undefined;
+        
+        panel.innerHTML = `
+            <h3 style="margin: 0; color: #2c3e50;">✏️ ${this.t('taskEditor.stepDetails')}</h3>
+            <label style="${labelStyle}" for="task-editor-step-name">${this.t('taskEditor.stepName')}</label>
+            <input id="task-editor-step-name" type="text" style="${fieldStyle}">
+            <label style="${labelStyle}" for="task-editor-step-target">${this.t('taskEditor.target')}</label>
+            <div style="display: flex; gap: 6px;">
+                <input id="task-editor-step-target" type="text" placeholder="#objectId" style="${fieldStyle} font-family: monospace;">
+                <button id="task-editor-pick" style="
+                    padding: 8px 12px;
+                    border: none;
+                    border-radius: 6px;
+                    background: ${this.isPicking ? '#e74c3c' : '#3498db'};
+                    color: white;
+                    cursor: pointer;
+                    white-space: nowrap;
+                ">🎯 ${this.isPicking ? this.t('taskEditor.cancelPick') : this.t('taskEditor.pickTarget')}</button>
+            </div>
+            <label style="${labelStyle}" for="task-editor-step-instructions">${this.t('taskEditor.instructions')}</label>
+            <textarea id="task-editor-step-instructions" rows="3" style="${fieldStyle}"></textarea>
+            <label style="${labelStyle}" for="task-editor-step-narration">${this.t('taskEditor.narration')}</label>
+            <textarea id="task-editor-step-narration" rows="3" placeholder="${this.t('taskEditor.narrationPlaceholder')}" style="${fieldStyle}"></textarea>
+            <label style="${labelStyle}" for="task-editor-step-hints">${this.t('taskEditor.hints')}</label>
+            <textarea id="task-editor-step-hints" rows="4" style="${fieldStyle}"></textarea>
+            <label style="${labelStyle}" for="task-editor-step-success">${this.t('taskEditor.successMessage')}</label>
+            <input id="task-editor-step-success" type="text" style="${fieldStyle}">
+            
+            <h4 style="margin: 25px 0 0; color: #2c3e50;">📖 ${this.t('taskEditor.easyRead')}</h4>
+            <p style="margin: 5px 0 0; color: #6c757d; font-size: 13px;">${this.t('taskEditor.easyReadDescription')}</p>
+            <label style="${labelStyle}" for="task-editor-easy-instructions">${this.t('taskEditor.instructions')}</label>
+            <textarea id="task-editor-easy-instructions" rows="3" style="${fieldStyle}"></textarea>
+            <label style="${labelStyle}" for="task-editor-easy-hints">${this.t('taskEditor.hints')}</label>
+            <textarea id="task-editor-easy-hints" rows="3" style="${fieldStyle}"></textarea>
+            <label style="${labelStyle}" for="task-editor-easy-success">${this.t('taskEditor.successMessage')}</label>
+            <input id="task-editor-easy-success" type="text" style="${fieldStyle}">
+            <label style="${labelStyle}" for="task-editor-easy-pictograms">${this.t('taskEditor.pictograms')}</label>
+            <input id="task-editor-easy-pictograms" type="text" placeholder="door, walk, touch" style="${fieldStyle} font-family: monospace;">
+            <p style="margin: 5px 0 0; color: #6c757d; font-size: 13px;">
+                ${Object.entries(this.taskDefinitions.pictograms).map(([id, symbol]) => `${symbol} ${id}`).join(' · ')}
+            </p>
+            ${hasRules ? `
+                <p style="margin-top: 15px; padding: 10px; background: #fef5e7; border-radius: 6px; color: #8a6d3b; font-size: 13px;">
+                    ℹ️ ${this.t('taskEditor.keptRules')}
+                </p>
+            ` : ''}
+        `;
+        
+        this.bindField(panel.querySelector('#task-editor-step-name'), step, 'name', () => this.renderStepList());
+        this.bindField(panel.querySelector('#task-editor-step-target'), step, 'target', () => this.renderStepList());
+        this.bindField(panel.querySelector('#task-editor-step-instructions'), step, 'instructions');
+        this.bindField(panel.querySelector('#task-editor-step-narration'), step, 'narration');
+        this.bindField(panel.querySelector('#task-editor-step-success'), step, 'successMessage');
+        
+        // Hints are edited one per line
+        const hints = panel.querySelector('#task-editor-step-hints');
+        hints.value = (step.hints || []).join('\n');
+        hints.addEventListener('input', () => {
+            step.hints = hints.value.split('\n');
+            this.markDirty();
+        });
+        
+        // The easy-read variant is created on first edit; pictogram ids are separated by commas or spaces
+        const easyRead = step.easyRead || {};
+        const easyReadFields = [
+            ['#task-editor-easy-instructions', 'instructions', value => value, value => value],
+            ['#task-editor-easy-hints', 'hints', value => value.join('\n'), value => value.split('\n')],
+            ['#task-editor-easy-success', 'successMessage', value => value, value => value],
+            ['#task-editor-easy-pictograms', 'pictograms', value => value.join(', '), value => value.split(/[\s,]+/).filter(Boolean)]
+        ];
+        easyReadFields.forEach(([selector, field, format, parse]) => {
+            const input = panel.querySelector(selector);
+            input.value = easyRead[field] !== undefined ? format(easyRead[field]) : '';
+            input.addEventListener('input', () => {
+                step.easyRead = { ...step.easyRead, [field]: parse(input.value) };
+                this.markDirty();
+            });
+        });
+        
+        panel.querySelector('#task-editor-pick').addEventListener('click', () => {
+            if (this.isPicking) {
+                this.stopPicking();
+            } else {
+                this.startPicking();
+            }
+        });
+    }
+    
+    renderValidation(result) {
+        const status = this.container.querySelector('#task-editor-validation');
+        if (!result) {
+            status.textContent = '';
+            return;
+        }
+        
+        // Missing easy-read variants still pass, but the author should see them
+        const warnings = result.valid ? result.warnings || [] : [];
+        if (warnings.length > 0) {
+            status.style.background = '#fef5e7';
+            status.style.color = '#8a6d3b';
+            status.textContent = this.t('taskEditor.validWithWarnings', { count: warnings.length });
+            
+            const list = document.createElement('ul');
+            list.style.cssText = 'margin: 5px 0 0; padding-left: 20px; font-weight: 400; font-size: 13px;';
+            warnings.forEach(warning => {
+                const item = document.createElement('li');
+                item.textContent = this.t(`taskEditor.easyReadWarnings.${warning.type}`, { step: warning.step, pictogram: warning.pictogram });
+                list.appendChild(item);
+            });
+            status.appendChild(list);
+            return;
+        }
+        
+        status.style.background = result.valid ? '#eafaf1' : '#fdedec';
+        status.style.color = result.valid ? '#1e8449' : '#c0392b';
+        status.textContent = result.valid
+            ? this.t('taskEditor.valid')
+            : this.t('taskEditor.invalid', { error: result.error });
+    }
+    
+    bindField(field, source, property, onChange) {
+        field.value = source[property] !== undefined ? source[property] : '';
+        field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => {
+            source[property] = field.value;
+            this.markDirty();
+            if (onChange) onChange();
+        });
+    }
+    
+    // Scenario loading
+    loadScenario(scenarioId) {
+        if (this.isDirty && !confirm(this.t('taskEditor.confirmDiscard'))) {
+            return false;
+        }
+        
+        this.stopPicking();
+        this.previewTask = null;
+        this.scenarioId = scenarioId;
+        this.frame.src = `${this.scenarioPath}${scenarioId}.html`;
+        
+        // Start from the scenario's built-in task when it has one
+        const task = this.taskDefinitions.getTask(scenarioId);
+        this.setDraft(task ? this.copyTask(task) : this.createBlankTask());
+        return true;
+    }
+    
+    onFrameLoaded() {
+        const win = this.getFrameWindow();
+        if (!win) return;
+        
+        // Scenario pages start their own task; keep the scene quiet unless we are previewing
+        win.document.addEventListener('taskStarted', (event) => {
+            if (event.detail.task !== this.previewTask && win.guidanceSystem) {
+                win.guidanceSystem.stopGuidance();
+            }
+        });
+        
+        win.document.addEventListener('taskCompleted', (event) => {
+            if (this.previewTask && event.detail.task === this.previewTask) {
+                this.previewTask = null;
+                this.showNotification(this.t('taskEditor.notifications.previewFinished'), 'success');
+            }
+        });
+    }
+    
+    getFrameWindow() {
+        try {
+            return this.frame && this.frame.contentWindow && this.frame.contentWindow.document ? this.frame.contentWindow : null;
+        } catch (error) {
+            console.error('Failed to access scenario frame:', error);
+            return null;
+        }
+    }
+    
+    getScene() {
+        const win = this.getFrameWindow();
+        const scene = win ? win.document.querySelector('a-scene') : null;
+        return scene && scene.hasLoaded ? scene : null;
+    }
+    
+    // Draft management
+    setDraft(task) {
+        this.draft = task;
+        this.selectedStep = task.steps.length > 0 ? 0 : -1;
+        this.isDirty = false;
+        this.renderAll();
+    }
+    
+    copyTask(task) {
+        const copy = JSON.parse(JSON.stringify(task));
+        
+        // The catalog translates the original text, not the therapist's edits
+        delete copy.scenario;
+        
+        copy.steps = copy.steps || [];
+        return copy;
+    }
+    
+    createBlankTask() {
+        return this.taskDefinitions.createTask(this.t('taskEditor.newTaskName'), '', [this.createBlankStep(1)]);
+    }
+    
+    createBlankStep(number) {
+        return this.taskDefinitions.createStep(this.t('taskEditor.newStepName', { number }), '', '');
+    }
+    
+    newTask() {
+        if (this.isDirty && !confirm(this.t('taskEditor.confirmDiscard'))) return;
+        
+        this.stopPreview();
+        this.setDraft(this.createBlankTask());
+    }
+    
+    markDirty() {
+        this.isDirty = true;
+    }
+    
+    getSelectedStep() {
+        return this.draft ? this.draft.steps[this.selectedStep] || null : null;
+    }
+    
+    selectStep(index) {
+        this.stopPicking();
+        this.selectedStep = index;
+        this.renderStepList();
+        this.renderStepPanel();
+    }
+    
+    addStep() {
+        const step = this.createBlankStep(this.draft.steps.length + 1);
+        this.draft.steps.splice(this.selectedStep + 1, 0, step);
+        this.markDirty();
+        this.selectStep(this.selectedStep + 1);
+    }
+    
+    moveStep(offset) {
+        const from = this.selectedStep;
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= this.draft.steps.length) return;
+        
+        const [step] = this.draft.steps.splice(from, 1);
+        this.draft.steps.splice(to, 0, step);
+        this.markDirty();
+        this.selectStep(to);
+    }
+    
+    deleteStep() {
+        if (this.selectedStep < 0) return;
+        
+        this.draft.steps.splice(this.selectedStep, 1);
+        this.markDirty();
+        this.selectStep(Math.min(this.selectedStep, this.draft.steps.length - 1));
+    }
+    
+    // Target picking
+    startPicking() {
+        if (!this.getScene()) {
+            this.showNotification(this.t('taskEditor.notifications.sceneLoading'), 'error');
+            return;
+        }
+        
+        this.isPicking = true;
+        this.pickOverlay.style.display = 'block';
+        this.renderStepPanel();
+    }
+    
+    stopPicking() {
+        if (!this.isPicking) return;
+        
+        this.isPicking = false;
+        this.pickOverlay.style.display = 'none';
+        this.renderStepPanel();
+    }
+    
+    onPickClick(event) {
+        const frameRect = this.frame.getBoundingClientRect();
+        const entity = this.findEntityAt(event.clientX - frameRect.left, event.clientY - frameRect.top);
+        
+        if (!entity) {
+            this.showNotification(this.t('taskEditor.notifications.noEntity'), 'error');
+            return;
+        }
+        
+        const step = this.getSelectedStep();
+        if (step) {
+            step.target = `#${CSS.escape(entity.id)}`;
+            this.markDirty();
+            this.showNotification(this.t('taskEditor.notifications.targetSet', { target: step.target }), 'success');
+        }
+        
+        this.stopPicking();
+        this.renderStepList();
+    }
+    
+    // Cast a ray from the scene camera through the given point (frame coordinates)
+    findEntityAt(x, y) {
+        const scene = this.getScene();
+        const win = this.getFrameWindow();
+        if (!scene || !scene.camera || !win.AFRAME) return null;
+        
+        const THREE = win.AFRAME.THREE;
+        const rect = scene.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((x - rect.left) / rect.width) * 2 - 1,
+            -((y - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, scene.camera);
+        
+        const hits = raycaster.intersectObject(scene.object3D, true);
+        for (const hit of hits) {
+            if (!this.isObjectVisible(hit.object)) continue;
+            
+            const entity = this.findTargetEntity(hit.object, scene);
+            if (entity) return entity;
+        }
+        return null;
+    }
+    
+    isObjectVisible(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+    
+    // Targets are referenced by id, so use the nearest entity that has one
+    findTargetEntity(object, scene) {
+        let current = object;
+        while (current && !current.el) {
+            current = current.parent;
+        }
+        
+        let element = current ? current.el : null;
+        if (!element || element.closest('[camera]')) return null;
+        
+        while (element && element !== scene) {
+            if (element.id) return element;
+            element = element.parentElement;
+        }
+        return null;
+    }
+    
+    // Validation
+    buildTask() {
+        const task = JSON.parse(JSON.stringify(this.draft));
+        
+        task.steps.forEach(step => {
+            step.hints = (step.hints || []).map(hint => hint.trim()).filter(Boolean);
+            
+            // Same default as createStep: narrate the instructions
+            if (!step.narration) {
+                step.narration = step.instructions;
+            }
+            
+            if (step.easyRead) {
+                step.easyRead = this.cleanEasyRead(step.easyRead);
+                if (!step.easyRead) {
+                    delete step.easyRead;
+                }
+            }
+        });
+        
+        return task;
+    }
+    
+    // Empty easy-read fields are left out, so guidance falls back to the standard text
+    cleanEasyRead(variant) {
+        const clean = {};
+        Object.keys(variant).forEach(field => {
+            const value = Array.isArray(variant[field])
+                ? variant[field].map(item => item.trim()).filter(Boolean)
+                : variant[field].trim();
+            if (value.length > 0) {
+                clean[field] = value;
+            }
+        });
+        return Object.keys(clean).length > 0 ? clean : null;
+    }
+    
+    validate(task = this.draft ? this.buildTask() : null) {
+        if (!task) return null;
+        
+        const result = this.taskDefinitions.validateTask(task);
+        return result.valid ? { ...result, warnings: this.taskDefinitions.getEasyReadWarnings(task) } : result;
+    }
+    
+    getTaskKey(task) {
+        return task.name.toLowerCase().replace(/\s+/g, '_');
+    }
+    
+    renderPackErrors(errors) {
+        const packFormat = this.taskDefinitions.getPackFormat();
+        this.renderValidation({ valid: false, error: errors.map(error => packFormat.formatError(error)).join('; ') });
+    }
+    
+    // Preview
+    preview() {
+        const task = this.buildTask();
+        const result = this.validate(task);
+        this.renderValidation(result);
+        if (!result.valid) return;
+        
+        if (!this.getScene()) {
+            this.showNotification(this.t('taskEditor.notifications.sceneLoading'), 'error');
+            return;
+        }
+        
+        this.stopPicking();
+        this.ensureGuidance().then(guidanceSystem => {
+            this.previewTask = task;
+            guidanceSystem.stopGuidance();
+            guidanceSystem.startGuidance(task);
+            this.showNotification(this.t('taskEditor.notifications.previewStarted'), 'info');
+        }).catch(error => {
+            console.error('Failed to start preview:', error);
+            this.showNotification(this.t('taskEditor.notifications.previewUnavailable'), 'error');
+        });
+    }
+    
+    stopPreview() {
+        const win = this.getFrameWindow();
+        if (!this.previewTask || !win || !win.guidanceSystem) return;
+        
+        this.previewTask = null;
+        win.guidanceSystem.stopGuidance();
+        this.showNotification(this.t('taskEditor.notifications.previewStopped'), 'info');
+    }
+    
+    // Scenarios without guidance get it loaded on demand
+    async ensureGuidance() {
+        const win = this.getFrameWindow();
+        if (win.guidanceSystem) {
+            return win.guidanceSystem;
+        }
+        
+        for (const script of this.guidanceScripts) {
+            if (script === 'i18n.js' && win.localization) continue;
+            if (script.startsWith('locales/') && win.localeBundles) continue;
+            await this.injectScript(win, script);
+        }
+        
+        if (!win.guidanceSystem) {
+            win.guidanceSystem = new win.UserGuidanceSystem();
+            this.reportSceneClicks(win);
+        }
+        return win.guidanceSystem;
+    }
+    
+    injectScript(win, script) {
+        return new Promise((resolve, reject) => {
+            const element = win.document.createElement('script');
+            element.src = new URL(`${this.scriptPath}${script}`, window.location.href).href;
+            element.onload = resolve;
+            element.onerror = () => reject(new Error(`Could not load ${script}`));
+            win.document.head.appendChild(element);
+        });
+    }
+    
+    // Those scenarios do not report clicks either, so bridge them to objectClicked
+    reportSceneClicks(win) {
+        const scene = this.getScene();
+        scene.canvas.addEventListener('click', (event) => {
+            const entity = this.findEntityAt(event.clientX, event.clientY);
+            if (entity) {
+                win.document.dispatchEvent(new win.CustomEvent('objectClicked', { detail: { element: entity, id: entity.id } }));
+            }
+        });
+    }
+    
+    // Task packs
+    saveTaskPack() {
+        const task = this.buildTask();
+        const result = this.validate(task);
+        this.renderValidation(result);
+        if (!result.valid) {
+            this.showNotification(this.t('taskEditor.invalid', { error: result.error }), 'error');
+            return;
+        }
+        
+        // Packs carry their author, so do not fall back to 'Unknown' here
+        const author = this.packInfo.author.trim();
+        if (!author) {
+            this.showNotification(this.t('taskEditor.notifications.authorRequired'), 'error');
+            return;
+        }
+        
+        const key = this.getTaskKey(task);
+        const pack = this.taskDefinitions.createTaskPack({ [key]: task }, { author, scenario: this.scenarioId });
+        
+        // Check the whole pack the way importers will read it
+        const packResult = this.taskDefinitions.readTaskPack(pack);
+        if (!packResult.valid) {
+            this.renderPackErrors(packResult.errors);
+            this.showNotification(this.t('taskEditor.notifications.saveFailed'), 'error');
+            return;
+        }
+        
+        this.saveAuthor(pack.author);
+        
+        const dataStr = JSON.stringify(pack, null, 2);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `task-pack-${key}.json`;
+        link.click();
+        
+        this.isDirty = false;
+        this.showNotification(this.t('taskEditor.notifications.packSaved'), 'success');
+    }
+    
+    loadTaskPack() {
+        if (this.isDirty && !confirm(this.t('taskEditor.confirmDiscard'))) return;
+        
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        
+        input.onchange = (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    const result = this.taskDefinitions.readTaskPack(e.target.result);
+                    if (!result.valid) {
+                        this.renderPackErrors(result.errors);
+                        this.showNotification(this.t('taskEditor.notifications.loadFailed'), 'error');
+                        return;
+                    }
+                    
+                    this.applyTaskPack(result.pack);
+                    this.showNotification(result.migratedFrom
+                        ? this.t('taskEditor.notifications.packMigrated', { version: result.migratedFrom })
+                        : this.t('taskEditor.notifications.packLoaded'), 'success');
+                };
+                reader.readAsText(file);
+            }
+        };
+        
+        input.click();
+    }
+    
+    // Packs arrive validated and migrated; edit the first task in the pack's scenario
+    applyTaskPack(pack) {
+        const task = pack.tasks[Object.keys(pack.tasks)[0]];
+        
+        this.stopPreview();
+        this.packInfo.author = pack.author;
+        
+        if (pack.scenario !== this.scenarioId && this.scenarios.includes(pack.scenario)) {
+            this.stopPicking();
+            this.scenarioId = pack.scenario;
+            this.frame.src = `${this.scenarioPath}${pack.scenario}.html`;
+        }
+        
+        this.setDraft(this.copyTask(task));
+    }
+    
+    loadAuthor() {
+        try {
+            return localStorage.getItem('taskEditorAuthor') || '';
+        } catch (error) {
+            console.error('Failed to load task author:', error);
+            return '';
+        }
+    }
+    
+    saveAuthor(author) {
+        try {
+            localStorage.setItem('taskEditorAuthor', author);
+        } catch (error) {
+            console.error('Failed to save task author:', error);
+        }
+    }
+    
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        
+        // The shared live regions queue this with other announcements; without them, the toast is its own
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(message, {
+                politeness: type === 'error' ? 'assertive' : 'polite',
+                source: 'taskEditor'
+            });
+        } else {
+            notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        }
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: ${type === 'success' ? '#27ae60' : type === 'error' ? '#e74c3c' : '#3498db'};
+            color: white;
+            padding: 15px 25px;
+            border-radius: 8px;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
+            z-index: 1001;
+            font-weight: 600;
+        `;
+        notification.textContent = message;
+        
+        document.body.appendChild(notification);
+        
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+    
+    getScenarioName(scenarioId) {
+        const task = this.taskDefinitions.getTask(scenarioId);
+        return this.t(`tasks.${scenarioId}.name`, {}, task ? task.name : scenarioId);
+    }
+    
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+}
+
+// Make available globally
+window.TaskEditor = TaskEditor;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskEditor;
+}
@@ -0,0 +1,297 @@
+/**
+ * Task Generator
+ * Builds seeded task variants from templates so users meet a new shopping list or
+ * departure each session, while a therapist can replay any variant from its seed
+ */
+
+class TaskGenerator {
+    constructor(taskDefinitions) {
+        this.taskDefinitions = taskDefinitions;
+        this.templates = {};
+        
+        // Items the grocery template draws shopping lists from, by shelf
+        this.groceryCatalog = {
+            fruits: {
+                target: '#fruitsShelf',
+                items: ['apples', 'oranges', 'bananas', 'grapes', 'mangoes', 'pears']
+            },
+            vegetables: {
+                target: '#vegetablesShelf',
+                items: ['carrots', 'cucumbers', 'tomatoes', 'potatoes', 'onions', 'spinach']
+            }
+        };
+        
+        // Destinations stay as printed on the departure board (A-Frame's default font is Latin-only)
+        this.railwayCatalog = {
+            destinations: ['Madurai', 'Coimbatore', 'Bengaluru', 'Mysuru', 'Tirupati', 'Kochi', 'Salem', 'Tiruchirappalli'],
+            platforms: [1, 2, 3],
+            boardRows: 5,
+            firstHour: 6,
+            lastHour: 22,
+            // The train departs this long after the user starts for the platform (ms)
+            departureDeadline: 180000
+        };
+        
+        this.listSizes = {
+            easy: 2,
+            medium: 3,
+            hard: 4
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        this.registerTemplate('grocery', (random, options) => this.buildGroceryTask(random, options));
+        this.registerTemplate('railway', (random, options) => this.buildRailwayTask(random, options));
+        
+        console.log('Task Generator initialized');
+    }
+    
+    registerTemplate(templateId, build) {
+        this.templates[templateId] = build;
+    }
+    
+    hasTemplate(templateId) {
+        return Boolean(this.templates[templateId]);
+    }
+    
+    // Generate a variant; the same template, seed and options always give the same task.
+    // Without a seed (or with null) a fresh one is drawn
+    generate(templateId, seed = null, options = {}) {
+        const build = this.templates[templateId];
+        if (!build) {
+            throw new Error(`Unknown task template "${templateId}"`);
+        }
+        
+        const normalizedSeed = this.normalizeSeed(seed === null ? this.createSeed() : seed);
+        const task = build(this.createRandom(normalizedSeed), options);
+        
+        task.template = templateId;
+        task.seed = normalizedSeed;
+        task.description = `${task.description} ${this.t('taskGenerator.variant', { seed: String(normalizedSeed) })}`;
+        
+        // Text is resolved in the user's language here, so guidance must not look it up again
+        task.localized = true;
+        
+        this.emitEvent('taskGenerated', { task: task, template: templateId, seed: normalizedSeed });
+        return task;
+    }
+    
+    // Seeds
+    createSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+    
+    // Seeds are unsigned 32-bit integers; other text is hashed so any label can be a seed
+    normalizeSeed(seed) {
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) {
+            return Number(text);
+        }
+        
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // A `seed` query parameter replays a variant, e.g. grocery.html?seed=1234
+    getSeedFromUrl(search = window.location.search) {
+        const seed = new URLSearchParams(search).get('seed');
+        return seed ? this.normalizeSeed(seed) : null;
+    }
+    
+    // Mulberry32: small, fast and identical in every browser
+    createRandom(seed) {
+        let state = seed >>> 0;
+        
+        const next = () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+        };
+        
+        const random = {
+            next,
+            int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+            pick: (items) => items[Math.floor(next() * items.length)],
+            shuffle: (items) => {
+                const result = items.slice();
+                for (let i = result.length - 1; i > 0; i--) {
+                    const j = Math.floor(next() * (i + 1));
+                    [result[i], result[j]] = [result[j], result[i]];
+                }
+                return result;
+            }
+        };
+        random.sample = (items, count) => random.shuffle(items).slice(0, count);
+        
+        return random;
+    }
+    
+    // Grocery: entrance, one step per list item on its shelf, checkout
+    buildGroceryTask(random, options) {
+        const base = this.taskDefinitions.getTask('grocery');
+        const difficulty = options.difficulty || base.difficulty;
+        const size = options.listSize || this.listSizes[difficulty] || this.listSizes.medium;
+        const shelves = Object.keys(this.groceryCatalog);
+        
+        // One item from every shelf, then fill the list from whatever is left
+        const list = shelves.map(shelf => ({ shelf, item: random.pick(this.groceryCatalog[shelf].items) }));
+        const remaining = [];
+        shelves.forEach(shelf => {
+            this.groceryCatalog[shelf].items
+                .filter(item => !list.some(entry => entry.item === item))
+                .forEach(item => remaining.push({ shelf, item }));
+        });
+        const shoppingList = random.shuffle(list.concat(random.sample(remaining, Math.max(0, size - list.length))));
+        
+        const itemSteps = shoppingList.map((entry, index) => {
+            const params = {
+                item: this.t(`taskGenerator.items.${entry.item}`),
+                shelf: this.t(`taskGenerator.shelves.${entry.shelf}.name`),
+                location: this.t(`taskGenerator.shelves.${entry.shelf}.location`)
+            };
+            
+            return {
+                id: `item${index + 1}`,
+                ...this.localizeStep('taskGenerator.grocery.item', params),
+                target: this.groceryCatalog[entry.shelf].target,
+                nextStepDelay: 2000
+            };
+        });
+        
+        const entrance = this.copyStep(base, 0, 'entrance');
+        const checkout = this.copyStep(base, base.steps.length - 1, 'checkout');
+        
+        return {
+            name: this.t('tasks.grocery.name', {}, base.name),
+            description: this.t('taskGenerator.grocery.description', {
+                items: shoppingList.map(entry => this.t(`taskGenerator.items.${entry.item}`)).join(', ')
+            }),
+            difficulty,
+            estimatedTime: base.estimatedTime,
+            scenario: 'grocery',
+            variant: { shoppingList },
+            steps: [entrance, ...itemSteps, checkout]
+        };
+    }
+    
+    // Railway: buy a ticket, find the train on the departure board, go to its platform
+    // before the train leaves; a missed train sends the user back to ask about the next one
+    buildRailwayTask(random, options) {
+        const base = this.taskDefinitions.getTask('railway');
+        const catalog = this.railwayCatalog;
+        
+        const board = random.sample(catalog.destinations, catalog.boardRows).map(destination => ({
+            destination,
+            platform: random.pick(catalog.platforms),
+            time: this.formatClock(random.int(catalog.firstHour, catalog.lastHour), random.int(0, 11) * 5)
+        }));
+        board.sort((a, b) => a.time.localeCompare(b.time));
+        
+        const departure = random.pick(board);
+        const params = {
+            destination: departure.destination,
+            time: departure.time,
+            platform: departure.platform
+        };
+        
+        return {
+            name: this.t('tasks.railway.name', {}, base.name),
+            description: this.t('taskGenerator.railway.description', params),
+            difficulty: options.difficulty || base.difficulty,
+            estimatedTime: base.estimatedTime,
+            scenario: 'railway',
+            variant: { departure, board },
+            steps: [
+                {
+                    id: 'ticket',
+                    ...this.localizeStep('taskGenerator.railway.ticket', params),
+                    target: '#ticketCounter',
+                    nextStepDelay: 2000
+                },
+                {
+                    id: 'board',
+                    ...this.localizeStep('taskGenerator.railway.board', params),
+                    target: '#departureBoard',
+                    nextStepDelay: 2000
+                },
+                {
+                    id: 'platform',
+                    ...this.localizeStep('taskGenerator.railway.platform', params),
+                    target: `#platform${departure.platform}`,
+                    nextStepDelay: 2000,
+                    deadline: options.deadline || catalog.departureDeadline,
+                    transitions: [
+                        { missedDeadline: true, next: 'missed' },
+                        { next: null }
+                    ]
+                },
+                {
+                    id: 'missed',
+                    ...this.localizeStep('taskGenerator.railway.missed', params),
+                    target: '#ticketCounter',
+                    nextStepDelay: 2000
+                }
+            ]
+        };
+    }
+    
+    formatClock(hours, minutes) {
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    
+    // Text fields of a generated step, from its message group
+    localizeStep(key, params) {
+        return {
+            name: this.t(`${key}.name`, params),
+            instructions: this.t(`${key}.instructions`, params),
+            narration: this.t(`${key}.narration`, params),
+            hints: this.t(`${key}.hints`, params),
+            successMessage: this.t(`${key}.successMessage`, params)
+        };
+    }
+    
+    // Reuse a built-in step in the user's language under a stable id
+    copyStep(task, index, id) {
+        const step = JSON.parse(JSON.stringify(task.steps[index]));
+        const key = `tasks.${task.scenario}.steps.${step.id !== undefined ? step.id : index + 1}`;
+        
+        ['name', 'instructions', 'narration', 'hints', 'successMessage'].forEach(field => {
+            if (step[field] !== undefined) {
+                step[field] = this.t(`${key}.${field}`, {}, step[field]);
+            }
+        });
+        
+        step.id = id;
+        return step;
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+    
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+}
+
+// Create global instance
+window.TaskGenerator = TaskGenerator;
+window.taskGenerator = new TaskGenerator(window.taskDefinitions);
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskGenerator;
+}
@@ -0,0 +1,302 @@
+/**
+ * Task Pack Format
+ * Versioned envelope for sharing tasks: schema validation with path-precise errors
+ * and forward migration of older packs
+ */
+
+class TaskPackFormat {
+    constructor() {
+        this.format = 'accessibleai-task-pack';
+        this.currentVersion = 2;
+        
+        // Published copy: schemas/task-pack.schema.json (keep the two in step)
+        this.schema = {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            $id: 'task-pack.schema.json',
+            title: 'AccessibleAI Task Pack',
+            description: 'Guided tasks shared between installations, version 2',
+            type: 'object',
+            required: ['format', 'version', 'author', 'scenario', 'tasks'],
+            additionalProperties: false,
+            properties: {
+                format: { const: 'accessibleai-task-pack' },
+                version: { const: 2 },
+                author: { type: 'string', minLength: 1 },
+                scenario: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+                createdAt: { type: 'string' },
+                tasks: {
+                    type: 'object',
+                    minProperties: 1,
+                    additionalProperties: { $ref: '#/definitions/task' }
+                }
+            },
+            definitions: {
+                task: {
+                    type: 'object',
+                    required: ['name', 'description', 'steps'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        description: { type: 'string', minLength: 1 },
+                        difficulty: { enum: ['easy', 'medium', 'hard'] },
+                        estimatedTime: { type: 'string' },
+                        scenario: { type: 'string' },
+                        startStep: { type: 'string', minLength: 1 },
+                        hazards: { type: 'array', items: { type: 'object' } },
+                        steps: {
+                            type: 'array',
+                            minItems: 1,
+                            items: { $ref: '#/definitions/step' }
+                        }
+                    }
+                },
+                step: {
+                    type: 'object',
+                    required: ['name', 'instructions'],
+                    properties: {
+                        id: { type: 'string', minLength: 1 },
+                        name: { type: 'string', minLength: 1 },
+                        target: { type: 'string', minLength: 1 },
+                        instructions: { type: 'string', minLength: 1 },
+                        narration: { type: 'string' },
+                        hints: { type: 'array', items: { type: 'string' } },
+                        successMessage: { type: 'string' },
+                        nextStepDelay: { type: 'number', minimum: 0 },
+                        deadline: { type: 'number', minimum: 1 },
+                        transitions: { type: 'array', items: { type: 'object' } },
+                        completion: { type: ['object', 'array'] },
+                        hazards: { type: 'array', items: { type: 'object' } },
+                        easyRead: { $ref: '#/definitions/easyRead' }
+                    }
+                },
+                easyRead: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        instructions: { type: 'string', minLength: 1 },
+                        narration: { type: 'string' },
+                        hints: { type: 'array', items: { type: 'string' } },
+                        successMessage: { type: 'string' },
+                        pictograms: { type: 'array', items: { type: 'string', minLength: 1 } }
+                    }
+                }
+            }
+        };
+        
+        // Each migration lifts a pack from its key's version to the next one
+        this.migrations = {
+            // Version 1 was the bare { key: task } map written by exportTasks
+            1: (tasks) => ({
+                format: this.format,
+                version: 2,
+                author: 'Unknown',
+                scenario: this.inferScenario(tasks),
+                tasks
+            })
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('Task Pack Format initialized');
+    }
+    
+    // Wrap tasks in a current-version pack
+    createPack(tasks, metadata = {}) {
+        return {
+            format: this.format,
+            version: this.currentVersion,
+            author: metadata.author || 'Unknown',
+            scenario: metadata.scenario || this.inferScenario(tasks),
+            createdAt: new Date().toISOString(),
+            tasks
+        };
+    }
+    
+    // Tasks may name their scenario; otherwise a task key doubles as one. Only names the
+    // schema accepts are used, so a pack is never rejected for metadata made up here
+    inferScenario(tasks) {
+        const keys = tasks && typeof tasks === 'object' ? Object.keys(tasks) : [];
+        const pattern = new RegExp(this.schema.properties.scenario.pattern);
+        const candidates = keys.map(key => tasks[key] && tasks[key].scenario).concat(keys);
+        return candidates.find(candidate => typeof candidate === 'string' && pattern.test(candidate)) || 'custom';
+    }
+    
+    getVersion(pack) {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return null;
+        return pack.format === this.format ? pack.version : 1;
+    }
+    
+    // Returns { valid, pack, errors, migratedFrom }; errors are { path, message }
+    read(data) {
+        const version = this.getVersion(data);
+        if (version === null) {
+            return this.failure([{ path: '', message: 'must be an object' }]);
+        }
+        
+        if (!Number.isInteger(version) || version < 1) {
+            return this.failure([{ path: '/version', message: 'must be a positive integer' }]);
+        }
+        
+        if (version > this.currentVersion) {
+            return this.failure([{
+                path: '/version',
+                message: `${version} is newer than the supported version ${this.currentVersion}`
+            }]);
+        }
+        
+        let pack = data;
+        for (let from = version; from < this.currentVersion; from++) {
+            pack = this.migrations[from](pack);
+        }
+        
+        const errors = this.validate(pack);
+        return {
+            valid: errors.length === 0,
+            pack: errors.length === 0 ? pack : null,
+            errors,
+            migratedFrom: version < this.currentVersion ? version : null
+        };
+    }
+    
+    failure(errors) {
+        return { valid: false, pack: null, errors, migratedFrom: null };
+    }
+    
+    // Schema validation
+    // Supports the JSON Schema keywords the published schema uses
+    validate(pack) {
+        const errors = [];
+        this.validateValue(pack, this.schema, '', errors);
+        return errors;
+    }
+    
+    validateValue(value, schema, path, errors) {
+        if (schema.$ref) {
+            schema = this.resolveRef(schema.$ref);
+        }
+        
+        if (schema.type !== undefined && !this.matchesType(value, schema.type)) {
+            const expected = [].concat(schema.type).map(type => this.describeType(type)).join(' or ');
+            errors.push({ path, message: `must be ${expected}` });
+            return;
+        }
+        
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+            return;
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+            return;
+        }
+        
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `must match ${schema.pattern}` });
+            }
+        }
+        
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum}` });
+        }
+        
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, `${path}/${index}`, errors));
+            }
+        } else if (value && typeof value === 'object') {
+            this.validateObject(value, schema, path, errors);
+        }
+    }
+    
+    validateObject(value, schema, path, errors) {
+        const properties = schema.properties || {};
+        
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: this.childPath(path, key), message: 'is required' });
+            }
+        });
+        
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            errors.push({ path, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+        }
+        
+        Object.keys(value).forEach(key => {
+            const childPath = this.childPath(path, key);
+            if (properties[key]) {
+                this.validateValue(value[key], properties[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                this.validateValue(value[key], schema.additionalProperties, childPath, errors);
+            }
+        });
+    }
+    
+    resolveRef(ref) {
+        const name = ref.replace('#/definitions/', '');
+        if (!this.schema.definitions[name]) {
+            throw new Error(`Unknown schema reference ${ref}`);
+        }
+        return this.schema.definitions[name];
+    }
+    
+    matchesType(value, type) {
+        return [].concat(type).some(expected => {
+            switch (expected) {
+                case 'object':
+                    return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'array':
+                    return Array.isArray(value);
+                case 'integer':
+                    return Number.isInteger(value);
+                case 'number':
+                    return typeof value === 'number' && Number.isFinite(value);
+                case 'null':
+                    return value === null;
+                default:
+                    return typeof value === expected;
+            }
+        });
+    }
+    
+    describeType(type) {
+        const names = {
+            object: 'an object',
+            array: 'an array',
+            string: 'a string',
+            number: 'a number',
+            integer: 'an integer',
+            boolean: 'a boolean',
+            null: 'null'
+        };
+        return names[type] || type;
+    }
+    
+    // JSON Pointer segment (RFC 6901)
+    childPath(path, key) {
+        return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }
+    
+    formatError(error) {
+        return `${error.path || '/'}: ${error.message}`;
+    }
+}
+
+// Create global instance
+window.TaskPackFormat = TaskPackFormat;
+window.taskPackFormat = new TaskPackFormat();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskPackFormat;
+}
@@ -0,0 +1,528 @@
+/**
+ * Tremor Filter
+ * Smooths pointer, gaze and device-motion streams, keeps clicks on target through
+ * small movements while the button is down, and ignores bouncing repeat presses
+ */
+
+class TremorFilter {
+    constructor(options = {}) {
+        this.options = {
+            bounceTime: 500,        // ms a repeat press is ignored for at full strength
+            clickRadius: 20,        // px the pointer may wander during a click at full strength
+            resetAfter: 300,        // ms without samples after which a stream starts afresh
+            streams: {              // Per-stream parameters at full strength
+                pointer: { minCutoff: 0.5, beta: 0.12, window: 12, velocityThreshold: 60, deadBand: 6 },             // px
+                gaze: { minCutoff: 0.3, beta: 0.5, window: 15, velocityThreshold: 6, deadBand: 1, angular: true },   // degrees
+                motion: { minCutoff: 1, beta: 0.1, window: 8, velocityThreshold: 0, deadBand: 0 },                   // m/s²
+                cursor: { minCutoff: 0.3, beta: 0.5, window: 15, velocityThreshold: 6, deadBand: 1, angular: true }  // degrees, gaze cursor
+            },
+            ...options
+        };
+        
+        this.defaultSettings = {
+            enabled: true,
+            method: 'oneEuro',          // oneEuro, movingAverage or none
+            strength: null,             // 0-1; null follows the profile's movement accuracy
+            velocityThreshold: true,    // Dead band while a stream moves slower than its threshold
+            clickStabilization: true,
+            bounceKeys: true
+        };
+        this.methods = ['oneEuro', 'movingAverage', 'none'];
+        
+        this.settings = {};
+        this.channels = new Map();      // stream -> filter state
+        this.releases = new Map();      // press source -> time of its last release
+        this.pressLog = [];             // Recent presses and whether they were accepted
+        this.pressCount = 0;
+        this.adaptedAt = 0;             // pressCount when the strength was last adapted
+        this.adaptiveOffset = 0;        // Strength added while presses keep bouncing
+        this.accuracy = null;           // physicalLimitations.movement.accuracy, 1-10
+        
+        // Pointer state
+        this.pointer = null;            // Last raw and filtered position
+        this.press = null;              // Button held down, for click stabilization
+        this.redirectClick = null;
+        this.bouncedButtons = new Set();
+        this.bouncedKeys = new Set();
+        this.suppressClick = false;
+        this.dispatching = false;
+        
+        this.init();
+    }
+    
+    init() {
+        this.loadSettings();
+        this.updateAccuracy();
+        this.setupEventListeners();
+        this.registerGazeComponent();
+        
+        if (document.body) {
+            this.attachGazeCursors();
+        } else {
+            document.addEventListener('DOMContentLoaded', () => this.attachGazeCursors(), { once: true });
+        }
+        console.log('Tremor Filter initialized');
+    }
+    
+    setupEventListeners() {
+        // The user profile script may load later or change the value at any time
+        ['profileUpdated', 'physicalLimitationsUpdated'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.updateAccuracy());
+        });
+        
+        // Capture on window, so filtered or ignored input never reaches the page or scene
+        window.addEventListener('mousemove', (event) => this.handleMouseMove(event), true);
+        window.addEventListener('mousedown', (event) => this.handleMouseDown(event), true);
+        window.addEventListener('mouseup', (event) => this.handleMouseUp(event), true);
+        window.addEventListener('click', (event) => this.handleClick(event), true);
+        window.addEventListener('keydown', (event) => this.handleKeyDown(event), true);
+        window.addEventListener('keyup', (event) => this.handleKeyUp(event), true);
+    }
+    
+    // Gaze cursor
+    // A cursor that casts its ray from the camera follows every tremor of the head, so
+    // each frame the component turns it about the camera to the filtered direction
+    registerGazeComponent() {
+        if (typeof AFRAME === 'undefined' || AFRAME.components['tremor-gaze']) return;
+        
+        AFRAME.registerComponent('tremor-gaze', {
+            init: function () {
+                this.filter = null;
+                this.offset = this.el.object3D.position.clone();
+                this.head = new THREE.Quaternion();
+                this.gaze = new THREE.Quaternion();
+                this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+            },
+            
+            tick: function (time) {
+                const object = this.el.object3D;
+                if (!this.filter || !object.parent) return;
+                
+                object.parent.getWorldQuaternion(this.head);
+                this.euler.setFromQuaternion(this.head, 'YXZ');
+                const [pitch, yaw] = this.filter.filter('cursor', [
+                    THREE.MathUtils.radToDeg(this.euler.x),
+                    THREE.MathUtils.radToDeg(this.euler.y)
+                ], time);
+                this.euler.x = THREE.MathUtils.degToRad(pitch);
+                this.euler.y = THREE.MathUtils.degToRad(yaw);
+                this.gaze.setFromEuler(this.euler);
+                
+                object.quaternion.copy(this.head.invert()).multiply(this.gaze);
+                object.position.copy(this.offset).applyQuaternion(object.quaternion);
+            }
+        });
+    }
+    
+    attachGazeCursors() {
+        const scene = document.querySelector('a-scene');
+        if (!scene || typeof AFRAME === 'undefined') return;
+        
+        if (!scene.hasLoaded) {
+            scene.addEventListener('loaded', () => this.attachGazeCursors(), { once: true });
+            return;
+        }
+        
+        // Cursors following the mouse get the pointer stream's filtered events already
+        scene.querySelectorAll('a-cursor, [cursor]').forEach(element => {
+            const cursor = element.components && element.components.cursor;
+            if (!cursor || cursor.data.rayOrigin !== 'entity') return;
+            
+            if (!element.hasAttribute('tremor-gaze')) {
+                element.setAttribute('tremor-gaze', '');
+            }
+            const component = element.components['tremor-gaze'];
+            if (component) {
+                component.filter = this;
+            }
+        });
+    }
+    
+    // Strength
+    // 0 leaves input untouched, 1 filters hardest. Unless set by hand it follows the
+    // profile: accuracy 6 or better needs no filtering, 1 the most
+    getStrength() {
+        if (!this.settings.enabled) return 0;
+        
+        const base = typeof this.settings.strength === 'number'
+            ? this.settings.strength
+            : (this.accuracy === null ? 0 : (6 - this.accuracy) / 5);
+        return Math.min(1, Math.max(0, base + this.adaptiveOffset));
+    }
+    
+    getBounceTime() {
+        return this.settings.bounceKeys ? Math.round(this.options.bounceTime * this.getStrength()) : 0;
+    }
+    
+    getClickRadius() {
+        return this.settings.clickStabilization ? this.options.clickRadius * this.getStrength() : 0;
+    }
+    
+    updateAccuracy() {
+        let profile = null;
+        if (window.userProfile && typeof window.userProfile.getProfile === 'function') {
+            profile = window.userProfile.getProfile();
+        } else {
+            try {
+                profile = JSON.parse(localStorage.getItem('userProfile'));
+            } catch (error) {
+                profile = null;
+            }
+        }
+        
+        const accuracy = profile && profile.physicalLimitations && profile.physicalLimitations.movement
+            ? Number(profile.physicalLimitations.movement.accuracy)
+            : NaN;
+        this.accuracy = isNaN(accuracy) ? null : accuracy;
+    }
+    
+    // Nudges the strength up while presses keep bouncing and back down once they stop.
+    // Looks at the last 20 presses, every 10 presses
+    adapt() {
+        if (this.pressLog.length < 20 || this.pressCount - this.adaptedAt < 10) return;
+        
+        this.adaptedAt = this.pressCount;
+        const recent = this.pressLog.slice(-20);
+        const bounced = recent.filter(press => !press.accepted).length / recent.length;
+        if (bounced >= 0.2) {
+            this.adaptiveOffset = Math.min(0.5, this.adaptiveOffset + 0.1);
+        } else if (bounced === 0) {
+            this.adaptiveOffset = Math.max(0, this.adaptiveOffset - 0.05);
+        }
+    }
+    
+    // Streams
+    // values: one sample of the stream, e.g. [x, y]. Returns the filtered sample
+    filter(stream, values, timestamp = Date.now()) {
+        const params = this.options.streams[stream];
+        const strength = this.getStrength();
+        if (!params || strength === 0) {
+            this.channels.delete(stream);
+            return values;
+        }
+        
+        let channel = this.channels.get(stream);
+        if (!channel || timestamp - channel.timestamp > this.options.resetAfter || channel.output.length !== values.length) {
+            channel = {
+                timestamp,
+                raw: [...values],
+                output: [...values],
+                speed: values.map(() => 0),
+                history: [[...values]]
+            };
+            this.channels.set(stream, channel);
+            return values;
+        }
+        
+        const dt = Math.max((timestamp - channel.timestamp) / 1000, 0.001);
+        const delta = (a, b) => params.angular ? this.wrapAngle(a - b) : a - b;
+        
+        // Rate of change, itself smoothed so a single jump does not count as fast movement
+        const speedFactor = this.smoothingFactor(1, dt);
+        channel.speed = values.map((value, i) =>
+            channel.speed[i] + speedFactor * (delta(value, channel.raw[i]) / dt - channel.speed[i])
+        );
+        
+        let output = [...values];
+        if (this.settings.method === 'oneEuro') {
+            // Heavy smoothing while slow, less as the movement speeds up, so there is little lag
+            output = values.map((value, i) => {
+                const cutoff = params.minCutoff / strength + params.beta * Math.abs(channel.speed[i]);
+                return channel.output[i] + this.smoothingFactor(cutoff, dt) * delta(value, channel.output[i]);
+            });
+        } else if (this.settings.method === 'movingAverage') {
+            const size = Math.max(1, Math.round(params.window * strength));
+            channel.history = channel.history.concat([[...values]]).slice(-size);
+            output = values.map((value, i) =>
+                value + channel.history.reduce((sum, sample) => sum + delta(sample[i], value), 0) / channel.history.length
+            );
+        }
+        
+        // Movement slower than the threshold is mostly drift or tremor: inside the dead band
+        // the output only settles on the smoothed value slowly, and follows it more closely
+        // the further it gets, so slow deliberate movement still arrives
+        if (this.settings.velocityThreshold && params.velocityThreshold > 0 &&
+            Math.hypot(...channel.speed) < params.velocityThreshold * strength) {
+            const offset = output.map((value, i) => delta(value, channel.output[i]));
+            const follow = Math.max(
+                this.smoothingFactor(params.minCutoff, dt),
+                Math.min(1, Math.hypot(...offset) / (params.deadBand * strength))
+            );
+            output = channel.output.map((value, i) => value + follow * offset[i]);
+        }
+        
+        channel.timestamp = timestamp;
+        channel.raw = [...values];
+        channel.output = output;
+        
+        // Angles stay in the range the device reports them in
+        return params.angular ? output.map((value, i) => values[i] + delta(value, values[i])) : output;
+    }
+    
+    smoothingFactor(cutoff, dt) {
+        return 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+    }
+    
+    wrapAngle(angle) {
+        return ((angle + 180) % 360 + 360) % 360 - 180;
+    }
+    
+    // Presses
+    // Bounce keys: a press that follows the release of the same key, switch or button
+    // more closely than the bounce time is ignored
+    acceptPress(source, timestamp = Date.now()) {
+        const bounceTime = this.getBounceTime();
+        const released = this.releases.get(source);
+        const accepted = !(bounceTime > 0 && released !== undefined && timestamp - released < bounceTime);
+        
+        this.pressCount++;
+        this.pressLog.push({ timestamp, accepted });
+        if (this.pressLog.length > 100) {
+            this.pressLog = this.pressLog.slice(-50);
+        }
+        return accepted;
+    }
+    
+    recordRelease(source, timestamp = Date.now()) {
+        this.releases.set(source, timestamp);
+    }
+    
+    // Keyboard
+    handleKeyDown(event) {
+        // Holding a key down is deliberate; only its bounced press is dropped
+        if (event.repeat) {
+            if (this.bouncedKeys.has(event.code)) {
+                this.suppress(event);
+            }
+            return;
+        }
+        
+        if (!this.acceptPress(`key:${event.code}`)) {
+            this.bouncedKeys.add(event.code);
+            this.suppress(event);
+        }
+    }
+    
+    handleKeyUp(event) {
+        this.recordRelease(`key:${event.code}`);
+        if (this.bouncedKeys.delete(event.code)) {
+            this.suppress(event);
+        }
+    }
+    
+    // Pointer
+    // Presses and clicks happen where the filtered pointer is, not the raw one
+    handleMouseDown(event) {
+        if (this.dispatching) return;
+        this.redirectClick = null;
+        
+        const source = `mouse:${event.button}`;
+        if (!this.acceptPress(source)) {
+            this.bouncedButtons.add(event.button);
+            this.suppress(event);
+            return;
+        }
+        
+        const point = this.locate(event);
+        this.press = {
+            x: point.x,
+            y: point.y,
+            raw: [event.clientX, event.clientY],
+            target: point.target,
+            dragging: false
+        };
+        this.relocate(event, point);
+    }
+    
+    handleMouseUp(event) {
+        if (this.dispatching) return;
+        this.recordRelease(`mouse:${event.button}`);
+        
+        if (this.bouncedButtons.delete(event.button)) {
+            this.suppressClick = true;
+            this.suppress(event);
+            return;
+        }
+        
+        // A click that wandered off its target lands on the common ancestor; send it
+        // where the button went down instead
+        const point = this.locate(event);
+        if (this.press && !this.press.dragging && point.target !== this.press.target && this.getClickRadius() > 0) {
+            this.redirectClick = this.press;
+        }
+        this.press = null;
+        this.relocate(event, point);
+    }
+    
+    handleClick(event) {
+        if (this.dispatching) return;
+        
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            this.suppress(event);
+            return;
+        }
+        
+        const press = this.redirectClick;
+        this.redirectClick = null;
+        if (press && event.target !== press.target && press.target.isConnected) {
+            this.suppress(event);
+            this.dispatch(press.target, new MouseEvent('click', {
+                ...this.mouseEventInit(event),
+                clientX: press.x,
+                clientY: press.y,
+                screenX: event.screenX + press.x - event.clientX,
+                screenY: event.screenY + press.y - event.clientY
+            }));
+            return;
+        }
+        
+        this.relocate(event, this.locate(event));
+    }
+    
+    // Where the event would be with the pointer stream's current filtering applied.
+    // Clicks from the keyboard or from scripts carry no tremor and stay put
+    locate(event) {
+        const point = { x: event.clientX, y: event.clientY, target: event.target, moved: false };
+        if (!event.isTrusted || event.detail === 0 || !this.pointer || document.pointerLockElement) {
+            return point;
+        }
+        
+        const dx = this.pointer.output[0] - this.pointer.raw[0];
+        const dy = this.pointer.output[1] - this.pointer.raw[1];
+        if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) return point;
+        
+        point.x += dx;
+        point.y += dy;
+        point.moved = true;
+        point.target = (document.elementFromPoint && document.elementFromPoint(point.x, point.y)) || event.target;
+        return point;
+    }
+    
+    // Replaces the event with the same one at the located point
+    relocate(event, point) {
+        if (!point.moved) return;
+        
+        this.suppress(event);
+        this.dispatch(point.target, new MouseEvent(event.type, {
+            ...this.mouseEventInit(event),
+            clientX: point.x,
+            clientY: point.y,
+            screenX: event.screenX + point.x - event.clientX,
+            screenY: event.screenY + point.y - event.clientY
+        }));
+    }
+    
+    mouseEventInit(event) {
+        return {
+            bubbles: true,
+            cancelable: true,
+            view: window,
+            detail: event.detail,
+            button: event.button,
+            buttons: event.buttons,
+            altKey: event.altKey,
+            ctrlKey: event.ctrlKey,
+            metaKey: event.metaKey,
+            shiftKey: event.shiftKey
+        };
+    }
+    
+    handleMouseMove(event) {
+        if (this.dispatching) return;
+        
+        // Click stabilization: while a button is down the pointer stays put until it
+        // leaves the click radius, and the press becomes a drag
+        if (this.press && !this.press.dragging) {
+            const distance = Math.hypot(event.clientX - this.press.raw[0], event.clientY - this.press.raw[1]);
+            if (distance <= this.getClickRadius() && distance > 0) {
+                this.suppress(event);
+                return;
+            }
+            this.press.dragging = true;
+        }
+        
+        // Under pointer lock only the movement is reported, so follow a virtual position
+        const locked = Boolean(document.pointerLockElement);
+        const previous = this.pointer;
+        const raw = locked && previous
+            ? [previous.raw[0] + (event.movementX || 0), previous.raw[1] + (event.movementY || 0)]
+            : [event.clientX, event.clientY];
+        const output = this.filter('pointer', raw, event.timeStamp);
+        const last = previous ? previous.output : raw;
+        this.pointer = { raw, output };
+        
+        const dx = output[0] - raw[0];
+        const dy = output[1] - raw[1];
+        if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) return;
+        
+        // Replace the event with one at the filtered position
+        this.suppress(event);
+        if (output[0] === last[0] && output[1] === last[1]) return;
+        
+        const target = locked || !document.elementFromPoint
+            ? event.target
+            : document.elementFromPoint(output[0], output[1]) || event.target;
+        this.dispatch(target, new MouseEvent('mousemove', {
+            ...this.mouseEventInit(event),
+            clientX: locked ? event.clientX : output[0],
+            clientY: locked ? event.clientY : output[1],
+            screenX: event.screenX + (locked ? 0 : dx),
+            screenY: event.screenY + (locked ? 0 : dy),
+            movementX: output[0] - last[0],
+            movementY: output[1] - last[1]
+        }));
+    }
+    
+    suppress(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+    
+    dispatch(target, event) {
+        this.dispatching = true;
+        try {
+            target.dispatchEvent(event);
+        } finally {
+            this.dispatching = false;
+        }
+    }
+    
+    // Settings
+    getSettings() {
+        return { ...this.defaultSettings, ...this.settings };
+    }
+    
+    updateSettings(changes) {
+        this.settings = { ...this.getSettings(), ...changes };
+        this.channels.clear();
+        this.saveSettings();
+        
+        this.emitEvent('tremorFilterChanged', { settings: this.getSettings(), strength: this.getStrength() });
+    }
+    
+    loadSettings() {
+        try {
+            this.settings = { ...this.defaultSettings, ...JSON.parse(localStorage.getItem('tremorFilterSettings')) };
+        } catch (error) {
+            this.settings = { ...this.defaultSettings };
+        }
+    }
+    
+    saveSettings() {
+        localStorage.setItem('tremorFilterSettings', JSON.stringify(this.settings));
+    }
+    
+    emitEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+}
+
+// Make available globally
+window.TremorFilter = TremorFilter;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TremorFilter;
+}
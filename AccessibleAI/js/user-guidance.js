@@ -7,19 +7,59 @@ class UserGuidanceSystem {
     constructor() {
         this.isActive = false;
         this.currentTask = null;
+        this.currentStep = null;
+        this.stepStartedAt = 0;
+        this.stepTimers = [];
         this.taskQueue = [];
         this.difficultyLevel = 'medium';
         this.assistanceLevel = 'moderate';
         this.narrationEnabled = true;
         this.textInstructionsEnabled = true;
         this.highlightingEnabled = true;
+        this.audioBeaconEnabled = false;
+        this.wayfindingEnabled = true;
+        this.easyReadEnabled = false;
         this.audioContext = null;
         this.speechSynthesis = window.speechSynthesis;
         this.currentHighlight = null;
+        this.sceneHighlighter = null;
+        this.audioBeacon = null;
+        this.wayfinder = null;
+        this.conditionEvaluator = null;
+        this.deadline = null;
+        this.hintLevel = 0;
+        this.hintTimer = null;
+        this.hintIdleSince = 0;         // Last user input or camera movement on the current rung
+        this.hintPose = null;           // Camera pose movement is measured from
+        this.wrongClicks = 0;
+        this.memoryAids = false;
+        this.easyReadWarned = new WeakSet();
+        this.guidanceHistory = [];
+        this.historyLimit = 200;
         this.guidanceOverlay = null;
+        this.guidanceControls = null;
+        this.transcriptPanel = null;
         this.taskProgress = 0;
         this.maxTaskProgress = 0;
         
+        // Step deadlines are stretched by these factors while the time adaptations are on
+        this.timeLimitExtension = false;
+        this.patienceMode = false;
+        this.deadlineExtensions = {
+            timeLimitExtension: 1.5,
+            patienceMode: 2
+        };
+        
+        // Seconds left at which a running countdown is narrated
+        this.deadlineAnnouncements = [120, 60, 30, 10];
+        
+        // Step text that has an easy-read variant in step.easyRead
+        this.easyReadFields = ['instructions', 'narration', 'hints', 'successMessage'];
+        
+        // Hint ladder, climbed one rung at a time while the user is stuck on a step.
+        // Level 0 is no hint; level n is rung n - 1
+        this.hintLadder = ['cue', 'text', 'narration', 'highlight'];
+        
         // Difficulty levels
         this.difficultyLevels = {
             'easy': {
@@ -31,7 +71,9 @@ class UserGuidanceSystem {
                     textSize: 'large',
                     stepByStep: true,
                     hints: true,
-                    autoAdvance: true
+                    autoAdvance: true,
+                    hintDelay: 8000,        // Idle time before the next hint (ms)
+                    hintClicks: 1           // Wrong-target clicks before the next hint
                 }
             },
             'medium': {
@@ -43,7 +85,9 @@ class UserGuidanceSystem {
                     textSize: 'medium',
                     stepByStep: false,
                     hints: true,
-                    autoAdvance: false
+                    autoAdvance: false,
+                    hintDelay: 15000,
+                    hintClicks: 2
                 }
             },
             'hard': {
@@ -55,7 +99,9 @@ class UserGuidanceSystem {
                     textSize: 'small',
                     stepByStep: false,
                     hints: false,
-                    autoAdvance: false
+                    autoAdvance: false,
+                    hintDelay: 30000,
+                    hintClicks: 3
                 }
             }
         };
@@ -70,7 +116,8 @@ class UserGuidanceSystem {
                     narration: false,
                     textInstructions: false,
                     hints: false,
-                    progress: false
+                    progress: false,
+                    hintDelayScale: 2       // Multiplies the difficulty's hint delay
                 }
             },
             'moderate': {
@@ -81,7 +128,8 @@ class UserGuidanceSystem {
                     narration: false,
                     textInstructions: true,
                     hints: true,
-                    progress: true
+                    progress: true,
+                    hintDelayScale: 1
                 }
             },
             'full': {
@@ -92,7 +140,8 @@ class UserGuidanceSystem {
                     narration: true,
                     textInstructions: true,
                     hints: true,
-                    progress: true
+                    progress: true,
+                    hintDelayScale: 0.5
                 }
             }
         };
@@ -133,27 +182,133 @@ class UserGuidanceSystem {
     }
     
     setupEventListeners() {
-        // Listen for task events
+        // Listen for task events from other modules (our own events are ignored)
         document.addEventListener('taskStarted', (event) => {
-            this.startTask(event.detail);
+            const task = event.detail.task;
+            if (task && task !== this.currentTask) {
+                this.startTask(task);
+            }
         });
         
         document.addEventListener('taskCompleted', (event) => {
-            this.completeTask(event.detail);
+            if (this.currentTask && event.detail.task === this.currentTask) {
+                this.completeTask();
+            }
         });
         
         document.addEventListener('taskStepCompleted', (event) => {
-            this.completeTaskStep(event.detail);
+            if (this.currentStep && event.detail.step === this.currentStep) {
+                this.completeTaskStep(event.detail.step);
+            }
         });
         
-        // Listen for object interaction events
-        document.addEventListener('objectHighlighted', (event) => {
-            this.onObjectHighlighted(event.detail);
+        // Looking around, moving and pressing anything is not being stuck
+        ['keydown', 'pointerdown', 'pointermove', 'wheel', 'touchstart'].forEach(eventName => {
+            window.addEventListener(eventName, (event) => {
+                if (event.isTrusted) {
+                    this.hintIdleSince = Date.now();
+                }
+            }, { capture: true, passive: true });
         });
         
+        ['assistiveInput', 'adaptiveInput'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                this.hintIdleSince = Date.now();
+            });
+        });
+        
+        // Listen for object interaction events
         document.addEventListener('objectClicked', (event) => {
             this.onObjectClicked(event.detail);
         });
+        
+        // Move the highlight along as a sequence condition advances
+        document.addEventListener('stepSequenceAdvanced', (event) => {
+            const { step, nextTarget } = event.detail;
+            if (step !== this.currentStep || !nextTarget) return;
+            if (this.highlightingEnabled) {
+                this.highlightObject(nextTarget, step);
+            }
+            if (this.audioBeaconEnabled) {
+                this.startAudioBeacon(nextTarget);
+            }
+            if (this.wayfindingEnabled) {
+                this.startWayfinding(nextTarget, step);
+            }
+        });
+        
+        // Point the way round a closed target the user just tried to use
+        document.addEventListener('hazardResponse', (event) => {
+            this.onHazardResponse(event.detail);
+        });
+        
+        // Hazards change which ways are walkable
+        ['hazardSpawned', 'hazardRemoved'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                if (this.wayfinder && this.wayfinder.isActive()) {
+                    this.wayfinder.reroute();
+                }
+            });
+        });
+        
+        // Time adaptations also stretch a countdown that is already running
+        document.addEventListener('timeLimitExtensionChanged', (event) => {
+            this.timeLimitExtension = Boolean(event.detail.timeLimitExtension);
+            this.rescaleDeadline();
+        });
+        
+        document.addEventListener('patienceModeChanged', (event) => {
+            this.patienceMode = Boolean(event.detail.patienceMode);
+            this.rescaleDeadline();
+        });
+        
+        // The beacon follows the user's auditory volume and the low-vision adaptation
+        document.addEventListener('sensoryPreferencesUpdated', (event) => {
+            const auditory = event.detail.preferences && event.detail.preferences.auditory;
+            if (this.audioBeacon && auditory) {
+                this.audioBeacon.setVolume(auditory.volume);
+            }
+        });
+        
+        document.addEventListener('audioBeaconChanged', (event) => {
+            this.setAudioBeaconEnabled(Boolean(event.detail.audioBeacon));
+        });
+        
+        // Profiles with low cognitive or processing ability get easy-read text
+        document.addEventListener('easyReadChanged', (event) => {
+            this.easyReadEnabled = Boolean(event.detail.easyRead);
+        });
+        
+        // Users with memory limitations keep the transcript open
+        document.addEventListener('memoryAidsChanged', (event) => {
+            this.memoryAids = Boolean(event.detail.memoryAids);
+            if (this.memoryAids && this.isActive) {
+                this.openTranscript();
+            }
+        });
+        
+        // The `help` voice command repeats the current instruction
+        document.addEventListener('assistiveInput', (event) => {
+            if (event.detail.type === 'help') {
+                this.repeatLastInstruction();
+            }
+        });
+        
+        // R repeats the last instruction, T opens or closes the transcript
+        document.addEventListener('keydown', (event) => {
+            if (!event.key || event.ctrlKey || event.altKey || event.metaKey || this.isEditable(event.target)) return;
+            
+            const key = event.key.toLowerCase();
+            if (key === 'r' && this.guidanceHistory.length > 0) {
+                this.repeatLastInstruction();
+            } else if (key === 't' && this.guidanceControls) {
+                this.toggleTranscript();
+            }
+        });
+        
+        document.addEventListener('localeChanged', () => {
+            this.updateGuidanceControls();
+        });
     }
     
     loadUserPreferences() {
@@ -166,6 +321,9 @@ class UserGuidanceSystem {
                 this.narrationEnabled = prefs.narrationEnabled !== false;
                 this.textInstructionsEnabled = prefs.textInstructionsEnabled !== false;
                 this.highlightingEnabled = prefs.highlightingEnabled !== false;
+                this.audioBeaconEnabled = prefs.audioBeaconEnabled === true;
+                this.wayfindingEnabled = prefs.wayfindingEnabled !== false;
+                this.easyReadEnabled = prefs.easyReadEnabled === true;
             } catch (error) {
                 console.error('Failed to load guidance preferences:', error);
             }
@@ -178,7 +336,10 @@ class UserGuidanceSystem {
             assistanceLevel: this.assistanceLevel,
             narrationEnabled: this.narrationEnabled,
             textInstructionsEnabled: this.textInstructionsEnabled,
-            highlightingEnabled: this.highlightingEnabled
+            highlightingEnabled: this.highlightingEnabled,
+            audioBeaconEnabled: this.audioBeaconEnabled,
+            wayfindingEnabled: this.wayfindingEnabled,
+            easyReadEnabled: this.easyReadEnabled
         };
         localStorage.setItem('guidancePreferences', JSON.stringify(preferences));
     }
@@ -188,17 +349,23 @@ class UserGuidanceSystem {
         this.currentTask = task;
         this.taskQueue = task.steps || [];
         this.taskProgress = 0;
-        this.maxTaskProgress = this.taskQueue.length;
         this.isActive = true;
         
         console.log('Starting task:', task.name);
         
         // Show task introduction
         this.showTaskIntroduction(task);
+        this.recordGuidance('task', `${this.getTaskText(task, 'name')}. ${this.getTaskText(task, 'description') || this.t('guidance.introDefault')}`, null);
+        this.showGuidanceControls();
+        if (this.memoryAids) {
+            this.openTranscript();
+        }
         
-        // Start first step
-        if (this.taskQueue.length > 0) {
-            this.startTaskStep(this.taskQueue[0]);
+        // Start first step (branching tasks may name their entry point)
+        const firstStep = task.startStep !== undefined ? this.findStep(task.startStep) : this.taskQueue[0];
+        this.maxTaskProgress = this.countRemainingSteps(firstStep);
+        if (firstStep) {
+            this.startTaskStep(firstStep);
         }
         
         // Emit task started event
@@ -209,68 +376,418 @@ class UserGuidanceSystem {
         if (!this.isActive || !step) return;
         
         console.log('Starting task step:', step.name);
+        this.currentStep = step;
+        this.stepStartedAt = Date.now();
+        
+        // Keep the instruction for the transcript and the repeat command, however it was delivered
+        this.recordGuidance('instruction', this.getStepText(step, 'instructions'), step);
         
         // Highlight target object/area
         if (step.target && this.highlightingEnabled) {
             this.highlightObject(step.target, step);
         }
         
+        // Sound a positional beacon on the target
+        if (step.target && this.audioBeaconEnabled) {
+            this.startAudioBeacon(step.target);
+        }
+        
         // Show text instructions
         if (step.instructions && this.textInstructionsEnabled) {
-            this.showTextInstructions(step.instructions, step);
+            this.showTextInstructions(this.getStepText(step, 'instructions'), step);
         }
         
         // Play narration
         if (step.narration && this.narrationEnabled) {
-            this.playNarration(step.narration, step);
+            this.playNarration(this.getStepText(step, 'narration'), step);
         }
         
-        // Show hints if enabled
-        if (step.hints && this.shouldShowHints()) {
-            this.showHints(step.hints, step);
+        // Lay out a route to the target (its first turn is narrated after the step)
+        if (step.target && this.wayfindingEnabled) {
+            this.startWayfinding(step.target, step);
         }
         
+        // Start at the bottom of the hint ladder
+        this.startHintLadder(step);
+        
         // Set up auto-advance if enabled
         if (this.shouldAutoAdvance()) {
             this.setupAutoAdvance(step);
         }
         
+        // Offer choices and arm timed transitions
+        this.setupStepTransitions(step);
+        
+        // Count down to the step's deadline
+        if (step.deadline !== undefined) {
+            this.startDeadline(step);
+        }
+        
+        // Steps with completion conditions finish when those are met rather than on click
+        if (step.completion) {
+            this.watchStepConditions(step);
+        }
+        
         // Emit step started event
         this.emitEvent('taskStepStarted', { step: step });
     }
     
-    completeTaskStep(step) {
-        if (!this.isActive) return;
+    // outcome: { element } when a target was activated, { choice } for a user choice,
+    // { transition } when a timed transition fired; empty for external completion
+    completeTaskStep(step, outcome = {}) {
+        if (!this.isActive || step !== this.currentStep) return;
         
         console.log('Task step completed:', step.name);
+        const missedDeadline = this.hasMissedDeadline(step);
+        this.currentStep = null;
+        this.clearStepTriggers();
         
         // Clear current highlighting
         this.clearHighlighting();
         
-        // Update progress
+        // Pick the branch to follow
+        const transition = outcome.transition || this.resolveTransition(step, { ...outcome, missedDeadline });
+        const nextStep = this.getNextStep(step, transition);
+        
+        // Update progress (the remaining path can change when a branch is taken)
         this.taskProgress++;
+        this.maxTaskProgress = this.taskProgress + this.countRemainingSteps(nextStep);
         this.updateProgress();
         
+        const successMessage = this.getStepText(step, 'successMessage') || this.t('guidance.stepCompleted', { name: this.getStepText(step, 'name') });
+        this.recordGuidance('success', successMessage, step);
+        this.announce(successMessage);
+        
+        // Emit step completed event
+        this.emitEvent('taskStepCompleted', { step: step, transition: transition, nextStep: nextStep, missedDeadline: missedDeadline });
+        
         // Move to next step
-        const nextStepIndex = this.taskQueue.findIndex(s => s === step) + 1;
-        if (nextStepIndex < this.taskQueue.length) {
+        if (nextStep) {
+            const task = this.currentTask;
             setTimeout(() => {
-                this.startTaskStep(this.taskQueue[nextStepIndex]);
+                if (this.currentTask === task) {
+                    this.startTaskStep(nextStep);
+                }
             }, 1000);
         } else {
             this.completeTask();
         }
+    }
+    
+    // Step graph
+    findStep(stepId) {
+        return this.taskQueue.find(step => step.id !== undefined && step.id === stepId) || null;
+    }
+    
+    isDefaultTransition(transition) {
+        return !transition.target && !transition.choice && transition.after === undefined;
+    }
+    
+    resolveTransition(step, outcome = {}) {
+        const elapsed = Date.now() - this.stepStartedAt;
         
-        // Emit step completed event
-        this.emitEvent('taskStepCompleted', { step: step });
+        return (step.transitions || []).find(transition => {
+            if (transition.within !== undefined && elapsed > transition.within) return false;
+            if (transition.missedDeadline !== undefined && transition.missedDeadline !== Boolean(outcome.missedDeadline)) return false;
+            
+            if (outcome.choice !== undefined) {
+                return transition.choice === outcome.choice;
+            }
+            
+            if (outcome.element && transition.target) {
+                return this.findElement(transition.target) === outcome.element;
+            }
+            
+            return this.isDefaultTransition(transition);
+        }) || null;
+    }
+    
+    getNextStep(step, transition) {
+        if (transition) {
+            if (transition.next === null) return null;
+            
+            const nextStep = this.findStep(transition.next);
+            if (!nextStep) {
+                console.warn('Transition points to unknown step:', transition.next);
+            }
+            return nextStep;
+        }
+        
+        // Without a matching transition, continue in array order
+        const index = this.taskQueue.indexOf(step);
+        return index === -1 ? null : this.taskQueue[index + 1] || null;
+    }
+    
+    // Length of the default path from a step, used as the progress total
+    countRemainingSteps(step) {
+        const visited = new Set();
+        while (step && !visited.has(step)) {
+            visited.add(step);
+            step = this.getNextStep(step, this.resolveTransition(step));
+        }
+        return visited.size;
+    }
+    
+    setupStepTransitions(step) {
+        const transitions = step.transitions || [];
+        
+        transitions.filter(t => t.after !== undefined).forEach(transition => {
+            this.stepTimers.push(setTimeout(() => {
+                if (this.currentStep === step) {
+                    this.completeTaskStep(step, { transition: transition });
+                }
+            }, transition.after));
+        });
+        
+        const choices = transitions.filter(t => t.choice !== undefined);
+        if (choices.length > 0) {
+            this.showChoices(choices, step);
+        }
+    }
+    
+    watchStepConditions(step) {
+        const evaluator = this.getConditionEvaluator();
+        if (!evaluator) {
+            console.warn('Step conditions unavailable, falling back to clicking the target:', step.name);
+            return;
+        }
+        
+        evaluator.watch(step, () => {
+            if (this.currentStep === step) {
+                this.completeTaskStep(step);
+            }
+        });
+    }
+    
+    getConditionEvaluator() {
+        if (!this.conditionEvaluator && typeof StepConditionEvaluator !== 'undefined') {
+            this.conditionEvaluator = new StepConditionEvaluator();
+        }
+        return this.conditionEvaluator;
+    }
+    
+    clearStepTriggers() {
+        this.stepTimers.forEach(timer => clearTimeout(timer));
+        this.stepTimers = [];
+        this.clearDeadline();
+        this.clearHintTimer();
+        this.stopAudioBeacon();
+        this.stopWayfinding();
+        
+        if (this.conditionEvaluator) {
+            this.conditionEvaluator.stop();
+        }
+        
+        const choicesElement = document.getElementById('guidance-choices');
+        if (choicesElement) {
+            choicesElement.remove();
+        }
+    }
+    
+    makeChoice(choice) {
+        const step = this.currentStep;
+        if (!this.isActive || !step) return false;
+        
+        const transition = (step.transitions || []).find(t => t.choice === choice);
+        if (!transition) return false;
+        
+        this.emitEvent('taskChoiceMade', { step: step, choice: choice });
+        this.completeTaskStep(step, { choice: choice });
+        return true;
+    }
+    
+    showChoices(choices, step) {
+        const choicesElement = document.createElement('div');
+        choicesElement.id = 'guidance-choices';
+        choicesElement.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            gap: 10px;
+            pointer-events: auto;
+            z-index: 1002;
+        `;
+        
+        choices.forEach(transition => {
+            const button = document.createElement('button');
+            button.textContent = this.getChoiceLabel(step, transition);
+            button.style.cssText = `
+                background: #3498db;
+                color: white;
+                border: none;
+                padding: 12px 20px;
+                border-radius: 8px;
+                font-size: ${this.getTextSize()};
+                font-weight: 600;
+                cursor: pointer;
+                box-shadow: 0 4px 20px rgba(52, 152, 219, 0.3);
+            `;
+            button.addEventListener('click', () => this.makeChoice(transition.choice));
+            choicesElement.appendChild(button);
+        });
+        
+        this.guidanceOverlay.appendChild(choicesElement);
+    }
+    
+    // Deadlines
+    // step.deadline is in milliseconds, stretched by the time adaptations
+    getDeadlineScale() {
+        let scale = 1;
+        if (this.timeLimitExtension) {
+            scale *= this.deadlineExtensions.timeLimitExtension;
+        }
+        if (this.patienceMode) {
+            scale *= this.deadlineExtensions.patienceMode;
+        }
+        return scale;
+    }
+    
+    startDeadline(step) {
+        const duration = step.deadline * this.getDeadlineScale();
+        
+        // The opening announcement covers any milestone the deadline starts below
+        this.deadline = {
+            step: step,
+            startedAt: this.stepStartedAt,
+            endsAt: this.stepStartedAt + duration,
+            missed: false,
+            announced: new Set(this.deadlineAnnouncements.filter(seconds => seconds * 1000 >= duration)),
+            timer: setInterval(() => this.updateDeadline(), 1000)
+        };
+        
+        const announcement = this.t('guidance.deadline.start', { time: this.formatDuration(duration) });
+        if (this.narrationEnabled) {
+            this.playNarration(announcement, step, false);
+        }
+        this.announce(announcement);
+        this.updateDeadline();
+    }
+    
+    rescaleDeadline() {
+        const deadline = this.deadline;
+        if (!deadline || deadline.missed) return;
+        
+        deadline.endsAt = deadline.startedAt + deadline.step.deadline * this.getDeadlineScale();
+        this.updateDeadline();
+    }
+    
+    getDeadlineRemaining() {
+        return this.deadline ? Math.max(0, this.deadline.endsAt - Date.now()) : 0;
+    }
+    
+    updateDeadline() {
+        const deadline = this.deadline;
+        if (!deadline || deadline.missed) return;
+        
+        const remaining = this.getDeadlineRemaining();
+        if (remaining === 0) {
+            this.missDeadline();
+            return;
+        }
+        
+        this.renderCountdown(remaining);
+        
+        const due = this.deadlineAnnouncements.filter(seconds => seconds * 1000 >= remaining && !deadline.announced.has(seconds));
+        if (due.length > 0) {
+            due.forEach(seconds => deadline.announced.add(seconds));
+            const announcement = this.t('guidance.deadline.remaining', { time: this.formatDuration(Math.min(...due) * 1000) });
+            if (this.narrationEnabled) {
+                this.playNarration(announcement, deadline.step, false);
+            }
+            this.announce(announcement);
+        }
+    }
+    
+    // A missed-deadline branch is taken at once; without one the step can still be finished late
+    missDeadline() {
+        const deadline = this.deadline;
+        const step = deadline.step;
+        
+        deadline.missed = true;
+        clearInterval(deadline.timer);
+        this.renderCountdown(0);
+        
+        if (this.narrationEnabled) {
+            this.playNarration(this.t('guidance.deadline.missed'), step);
+        }
+        this.announce(this.t('guidance.deadline.missed'), 'assertive');
+        this.recordGuidance('alert', this.t('guidance.deadline.missed'), step);
+        
+        this.emitEvent('taskDeadlineMissed', {
+            task: this.currentTask,
+            step: step,
+            deadline: step.deadline,
+            scaledDeadline: deadline.endsAt - deadline.startedAt
+        });
+        
+        const transition = (step.transitions || []).find(t => t.missedDeadline === true && this.isDefaultTransition(t));
+        if (transition && this.currentStep === step) {
+            this.completeTaskStep(step, { transition: transition });
+        }
+    }
+    
+    hasMissedDeadline(step) {
+        return Boolean(this.deadline && this.deadline.step === step && this.deadline.missed);
+    }
+    
+    clearDeadline() {
+        if (this.deadline) {
+            clearInterval(this.deadline.timer);
+            this.deadline = null;
+        }
+        
+        const countdownElement = document.getElementById('guidance-countdown');
+        if (countdownElement) {
+            countdownElement.remove();
+        }
+    }
+    
+    renderCountdown(remaining) {
+        let countdownElement = document.getElementById('guidance-countdown');
+        if (!countdownElement) {
+            countdownElement = document.createElement('div');
+            countdownElement.id = 'guidance-countdown';
+            countdownElement.setAttribute('role', 'timer');
+            countdownElement.style.cssText = `
+                position: fixed;
+                top: 120px;
+                right: 20px;
+                color: white;
+                padding: 15px 20px;
+                border-radius: 8px;
+                z-index: 1002;
+                min-width: 200px;
+                text-align: center;
+                backdrop-filter: blur(10px);
+                transition: background 0.3s ease;
+            `;
+            this.guidanceOverlay.appendChild(countdownElement);
+        }
+        
+        let background = 'rgba(0, 0, 0, 0.8)';
+        if (remaining === 0) {
+            background = 'rgba(231, 76, 60, 0.9)';
+        } else if (remaining <= 30000) {
+            background = 'rgba(230, 126, 34, 0.9)';
+        }
+        countdownElement.style.background = background;
+        
+        countdownElement.innerHTML = `
+            <div style="font-size: 14px; opacity: 0.8;">⏱️ ${this.t('guidance.deadline.label')}</div>
+            <div style="font-size: 28px; font-weight: 600; font-variant-numeric: tabular-nums;">${remaining === 0 ? this.t('guidance.deadline.timeUp') : this.formatClock(remaining)}</div>
+        `;
     }
     
     completeTask() {
         if (!this.currentTask) return;
         
-        console.log('Task completed:', this.currentTask.name);
+        const task = this.currentTask;
+        console.log('Task completed:', task.name);
         
         // Clear all guidance
+        this.clearStepTriggers();
         this.clearAllGuidance();
         
         // Show completion message
@@ -278,13 +795,65 @@ class UserGuidanceSystem {
         
         // Reset state
         this.currentTask = null;
+        this.currentStep = null;
         this.taskQueue = [];
         this.taskProgress = 0;
         this.maxTaskProgress = 0;
         this.isActive = false;
         
         // Emit task completed event
-        this.emitEvent('taskCompleted', { task: this.currentTask });
+        this.emitEvent('taskCompleted', { task: task });
+    }
+    
+    // Complete the current step when its target, or a branch target, is clicked.
+    // A closed target (see SceneHazards) does nothing; its alternative stands in for it
+    onObjectClicked(detail) {
+        const step = this.currentStep;
+        if (!this.isActive || !step || !detail || !detail.element) return;
+        if (this.isClosed(detail.element)) return;
+        
+        const completesOnClick = !step.completion || !this.conditionEvaluator;
+        const stepTarget = step.target ? this.findElement(step.target) : null;
+        const isStepTarget = completesOnClick && stepTarget && (stepTarget === detail.element || this.getAlternative(stepTarget) === detail.element);
+        const isBranchTarget = (step.transitions || []).some(t => t.target && this.findElement(t.target) === detail.element);
+        
+        if (isStepTarget || isBranchTarget) {
+            this.completeTaskStep(step, { element: detail.element });
+        } else if (completesOnClick && detail.element !== stepTarget) {
+            this.recordWrongClick(step);
+        }
+    }
+    
+    // Hazards
+    isClosed(element) {
+        return Boolean(window.sceneHazards && window.sceneHazards.isClosed(element));
+    }
+    
+    getAlternative(element) {
+        return window.sceneHazards ? window.sceneHazards.getAlternative(element) : null;
+    }
+    
+    onHazardResponse(detail) {
+        const step = this.currentStep;
+        if (!this.isActive || !step || !detail || detail.response !== 'blockedAttempt') return;
+        
+        const alternative = detail.hazard.alternative;
+        const message = this.t(alternative ? 'guidance.hazards.closedAlternative' : 'guidance.hazards.closed');
+        
+        this.showHints([message], step);
+        this.announce(message, 'assertive');
+        if (this.narrationEnabled) {
+            this.playNarration(message, step);
+        }
+        if (alternative && this.highlightingEnabled) {
+            this.highlightObject(alternative, step);
+        }
+        if (alternative && this.audioBeaconEnabled) {
+            this.startAudioBeacon(alternative);
+        }
+        if (alternative && this.wayfindingEnabled) {
+            this.startWayfinding(alternative, step);
+        }
     }
     
     // Object Highlighting
@@ -298,6 +867,17 @@ class UserGuidanceSystem {
         // Clear previous highlighting
         this.clearHighlighting();
         
+        // A-Frame entities live inside the WebGL canvas, so highlight them in world space
+        if (this.isSceneEntity(element) && this.getSceneHighlighter()) {
+            this.currentHighlight = this.sceneHighlighter.highlight(element, {
+                duration: this.getHighlightDuration()
+            });
+            
+            // Emit object highlighted event
+            this.emitEvent('objectHighlighted', { element: element, step: step });
+            return;
+        }
+        
         // Create highlight effect
         const highlight = this.createHighlight(element, step);
         this.currentHighlight = highlight;
@@ -321,6 +901,17 @@ class UserGuidanceSystem {
         return null;
     }
     
+    isSceneEntity(element) {
+        return !!(element.isEntity && element.object3D);
+    }
+    
+    getSceneHighlighter() {
+        if (!this.sceneHighlighter && typeof SceneHighlighter !== 'undefined') {
+            this.sceneHighlighter = new SceneHighlighter();
+        }
+        return this.sceneHighlighter;
+    }
+    
     createHighlight(element, step) {
         const rect = element.getBoundingClientRect();
         const highlight = document.createElement('div');
@@ -373,16 +964,114 @@ class UserGuidanceSystem {
     }
     
     clearHighlighting() {
+        if (this.sceneHighlighter && this.sceneHighlighter.isHighlighting()) {
+            this.sceneHighlighter.clear();
+        }
         if (this.currentHighlight && this.currentHighlight.parentNode) {
             this.fadeOutHighlight(this.currentHighlight);
         }
         this.currentHighlight = null;
     }
     
+    // Audio Beacon
+    // Only scene entities have a world position to sound from
+    startAudioBeacon(target) {
+        const element = this.findElement(target);
+        const beacon = this.getAudioBeacon();
+        if (!element || !beacon || !this.isSceneEntity(element)) return;
+        
+        beacon.start(element);
+    }
+    
+    stopAudioBeacon() {
+        if (this.audioBeacon) {
+            this.audioBeacon.stop();
+        }
+    }
+    
+    getAudioBeacon() {
+        if (!this.audioBeacon && this.audioContext && typeof AudioBeacon !== 'undefined') {
+            this.audioBeacon = new AudioBeacon(this.audioContext);
+            this.audioBeacon.setVolume(this.getAuditoryVolume());
+        }
+        return this.audioBeacon;
+    }
+    
+    getAuditoryVolume() {
+        const profile = window.userProfile ? window.userProfile.getProfile() : null;
+        const auditory = profile && profile.sensoryPreferences && profile.sensoryPreferences.auditory;
+        return auditory ? auditory.volume : 'normal';
+    }
+    
+    // Wayfinding
+    // Routes are planned around scene geometry, so only scene entities get one
+    startWayfinding(target, step) {
+        const element = this.findElement(target);
+        const wayfinder = this.getWayfinder();
+        if (!element || !wayfinder || !this.isSceneEntity(element)) return;
+        
+        wayfinder.start(element, {
+            mobilityType: this.getMobilityType(),
+            onInstruction: (instruction, route) => this.announceWayfinding(instruction, route, step)
+        });
+    }
+    
+    stopWayfinding() {
+        if (this.wayfinder) {
+            this.wayfinder.stop();
+        }
+    }
+    
+    getWayfinder() {
+        if (!this.wayfinder && typeof Wayfinder !== 'undefined') {
+            this.wayfinder = new Wayfinder();
+        }
+        return this.wayfinder;
+    }
+    
+    // The profile's mobility type, or the one picked on the scenario library page
+    getMobilityType() {
+        const profile = window.userProfile ? window.userProfile.getProfile() : null;
+        if (profile && profile.mobilityType && profile.mobilityType !== 'none') {
+            return profile.mobilityType;
+        }
+        return localStorage.getItem('mobilityType') || 'none';
+    }
+    
+    announceWayfinding(instruction, route, step) {
+        if (step !== this.currentStep) return;
+        
+        const text = this.describeWayfinding(instruction, route);
+        if (this.narrationEnabled) {
+            this.playNarration(text, step, false);
+        }
+        this.announce(text);
+        this.recordGuidance('wayfinding', text, step);
+        
+        this.emitEvent('wayfindingInstruction', { step: step, instruction: instruction, route: route, text: text });
+    }
+    
+    // e.g. "Turn left, 3 metres."; the first leg of an accessible route says so
+    describeWayfinding(instruction, route) {
+        if (instruction.type === 'arrive' || instruction.type === 'noRoute') {
+            return this.t(`guidance.wayfinding.${instruction.type}`);
+        }
+        
+        const text = this.t(`guidance.wayfinding.${instruction.type}`, {
+            distance: this.t('guidance.wayfinding.metres', { count: instruction.distance })
+        });
+        if (route && route.via && instruction === route.instructions[0]) {
+            return `${this.t('guidance.wayfinding.accessible')} ${text}`;
+        }
+        return text;
+    }
+    
     // Text Instructions
-    showTextInstructions(instructions, step) {
+    // repeated: asked for again by the user, so screen readers read it even if it was just announced
+    showTextInstructions(instructions, step, repeated = false) {
         const instructionElement = this.createTextInstruction(instructions, step);
         this.guidanceOverlay.appendChild(instructionElement);
+        this.announce(`${this.getStepText(step, 'name') || this.t('guidance.instruction')}: ${instructions}`, 'polite', repeated);
         
         // Auto-remove after duration
         const duration = this.getTextDuration();
@@ -394,6 +1083,7 @@ class UserGuidanceSystem {
     }
     
     createTextInstruction(instructions, step) {
+        const pictograms = this.easyReadEnabled ? this.getStepPictograms(step) : [];
         const instructionElement = document.createElement('div');
         instructionElement.className = 'guidance-instruction';
         instructionElement.style.cssText = `
@@ -415,7 +1105,17 @@ class UserGuidanceSystem {
         `;
         
         instructionElement.innerHTML = `
-            <div style="margin-bottom: 10px; font-size: 18px; color: #3498db;">📋 ${step.name || 'Instruction'}</div>
+            <div style="margin-bottom: 10px; font-size: 18px; color: #3498db;">📋 ${this.getStepText(step, 'name') || this.t('guidance.instruction')}</div>
+            ${pictograms.length > 0 ? `
+                <div class="guidance-pictograms" style="display: flex; justify-content: center; gap: 20px; margin-bottom: 12px;">
+                    ${pictograms.map(pictogram => `
+                        <div role="img" aria-label="${pictogram.label}" style="display: flex; flex-direction: column; align-items: center; gap: 4px;">
+                            <span aria-hidden="true" style="font-size: 44px; line-height: 1;">${pictogram.symbol}</span>
+                            <span aria-hidden="true" style="font-size: 14px; font-weight: 400;">${pictogram.label}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
             <div>${instructions}</div>
         `;
         
@@ -423,13 +1123,19 @@ class UserGuidanceSystem {
     }
     
     // Narration
-    playNarration(text, step) {
+    // Countdown announcements queue behind the step narration instead of cutting it off
+    playNarration(text, step, interrupt = true) {
         if (!this.speechSynthesis) return;
         
         // Stop any current speech
-        this.speechSynthesis.cancel();
+        if (interrupt) {
+            this.speechSynthesis.cancel();
+        }
         
         const utterance = new SpeechSynthesisUtterance(text);
+        if (window.localization) {
+            window.localization.prepareUtterance(utterance);
+        }
         utterance.rate = this.getNarrationSpeed();
         utterance.pitch = 1.0;
         utterance.volume = 0.8;
@@ -453,6 +1159,8 @@ class UserGuidanceSystem {
     showHints(hints, step) {
         const hintElement = this.createHintElement(hints, step);
         this.guidanceOverlay.appendChild(hintElement);
+        this.announce(hints);
+        this.recordGuidance('hint', hints, step);
         
         // Auto-remove after duration
         setTimeout(() => {
@@ -481,24 +1189,429 @@ class UserGuidanceSystem {
         
         const hintText = Array.isArray(hints) ? hints.join('<br>') : hints;
         hintElement.innerHTML = `
-            <div style="font-weight: 600; margin-bottom: 5px;">💡 Hint</div>
+            <div style="font-weight: 600; margin-bottom: 5px;">💡 ${this.t('guidance.hint')}</div>
             <div>${hintText}</div>
         `;
         
         return hintElement;
     }
     
+    // Guidance History
+    // What faded from the overlay or was only spoken can be read back or repeated
+    recordGuidance(type, text, step = this.currentStep) {
+        if (!text || (Array.isArray(text) && text.length === 0)) return;
+        
+        const entry = {
+            type: type,
+            text: [].concat(text).join(' '),
+            task: this.currentTask ? this.currentTask.name : null,
+            step: step,
+            timestamp: Date.now()
+        };
+        
+        this.guidanceHistory.push(entry);
+        if (this.guidanceHistory.length > this.historyLimit) {
+            this.guidanceHistory.shift();
+        }
+        
+        if (this.transcriptPanel) {
+            this.renderTranscript();
+        }
+        
+        this.emitEvent('guidanceRecorded', { entry: entry });
+    }
+    
+    getGuidanceHistory() {
+        return [...this.guidanceHistory];
+    }
+    
+    clearGuidanceHistory() {
+        this.guidanceHistory = [];
+        if (this.transcriptPanel) {
+            this.renderTranscript();
+        }
+    }
+    
+    getLastInstruction() {
+        for (let i = this.guidanceHistory.length - 1; i >= 0; i--) {
+            if (this.guidanceHistory[i].type === 'instruction') {
+                return this.guidanceHistory[i];
+            }
+        }
+        return null;
+    }
+    
+    // Shown and announced even when text instructions are off, since the user asked for it
+    repeatLastInstruction() {
+        const entry = this.getLastInstruction();
+        if (!entry) {
+            this.announce(this.t('guidance.history.nothingToRepeat'), 'polite', true);
+            return false;
+        }
+        
+        this.showTextInstructions(entry.text, entry.step, true);
+        if (this.narrationEnabled) {
+            this.playNarration(entry.text, entry.step);
+        }
+        
+        this.emitEvent('guidanceRepeated', { entry: entry });
+        return true;
+    }
+    
+    // Repeat and Transcript buttons; as plain buttons they are reachable by Tab and by switch scanning
+    showGuidanceControls() {
+        if (this.guidanceControls) return;
+        
+        const controls = document.createElement('div');
+        controls.id = 'guidance-controls';
+        controls.setAttribute('role', 'toolbar');
+        controls.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 20px;
+            display: flex;
+            gap: 8px;
+            z-index: 1002;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+        
+        ['repeat', 'transcript'].forEach(action => {
+            const button = document.createElement('button');
+            button.id = `guidance-${action}-button`;
+            button.style.cssText = `
+                background: rgba(0, 0, 0, 0.8);
+                color: white;
+                border: 2px solid #3498db;
+                padding: 10px 16px;
+                border-radius: 8px;
+                font-size: 14px;
+                font-weight: 600;
+                cursor: pointer;
+            `;
+            button.addEventListener('click', () => {
+                if (action === 'repeat') {
+                    this.repeatLastInstruction();
+                } else {
+                    this.toggleTranscript();
+                }
+            });
+            controls.appendChild(button);
+        });
+        
+        document.body.appendChild(controls);
+        this.guidanceControls = controls;
+        this.updateGuidanceControls();
+    }
+    
+    updateGuidanceControls() {
+        if (!this.guidanceControls) return;
+        
+        const repeatButton = this.guidanceControls.querySelector('#guidance-repeat-button');
+        const transcriptButton = this.guidanceControls.querySelector('#guidance-transcript-button');
+        
+        this.guidanceControls.setAttribute('aria-label', this.t('guidance.history.controls'));
+        repeatButton.textContent = `🔁 ${this.t('guidance.history.repeat')}`;
+        repeatButton.title = this.t('guidance.history.repeatShortcut');
+        transcriptButton.textContent = `📜 ${this.t('guidance.history.transcript')}`;
+        transcriptButton.title = this.t('guidance.history.transcriptShortcut');
+        transcriptButton.setAttribute('aria-expanded', String(Boolean(this.transcriptPanel)));
+        
+        if (this.transcriptPanel) {
+            this.transcriptPanel.setAttribute('aria-label', this.t('guidance.history.title'));
+            this.renderTranscript();
+        }
+    }
+    
+    toggleTranscript() {
+        if (this.transcriptPanel) {
+            this.closeTranscript();
+        } else {
+            this.openTranscript();
+        }
+    }
+    
+    openTranscript() {
+        this.showGuidanceControls();
+        if (this.transcriptPanel) return;
+        
+        const panel = document.createElement('div');
+        panel.id = 'guidance-transcript';
+        panel.setAttribute('role', 'region');
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 75px;
+            left: 20px;
+            width: 340px;
+            max-height: 45vh;
+            display: flex;
+            flex-direction: column;
+            background: white;
+            color: #2c3e50;
+            border-radius: 12px;
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+            z-index: 1002;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+        
+        // Entries are announced as they happen, so the list itself stays quiet
+        panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 12px 15px; border-bottom: 1px solid #dee2e6;">
+                <h3 id="guidance-transcript-title" style="margin: 0; font-size: 16px;"></h3>
+                <button id="guidance-transcript-close" style="background: none; border: none; font-size: 18px; cursor: pointer; color: #6c757d;">✕</button>
+            </div>
+            <ol id="guidance-transcript-entries" tabindex="0" aria-live="off" style="list-style: none; margin: 0; padding: 10px 15px; overflow-y: auto;"></ol>
+        `;
+        
+        document.body.appendChild(panel);
+        this.transcriptPanel = panel;
+        panel.querySelector('#guidance-transcript-close').addEventListener('click', () => this.closeTranscript());
+        
+        this.updateGuidanceControls();
+    }
+    
+    closeTranscript() {
+        if (!this.transcriptPanel) return;
+        
+        this.transcriptPanel.remove();
+        this.transcriptPanel = null;
+        this.updateGuidanceControls();
+    }
+    
+    // Oldest first, scrolled to the newest entry
+    renderTranscript() {
+        const title = this.transcriptPanel.querySelector('#guidance-transcript-title');
+        const closeButton = this.transcriptPanel.querySelector('#guidance-transcript-close');
+        const list = this.transcriptPanel.querySelector('#guidance-transcript-entries');
+        
+        title.textContent = `📜 ${this.t('guidance.history.title')}`;
+        closeButton.setAttribute('aria-label', this.t('guidance.history.close'));
+        list.setAttribute('aria-label', this.t('guidance.history.title'));
+        
+        if (this.guidanceHistory.length === 0) {
+            list.innerHTML = `<li style="color: #6c757d;">${this.t('guidance.history.empty')}</li>`;
+            return;
+        }
+        
+        const colors = {
+            task: '#8e44ad',
+            instruction: '#3498db',
+            hint: '#16a085',
+            wayfinding: '#27ae60',
+            success: '#2ecc71',
+            alert: '#e74c3c'
+        };
+        list.innerHTML = '';
+        this.guidanceHistory.forEach(entry => {
+            const item = document.createElement('li');
+            item.style.cssText = `
+                padding: 8px 0 8px 10px;
+                margin-bottom: 6px;
+                border-left: 3px solid ${colors[entry.type] || '#bdc3c7'};
+                font-size: 14px;
+                line-height: 1.4;
+            `;
+            
+            const label = document.createElement('div');
+            label.style.cssText = 'font-size: 12px; color: #6c757d; margin-bottom: 2px;';
+            label.textContent = `${this.formatTime(entry.timestamp)} · ${this.t(`guidance.history.types.${entry.type}`)}`;
+            
+            const text = document.createElement('div');
+            text.textContent = entry.text.replace(/<br\s*\/?>/gi, ' ');
+            
+            item.appendChild(label);
+            item.appendChild(text);
+            list.appendChild(item);
+        });
+        list.scrollTop = list.scrollHeight;
+    }
+    
+    formatTime(timestamp) {
+        return window.localization ?
+            window.localization.formatTime(timestamp, { hour: '2-digit', minute: '2-digit' }) :
+            new Date(timestamp).toLocaleTimeString();
+    }
+    
+    // Hint Ladder
+    // No hint at first; idle time or wrong-target clicks climb to the next rung
+    startHintLadder(step) {
+        this.hintLevel = 0;
+        this.wrongClicks = 0;
+        this.scheduleHint(step);
+    }
+    
+    // Idle time restarts with every user input and whenever the camera has moved, which
+    // covers headsets and gamepad locomotion that send no input events
+    scheduleHint(step) {
+        this.clearHintTimer();
+        if (!this.getNextHintLevel(step)) return;
+        
+        this.hintIdleSince = Date.now();
+        this.hintPose = this.getCameraPose();
+        this.hintTimer = setInterval(() => {
+            const pose = this.getCameraPose();
+            if (this.hasCameraMoved(this.hintPose, pose)) {
+                this.hintPose = pose;
+                this.hintIdleSince = Date.now();
+            }
+            if (Date.now() - this.hintIdleSince >= this.getHintDelay()) {
+                this.escalateHint(step, 'idle');
+            }
+        }, 1000);
+    }
+    
+    clearHintTimer() {
+        clearInterval(this.hintTimer);
+        this.hintTimer = null;
+    }
+    
+    getCameraPose() {
+        const camera = document.querySelector('[camera]');
+        if (!camera || !camera.object3D || typeof THREE === 'undefined') return null;
+        
+        const position = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        camera.object3D.getWorldPosition(position);
+        camera.object3D.getWorldDirection(direction);
+        return { position, direction };
+    }
+    
+    // Half a step or a glance of 10 degrees
+    hasCameraMoved(from, to) {
+        if (!from || !to) return false;
+        return from.position.distanceTo(to.position) > 0.25 ||
+            from.direction.angleTo(to.direction) > THREE.MathUtils.degToRad(10);
+    }
+    
+    recordWrongClick(step) {
+        this.wrongClicks++;
+        if (this.wrongClicks >= this.getHintClicks()) {
+            this.escalateHint(step, 'wrongClicks');
+        }
+    }
+    
+    // trigger: 'idle' or 'wrongClicks'
+    escalateHint(step, trigger) {
+        if (!this.isActive || step !== this.currentStep) return;
+        
+        const level = this.getNextHintLevel(step);
+        if (!level) return;
+        
+        const wrongClicks = this.wrongClicks;
+        this.hintLevel = level;
+        this.wrongClicks = 0;
+        this.showHintRung(this.hintLadder[level - 1], step);
+        
+        this.emitEvent('hintEscalated', {
+            task: this.currentTask,
+            step: step,
+            level: level,
+            rung: this.hintLadder[level - 1],
+            trigger: trigger,
+            wrongClicks: wrongClicks,
+            timeOnStep: Date.now() - this.stepStartedAt
+        });
+        
+        this.scheduleHint(step);
+    }
+    
+    // Rungs the current settings cannot deliver are passed over
+    getNextHintLevel(step) {
+        for (let level = this.hintLevel + 1; level <= this.hintLadder.length; level++) {
+            if (this.isHintRungAvailable(this.hintLadder[level - 1], step)) {
+                return level;
+            }
+        }
+        return null;
+    }
+    
+    isHintRungAvailable(rung, step) {
+        const hasHints = Boolean(step.hints && step.hints.length > 0 && this.shouldShowHints());
+        switch (rung) {
+            case 'cue':
+                return Boolean(step.target);
+            case 'text':
+                return hasHints;
+            case 'narration':
+                return hasHints && this.narrationEnabled;
+            case 'highlight':
+                return Boolean(step.target) && this.highlightingEnabled;
+            default:
+                return false;
+        }
+    }
+    
+    showHintRung(rung, step) {
+        const hints = [].concat(this.getStepText(step, 'hints') || []);
+        switch (rung) {
+            case 'cue':
+                this.showHintCue(step.target);
+                break;
+            case 'text':
+                this.showHints(hints.slice(0, 1), step);
+                break;
+            case 'narration':
+                this.showHints(hints, step);
+                this.playNarration(hints.join(' '), step);
+                break;
+            case 'highlight':
+                // The top rung shows the path even when wayfinding is off
+                this.highlightObject(step.target, step);
+                this.startWayfinding(step.target, step);
+                break;
+        }
+    }
+    
+    // A brief pulse of the target, without text or sound
+    showHintCue(target) {
+        const element = this.findElement(target);
+        if (!element) return;
+        
+        if (this.isSceneEntity(element)) {
+            const scale = element.getAttribute('scale') || { x: 1, y: 1, z: 1 };
+            element.setAttribute('animation__hintcue', {
+                property: 'scale',
+                from: `${scale.x} ${scale.y} ${scale.z}`,
+                to: `${scale.x * 1.1} ${scale.y * 1.1} ${scale.z * 1.1}`,
+                dur: 300,
+                dir: 'alternate',
+                loop: 4,
+                easing: 'easeInOutSine'
+            });
+            setTimeout(() => {
+                element.removeAttribute('animation__hintcue');
+                element.setAttribute('scale', scale);
+            }, 1300);
+            return;
+        }
+        
+        const outline = element.style.outline;
+        element.style.outline = '2px dashed rgba(52, 152, 219, 0.8)';
+        setTimeout(() => {
+            element.style.outline = outline;
+        }, 1500);
+    }
+    
+    getHintDelay() {
+        return this.difficultyLevels[this.difficultyLevel].features.hintDelay *
+            this.assistanceLevels[this.assistanceLevel].features.hintDelayScale;
+    }
+    
+    getHintClicks() {
+        return this.difficultyLevels[this.difficultyLevel].features.hintClicks;
+    }
+    
     // Progress Tracking
     updateProgress() {
         if (!this.shouldShowProgress()) return;
         
         const progressElement = this.getOrCreateProgressElement();
         const percentage = (this.taskProgress / this.maxTaskProgress) * 100;
+        const stepsLeft = this.maxTaskProgress - this.taskProgress;
         
         progressElement.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 5px;">
-                <span style="font-weight: 600;">Task Progress</span>
-                <span style="font-size: 14px;">${this.taskProgress}/${this.maxTaskProgress}</span>
+                <span style="font-weight: 600;">${this.t('guidance.progress')}</span>
+                <span style="font-size: 14px;">${this.formatNumber(this.taskProgress)}/${this.formatNumber(this.maxTaskProgress)}</span>
             </div>
             <div style="background: rgba(255, 255, 255, 0.2); border-radius: 10px; height: 8px; overflow: hidden;">
                 <div style="
@@ -508,6 +1621,7 @@ class UserGuidanceSystem {
                     transition: width 0.3s ease;
                 "></div>
             </div>
+            <div style="font-size: 12px; margin-top: 5px; opacity: 0.8;">${this.t('guidance.stepsLeft', { count: stepsLeft })}</div>
         `;
     }
     
@@ -555,12 +1669,13 @@ class UserGuidanceSystem {
         `;
         
         introElement.innerHTML = `
-            <div style="font-size: 24px; margin-bottom: 20px; color: #3498db;">🎯 ${task.name}</div>
-            <div style="margin-bottom: 20px; line-height: 1.6;">${task.description || 'Complete the following steps to finish this task.'}</div>
-            <div style="font-size: 14px; color: #bdc3c7;">Difficulty: ${this.getDifficultyName()} | Assistance: ${this.getAssistanceName()}</div>
+            <div style="font-size: 24px; margin-bottom: 20px; color: #3498db;">🎯 ${this.getTaskText(task, 'name')}</div>
+            <div style="margin-bottom: 20px; line-height: 1.6;">${this.getTaskText(task, 'description') || this.t('guidance.introDefault')}</div>
+            <div style="font-size: 14px; color: #bdc3c7;">${this.t('guidance.introLevels', { difficulty: this.getDifficultyName(), assistance: this.getAssistanceName() })}</div>
         `;
         
         this.guidanceOverlay.appendChild(introElement);
+        this.announce(`${this.getTaskText(task, 'name')}. ${this.getTaskText(task, 'description') || this.t('guidance.introDefault')}`);
         
         // Auto-remove after 3 seconds
         setTimeout(() => {
@@ -592,10 +1707,12 @@ class UserGuidanceSystem {
         
         completionElement.innerHTML = `
             <div style="font-size: 32px; margin-bottom: 10px;">✅</div>
-            <div>Task Completed Successfully!</div>
+            <div>${this.t('guidance.taskCompleted')}</div>
         `;
         
         this.guidanceOverlay.appendChild(completionElement);
+        this.announce(this.t('guidance.taskCompleted'));
+        this.recordGuidance('success', this.t('guidance.taskCompleted'), null);
         
         // Auto-remove after 2 seconds
         setTimeout(() => {
@@ -627,6 +1744,116 @@ class UserGuidanceSystem {
         document.dispatchEvent(event);
     }
     
+    // Overlay text is visual only; screen readers get it through the shared live regions
+    announce(text, politeness = 'polite', allowRepeat = false) {
+        if (window.screenReaderAnnouncer) {
+            window.screenReaderAnnouncer.announce(text, { politeness: politeness, source: 'guidance', allowRepeat: allowRepeat });
+        }
+    }
+    
+    isEditable(element) {
+        return Boolean(element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)));
+    }
+    
+    // Localization
+    t(key, params, fallback) {
+        if (window.localization) {
+            return window.localization.t(key, params, fallback);
+        }
+        return fallback !== undefined ? fallback : key;
+    }
+    
+    formatNumber(value) {
+        return window.localization ? window.localization.formatNumber(value) : String(value);
+    }
+    
+    // m:ss, as shown on the countdown
+    formatClock(milliseconds) {
+        const seconds = Math.ceil(milliseconds / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    // Spoken form, e.g. "2 minutes 30 seconds"
+    formatDuration(milliseconds) {
+        const seconds = Math.round(milliseconds / 1000);
+        const parts = [];
+        if (seconds >= 60) {
+            parts.push(this.t('guidance.deadline.minutes', { count: Math.floor(seconds / 60) }));
+        }
+        if (seconds % 60 > 0 || seconds === 0) {
+            parts.push(this.t('guidance.deadline.seconds', { count: seconds % 60 }));
+        }
+        return parts.join(' ');
+    }
+    
+    // Tasks keep their English text inline; catalogs translate it under
+    // tasks.<scenario>, with steps keyed by id or 1-based position.
+    // Generated tasks are `localized` already and skip the catalog
+    getTaskText(task, field) {
+        if (!task || !task.scenario || task.localized) return task ? task[field] : undefined;
+        return this.t(`tasks.${task.scenario}.${field}`, {}, task[field]);
+    }
+    
+    getStepText(step, field, task = this.currentTask) {
+        if (this.easyReadEnabled && this.easyReadFields.includes(field)) {
+            const text = this.getEasyReadText(step, field, task);
+            if (text !== undefined) return text;
+        }
+        
+        const key = this.getStepMessageKey(step, task);
+        if (!key || step[field] === undefined) return step[field];
+        return this.t(`${key}.${field}`, {}, step[field]);
+    }
+    
+    // Easy-read text is translated under <step key>.easyRead. Fields the variant leaves
+    // out use the standard text, except narration, which reads the easy-read instructions
+    getEasyReadText(step, field, task) {
+        const variant = step.easyRead;
+        if (!variant || !variant.instructions) {
+            this.warnMissingEasyRead(step, task);
+            return undefined;
+        }
+        
+        const source = field === 'narration' && variant.narration === undefined ? 'instructions' : field;
+        if (variant[source] === undefined) return undefined;
+        
+        const key = this.getStepMessageKey(step, task);
+        return key ? this.t(`${key}.easyRead.${source}`, {}, variant[source]) : variant[source];
+    }
+    
+    // Once per step, so authors can find the steps that still need a variant
+    warnMissingEasyRead(step, task) {
+        if (this.easyReadWarned.has(step)) return;
+        this.easyReadWarned.add(step);
+        
+        console.warn(`Step "${step.name}" of task "${task ? task.name : ''}" has no easy-read variant; showing the standard text`);
+        this.emitEvent('easyReadMissing', { task, step });
+    }
+    
+    // Symbols come from the pictogram library in the task definitions; unknown ids are skipped
+    getStepPictograms(step) {
+        const ids = step && step.easyRead && Array.isArray(step.easyRead.pictograms) ? step.easyRead.pictograms : [];
+        const library = window.taskDefinitions;
+        if (!library) return [];
+        
+        return ids
+            .map(id => ({ id, symbol: library.getPictogram(id), label: this.t(`guidance.pictograms.${id}`, {}, id) }))
+            .filter(pictogram => pictogram.symbol);
+    }
+    
+    getChoiceLabel(step, transition) {
+        const key = this.getStepMessageKey(step, this.currentTask);
+        if (!key) return transition.label;
+        return this.t(`${key}.choices.${transition.choice}`, {}, transition.label);
+    }
+    
+    getStepMessageKey(step, task) {
+        if (!step || !task || !task.scenario || task.localized) return null;
+        
+        const stepKey = step.id !== undefined ? step.id : (task.steps || []).indexOf(step) + 1;
+        return stepKey ? `tasks.${task.scenario}.steps.${stepKey}` : null;
+    }
+    
     // Configuration Methods
     setDifficultyLevel(level) {
         if (this.difficultyLevels[level]) {
@@ -662,6 +1889,42 @@ class UserGuidanceSystem {
         console.log('Highlighting enabled:', this.highlightingEnabled);
     }
     
+    toggleAudioBeacon() {
+        this.setAudioBeaconEnabled(!this.audioBeaconEnabled);
+        this.saveUserPreferences();
+        console.log('Audio beacon enabled:', this.audioBeaconEnabled);
+    }
+    
+    toggleWayfinding() {
+        this.wayfindingEnabled = !this.wayfindingEnabled;
+        this.saveUserPreferences();
+        
+        if (!this.wayfindingEnabled) {
+            this.stopWayfinding();
+        } else if (this.currentStep && this.currentStep.target) {
+            this.startWayfinding(this.currentStep.target, this.currentStep);
+        }
+        console.log('Wayfinding enabled:', this.wayfindingEnabled);
+    }
+    
+    // Takes effect from the next step
+    toggleEasyRead() {
+        this.easyReadEnabled = !this.easyReadEnabled;
+        this.saveUserPreferences();
+        console.log('Easy read enabled:', this.easyReadEnabled);
+    }
+
+    // Takes effect on the current step straight away
+    setAudioBeaconEnabled(enabled) {
+        this.audioBeaconEnabled = enabled;
+        
+        if (!enabled) {
+            this.stopAudioBeacon();
+        } else if (this.currentStep && this.currentStep.target) {
+            this.startAudioBeacon(this.currentStep.target);
+        }
+    }
+    
     // Helper Methods
     getHighlightDuration() {
         return this.difficultyLevels[this.difficultyLevel].features.highlightDuration;
@@ -697,12 +1960,20 @@ class UserGuidanceSystem {
         return this.difficultyLevels[this.difficultyLevel].features.autoAdvance;
     }
     
-    getDifficultyName() {
-        return this.difficultyLevels[this.difficultyLevel].name;
+    getDifficultyName(level = this.difficultyLevel) {
+        return this.t(`guidance.difficulty.${level}.name`, {}, this.difficultyLevels[level].name);
+    }
+    
+    getDifficultyDescription(level = this.difficultyLevel) {
+        return this.t(`guidance.difficulty.${level}.description`, {}, this.difficultyLevels[level].description);
     }
     
-    getAssistanceName() {
-        return this.assistanceLevels[this.assistanceLevel].name;
+    getAssistanceName(level = this.assistanceLevel) {
+        return this.t(`guidance.assistance.${level}.name`, {}, this.assistanceLevels[level].name);
+    }
+    
+    getAssistanceDescription(level = this.assistanceLevel) {
+        return this.t(`guidance.assistance.${level}.description`, {}, this.assistanceLevels[level].description);
     }
     
     setupAutoAdvance(step) {
@@ -720,9 +1991,11 @@ class UserGuidanceSystem {
     }
     
     stopGuidance() {
+        this.clearStepTriggers();
         this.clearAllGuidance();
         this.isActive = false;
         this.currentTask = null;
+        this.currentStep = null;
         this.taskQueue = [];
         this.taskProgress = 0;
         this.maxTaskProgress = 0;
@@ -738,14 +2011,20 @@ class UserGuidanceSystem {
             assistanceLevel: this.assistanceLevel,
             narrationEnabled: this.narrationEnabled,
             textInstructionsEnabled: this.textInstructionsEnabled,
-            highlightingEnabled: this.highlightingEnabled
+            highlightingEnabled: this.highlightingEnabled,
+            audioBeaconEnabled: this.audioBeaconEnabled,
+            wayfindingEnabled: this.wayfindingEnabled,
+            easyReadEnabled: this.easyReadEnabled,
+            hintLevel: this.hintLevel,
+            deadlineScale: this.getDeadlineScale(),
+            deadlineRemaining: this.deadline ? this.getDeadlineRemaining() : null
         };
     }
 }
 
 // Add CSS for animations
-const style = document.createElement('style');
-style.textContent = `
+const guidanceStyle = document.createElement('style');
+guidanceStyle.textContent = `
     @keyframes guidancePulse {
         0%, 100% { 
             border-color: #3498db;
@@ -827,7 +2106,10 @@ style.textContent = `
         }
     }
 `;
-document.head.appendChild(style);
+document.head.appendChild(guidanceStyle);
+
+// Make available globally
+window.UserGuidanceSystem = UserGuidanceSystem;
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
@@ -457,6 +457,7 @@ class UserProfile {
             switch (weakness.ability) {
                 case 'fineMotor':
                     recommendations.push({
+                        ability: weakness.ability,
                         type: 'exercise',
                         title: 'Fine Motor Skills Training',
                         description: 'Practice precision tasks and hand-eye coordination exercises',
@@ -466,6 +467,7 @@ class UserProfile {
                     break;
                 case 'grossMotor':
                     recommendations.push({
+                        ability: weakness.ability,
                         type: 'exercise',
                         title: 'Gross Motor Skills Training',
                         description: 'Practice large movement patterns and spatial navigation',
@@ -475,6 +477,7 @@ class UserProfile {
                     break;
                 case 'visual':
                     recommendations.push({
+                        ability: weakness.ability,
                         type: 'accommodation',
                         title: 'Visual Support',
                         description: 'Increase visual contrast and highlighting',
@@ -484,6 +487,7 @@ class UserProfile {
                     break;
                 case 'auditory':
                     recommendations.push({
+                        ability: weakness.ability,
                         type: 'accommodation',
                         title: 'Auditory Support',
                         description: 'Enable audio narration and sound cues',
@@ -493,6 +497,7 @@ class UserProfile {
                     break;
                 case 'cognitive':
                     recommendations.push({
+                        ability: weakness.ability,
                         type: 'exercise',
                         title: 'Cognitive Training',
                         description: 'Practice problem-solving and decision-making tasks',
@@ -0,0 +1,328 @@
+/**
+ * Voice Grammar
+ * Matches recognized speech against command phrases with alternatives, optional words,
+ * number and scene-object slots, tolerating small recognition errors
+ */
+
+class VoiceGrammar {
+    constructor(options = {}) {
+        this.options = {
+            wordThreshold: 0.7,     // Similarity at which a heard word counts as the phrase's word
+            matchThreshold: 0.8,    // Average similarity a whole command needs
+            nameThreshold: 0.75,    // Similarity at which heard words name a scene object
+            maxTargetWords: 4,      // Longest object name tried for a {target} slot
+            labelDistance: 3,       // m within which a plain a-text labels an object
+            maxCount: 20,
+            targetSelector: '.clickable-object, .interact, [aria-label]',
+            ...options
+        };
+        
+        this.patterns = new Map();  // `${locale}:${key}` -> token lists
+        
+        this.init();
+    }
+    
+    init() {
+        document.addEventListener('localeChanged', () => {
+            this.patterns.clear();
+        });
+        
+        console.log('Voice Grammar initialized');
+    }
+    
+    // Matching
+    // transcripts: one transcript or the recognizer's alternatives. targets default to
+    // the objects in the current scene and extraPhrases adds phrases per command id.
+    // Returns { command, params, score, transcript } for the best command above the
+    // threshold, or null
+    parse(transcripts, commandIds, targets = null, keyPrefix = 'voice.commands', extraPhrases = {}) {
+        let best = null;
+        
+        [].concat(transcripts).forEach(transcript => {
+            const words = this.tokenize(transcript);
+            if (words.length === 0) return;
+            
+            commandIds.forEach(commandId => {
+                const patterns = this.getPatterns(`${keyPrefix}.${commandId}`)
+                    .concat(this.compile(extraPhrases[commandId] || []));
+                
+                patterns.forEach(pattern => {
+                    if (targets === null && pattern.includes('{target}')) {
+                        targets = this.getTargets();
+                    }
+                    
+                    const match = this.matchTokens(pattern, words, targets || []);
+                    if (!match) return;
+                    
+                    const score = match.total / match.parts;
+                    if (score < this.options.matchThreshold) return;
+                    
+                    // Equal scores go to the phrase that explains more of what was said
+                    if (!best || score > best.score || (score === best.score && match.parts > best.parts)) {
+                        best = { command: commandId, params: match.params, score, parts: match.parts, transcript };
+                    }
+                });
+            });
+        });
+        
+        if (!best) return null;
+        return { command: best.command, params: best.params, score: best.score, transcript: best.transcript };
+    }
+    
+    // 'yes', 'no', or null when the answer was neither
+    parseConfirmation(transcripts) {
+        const match = this.parse(transcripts, ['yes', 'no'], [], 'voice.confirm');
+        return match ? match.command : null;
+    }
+    
+    // Best alignment of the phrase's tokens with every heard word, or null when
+    // they cannot line up. Each fixed word and each slot contributes its similarity
+    matchTokens(pattern, words, targets) {
+        const combine = (rest, similarity, params) => rest && {
+            total: rest.total + similarity,
+            parts: rest.parts + 1,
+            params: { ...rest.params, ...params }
+        };
+        const average = match => match.total / match.parts;
+        
+        const align = (p, w) => {
+            if (p === pattern.length) {
+                return w === words.length ? { total: 0, parts: 0, params: {} } : null;
+            }
+            if (w >= words.length) return null;
+            
+            const token = pattern[p];
+            if (token === '{count}') {
+                const count = this.parseNumber(words[w]);
+                return count ? combine(align(p + 1, w + 1), count.similarity, { count: count.value }) : null;
+            }
+            
+            if (token === '{target}') {
+                let best = null;
+                for (let length = 1; length <= this.options.maxTargetWords && w + length <= words.length; length++) {
+                    const found = this.findTarget(words.slice(w, w + length).join(' '), targets);
+                    const candidate = found && combine(align(p + 1, w + length), found.similarity, { target: found.target });
+                    if (candidate && (!best || average(candidate) > average(best))) {
+                        best = candidate;
+                    }
+                }
+                return best;
+            }
+            
+            const similarity = this.similarity(token, words[w]);
+            return similarity >= this.options.wordThreshold ? combine(align(p + 1, w + 1), similarity, {}) : null;
+        };
+        
+        return align(0, 0);
+    }
+    
+    // Digits, or number words in the selected language or English
+    parseNumber(word) {
+        if (/^\d+$/.test(word)) {
+            const value = parseInt(word, 10);
+            return value > 0 ? { value: Math.min(value, this.options.maxCount), similarity: 1 } : null;
+        }
+        
+        let best = null;
+        this.getPhrases('voice.numbers').forEach((number, index) => {
+            const similarity = this.similarity(this.normalize(number), word);
+            if (similarity >= this.options.wordThreshold && (!best || similarity > best.similarity)) {
+                best = { value: (index % 10) + 1, similarity };
+            }
+        });
+        return best;
+    }
+    
+    findTarget(spoken, targets) {
+        let best = null;
+        targets.forEach(target => {
+            target.names.forEach(name => {
+                // Case endings join the name in languages like Malayalam ("ചെക്കൗട്ടിലേക്ക്"),
+                // so the spoken words may run on past the end of the name
+                const similarity = Math.max(
+                    this.similarity(name, spoken),
+                    this.similarity(name, spoken.slice(0, name.length)) * 0.9
+                );
+                if (similarity >= this.options.nameThreshold && (!best || similarity > best.similarity)) {
+                    best = { target, similarity };
+                }
+            });
+        });
+        return best;
+    }
+    
+    // 1 for identical strings, falling to 0 with the edit distance
+    similarity(a, b) {
+        if (a === b) return 1;
+        
+        const length = Math.max(a.length, b.length);
+        return length === 0 ? 1 : 1 - this.editDistance(a, b) / length;
+    }
+    
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+    
+    // Phrases
+    // Phrase syntax: (a|b) for alternatives, [a] for optional words, {count} and {target} for slots
+    getPatterns(key) {
+        const cacheKey = `${window.localization ? window.localization.getLocale() : 'en'}:${key}`;
+        if (!this.patterns.has(cacheKey)) {
+            this.patterns.set(cacheKey, this.compile(this.getPhrases(key)));
+        }
+        return this.patterns.get(cacheKey);
+    }
+    
+    compile(phrases) {
+        const variants = new Set();
+        phrases.forEach(phrase => {
+            this.expand(phrase).forEach(variant => variants.add(variant));
+        });
+        
+        return Array.from(variants)
+            .map(variant => this.tokenize(variant))
+            .filter(tokens => tokens.length > 0);
+    }
+    
+    // Phrases in the selected language; English phrases keep working
+    getPhrases(key) {
+        if (!window.localization) return [];
+        
+        const phrases = [].concat(window.localization.t(key, {}, []), window.localization.lookup('en', key) || []);
+        return phrases.filter(phrase => typeof phrase === 'string');
+    }
+    
+    // '(go|walk) to [the] {target}' -> 'go to {target}', 'go to the {target}', 'walk to {target}', ...
+    expand(phrase) {
+        let position = 0;
+        
+        const alternatives = () => {
+            const options = [];
+            do {
+                if (phrase[position] === '|') position += 1;
+                options.push(...sequence());
+            } while (phrase[position] === '|');
+            return options;
+        };
+        
+        const sequence = () => {
+            let variants = [''];
+            while (position < phrase.length && !')]|'.includes(phrase[position])) {
+                let options;
+                const char = phrase[position];
+                if (char === '(' || char === '[') {
+                    position += 1;
+                    options = alternatives();
+                    position += 1;
+                    if (char === '[') {
+                        options.push('');
+                    }
+                } else {
+                    let text = '';
+                    while (position < phrase.length && !'()[]|'.includes(phrase[position])) {
+                        text += phrase[position];
+                        position += 1;
+                    }
+                    options = [text];
+                }
+                variants = variants.reduce((all, variant) => all.concat(options.map(option => variant + option)), []);
+            }
+            return variants;
+        };
+        
+        return alternatives();
+    }
+    
+    // Lower case without punctuation or filler words like "please" and "the"
+    tokenize(text) {
+        const fillers = this.getPhrases('voice.fillers').map(filler => this.normalize(filler));
+        return this.normalize(text).split(' ').filter(word => word && !fillers.includes(word));
+    }
+    
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/['‘’]/g, '')
+            .replace(/[.,!?;:"“”()\u0964]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    // Scene objects
+    // Names come from aria-label, the voice.targets catalog, the nearest plain a-text
+    // label and the entity id ("checkoutCounter" -> "checkout counter")
+    getTargets() {
+        const scene = document.querySelector('a-scene');
+        if (!scene) return [];
+        
+        const targets = Array.from(scene.querySelectorAll(this.options.targetSelector))
+            .filter(element => element.id && element.object3D)
+            .map(element => ({
+                id: element.id,
+                element,
+                names: [
+                    element.getAttribute('aria-label'),
+                    ...this.getPhrases(`voice.targets.${element.id}`),
+                    element.id.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]/g, ' ')
+                ]
+            }));
+        
+        this.addSceneLabels(scene, targets);
+        
+        targets.forEach(target => {
+            target.names = Array.from(new Set(target.names
+                .filter(Boolean)
+                .map(name => this.tokenize(name).join(' '))
+                .filter(Boolean)));
+        });
+        return targets;
+    }
+    
+    // Hints and accessibility labels carry a class; only plain a-text names an object
+    addSceneLabels(scene, targets) {
+        if (typeof THREE === 'undefined' || targets.length === 0) return;
+        
+        const positions = targets.map(target => target.element.object3D.getWorldPosition(new THREE.Vector3()));
+        scene.querySelectorAll('a-text').forEach(label => {
+            const value = label.getAttribute('value');
+            if (!value || label.classList.length > 0 || !label.object3D) return;
+            
+            const position = label.object3D.getWorldPosition(new THREE.Vector3());
+            let nearest = -1;
+            let nearestDistance = this.options.labelDistance;
+            positions.forEach((targetPosition, index) => {
+                const distance = targetPosition.distanceTo(position);
+                if (distance <= nearestDistance) {
+                    nearest = index;
+                    nearestDistance = distance;
+                }
+            });
+            
+            if (nearest !== -1) {
+                targets[nearest].names.push(value);
+            }
+        });
+    }
+}
+
+// Make available globally
+window.VoiceGrammar = VoiceGrammar;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VoiceGrammar;
+}
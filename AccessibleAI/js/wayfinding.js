@@ -0,0 +1,604 @@
+/**
+ * Wayfinding
+ * Walkable routes from the camera to a step target over a grid built from the scene's
+ * geometry, drawn as floor arrows and followed leg by leg with turn instructions
+ */
+
+class Wayfinder {
+    constructor(options = {}) {
+        this.options = {
+            cellSize: 0.5,
+            floorHeight: 0,
+            stepHeight: 0.2,            // Geometry lower than this is walked over (mats, ramps)
+            headHeight: 2,              // Geometry higher than this is walked under
+            clearance: 0.3,             // Distance kept from obstacles (m)
+            wheelchairClearance: 0.5,
+            maxExtent: 60,              // Largest area searched around the user (m)
+            goalDistance: 1,            // Routes end within this of the target, past the clearance (m)
+            featureSelector: '.accessibility-feature',
+            hitboxClass: 'scene-adaptation-hitbox',
+            accessibleMobilityTypes: ['wheelchair'],
+            accessibleCost: 0.4,        // Cost of crossing an accessible feature, relative to 1
+            featureRadius: 4,           // Accessible features this close to the target become the goal (m)
+            arrowSpacing: 1.2,
+            arrowHeight: 0.2,
+            color: '#27ae60',
+            reachDistance: 1,           // A waypoint counts as reached this close (m)
+            rerouteDistance: 2.5,       // Straying this far from the route plans a new one (m)
+            rerouteInterval: 2000,      // ms
+            ...options
+        };
+        
+        this.current = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.registerTickComponent();
+        console.log('Wayfinder initialized');
+    }
+    
+    // Scene component that follows the user along the route every frame
+    registerTickComponent() {
+        if (typeof AFRAME === 'undefined' || AFRAME.components['guidance-wayfinding']) return;
+        
+        AFRAME.registerComponent('guidance-wayfinding', {
+            init: function () {
+                this.wayfinder = null;
+            },
+            
+            tick: function () {
+                if (this.wayfinder) {
+                    this.wayfinder.update();
+                }
+            }
+        });
+    }
+    
+    // Route lifecycle
+    // options: { mobilityType, onInstruction(instruction) }
+    start(target, options = {}) {
+        this.stop();
+        
+        const scene = target && (target.sceneEl || document.querySelector('a-scene'));
+        if (!scene || !scene.camera || !target.object3D) return null;
+        
+        this.current = {
+            target: target,
+            scene: scene,
+            options: options,
+            route: null,
+            leg: 0,
+            arrived: false,
+            plannedAt: 0,
+            entity: null
+        };
+        
+        this.plan();
+        this.attach(scene);
+        
+        return this.current ? this.current.route : null;
+    }
+    
+    stop() {
+        if (!this.current) return;
+        
+        this.removeArrows(this.current);
+        this.current = null;
+    }
+    
+    isActive() {
+        return this.current !== null;
+    }
+    
+    getRoute() {
+        return this.current ? this.current.route : null;
+    }
+    
+    // Plan again from where the user is now (e.g. after a hazard appears)
+    reroute() {
+        if (this.current) {
+            this.plan();
+        }
+    }
+    
+    plan() {
+        const current = this.current;
+        const camera = current.scene.camera;
+        const from = camera.getWorldPosition(new THREE.Vector3());
+        const heading = new THREE.Vector3(0, 0, -1).transformDirection(camera.matrixWorld);
+        
+        current.route = this.findRoute(from, current.target, {
+            mobilityType: current.options.mobilityType,
+            heading: heading
+        });
+        current.leg = 0;
+        current.arrived = false;
+        current.plannedAt = Date.now();
+        
+        this.removeArrows(current);
+        if (!current.route) {
+            this.notify({ type: 'noRoute' });
+            return;
+        }
+        
+        // Already standing at the target
+        if (current.route.instructions.length === 0) {
+            current.arrived = true;
+            this.notify({ type: 'arrive', distance: 0 });
+            return;
+        }
+        
+        current.entity = this.renderArrows(current.scene, current.route.points);
+        this.notify(current.route.instructions[0]);
+    }
+    
+    attach(scene) {
+        if (!scene.hasAttribute('guidance-wayfinding')) {
+            scene.setAttribute('guidance-wayfinding', '');
+        }
+        const component = scene.components && scene.components['guidance-wayfinding'];
+        if (component) {
+            component.wayfinder = this;
+        }
+    }
+    
+    notify(instruction) {
+        if (this.current && this.current.options.onInstruction) {
+            this.current.options.onInstruction(instruction, this.current.route);
+        }
+    }
+    
+    // Following the route
+    update() {
+        const current = this.current;
+        if (!current || !current.route || current.arrived) return;
+        
+        const position = current.scene.camera.getWorldPosition(new THREE.Vector3());
+        const points = current.route.points;
+        const next = points[current.leg + 1];
+        
+        if (this.distance2D(position, next) <= this.options.reachDistance) {
+            current.leg++;
+            if (current.leg >= points.length - 1) {
+                current.arrived = true;
+                this.notify({ type: 'arrive', distance: 0 });
+            } else {
+                this.notify(current.route.instructions[current.leg]);
+            }
+            return;
+        }
+        
+        const offRoute = this.distanceToSegment(position, points[current.leg], next) > this.options.rerouteDistance;
+        if (offRoute && Date.now() - current.plannedAt >= this.options.rerouteInterval) {
+            this.plan();
+        }
+    }
+    
+    // Planning
+    // Returns { points, instructions, length, via } or null when the target cannot be reached.
+    // points are { x, z } on the floor; via is the accessible feature the route ends at, if any
+    findRoute(from, target, options = {}) {
+        const accessible = this.options.accessibleMobilityTypes.includes(options.mobilityType);
+        const clearance = options.mobilityType === 'wheelchair' ? this.options.wheelchairClearance : this.options.clearance;
+        const grid = this.buildGrid(target.sceneEl || document.querySelector('a-scene'), from, clearance);
+        
+        const features = accessible ? this.getFeatures() : [];
+        features.forEach(feature => this.markCells(grid, feature.box, 0, (index) => {
+            grid.cost[index] = this.options.accessibleCost;
+        }));
+        
+        // The goal is the free ring around the target. Wheelchair users are routed onto an
+        // accessible feature next to the target instead, at its end nearest the target if it reaches
+        const targetBox = this.getBounds(target.object3D);
+        const goal = this.getFreeCells(grid, targetBox, clearance + this.options.goalDistance);
+        const via = features.find(feature => feature.element !== target &&
+            this.boxDistance2D(feature.box, targetBox) <= this.options.featureRadius) || null;
+        
+        let goalBox = targetBox;
+        if (via) {
+            const featureCells = this.getFreeCells(grid, via.box, 0);
+            const approach = new Set(Array.from(featureCells).filter(index => goal.has(index)));
+            goal.clear();
+            (approach.size > 0 ? approach : featureCells).forEach(index => goal.add(index));
+            goalBox = via.box;
+        }
+        
+        const start = this.nearestWalkable(grid, this.cellIndex(grid, from.x, from.z));
+        if (start === null || goal.size === 0) return null;
+        
+        const path = this.search(grid, start, goal, goalBox);
+        if (!path) return null;
+        
+        const points = this.smooth(grid, path.map(index => this.cellCenter(grid, index)));
+        points[0] = { x: from.x, z: from.z };
+        
+        return {
+            points: points,
+            instructions: this.getInstructions(points, options.heading),
+            length: this.pathLength(points),
+            via: via ? via.element : null
+        };
+    }
+    
+    // Occupancy grid over the floor; a cell is blocked when scene geometry between
+    // stepHeight and headHeight covers it (grown by the clearance)
+    buildGrid(scene, from, clearance) {
+        const obstacles = this.getObstacles(scene);
+        const bounds = new THREE.Box3(
+            new THREE.Vector3(from.x, 0, from.z),
+            new THREE.Vector3(from.x, 0, from.z)
+        );
+        obstacles.forEach(box => bounds.union(box));
+        
+        const half = this.options.maxExtent / 2;
+        const minX = Math.max(bounds.min.x, from.x - half) - 1;
+        const minZ = Math.max(bounds.min.z, from.z - half) - 1;
+        const maxX = Math.min(bounds.max.x, from.x + half) + 1;
+        const maxZ = Math.min(bounds.max.z, from.z + half) + 1;
+        const size = this.options.cellSize;
+        
+        const grid = {
+            minX: minX,
+            minZ: minZ,
+            columns: Math.ceil((maxX - minX) / size),
+            rows: Math.ceil((maxZ - minZ) / size),
+            size: size
+        };
+        grid.blocked = new Uint8Array(grid.columns * grid.rows);
+        grid.cost = new Float32Array(grid.columns * grid.rows).fill(1);
+        
+        obstacles.forEach(box => this.markCells(grid, box, clearance, (index) => {
+            grid.blocked[index] = 1;
+        }));
+        
+        return grid;
+    }
+    
+    // World bounds of every mesh the user could walk into. The user's own rig, sky,
+    // text and guidance helpers are left out
+    getObstacles(scene) {
+        const rig = this.getRig(scene);
+        const min = this.options.floorHeight + this.options.stepHeight;
+        const max = this.options.floorHeight + this.options.headHeight;
+        const obstacles = [];
+        
+        scene.object3D.traverse(node => {
+            if (!node.isMesh || !node.visible) return;
+            
+            const entity = this.getEntity(node);
+            if (!entity || this.isIgnored(entity, rig)) return;
+            
+            const box = new THREE.Box3().setFromObject(node);
+            if (box.isEmpty() || box.max.y < min || box.min.y > max) return;
+            
+            obstacles.push(box);
+        });
+        
+        return obstacles;
+    }
+    
+    getFreeCells(grid, box, margin) {
+        const cells = new Set();
+        this.markCells(grid, box, margin, (index) => {
+            if (!grid.blocked[index]) {
+                cells.add(index);
+            }
+        });
+        return cells;
+    }
+    
+    getFeatures() {
+        return Array.from(document.querySelectorAll(this.options.featureSelector))
+            .filter(element => element.object3D)
+            .map(element => ({ element: element, box: this.getBounds(element.object3D) }))
+            .filter(feature => !feature.box.isEmpty());
+    }
+    
+    // World bounds of an entity's meshes, without the hitboxes scene adaptation adds
+    getBounds(object) {
+        const box = new THREE.Box3();
+        object.traverse(node => {
+            if (node.isMesh && !this.isHitbox(this.getEntity(node))) {
+                box.expandByObject(node);
+            }
+        });
+        return box;
+    }
+    
+    getRig(scene) {
+        const camera = scene.camera && scene.camera.el;
+        if (!camera) return null;
+        return camera.parentNode && camera.parentNode !== scene ? camera.parentNode : camera;
+    }
+    
+    getEntity(node) {
+        let object = node;
+        while (object && !object.el) {
+            object = object.parent;
+        }
+        return object ? object.el : null;
+    }
+    
+    // Scene adaptation enlarges targets with invisible boxes; they block nothing
+    isHitbox(entity) {
+        return Boolean(entity && entity.classList && entity.classList.contains(this.options.hitboxClass));
+    }
+    
+    isIgnored(entity, rig) {
+        if (rig && rig.contains(entity)) return true;
+        if (this.isHitbox(entity)) return true;
+        if (entity.tagName === 'A-SKY' || entity.hasAttribute('text')) return true;
+        return Boolean(entity.closest('.guidance-beacon, .wayfinding-route'));
+    }
+    
+    // Calls mark(index) for every cell whose centre lies inside box, grown by margin
+    markCells(grid, box, margin, mark) {
+        const size = grid.size;
+        const fromColumn = Math.max(0, Math.floor((box.min.x - margin - grid.minX) / size));
+        const toColumn = Math.min(grid.columns - 1, Math.floor((box.max.x + margin - grid.minX) / size));
+        const fromRow = Math.max(0, Math.floor((box.min.z - margin - grid.minZ) / size));
+        const toRow = Math.min(grid.rows - 1, Math.floor((box.max.z + margin - grid.minZ) / size));
+        
+        for (let row = fromRow; row <= toRow; row++) {
+            for (let column = fromColumn; column <= toColumn; column++) {
+                const x = grid.minX + (column + 0.5) * size;
+                const z = grid.minZ + (row + 0.5) * size;
+                if (x >= box.min.x - margin && x <= box.max.x + margin &&
+                    z >= box.min.z - margin && z <= box.max.z + margin) {
+                    mark(row * grid.columns + column);
+                }
+            }
+        }
+    }
+    
+    cellIndex(grid, x, z) {
+        const column = Math.floor((x - grid.minX) / grid.size);
+        const row = Math.floor((z - grid.minZ) / grid.size);
+        if (column < 0 || row < 0 || column >= grid.columns || row >= grid.rows) return null;
+        return row * grid.columns + column;
+    }
+    
+    cellCenter(grid, index) {
+        return {
+            x: grid.minX + (index % grid.columns + 0.5) * grid.size,
+            z: grid.minZ + (Math.floor(index / grid.columns) + 0.5) * grid.size
+        };
+    }
+    
+    // The user may stand inside a grown obstacle margin; start from the closest free cell
+    nearestWalkable(grid, start) {
+        if (start === null) return null;
+        
+        const visited = new Set([start]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const index = queue.shift();
+            if (!grid.blocked[index]) return index;
+            
+            this.neighbours(grid, index, true).forEach(({ index: next }) => {
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+        return null;
+    }
+    
+    // 8-connected neighbours; diagonals may not cut a blocked corner
+    neighbours(grid, index, includeBlocked = false) {
+        const column = index % grid.columns;
+        const row = Math.floor(index / grid.columns);
+        const result = [];
+        
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dz === 0) continue;
+                
+                const c = column + dx;
+                const r = row + dz;
+                if (c < 0 || r < 0 || c >= grid.columns || r >= grid.rows) continue;
+                
+                const next = r * grid.columns + c;
+                if (!includeBlocked) {
+                    if (grid.blocked[next]) continue;
+                    if (dx !== 0 && dz !== 0 &&
+                        (grid.blocked[row * grid.columns + c] || grid.blocked[r * grid.columns + column])) continue;
+                }
+                
+                result.push({ index: next, step: dx !== 0 && dz !== 0 ? Math.SQRT2 : 1 });
+            }
+        }
+        return result;
+    }
+    
+    // A* to the nearest goal cell, with the distance to the goal box as heuristic
+    search(grid, start, goal, goalBox) {
+        const heuristic = (index) => {
+            const point = this.cellCenter(grid, index);
+            const dx = Math.max(goalBox.min.x - point.x, 0, point.x - goalBox.max.x);
+            const dz = Math.max(goalBox.min.z - point.z, 0, point.z - goalBox.max.z);
+            return Math.hypot(dx, dz) * Math.min(1, this.options.accessibleCost);
+        };
+        
+        const cost = new Map([[start, 0]]);
+        const previous = new Map();
+        const open = [{ index: start, score: heuristic(start) }];
+        const closed = new Set();
+        
+        while (open.length > 0) {
+            let best = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].score < open[best].score) best = i;
+            }
+            const { index } = open.splice(best, 1)[0];
+            if (closed.has(index)) continue;
+            
+            if (goal.has(index)) {
+                const path = [index];
+                while (previous.has(path[0])) {
+                    path.unshift(previous.get(path[0]));
+                }
+                return path;
+            }
+            closed.add(index);
+            
+            this.neighbours(grid, index).forEach(({ index: next, step }) => {
+                if (closed.has(next)) return;
+                
+                const nextCost = cost.get(index) + step * grid.size * grid.cost[next];
+                if (!cost.has(next) || nextCost < cost.get(next)) {
+                    cost.set(next, nextCost);
+                    previous.set(next, index);
+                    open.push({ index: next, score: nextCost + heuristic(next) });
+                }
+            });
+        }
+        return null;
+    }
+    
+    // Drop grid corners the user can walk straight past
+    smooth(grid, points) {
+        if (points.length <= 2) return points;
+        
+        const result = [points[0]];
+        let anchor = 0;
+        while (anchor < points.length - 1) {
+            let furthest = anchor + 1;
+            for (let i = points.length - 1; i > anchor + 1; i--) {
+                if (this.isClear(grid, points[anchor], points[i])) {
+                    furthest = i;
+                    break;
+                }
+            }
+            result.push(points[furthest]);
+            anchor = furthest;
+        }
+        return result;
+    }
+    
+    isClear(grid, from, to) {
+        const length = this.distance2D(from, to);
+        const steps = Math.ceil(length / (grid.size / 2));
+        
+        for (let i = 1; i < steps; i++) {
+            const x = from.x + (to.x - from.x) * i / steps;
+            const z = from.z + (to.z - from.z) * i / steps;
+            const index = this.cellIndex(grid, x, z);
+            if (index === null || grid.blocked[index]) return false;
+        }
+        return true;
+    }
+    
+    // Instructions
+    // One per leg: the turn onto it (from the user's heading for the first) and its length
+    getInstructions(points, heading) {
+        const instructions = [];
+        let direction = heading ? { x: heading.x, z: heading.z } : null;
+        
+        for (let i = 0; i < points.length - 1; i++) {
+            const leg = { x: points[i + 1].x - points[i].x, z: points[i + 1].z - points[i].z };
+            instructions.push({
+                type: direction ? this.getTurn(direction, leg) : 'straight',
+                distance: Math.max(1, Math.round(Math.hypot(leg.x, leg.z)))
+            });
+            direction = leg;
+        }
+        
+        return instructions;
+    }
+    
+    // Signed angle between two floor directions; right is positive (the camera looks down -z)
+    getTurn(from, to) {
+        const cross = from.x * to.z - from.z * to.x;
+        const dot = from.x * to.x + from.z * to.z;
+        const angle = Math.atan2(cross, dot) * 180 / Math.PI;
+        const size = Math.abs(angle);
+        
+        if (size < 25) return 'straight';
+        if (size > 135) return 'turnAround';
+        if (size < 60) return angle > 0 ? 'slightRight' : 'slightLeft';
+        return angle > 0 ? 'right' : 'left';
+    }
+    
+    // Rendering
+    // Flat arrows along the route, pointing the way
+    renderArrows(scene, points) {
+        const route = document.createElement('a-entity');
+        route.classList.add('wayfinding-route');
+        
+        const spacing = this.options.arrowSpacing;
+        let along = spacing;
+        for (let i = 0; i < points.length - 1; i++) {
+            const from = points[i];
+            const to = points[i + 1];
+            const length = this.distance2D(from, to);
+            const yaw = Math.atan2(from.x - to.x, from.z - to.z) * 180 / Math.PI;
+            
+            for (; along < length; along += spacing) {
+                const arrow = document.createElement('a-entity');
+                arrow.setAttribute('position', `${from.x + (to.x - from.x) * along / length} ${this.options.floorHeight + this.options.arrowHeight} ${from.z + (to.z - from.z) * along / length}`);
+                arrow.setAttribute('rotation', `0 ${yaw} 0`);
+                
+                const cone = document.createElement('a-cone');
+                cone.setAttribute('radius-bottom', 0.18);
+                cone.setAttribute('radius-top', 0);
+                cone.setAttribute('height', 0.4);
+                cone.setAttribute('rotation', '-90 0 0');
+                cone.setAttribute('material', `color: ${this.options.color}; shader: flat; transparent: true; opacity: 0.85`);
+                arrow.appendChild(cone);
+                
+                route.appendChild(arrow);
+            }
+            along -= length;
+        }
+        
+        scene.appendChild(route);
+        return route;
+    }
+    
+    removeArrows(current) {
+        if (current.entity && current.entity.parentNode) {
+            current.entity.parentNode.removeChild(current.entity);
+        }
+        current.entity = null;
+    }
+    
+    // Geometry helpers
+    distance2D(a, b) {
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    }
+    
+    distanceToSegment(point, from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const lengthSquared = dx * dx + dz * dz;
+        const t = lengthSquared === 0 ? 0 :
+            Math.min(1, Math.max(0, ((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSquared));
+        return Math.hypot(point.x - (from.x + t * dx), point.z - (from.z + t * dz));
+    }
+    
+    boxDistance2D(a, b) {
+        const dx = Math.max(0, a.min.x - b.max.x, b.min.x - a.max.x);
+        const dz = Math.max(0, a.min.z - b.max.z, b.min.z - a.max.z);
+        return Math.hypot(dx, dz);
+    }
+    
+    pathLength(points) {
+        let length = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            length += this.distance2D(points[i], points[i + 1]);
+        }
+        return length;
+    }
+}
+
+// Make available globally
+window.Wayfinder = Wayfinder;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Wayfinder;
+}